@@ -28,6 +28,7 @@ dart_library.library('dart_runtime/_classes', null, /* Imports */[
 
   const defineProperty = Object.defineProperty;
   const getOwnPropertyDescriptor = Object.getOwnPropertyDescriptor;
+  const getOwnPropertyNames = Object.getOwnPropertyNames;
   const getOwnPropertySymbols = Object.getOwnPropertySymbols;
 
   const slice = [].slice;
@@ -76,14 +77,18 @@ dart_library.library('dart_runtime/_classes', null, /* Imports */[
 
     // Set the signature of the Mixin class to be the composition
     // of the signatures of the mixins.
-    setSignature(Mixin, {
-      methods: () => {
-        let s = {};
-        for (let m of mixins) {
-          copyProperties(s, m[_methodSig]);
-        }
-        return s;
+    let mixinSignature = (sig) => () => {
+      let s = {};
+      for (let m of mixins) {
+        copyProperties(s, m[sig]);
       }
+      return s;
+    };
+    setSignature(Mixin, {
+      methods: mixinSignature(_methodSig),
+      fields: mixinSignature(_fieldSig),
+      getters: mixinSignature(_getterSig),
+      setters: mixinSignature(_setterSig)
     });
 
     // Save mixins for reflection
@@ -93,12 +98,12 @@ dart_library.library('dart_runtime/_classes', null, /* Imports */[
   exports.mixin = mixin;
 
   function getMixins (clazz) {
-    return clazz[_mixins];
+    return safeGetOwnProperty(clazz, _mixins);
   }
   exports.getMixins = getMixins;
 
   function getImplements (clazz) {
-    return clazz[_implements];
+    return safeGetOwnProperty(clazz, _implements);
   }
   exports.getImplements = getImplements;
 
@@ -106,6 +111,9 @@ dart_library.library('dart_runtime/_classes', null, /* Imports */[
   let _typeArguments = Symbol('typeArguments');
   let _originalDeclaration = Symbol('originalDeclaration');
 
+  // The state of each generic class made by `generic`, for `reloadGeneric`.
+  let _generics = new WeakMap();
+
   /** Memoize a generic type constructor function. */
   function generic(typeConstructor) {
     let length = typeConstructor.length;
@@ -113,6 +121,7 @@ dart_library.library('dart_runtime/_classes', null, /* Imports */[
       throwInternalError('must have at least one generic type argument');
     }
     let resultMap = new Map();
+    let state = {typeConstructor, resultMap, length};
     function makeGenericType(/*...arguments*/) {
       if (arguments.length != length && arguments.length != 0) {
         throwInternalError('requires ' + length + ' or 0 type arguments');
@@ -131,7 +140,7 @@ dart_library.library('dart_runtime/_classes', null, /* Imports */[
         value = map.get(arg);
         if (value === void 0) {
           if (i + 1 == length) {
-            value = typeConstructor.apply(null, args);
+            value = state.typeConstructor.apply(null, args);
             // Save the type constructor and arguments for reflection.
             if (value) {
               value[_typeArguments] = args;
@@ -145,12 +154,43 @@ dart_library.library('dart_runtime/_classes', null, /* Imports */[
       }
       return value;
     }
+    _generics.set(makeGenericType, state);
     return makeGenericType;
   }
   exports.generic = generic;
 
+  /**
+   * Reloads the generic class `to` with `from`, both made by `generic`: each
+   * instantiation of `to` made so far is patched in place with `patchClass`
+   * and the same instantiation of `from`, and `to` makes later ones with
+   * `from`.  Returns false if they are not both generic classes.
+   */
+  function reloadGeneric(to, from, patchClass) {
+    let toState = _generics.get(to);
+    let fromState = _generics.get(from);
+    if (!toState || !fromState || toState.length != fromState.length) {
+      return false;
+    }
+    function patch(map, args) {
+      for (let [arg, value] of map) {
+        let typeArgs = args.concat([arg]);
+        if (typeArgs.length < toState.length) {
+          patch(value, typeArgs);
+        } else {
+          patchClass(value, from.apply(null, typeArgs));
+        }
+      }
+    }
+    patch(toState.resultMap, []);
+    toState.typeConstructor = from;
+    return true;
+  }
+  exports.reloadGeneric = reloadGeneric;
+
   function getGenericClass(type) {
-    return safeGetOwnProperty(type, _originalDeclaration);
+    // A generic class that was reloaded is its original one.
+    return dart_library.canonicalClass(
+        safeGetOwnProperty(type, _originalDeclaration));
   };
   exports.getGenericClass = getGenericClass;
 
@@ -161,18 +201,64 @@ dart_library.library('dart_runtime/_classes', null, /* Imports */[
 
   let _constructorSig = Symbol('sigCtor');
   let _methodSig = Symbol("sig");
+  let _fieldSig = Symbol("sigField");
+  let _getterSig = Symbol("sigGetter");
+  let _setterSig = Symbol("sigSetter");
   let _staticSig = Symbol("sigStatic");
 
+  /// Signatures are usually the parts of a function type, but may also be a
+  /// type such as a generic function type.
+  function _signatureType(parts) {
+    if (parts instanceof Array) {
+      return types.definiteFunctionType.apply(null, parts);
+    }
+    return parts;
+  }
+
   /// Get the type of a method using the stored signature
   function _getMethodType(obj, name) {
     if (obj === void 0) return void 0;
     if (obj == null) return void 0;
-    let sigObj = obj.__proto__.constructor[_methodSig];
+    return getMethodTypeFromType(obj.__proto__.constructor, name);
+  }
+
+  /// Get the type of a method from a class using the stored signature
+  /// Returns undefined if the class has no signature for the method.
+  function getMethodTypeFromType(type, name) {
+    let sigObj = type[_methodSig];
     if (sigObj === void 0) return void 0;
     let parts = sigObj[name];
     if (parts === void 0) return void 0;
-    return types.definiteFunctionType.apply(null, parts);
+    return _signatureType(parts);
+  }
+  exports.getMethodTypeFromType = getMethodTypeFromType;
+
+  /// Get the type stored for `name` in one of the instance member signatures
+  /// of the object's class, or undefined if there is none.
+  function _getMemberType(obj, sig, name) {
+    if (obj == null) return void 0;
+    let sigObj = obj.__proto__.constructor[sig];
+    if (sigObj === void 0) return void 0;
+    return sigObj[name];
+  }
+
+  /// Get the type of a field or getter using the stored signature.
+  /// Returns undefined if the class has no signature for it.
+  function getGetterType(obj, name) {
+    let type = _getMemberType(obj, _fieldSig, name);
+    if (type === void 0) type = _getMemberType(obj, _getterSig, name);
+    return type;
+  }
+  exports.getGetterType = getGetterType;
+
+  /// Get the type of a field or setter using the stored signature.
+  /// Returns undefined if the class has no signature for it.
+  function getSetterType(obj, name) {
+    let type = _getMemberType(obj, _fieldSig, name);
+    if (type === void 0) type = _getMemberType(obj, _setterSig, name);
+    return type;
   }
+  exports.getSetterType = getSetterType;
 
   /// Get the type of a constructor from a class using the stored signature
   /// If name is undefined, returns the type of the default constructor
@@ -185,10 +271,24 @@ dart_library.library('dart_runtime/_classes', null, /* Imports */[
     if (sigCtor === void 0) return void 0;
     let parts = sigCtor[name];
     if (parts === void 0) return void 0;
-    return types.definiteFunctionType.apply(null, parts);
+    return _signatureType(parts);
   }
   exports.classGetConstructorType = _getConstructorType;
 
+  /// The names of the instance members in the signatures of class `f`
+  /// itself, not those it inherits.
+  function getOwnSignatureNames(f) {
+    let names = [];
+    for (let sig of [_methodSig, _fieldSig, _getterSig, _setterSig]) {
+      if (!Object.prototype.hasOwnProperty.call(f, sig)) continue;
+      let sigObj = f[sig];
+      names.push(...getOwnPropertyNames(sigObj),
+          ...getOwnPropertySymbols(sigObj));
+    }
+    return names;
+  }
+  exports.getOwnSignatureNames = getOwnSignatureNames;
+
   /// Given an object and a method name, tear off the method.
   /// Sets the runtime type of the torn off method appropriately,
   /// and also binds the object.
@@ -196,24 +296,30 @@ dart_library.library('dart_runtime/_classes', null, /* Imports */[
   /// If the optional `f` argument is passed in, it will be used as the method.
   /// This supports cases like `super.foo` where we need to tear off the method
   /// from the superclass, not from the `obj` directly.
+  ///
+  /// If the class has no signature for the method, the tear off keeps the
+  /// method's own runtime type, such as a generic function type that
+  /// `gbind` can instantiate.
   /// TODO(leafp): Consider caching the tearoff on the object?
   function bind(obj, name, f) {
     if (f === void 0) f = obj[name];
-    f = f.bind(obj);
     // TODO(jmesserly): track the function's signature on the function, instead
     // of having to go back to the class?
-    let sig = _getMethodType(obj, name);
+    let sig = _getMethodType(obj, name) || rtti.read(f);
     assert(sig);
+    f = f.bind(obj);
     rtti.tag(f, sig);
     return f;
   }
   exports.bind = bind;
 
-  // Set up the method signature field on the constructor
-  function _setMethodSignature(f, sigF) {
-    defineMemoizedGetter(f, _methodSig, () => {
+  // Set up an instance member signature field on the constructor, which
+  // inherits from the superclass's signature.  The root signature has no
+  // prototype, so names like `toString` are not found on Object.prototype.
+  function _setInstanceSignature(f, sig, sigF) {
+    defineMemoizedGetter(f, sig, () => {
       let sigObj = sigF();
-      sigObj.__proto__ = f.__proto__[_methodSig];
+      sigObj.__proto__ = f.__proto__[sig] || null;
       return sigObj;
     });
   }
@@ -232,8 +338,7 @@ dart_library.library('dart_runtime/_classes', null, /* Imports */[
   function _setStaticTypes(f, names) {
     for (let name of names) {
       rtti.tagMemoized(f[name], function() {
-        let parts = f[_staticSig][name];
-        return types.definiteFunctionType.apply(null, parts);
+        return _signatureType(f[_staticSig][name]);
       })
     }
   }
@@ -243,6 +348,14 @@ dart_library.library('dart_runtime/_classes', null, /* Imports */[
   /// signature is an object containing optional properties as follows:
   ///  methods: A function returning an object mapping method names
   ///   to method types.  The function is evaluated lazily and cached.
+  ///   A method type is either the list of arguments to
+  ///   `definiteFunctionType`, or a type such as a generic function type.
+  ///  fields: A function returning an object mapping the names of
+  ///   (non-final) fields to their types.  Evaluated lazily and cached.
+  ///  getters: Like fields, but for getters and final fields, mapping each
+  ///   name to the type it returns.
+  ///  setters: Like fields, but for setters, mapping each name to the type
+  ///   it accepts.
   ///  statics: A function returning an object mapping static method
   ///   names to types.  The function is evalutated lazily and cached.
   ///  names: An array of the names of the static methods.  Used to
@@ -253,18 +366,59 @@ dart_library.library('dart_runtime/_classes', null, /* Imports */[
       ('constructors' in signature) ? signature.constructors : () => ({});
     let methods =
       ('methods' in signature) ? signature.methods : () => ({});
+    let fields =
+      ('fields' in signature) ? signature.fields : () => ({});
+    let getters =
+      ('getters' in signature) ? signature.getters : () => ({});
+    let setters =
+      ('setters' in signature) ? signature.setters : () => ({});
     let statics =
       ('statics' in signature) ? signature.statics : () => ({});
     let names =
       ('names' in signature) ? signature.names : [];
     _setConstructorSignature(f, constructors);
-    _setMethodSignature(f, methods);
+    _setInstanceSignature(f, _methodSig, methods);
+    _setInstanceSignature(f, _fieldSig, fields);
+    _setInstanceSignature(f, _getterSig, getters);
+    _setInstanceSignature(f, _setterSig, setters);
     _setStaticSignature(f, statics);
     _setStaticTypes(f, names);
     rtti.tagMemoized(f, () => core.Type);
   }
   exports.setSignature = setSignature;
 
+  const _signatures = {
+    constructors: _constructorSig,
+    methods: _methodSig,
+    fields: _fieldSig,
+    getters: _getterSig,
+    setters: _setterSig,
+    statics: _staticSig
+  };
+
+  /// Get the members a class declares itself in one kind of its signature,
+  /// where kind is one of the properties taken by [setSignature] (other than
+  /// `names`).  Returns an object mapping the names of the members to their
+  /// types, which is empty if the class has no signature of its own.
+  function getOwnSignature(cls, kind) {
+    let result = {};
+    let sig = _signatures[kind];
+    if (!getOwnPropertyDescriptor(cls, sig)) return result;
+    let sigObj = cls[sig];
+    // Private members are named by symbols.
+    let names = [...getOwnPropertyNames(sigObj),
+        ...getOwnPropertySymbols(sigObj)];
+    for (let name of names) {
+      let type = sigObj[name];
+      if (sig == _constructorSig || sig == _methodSig || sig == _staticSig) {
+        type = _signatureType(type);
+      }
+      result[name] = type;
+    }
+    return result;
+  }
+  exports.getOwnSignature = getOwnSignature;
+
   function hasMethod(obj, name) {
     return _getMethodType(obj, name) !== void 0;
   }
@@ -343,9 +497,11 @@ dart_library.library('dart_runtime/_classes', null, /* Imports */[
       copyTheseProperties(jsProto, extProto, getOwnPropertySymbols(extProto));
       extProto = extProto.__proto__;
     }
-    let originalSigFn = getOwnPropertyDescriptor(dartExtType, _methodSig).get;
-    assert(originalSigFn);
-    defineMemoizedGetter(jsType, _methodSig, originalSigFn);
+    for (let sig of [_methodSig, _fieldSig, _getterSig, _setterSig]) {
+      let originalSigFn = getOwnPropertyDescriptor(dartExtType, sig).get;
+      assert(originalSigFn);
+      defineMemoizedGetter(jsType, sig, originalSigFn);
+    }
   }
   exports.registerExtension = registerExtension;
 
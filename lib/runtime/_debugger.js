@@ -0,0 +1,172 @@
+// Copyright (c) 2015, the Dart project authors.  Please see the AUTHORS file
+// for details. All rights reserved. Use of this source code is governed by a
+// BSD-style license that can be found in the LICENSE file.
+
+/*
+ * This library renders Dart values in the Chrome DevTools console, as a
+ * custom formatter.  Custom formatters are enabled in the DevTools settings.
+ *
+ * A formatter renders a value as JsonML: a one line header and, if the value
+ * has one, a body shown when the header is expanded.
+ *
+ */
+
+dart_library.library('dart_runtime/_debugger', null, /* Imports */[
+], /* Lazy Imports */[
+  'dart/core',
+  'dart_runtime/_classes',
+  'dart_runtime/_operations',
+  'dart_runtime/_rtti',
+  'dart_runtime/_types'
+], function(exports, core, classes, operations, rtti, types) {
+  'use strict';
+
+  const _bodyStyle =
+      'list-style-type: none; padding-left: 0; margin: 0 0 0 12px';
+  const _nameStyle = 'color: #881391';
+  const _valueStyle = 'color: #1c00cf';
+
+  /** Whether `value` is a list created by Dart, rather than a JS array. */
+  function _isDartList(value) {
+    return Array.isArray(value) &&
+        Object.getPrototypeOf(value) !== Array.prototype;
+  }
+
+  // Only classes with members have a signature, which tags them as types.
+  function _isDartClass(value) {
+    return value === core.Object || value.prototype instanceof core.Object;
+  }
+
+  function _typeName(type) {
+    if (_isDartClass(type) && !types.isDartType(type)) return type.name;
+    return types.typeName(type);
+  }
+
+  /**
+   * Returns how `value` is rendered: as a 'type', 'function', 'list', 'map',
+   * 'set' or 'instance', or null if it is not a Dart value.
+   */
+  function _kind(value) {
+    if (typeof value == 'function') {
+      if (types.isDartType(value) || _isDartClass(value)) return 'type';
+      // Dart closures are tagged with their signature.
+      return rtti.read(value) ? 'function' : null;
+    }
+    if (value == null || typeof value != 'object') return null;
+    if (types.isDartType(value)) return 'type';
+    if (_isDartList(value)) return 'list';
+    if (!(value instanceof core.Object)) return null;
+    if (operations.instanceOf(value, core.Map)) return 'map';
+    if (operations.instanceOf(value, core.Set)) return 'set';
+    return 'instance';
+  }
+
+  function _describe(value, kind) {
+    switch (kind) {
+      case 'type':
+        return _typeName(value);
+      case 'function':
+        return value.name + types.typeName(rtti.read(value));
+      case 'list': {
+        let args = classes.getGenericArgs(value.constructor);
+        let elementType = args ? args[0] : types.dynamic;
+        return `List<${_typeName(elementType)}> length ${value.length}`;
+      }
+      case 'map':
+      case 'set':
+        return `${_typeName(rtti.realRuntimeType(value))} ` +
+            `length ${value.length}`;
+      default:
+        return _typeName(rtti.realRuntimeType(value));
+    }
+  }
+
+  /** The name of a field, which is a symbol if the field is private. */
+  function _fieldName(key) {
+    return typeof key == 'symbol' ? String(key).slice(7, -1) : key;
+  }
+
+  /**
+   * Renders `value` in a body.  Objects are left for DevTools to render, with
+   * this formatter if they are Dart values.
+   */
+  function _reference(value, config) {
+    if (value == null || typeof value != 'object' &&
+        typeof value != 'function') {
+      let text = typeof value == 'string' ? JSON.stringify(value) :
+          String(value);
+      return ['span', {style: _valueStyle}, text];
+    }
+    return config === void 0 ? ['object', {object: value}] :
+        ['object', {object: value, config: config}];
+  }
+
+  /**
+   * Renders `entries`, each of which is a name, or null to list just the
+   * value, and a value.
+   */
+  function _list(entries) {
+    return ['ol', {style: _bodyStyle}, ...entries.map(([name, value]) => {
+      if (name === null) return ['li', {}, _reference(value)];
+      let label = typeof name == 'string' ?
+          ['span', {style: _nameStyle}, name] : _reference(name);
+      return ['li', {}, label, ': ', _reference(value)];
+    })];
+  }
+
+  function header(value, config) {
+    // Objects the formatter renders in their raw JS form.
+    if (config && config.raw) return null;
+    let kind = _kind(value);
+    if (kind === null) return null;
+    return ['span', {}, _describe(value, kind)];
+  }
+
+  function hasBody(value, config) {
+    return _kind(value) !== 'type';
+  }
+
+  function body(value, config) {
+    let entries = [];
+    switch (_kind(value)) {
+      case 'function':
+        return ['ol', {style: _bodyStyle},
+          ['li', {}, ['span', {style: _nameStyle}, 'signature'], ': ',
+            types.typeName(rtti.read(value))],
+          ['li', {}, ['span', {style: _nameStyle}, 'function'], ': ',
+            _reference(value, {raw: true})]
+        ];
+      case 'list':
+        for (let i = 0; i < value.length; i++) {
+          entries.push([String(i), value[i]]);
+        }
+        break;
+      case 'map':
+        for (let key of value.keys) {
+          entries.push([typeof key == 'string' ? JSON.stringify(key) : key,
+              value.get(key)]);
+        }
+        break;
+      case 'set':
+        for (let element of value) entries.push([null, element]);
+        break;
+      default: {
+        // Fields are stored on the instance, and private ones are keyed by
+        // symbols.
+        let keys = Object.getOwnPropertyNames(value)
+            .concat(Object.getOwnPropertySymbols(value));
+        for (let key of keys) entries.push([_fieldName(key), value[key]]);
+      }
+    }
+    return _list(entries);
+  }
+
+  const devtoolsFormatter = {header, hasBody, body};
+  exports.devtoolsFormatter = devtoolsFormatter;
+
+  if (typeof window != 'undefined') {
+    let formatters = window.devtoolsFormatters ||
+        (window.devtoolsFormatters = []);
+    formatters.push(devtoolsFormatter);
+  }
+});
@@ -10,9 +10,10 @@
 dart_library.library('dart_runtime/_errors', null, /* Imports */[
 ], /* Lazy Imports */[
   'dart_runtime/_operations',
+  'dart_runtime/_stack_trace',
   'dart/core',
   'dart/_js_helper'
-], function(exports, operations, core, _js_helper) {
+], function(exports, operations, stack_trace, core, _js_helper) {
   'use strict';
 
   function throwNoSuchMethod(obj, name, pArgs, nArgs, extras) {
@@ -25,6 +26,29 @@ dart_library.library('dart_runtime/_errors', null, /* Imports */[
   }
   exports.throwCastError = throwCastError;
 
+  /**
+   * Returns the first stack frame outside of the runtime, as a string, or
+   * null if it can't be determined.  The stack is that of `error` if given,
+   * or the current one.
+   */
+  function callSite(error) {
+    let stack = (error || new Error()).stack;
+    if (!stack) return null;
+    for (let line of stack.split('\n').slice(1)) {
+      if (!stack_trace.isRuntimeFrame(line)) {
+        return stack_trace.mapStackTrace(line).trim().replace(/^at /, '');
+      }
+    }
+    return null;
+  }
+  exports.callSite = callSite;
+
+  function throwNullCastError(type) {
+    operations.throw(
+      new _js_helper.NullCastErrorImplementation(type, callSite()));
+  }
+  exports.throwNullCastError = throwNullCastError;
+
   function throwAssertionError() {
     operations.throw(new core.AssertionError());
   }
@@ -38,4 +62,12 @@ dart_library.library('dart_runtime/_errors', null, /* Imports */[
       new core.Symbol('<Unexpected Null Value>'), null, null, null));
   }
   exports.throwNullValueError = throwNullValueError;
+
+  function throwDeferredNotLoadedError(libraryName, memberName) {
+    // As with null values above, the member name carries the explanation.
+    operations.throw(new core.NoSuchMethodError(null,
+      new core.Symbol('<Deferred library ' + libraryName + ' was not loaded>.' +
+        String(memberName)), null, null, null));
+  }
+  exports.throwDeferredNotLoadedError = throwDeferredNotLoadedError;
 });
@@ -8,8 +8,9 @@
  * It's designed to interact with Dart's Future/Stream and follow Dart
  * async/await semantics.
  *
- * See https://github.com/dart-lang/dev_compiler/issues/245 for ideas on
- * reconciling Dart's Future and ES6 Promise.
+ * Awaiting a JS Promise, or any other thenable, waits for it as if it was a
+ * Future, and `toPromise`/`fromPromise` convert between the two explicitly.
+ * See https://github.com/dart-lang/dev_compiler/issues/245.
  *
  * Inspired by `co`: https://github.com/tj/co/blob/master/index.js, which is a
  * stepping stone for proposed ES7 async/await, and uses ES6 Promises.
@@ -17,11 +18,13 @@
 dart_library.library('dart_runtime/_generators', null, /* Imports */[
 ], /* Lazy Imports */[
   'dart_runtime/_operations',
+  'dart_runtime/_stack_trace',
   'dart/_js_helper',
   'dart/core',
   'dart/collection',
   'dart/async'
-], function(exports, _operations, _js_helper, core, collection, async) {
+], function(exports, _operations, stack_trace, _js_helper, core, collection,
+    async) {
   'use strict';
 
   const _jsIterator = Symbol('_jsIterator');
@@ -33,11 +36,78 @@ dart_library.library('dart_runtime/_generators', null, /* Imports */[
   }
   exports.syncStar = syncStar;
 
+  /** Whether `value` is a JS Promise or other thenable, not a Dart object. */
+  function _isThenable(value) {
+    return value != null &&
+        (typeof value == 'object' || typeof value == 'function') &&
+        typeof value.then == 'function' && !(value instanceof core.Object);
+  }
+
+  /**
+   * Returns a Future that completes with the result of `promise`, a Promise or
+   * other thenable.  If it is rejected, the Future completes with the reason
+   * and its stack trace.
+   */
+  function fromPromise(promise) {
+    let completer = async.Completer.new();
+    promise.then((value) => completer.complete(value), (error) => {
+      // Dart can't complete a Future with a null error.
+      if (error == null) error = new core.NullThrownError();
+      completer.completeError(error, _operations.stackTrace(error));
+    });
+    return completer.future;
+  }
+  exports.fromPromise = fromPromise;
+
+  /**
+   * Returns a Promise that settles with the result of `future`.  If the Future
+   * completes with an error, the Promise is rejected with it, and the error
+   * keeps the Future's stack trace when it is caught in Dart.
+   */
+  function toPromise(future) {
+    return new Promise((resolve, reject) => {
+      future.then(resolve, {onError: (error, stackTrace) => {
+        _operations.recordStackTrace(error, stackTrace);
+        reject(error);
+      }});
+    });
+  }
+  exports.toPromise = toPromise;
+
+  const _dartThen = Symbol('_dartThen');
+
+  /**
+   * Lets JS use the Futures of `future`'s class as thenables.
+   *
+   * JS calls `then(onFulfilled, onRejected)`, as in `await future`, but Dart's
+   * `then` takes `onError` as a named argument, so the class's `then` passes a
+   * rejection handler from JS on as `onError`.
+   */
+  function thenable(future) {
+    let proto = Object.getPrototypeOf(future);
+    if (proto.hasOwnProperty(_dartThen)) return;
+    let then = proto[_dartThen] = proto.then;
+    proto.then = function(onValue, onRejected) {
+      if (typeof onRejected != 'function') return then.apply(this, arguments);
+      return then.call(this, onValue, {onError: onRejected});
+    };
+  }
+  exports.thenable = thenable;
+
+  /** Returns the Future that `await value` waits for. */
+  function _awaited(value) {
+    if (_operations.instanceOf(value, async.Future$)) return value;
+    if (_isThenable(value)) return fromPromise(value);
+    return async.Future.value(value);
+  }
+
   function async_(gen, T, ...args) {
     let iter;
+    // Each time the body resumes, it continues the chain of this call.
+    let chain = stack_trace.asyncCallChain();
     function onValue(res) {
       if (res === void 0) res = null;
-      return next(iter.next(res));
+      return stack_trace.runInChain(chain, () => next(iter.next(res)));
     }
     function onError(err) {
       // If the awaited Future throws, we want to convert this to an exception
@@ -48,17 +118,12 @@ dart_library.library('dart_runtime/_generators', null, /* Imports */[
       //
       // In essence, we are giving the code inside the generator a chance to
       // use try-catch-finally.
-      return next(iter.throw(err));
+      return stack_trace.runInChain(chain, () => next(iter.throw(err)));
     }
     function next(ret) {
       if (ret.done) return ret.value;
-      // Checks if the awaited value is a Future.
-      let future = ret.value;
-      if (!_operations.instanceOf(future, async.Future$)) {
-        future = async.Future.value(future);
-      }
       // Chain the Future so `await` receives the Future's value.
-      return future.then(onValue, {onError: onError});
+      return _awaited(ret.value).then(onValue, {onError: onError});
     }
     return async.Future$(T).new(function() {
       iter = gen(...args)[Symbol.iterator]();
@@ -96,6 +161,7 @@ dart_library.library('dart_runtime/_generators', null, /* Imports */[
       this.isScheduled = false;
       this.isSuspendedAtYield = false;
       this.canceler = null;
+      this.chain = stack_trace.asyncCallChain();
       this.iterator = generator(this, ...args)[Symbol.iterator]();
       this.controller = async.StreamController$(T).new({
         onListen: () => this.scheduleGenerator(),
@@ -150,7 +216,8 @@ dart_library.library('dart_runtime/_generators', null, /* Imports */[
       this.isWaiting = false;
       let iter;
       try {
-        iter = this.iterator.next(opt_awaitValue);
+        iter = stack_trace.runInChain(this.chain,
+            () => this.iterator.next(opt_awaitValue));
       } catch (e) {
         this.addError(e, _operations.stackTrace(e));
         this.close();
@@ -171,11 +238,7 @@ dart_library.library('dart_runtime/_generators', null, /* Imports */[
       // TODO(jmesserly): is the timing here correct? The assumption here is
       // that we should schedule `await` in `async*` the same as in `async`.
       this.isWaiting = true;
-      let future = iter.value;
-      if (!_operations.instanceOf(future, async.Future$)) {
-        future = async.Future.value(future);
-      }
-      return future.then((x) => this.runBody(x),
+      return _awaited(iter.value).then((x) => this.runBody(x),
           { onError: (e, s) => this.throwError(e, s) });
     }
 
@@ -208,7 +271,7 @@ dart_library.library('dart_runtime/_generators', null, /* Imports */[
 
     throwError(error, stackTrace) {
       try {
-        this.iterator.throw(error);
+        stack_trace.runInChain(this.chain, () => this.iterator.throw(error));
       } catch (e) {
         this.addError(e, stackTrace);
       }
@@ -14,19 +14,96 @@ dart_library.library('dart_runtime/_operations', null, /* Imports */[
   'dart_runtime/_classes',
   'dart_runtime/_errors',
   'dart_runtime/_rtti',
+  'dart_runtime/_stack_trace',
   'dart_runtime/_types'
 ], function(exports, async, collection, core, _js_helper, classes, errors, rtti,
-            types) {
+            stack_trace, types) {
   'use strict';
 
-  const getOwnNamesAndSymbols = dart_utils.getOwnNamesAndSymbols;
   const throwError = dart_utils.throwError;
 
   const getOwnPropertyNames = Object.getOwnPropertyNames;
+  const getOwnPropertySymbols = Object.getOwnPropertySymbols;
   const hasOwnProperty = Object.prototype.hasOwnProperty;
 
   const slice = [].slice;
 
+  /// The classes of runtime checks whose failures can be configured with
+  /// [setCheckMode], mapped to the current mode for each.
+  const _checkModes = {
+    casts: 'throw',
+    isChecks: 'throw',
+    dynamicCalls: 'throw'
+  };
+  const _checkCounts = {casts: 0, isChecks: 0, dynamicCalls: 0};
+
+  /// Sets what happens when a runtime check fails, per class of check:
+  ///
+  ///     dart.setCheckMode({casts: 'warn', dynamicCalls: 'ignore'});
+  ///
+  /// The classes are `casts` (`as` and implicit casts), `isChecks` (`is`
+  /// checks that cannot be answered soundly) and `dynamicCalls` (argument
+  /// checks on `dcall`, `dsend` and friends).  Each mode is one of:
+  ///
+  ///  - 'throw': throw a StrongModeError (the default).
+  ///  - 'warn': pass the StrongModeError to the handler set with
+  ///    `dart_utils.setStrongModeErrorHandler`, or log it with `console.warn`
+  ///    if there is none, and carry on as if the check had passed.
+  ///  - 'ignore': carry on silently as if the check had passed.
+  ///
+  /// Only failures that are specific to strong mode are affected.  Errors
+  /// that Dart has as well are thrown in every mode, such as the CastError of
+  /// `'x' as int`, or the NoSuchMethodError of a call with the wrong number
+  /// of arguments.
+  ///
+  /// Classes that are not mentioned keep their current mode.
+  function setCheckMode(modes) {
+    for (let check of getOwnPropertyNames(modes)) {
+      if (!hasOwnProperty.call(_checkModes, check)) {
+        dart_utils.throwInternalError('Unknown check: ' + check);
+      }
+      let mode = modes[check];
+      if (mode != 'throw' && mode != 'warn' && mode != 'ignore') {
+        dart_utils.throwInternalError(
+            'Unknown check mode for ' + check + ': ' + mode);
+      }
+    }
+    Object.assign(_checkModes, modes);
+  }
+  exports.setCheckMode = setCheckMode;
+
+  function getCheckMode() {
+    return Object.assign({}, _checkModes);
+  }
+  exports.getCheckMode = getCheckMode;
+
+  /// The number of strong mode failures of each class since the last
+  /// [resetCheckCounts], whatever the check mode was.
+  function checkCounts() {
+    return Object.assign({}, _checkCounts);
+  }
+  exports.checkCounts = checkCounts;
+
+  function resetCheckCounts() {
+    for (let check of getOwnPropertyNames(_checkCounts)) {
+      _checkCounts[check] = 0;
+    }
+  }
+  exports.resetCheckCounts = resetCheckCounts;
+
+  /// Reports a strong mode failure of the given class of check, as set by
+  /// [setCheckMode].  Unless this throws, the caller should carry on as if
+  /// the check had passed.
+  function _checkFailed(check, message, details) {
+    _checkCounts[check]++;
+    let mode = _checkModes[check];
+    if (mode == 'throw') {
+      dart_utils.throwStrongModeError(message, details);
+    } else if (mode == 'warn') {
+      dart_utils.warnStrongModeError(message, details);
+    }
+  }
+
   function _canonicalFieldName(obj, name, args, displayName) {
     name = classes.canonicalMember(obj, name);
     if (name) return name;
@@ -37,88 +114,159 @@ dart_library.library('dart_runtime/_operations', null, /* Imports */[
     errors.throwNoSuchMethod(obj, displayName, args);
   }
 
+  /// Whether `obj` is a Dart object that has no member called `name`.
+  ///
+  /// Only Dart objects are checked, as an `in` check breaks on some native
+  /// types, and JS objects may gain members at any time.
+  function _isMissingMember(obj, name) {
+    return obj instanceof core.Object && !(name in obj);
+  }
+
   function dload(obj, field) {
-    field = _canonicalFieldName(obj, field, [], field);
-    if (classes.hasMethod(obj, field)) {
-      return classes.bind(obj, field);
+    let name = _canonicalFieldName(obj, field, [], field);
+    if (classes.hasMethod(obj, name)) {
+      return classes.bind(obj, name);
     }
-    // TODO(vsm): Implement NSM robustly.  An 'in' check breaks on certain
-    // types.  hasOwnProperty doesn't chase the proto chain.
-    // Also, do we want an NSM on regular JS objects?
+    if (classes.getGetterType(obj, name) === void 0 &&
+        _isMissingMember(obj, name)) {
+      return noSuchMethod(obj, _invocation(field, [], 'getter'));
+    }
+    // TODO(vsm): Do we want an NSM on regular JS objects?
     // See: https://github.com/dart-lang/dev_compiler/issues/169
-    let result = obj[field];
+    let result = obj[name];
 
     // TODO(vsm): Check this more robustly.
-    if (typeof result == "function" && !hasOwnProperty.call(obj, field)) {
+    if (typeof result == "function" && !hasOwnProperty.call(obj, name)) {
       // This appears to be a method tearoff.  Bind this.
       return result.bind(obj);
     }
-        return result;
+    return result;
   }
   exports.dload = dload;
 
   function dput(obj, field, value) {
-    field = _canonicalFieldName(obj, field, [value], field);
-    // TODO(vsm): Implement NSM and type checks.
-    // See: https://github.com/dart-lang/dev_compiler/issues/170
-    obj[field] = value;
+    let name = _canonicalFieldName(obj, field, [value], field);
+    let type = classes.getSetterType(obj, name);
+    if (type !== void 0) {
+      cast(value, type);
+    } else if (classes.hasMethod(obj, name) ||
+        classes.getGetterType(obj, name) !== void 0 ||
+        _isMissingMember(obj, name)) {
+      // There is no setter: the member is a method, a getter or a final
+      // field, or it does not exist at all.
+      noSuchMethod(obj, _invocation(field, [value], 'setter'));
+      return value;
+    }
+    obj[name] = value;
     return value;
   }
   exports.dput = dput;
 
 
-  /// Check that a function of a given type can be applied to
-  /// actuals.
-  function checkApply(type, actuals) {
-    if (actuals.length < type.args.length) return false;
-    let index = 0;
-    for(let i = 0; i < type.args.length; ++i) {
-      if (!instanceOfOrNull(actuals[i], type.args[i])) return false;
-      ++index;
-    }
-    if (actuals.length == type.args.length) return true;
-    let extras = actuals.length - type.args.length;
-    if (type.optionals.length > 0) {
-      if (extras > type.optionals.length) return false;
-      for(let i = 0, j=index; i < extras; ++i, ++j) {
-        if (!instanceOfOrNull(actuals[j], type.optionals[i])) return false;
+  /// The named arguments of a dynamic call.  These are wrapped so that they
+  /// can't be confused with an object passed as the last positional argument.
+  class NamedArguments {
+    constructor(values) {
+      this.values = values;
+    }
+  }
+
+  /// Marks `values` as the named arguments of a dynamic call:
+  ///
+  ///     dart.dsend(obj, 'foo', 1, dart.namedArgs({bar: 2}));
+  ///
+  function namedArgs(values) {
+    return new NamedArguments(values);
+  }
+  exports.namedArgs = namedArgs;
+
+  /// Check that a function of a given type can be applied to the positional
+  /// arguments `actuals` and the named arguments `named`, if any.
+  function checkApply(type, actuals, named) {
+    if (!_arityMatches(type, actuals, named)) return false;
+    let required = type.args.length;
+    for (let i = 0; i < actuals.length; ++i) {
+      let formal = i < required ? type.args[i] : type.optionals[i - required];
+      if (!instanceOfOrNull(actuals[i], formal)) return false;
+    }
+    if (named !== void 0) {
+      for (let name of getOwnPropertyNames(named)) {
+        if (!instanceOfOrNull(named[name], type.named[name])) return false;
       }
-      return true;
-    }
-    // TODO(leafp): We can't tell when someone might be calling
-    // something expecting an optional argument with named arguments
-
-    if (extras != 1) return false;
-    // An empty named list means no named arguments
-    if (getOwnPropertyNames(type.named).length == 0) return false;
-    let opts = actuals[index];
-    let names = getOwnPropertyNames(opts);
-    // Type is something other than a map
-    if (names.length == 0) return false;
-    for (var name of names) {
-      if (!(hasOwnProperty.call(type.named, name))) {
-        return false;
+    }
+    return true;
+  }
+
+  /// Whether a function of the given type accepts the number of positional
+  /// arguments in `actuals` and the names in `named`, ignoring their types.
+  function _arityMatches(type, actuals, named) {
+    let required = type.args.length;
+    let max = required + type.optionals.length;
+    if (actuals.length < required || actuals.length > max) return false;
+    if (named !== void 0) {
+      for (let name of getOwnPropertyNames(named)) {
+        if (!hasOwnProperty.call(type.named, name)) return false;
       }
-      if (!instanceOfOrNull(opts[name], type.named[name])) return false;
     }
     return true;
   }
 
-  function throwNoSuchMethod(obj, name, args, opt_func) {
+  /// Builds the `Invocation` passed to `noSuchMethod` for a dynamic access
+  /// of the member `name`, where `kind` is 'method', 'getter' or 'setter'.
+  function _invocation(name, args, kind, named) {
+    if (typeof name == 'symbol') {
+      // Private members are JS symbols: recover the name they were given.
+      name = name.toString().slice('Symbol('.length, -1);
+    }
+    if (kind == 'setter') name += '=';
+    let namedArguments = map();
+    if (named !== void 0) {
+      for (let key of getOwnPropertyNames(named)) {
+        namedArguments.set(core.Symbol.new(key), named[key]);
+      }
+    }
+    return new _js_helper.InvocationImpl(core.Symbol.new(name),
+        classes.list(args.slice(), types.dynamic), namedArguments,
+        kind == 'method', kind == 'getter', kind == 'setter');
+  }
+
+  /// Calls the receiver's `noSuchMethod` for a method call that could not be
+  /// made.  For a function call `obj` is undefined, and `opt_func` is used as
+  /// the receiver.
+  function callNoSuchMethod(obj, name, args, named, opt_func) {
     if (obj === void 0) obj = opt_func;
-    errors.throwNoSuchMethod(obj, name, args);
+    return noSuchMethod(obj, _invocation(name, args, 'method', named));
+  }
+
+  /// The arguments to pass to a function for a dynamic call, with the named
+  /// arguments (if any) passed as an object after the positional ones.
+  function _callArgs(args, named) {
+    return named === void 0 ? args : args.concat([named]);
   }
 
+  /// Makes a dynamic call of `f`, checking the arguments against its type.
+  ///
+  /// A call with the wrong number of arguments, or with named arguments the
+  /// function does not take, goes to `noSuchMethod` as in Dart.  A call that
+  /// matches the parameters but passes arguments of the wrong types is a
+  /// strong mode failure, and throws a StrongModeError.
   function checkAndCall(f, ftype, obj, args, name) {
+    let named = void 0;
+    if (args[args.length - 1] instanceof NamedArguments) {
+      named = args[args.length - 1].values;
+      args = args.slice(0, -1);
+    }
     if (!(f instanceof Function)) {
       // We're not a function (and hence not a method either)
       // Grab the `call` method if it's not a function.
       if (f != null) {
         ftype = classes.getMethodType(f, 'call');
+        obj = f;
+        name = 'call';
         f = f.call;
       }
       if (!(f instanceof Function)) {
-        throwNoSuchMethod(obj, name, args);
+        return callNoSuchMethod(obj, name, args, named);
       }
     }
     // If f is a function, but not a method (no method type)
@@ -131,16 +279,38 @@ dart_library.library('dart_runtime/_operations', null, /* Imports */[
     if (!ftype) {
       // TODO(leafp): Allow JS objects to go through?
       // This includes the DOM.
-      return f.apply(obj, args);
+      return f.apply(obj, _callArgs(args, named));
+    }
+
+    if (types.isGenericFunctionType(ftype)) {
+      // No type arguments were given, so instantiate to dynamic.
+      let typeArgs = ftype.defaultTypeArgs;
+      f = f.apply(obj, typeArgs);
+      ftype = ftype.instantiate(typeArgs);
     }
 
-    if (checkApply(ftype, args)) {
-      return f.apply(obj, args);
+    if (checkApply(ftype, args, named)) {
+      return f.apply(obj, _callArgs(args, named));
     }
 
-    // TODO(leafp): throw a type error (rather than NSM)
-    // if the arity matches but the types are wrong.
-    throwNoSuchMethod(obj, name, args, f);
+    if (!_arityMatches(ftype, args, named)) {
+      return callNoSuchMethod(obj, name, args, named, f);
+    }
+
+    // The arguments are the wrong types.
+    let namedTypes = {};
+    if (named !== void 0) {
+      for (let name of getOwnPropertyNames(named)) {
+        namedTypes[name] = rtti.realRuntimeType(named[name]);
+      }
+    }
+    let actual = types.definiteFunctionType(types.dynamic,
+      args.map((a) => rtti.realRuntimeType(a)), namedTypes);
+    _checkFailed('dynamicCalls', 'Strong mode dynamic call failure: ' +
+      'cannot call ' + name + ' of type ' + types.typeName(ftype) +
+      ' with arguments of type ' + types.typeName(actual),
+      _strongModeDetails('dcall', actual, ftype));
+    return f.apply(obj, _callArgs(args, named));
   }
 
   function dcall(f/*, ...args*/) {
@@ -174,34 +344,31 @@ dart_library.library('dart_runtime/_operations', null, /* Imports */[
   }
   exports.dsetindex = dsetindex;
 
-  function _ignoreTypeFailure(actual, type) {
-    // TODO(vsm): Remove this hack ...
-    // This is primarily due to the lack of generic methods,
-    // but we need to triage all the errors.
-    let isSubtype = types.isSubtype;
-    if (isSubtype(type, core.Iterable) && isSubtype(actual, core.Iterable) ||
-        isSubtype(type, async.Future) && isSubtype(actual, async.Future) ||
-        isSubtype(type, core.Map) && isSubtype(actual, core.Map) ||
-        isSubtype(type, core.Function) && isSubtype(actual, core.Function) ||
-        isSubtype(type, async.Stream) && isSubtype(actual, async.Stream) ||
-        isSubtype(type, async.StreamSubscription) &&
-            isSubtype(actual, async.StreamSubscription)) {
-      console.warn('Ignoring cast fail from ' + types.typeName(actual) +
-        ' to ' + types.typeName(type));
-      return true;
-    }
-    return false;
+  function _strongModeDetails(kind, actualType, expectedType) {
+    // Mapping the call site may read source maps, so only the stack is
+    // captured now.
+    let error = new Error();
+    return {
+      kind: kind,
+      actualType: actualType,
+      expectedType: expectedType,
+      callSite: () => errors.callSite(error)
+    };
   }
 
   function strongInstanceOf(obj, type) {
+    if (types.isNonNullableType(type)) {
+      if (obj == null) return false;
+      type = type.type;
+    }
     let actual = rtti.realRuntimeType(obj);
     return types.isSubtype(actual, type) || actual == types.jsobject;
   }
   exports.strongInstanceOf = strongInstanceOf;
 
   function instanceOfOrNull(obj, type) {
-    if ((obj == null) || strongInstanceOf(obj, type)) return true;
-    return false;
+    if (obj == null) return !types.isNonNullableType(type);
+    return strongInstanceOf(obj, type);
   }
 
   function instanceOf(obj, type) {
@@ -211,24 +378,27 @@ dart_library.library('dart_runtime/_operations', null, /* Imports */[
     // TODO(vsm): We can statically detect many cases where this
     // check is unnecessary.
     if (types.isGroundType(type)) return false;
+    if (obj == null && types.isNonNullableType(type)) return false;
     let actual = rtti.realRuntimeType(obj);
-    dart_utils.throwStrongModeError('Strong mode is check failure: ' +
+    _checkFailed('isChecks', 'Strong mode is check failure: ' +
       types.typeName(actual) + ' does not soundly subtype ' +
-      types.typeName(type));
+      types.typeName(type),
+      _strongModeDetails('is', actual, type));
+    return false;
   }
   exports.instanceOf = instanceOf;
 
   function cast(obj, type) {
-    // TODO(#296): This is perhaps too eager to throw a StrongModeError?
-    // TODO(vsm): handle non-nullable types
     if (instanceOfOrNull(obj, type)) return obj;
+    if (obj == null) errors.throwNullCastError(type);
     let actual = rtti.realRuntimeType(obj);
     if (types.isGroundType(type)) errors.throwCastError(actual, type);
 
-    if (_ignoreTypeFailure(actual, type)) return obj;
-
-    dart_utils.throwStrongModeError('Strong mode cast failure from ' +
-      types.typeName(actual) + ' to ' + types.typeName(type));
+    // TODO(#296): This is perhaps too eager to throw a StrongModeError?
+    _checkFailed('casts', 'Strong mode cast failure from ' +
+      types.typeName(actual) + ' to ' + types.typeName(type),
+      _strongModeDetails('cast', actual, type));
+    return obj;
   }
   exports.cast = cast;
 
@@ -276,8 +446,10 @@ dart_library.library('dart_runtime/_operations', null, /* Imports */[
    * example `map()`.
    */
   // TODO(jmesserly): this could be faster
-  function map(values) {
-    let map = collection.LinkedHashMap.new();
+  function map(values, K, V) {
+    if (K === void 0) K = types.dynamic;
+    if (V === void 0) V = types.dynamic;
+    let map = collection.LinkedHashMap$(K, V).new();
     if (Array.isArray(values)) {
       for (let i = 0, end = values.length - 1; i < end; i += 2) {
         let key = values[i];
@@ -298,33 +470,95 @@ dart_library.library('dart_runtime/_operations', null, /* Imports */[
   }
   exports.assert = assert;
 
+  /** The stacks of thrown objects, as the Errors created when thrown. */
   let _stack = new WeakMap();
-  function throw_(obj) {
-    if (obj != null && (typeof obj == 'object' || typeof obj == 'function')) {
-      // TODO(jmesserly): couldn't we store the most recent stack in a single
-      // variable? There should only be one active stack trace. That would
-      // allow it to work for things like strings and numbers.
-      _stack.set(obj, new Error());
+
+  // Values that can't key `_stack`, such as strings, numbers and null, can't
+  // be told apart from equal values thrown elsewhere.  For these we keep the
+  // stack of the most recent throw, which is the one being handled.
+  let _lastThrown = null;
+  let _lastThrownError = null;
+
+  function _isObject(obj) {
+    return obj != null && (typeof obj == 'object' || typeof obj == 'function');
+  }
+
+  function _isLastThrown(obj) {
+    return _lastThrownError != null && Object.is(obj, _lastThrown);
+  }
+
+  function _recordStack(obj, error) {
+    if (_isObject(obj)) {
+      _stack.set(obj, error);
+    } else {
+      _lastThrown = obj;
+      _lastThrownError = error;
     }
+  }
+
+  function throw_(obj) {
+    _recordStack(obj, new Error());
+    stack_trace.recordAsyncChain(obj);
     throw obj;
   }
   exports.throw = throw_;
 
+  /**
+   * Rethrows `obj` from the catch clause handling it, keeping the stack of
+   * its original throw.
+   */
+  function rethrow(obj) {
+    // Objects keep their stack.  A primitive keeps its own unless another
+    // one was thrown since it was caught, in which case the best we can do
+    // is the stack from here.
+    if (!_isObject(obj) && !_isLastThrown(obj)) {
+      _recordStack(obj, new Error());
+    }
+    throw obj;
+  }
+  exports.rethrow = rethrow;
+
   function getError(exception) {
-    var stack = _stack.get(exception);
-    return stack !== void 0 ? stack : exception;
+    if (_isObject(exception)) {
+      let stack = _stack.get(exception);
+      return stack !== void 0 ? stack : exception;
+    }
+    return _isLastThrown(exception) ? _lastThrownError : exception;
   }
 
   // This is a utility function: it is only intended to be called from dev
   // tools.
   function stackPrint(exception) {
     var error = getError(exception);
-    console.log(error.stack ? error.stack : 'No stack trace for: ' + error);
+    console.log(error.stack ? stack_trace.mapStackTrace(error.stack) :
+        'No stack trace for: ' + error);
   }
   exports.stackPrint = stackPrint;
 
+  /**
+   * The stack traces of objects that reached JS without being thrown, such as
+   * the errors of Futures converted to Promises.
+   */
+  let _recordedTraces = new WeakMap();
+
+  /** Records `trace` as the stack trace of `exception`, unless it was thrown. */
+  function recordStackTrace(exception, trace) {
+    if (_isObject(exception) && !_stack.has(exception) && trace != null) {
+      _recordedTraces.set(exception, trace);
+    }
+  }
+  exports.recordStackTrace = recordStackTrace;
+
   function stackTrace(exception) {
+    if (_isObject(exception) && !_stack.has(exception) &&
+        _recordedTraces.has(exception)) {
+      return _recordedTraces.get(exception);
+    }
     var error = getError(exception);
+    let chain = stack_trace.asyncChain(exception);
+    if (chain != null && error != null && typeof error == 'object') {
+      error = {stack: stack_trace.chainStack(error.stack, chain)};
+    }
     return _js_helper.getTraceFromException(error);
   }
   exports.stackTrace = stackTrace;
@@ -378,33 +612,165 @@ dart_library.library('dart_runtime/_operations', null, /* Imports */[
   /** The global constant table. */
   const constants = new Map();
 
+  /**
+   * Ids for the symbols naming private fields of constants, in the order they
+   * were first seen.  Unlike their descriptions, these are unique, so they
+   * give the fields a consistent order.
+   */
+  const _symbolIds = new Map();
+  function _symbolId(symbol) {
+    let id = _symbolIds.get(symbol);
+    if (id === void 0) {
+      id = _symbolIds.size;
+      _symbolIds.set(symbol, id);
+    }
+    return id;
+  }
+
+  /**
+   * Freezes a new canonical constant.
+   *
+   * Its nested values are constants, and so are frozen already.  A list is
+   * also marked so that `JSArray.checkMutable` throws an UnsupportedError
+   * rather than the TypeError of assigning to a frozen object.
+   */
+  function _freeze(obj) {
+    if (obj instanceof Array) {
+      obj.fixed$length = Array;
+      obj.immutable$list = Array;
+    }
+    return Object.freeze(obj);
+  }
+
   /**
    * Canonicalize a constant object.
    *
    * Preconditions:
    * - `obj` is an objects or array, not a primitive.
    * - nested values of the object are themselves already canonicalized.
+   *
+   * The (name, value) pairs of the fields are keyed in sorted order, so equal
+   * constants are canonicalized regardless of the order their fields were
+   * initialized in.  The canonical constant is frozen.
    */
   function constant(obj) {
     let objectKey = [rtti.realRuntimeType(obj)];
-    // TODO(jmesserly): there's no guarantee in JS that names/symbols are
-    // returned in the same order.
-    //
-    // We could probably get the same order if we're judicious about
-    // initializing fields in a consistent order across all const constructors.
-    // Alternatively we need a way to sort them to make consistent.
-    //
-    // Right now we use the (name,value) pairs in sequence, which prevents
-    // an object with incorrect field values being returned, but won't
-    // canonicalize correctly if key order is different.
-    for (let name of getOwnNamesAndSymbols(obj)) {
+    let names = getOwnPropertyNames(obj).sort();
+    let symbols = getOwnPropertySymbols(obj).sort(
+        (a, b) => _symbolId(a) - _symbolId(b));
+    for (let name of names.concat(symbols)) {
       objectKey.push(name);
       objectKey.push(obj[name]);
     }
-    return multiKeyPutIfAbsent(constants, objectKey, () => obj);
+    return multiKeyPutIfAbsent(constants, objectKey, () => _freeze(obj));
   }
   exports.const = constant;
 
+  /**
+   * Canonicalize a constant map of type `Map<K, V>`, with `values` as for
+   * [map].
+   *
+   * Maps are keyed by their entries in order.  The canonical map can not be
+   * modified.
+   */
+  function constMap(values, K, V) {
+    if (K === void 0) K = types.dynamic;
+    if (V === void 0) V = types.dynamic;
+    let entries = map(values, K, V);
+    let mapKey = [K, V];
+    entries.forEach((k, v) => {
+      mapKey.push(k);
+      mapKey.push(v);
+    });
+    return multiKeyPutIfAbsent(constants, mapKey, () =>
+        Object.freeze(new (collection.UnmodifiableMapView$(K, V))(entries)));
+  }
+  exports.constMap = constMap;
+
+
+  /**
+   * Returns the library `name` as seen through a deferred import prefix.
+   *
+   * The prefix supports `loadLibrary()`, which fetches and initializes the
+   * library and any of its imports that are not yet loaded, returning a
+   * Future.  Accessing any other member before the Future completes is an
+   * error, even if the library happens to be loaded already.
+   */
+  function deferredLibrary(name) {
+    let library = null;
+    let loading = null;
+    let loadLibrary = rtti.fn(function loadLibrary() {
+      if (loading == null) {
+        let completer = async.Completer$(core.Null).new();
+        dart_library.importAsync(name).then((lib) => {
+          library = lib;
+          completer.complete(null);
+        }, (e) => {
+          // Allow the load to be retried.
+          loading = null;
+          completer.completeError(new async.DeferredLoadException(
+            'Could not load library ' + name + ': ' + e));
+        });
+        loading = completer.future;
+      }
+      return loading;
+    }, () => types.definiteFunctionType(async.Future, []));
+
+    function check(key) {
+      if (library == null) errors.throwDeferredNotLoadedError(name, key);
+      return library;
+    }
+    // Until the library is loaded, symbols such as `Symbol.toPrimitive` and
+    // `then` are simply absent, so the prefix object can still be resolved
+    // by a Promise or inspected by a debugger.
+    function absent(key) {
+      return library == null && (typeof key == 'symbol' || key == 'then');
+    }
+    return new Proxy({}, {
+      get(_, key) {
+        if (key == 'loadLibrary') return loadLibrary;
+        if (absent(key)) return void 0;
+        return check(key)[key];
+      },
+      set(_, key, value) {
+        check(key)[key] = value;
+        return true;
+      },
+      has(_, key) {
+        if (key == 'loadLibrary') return true;
+        return !absent(key) && key in check(key);
+      }
+    });
+  }
+  exports.deferredLibrary = deferredLibrary;
+
+  /** Matches `JSString.hashCode`. */
+  function _stringHashCode(str) {
+    let hash = 0;
+    for (let i = 0; i < str.length; i++) {
+      hash = 0x1FFFFFFF & (hash + str.charCodeAt(i));
+      hash = 0x1FFFFFFF & (hash + ((0x0007FFFF & hash) << 10));
+      hash = hash ^ (hash >> 6);
+    }
+    hash = 0x1FFFFFFF & (hash + ((0x03FFFFFF & hash) << 3));
+    hash = hash ^ (hash >> 11);
+    return 0x1FFFFFFF & (hash + ((0x00003FFF & hash) << 15));
+  }
+
+  // Two views of the same 8 bytes, used to hash the bits of a double.
+  const _doubleBits = new Float64Array(1);
+  const _doubleWords = new Int32Array(_doubleBits.buffer);
+
+  function _numberHashCode(n) {
+    // Fast path for integers in the 32-bit range.  This includes -0.0, which
+    // must hash like the 0 it is equal to.
+    let i = n | 0;
+    if (i === n) return i & 0x1FFFFFFF;
+    _doubleBits[0] = n;
+    let hash = _doubleWords[0] ^ _doubleWords[1];
+    // Fold in the sign and high exponent bits, which the mask drops.
+    return (hash ^ (hash >>> 29)) & 0x1FFFFFFF;
+  }
 
   // The following are helpers for Object methods when the receiver
   // may be null or primitive.  These should only be generated by
@@ -413,16 +779,20 @@ dart_library.library('dart_runtime/_operations', null, /* Imports */[
     if (obj == null) {
       return 0;
     }
-    // TODO(vsm): What should we do for primitives and non-Dart objects?
     switch (typeof obj) {
     case "number":
+      return _numberHashCode(obj);
     case "boolean":
-      return obj & 0x1FFFFFFF;
+      // Matches `JSBool.hashCode`.
+      return obj ? (2 * 3 * 23 * 3761) : (269 * 811);
     case "string":
-        // TODO(vsm): Call the JSString hashCode?
-      return obj.length;
+      return _stringHashCode(obj);
     }
-    return obj.hashCode;
+    let hash = obj.hashCode;
+    if (typeof hash == 'number') return hash;
+    // Functions and foreign JS objects have no Dart hashCode, so they hash
+    // by identity like they are compared.
+    return _js_helper.Primitives.objectHashCode(obj);
   }
   exports.hashCode = hashCode;
 
@@ -435,17 +805,11 @@ dart_library.library('dart_runtime/_operations', null, /* Imports */[
   exports.toString = toString;
 
   function noSuchMethod(obj, invocation) {
-    if (obj == null) {
+    // Primitives, functions and JS objects have no noSuchMethod of their own.
+    if (obj == null || typeof obj.noSuchMethod != 'function') {
       errors.throwNoSuchMethod(obj, invocation.memberName,
         invocation.positionalArguments, invocation.namedArguments);
     }
-    switch (typeof obj) {
-      case "number":
-      case "boolean":
-      case "string":
-        errors.throwNoSuchMethod(obj, invocation.memberName,
-          invocation.positionalArguments, invocation.namedArguments);
-    }
     return obj.noSuchMethod(invocation);
   }
   exports.noSuchMethod = noSuchMethod;
@@ -60,6 +60,13 @@ dart_library.library('dart_runtime/_rtti', null, /* Imports */[
    * dart.fn(cls, rType, argsT, extras) marks cls as having the
    * runtime type dart.functionType(rType, argsT, extras)
    *
+   * A generic function takes its type arguments and returns the function
+   * for those type arguments.  It is marked with a generic function type
+   * using the lazy form, e.g.
+   *   dart.fn(cls, () => dart.definiteGenericFunctionType(
+   *       ['T'], (T) => [T, [T]]))
+   * See also dart.gbind.
+   *
    * Note that since we are producing a type for a concrete function,
    * it is sound to use the definite arrow type.
    */
@@ -86,6 +93,23 @@ dart_library.library('dart_runtime/_rtti', null, /* Imports */[
   }
   exports.fn = fn;
 
+  /**
+   * Instantiates the generic function `f` with the given type arguments.
+   * The result is tagged with the corresponding instantiation of `f`'s
+   * generic function type.
+   */
+  function gbind(f/*, ...typeArgs*/) {
+    let typeArgs = slice.call(arguments, 1);
+    let type = read(f);
+    if (!types.isGenericFunctionType(type)) {
+      dart_utils.throwInternalError('not a generic function: ' + f);
+    }
+    let result = f.apply(null, typeArgs);
+    tag(result, type.instantiate(typeArgs));
+    return result;
+  }
+  exports.gbind = gbind;
+
   // TODO(vsm): How should we encode the runtime type?
   const _runtimeType = Symbol('_runtimeType');
 
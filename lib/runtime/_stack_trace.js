@@ -0,0 +1,386 @@
+// Copyright (c) 2015, the Dart project authors.  Please see the AUTHORS file
+// for details. All rights reserved. Use of this source code is governed by a
+// BSD-style license that can be found in the LICENSE file.
+
+/*
+ * This library maps JavaScript stack traces back to the Dart source, using
+ * the source maps emitted next to (or inlined into) the generated code, and
+ * optionally chains them across the asynchronous gaps of async functions.
+ *
+ */
+
+dart_library.library('dart_runtime/_stack_trace', null, /* Imports */[
+], /* Lazy Imports */[
+], function(exports) {
+  'use strict';
+
+  // Frames from the runtime itself, the files directly in its `runtime`
+  // directory.  Unless they have a source map, these are folded when
+  // rendering a stack trace.  The SDK libraries in `runtime/dart` are Dart
+  // code, so they are not folded.
+  const _runtimeFrame = /[\/\\]runtime[\/\\](_[a-z_]+|dart_[a-z]+)\.js\b/;
+
+  function isRuntimeFrame(line) {
+    return _runtimeFrame.test(line);
+  }
+  exports.isRuntimeFrame = isRuntimeFrame;
+
+  const _base64 =
+      'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+  /**
+   * Decodes the `mappings` of a version 3 source map.
+   *
+   * Returns, for each generated line, its segments in order of their
+   * generated column.  Each segment is an array of its absolute generated
+   * column, source index, line, column, and name index, the last four of
+   * which may be absent.
+   */
+  function _decodeMappings(mappings) {
+    let lines = [[]];
+    // All but the generated column are relative to the previous segment,
+    // even across lines.
+    let previous = [0, 0, 0, 0, 0];
+    let fields = [];
+    let value = 0;
+    let shift = 0;
+    for (let i = 0; i <= mappings.length; i++) {
+      let c = mappings[i];
+      if (c === ',' || c === ';' || c === void 0) {
+        if (fields.length > 0) {
+          for (let j = 0; j < fields.length; j++) {
+            fields[j] = previous[j] += fields[j];
+          }
+          lines[lines.length - 1].push(fields);
+          fields = [];
+        }
+        if (c === ';') {
+          lines.push([]);
+          previous[0] = 0;
+        }
+        continue;
+      }
+      let digit = _base64.indexOf(c);
+      value += (digit & 31) << shift;
+      if (digit & 32) {
+        shift += 5;
+      } else {
+        fields.push(value & 1 ? -(value >>> 1) : value >>> 1);
+        value = 0;
+        shift = 0;
+      }
+    }
+    return lines;
+  }
+
+  /** Resolves `url` relative to the file at `base`. */
+  function _resolveUrl(base, url) {
+    if (/^([a-z][a-z0-9+.-]*:|[\/\\])/i.test(url)) return url;
+    return base.replace(/[^\/\\]*$/, '') + url;
+  }
+
+  class SourceMap {
+    /**
+     * Parses the source map `json`, a string or an already parsed object,
+     * found at `url`.
+     */
+    constructor(json, url) {
+      let map = typeof json == 'string' ? JSON.parse(json) : json;
+      let root = map.sourceRoot || '';
+      if (root && !root.endsWith('/')) root += '/';
+      this.sources = map.sources.map((s) => _resolveUrl(url, root + s));
+      this.names = map.names || [];
+      this.lines = _decodeMappings(map.mappings);
+    }
+
+    /**
+     * Returns the original `{source, line, column, name}` of the zero based
+     * generated `line` and `column`, or null if it is not mapped.
+     */
+    lookup(line, column) {
+      let segments = this.lines[line];
+      if (!segments) return null;
+      let found = null;
+      for (let segment of segments) {
+        if (segment[0] > column) break;
+        found = segment;
+      }
+      if (found == null || found.length < 4) return null;
+      return {
+        source: this.sources[found[1]],
+        line: found[2],
+        column: found[3],
+        name: found.length > 4 ? this.names[found[4]] : null
+      };
+    }
+  }
+  exports.SourceMap = SourceMap;
+
+  function _fetchUrl(url) {
+    return fetch(url).then((response) => response.ok ? response.text() : null);
+  }
+
+  /**
+   * Reads the text of a script or source map from its URL, returning null if
+   * it doesn't exist, or a Promise of either.  Browsers fetch it in the
+   * background; other environments must provide one with
+   * [setSourceMapLoader].
+   */
+  let _readFile = typeof window != 'undefined' && typeof fetch == 'function' ?
+      _fetchUrl : null;
+
+  /**
+   * Source maps by the URL of their generated script, or null if none, or a
+   * Promise while one is being read.
+   */
+  const _sourceMaps = new Map();
+
+  /**
+   * Sets the function reading scripts and source maps, which may return a
+   * Promise to read them in the background.
+   */
+  function setSourceMapLoader(readFile) {
+    _readFile = readFile;
+    _sourceMaps.clear();
+  }
+  exports.setSourceMapLoader = setSourceMapLoader;
+
+  /**
+   * Registers the source map for the script at `url`, for scripts that can't
+   * be read back, such as those evaluated from a string.
+   */
+  function registerSourceMap(url, sourceMap) {
+    _sourceMaps.set(url, new SourceMap(sourceMap, url));
+  }
+  exports.registerSourceMap = registerSourceMap;
+
+  /** Decodes base64 `data` holding UTF-8 text. */
+  function _decodeBase64(data) {
+    if (typeof Buffer == 'function') {
+      return Buffer.from(data, 'base64').toString('utf8');
+    }
+    let bytes = Uint8Array.from(atob(data), (c) => c.charCodeAt(0));
+    return new TextDecoder().decode(bytes);
+  }
+
+  /** Calls `f` with `value`, once it completes if it is a Promise. */
+  function _then(value, f) {
+    return value instanceof Promise ? value.then(f) : f(value);
+  }
+
+  function _loadSourceMap(url) {
+    return _then(_readFile(url), (script) => {
+      if (script == null) return null;
+      let match = /\/\/[#@] sourceMappingURL=(\S+)\s*$/.exec(script);
+      if (match == null) return null;
+      let mapUrl = match[1];
+      let inline = /^data:application\/json;(?:charset=[^;,]*;)?base64,(.*)$/
+          .exec(mapUrl);
+      if (inline != null) return new SourceMap(_decodeBase64(inline[1]), url);
+      mapUrl = _resolveUrl(url, mapUrl);
+      return _then(_readFile(mapUrl),
+          (json) => json == null ? null : new SourceMap(json, mapUrl));
+    });
+  }
+
+  /**
+   * Returns the source map of the script at `url`, or null if it has none or
+   * it is still being read.
+   */
+  function _sourceMapFor(url) {
+    let map = _sourceMaps.get(url);
+    if (map !== void 0) return map instanceof Promise ? null : map;
+    if (_readFile == null) return null;
+    try {
+      map = _loadSourceMap(url);
+    } catch (e) {
+      // A missing or malformed source map only loses the mapping.
+      map = null;
+    }
+    if (map instanceof Promise) {
+      let loading = map.catch((e) => null).then((loaded) => {
+        // Drop it if the loader was replaced while it was being read.
+        if (_sourceMaps.get(url) === loading) _sourceMaps.set(url, loaded);
+      });
+      _sourceMaps.set(url, loading);
+      return null;
+    }
+    _sourceMaps.set(url, map);
+    return map;
+  }
+
+  /**
+   * Reads the source maps of the frames in the JS stack trace `stack`,
+   * returning a Promise that completes once they are loaded.
+   *
+   * Browsers read source maps in the background, so [mapStackTrace] only
+   * maps the frames whose source maps were loaded by then.  Waiting for this
+   * first maps all of them.
+   */
+  function loadSourceMaps(stack) {
+    let loading = [];
+    for (let line of stack.split('\n')) {
+      let frame = _parseFrame(line);
+      if (frame == null) continue;
+      _sourceMapFor(frame.url);
+      let map = _sourceMaps.get(frame.url);
+      if (map instanceof Promise) loading.push(map);
+    }
+    return Promise.all(loading).then(() => void 0);
+  }
+  exports.loadSourceMaps = loadSourceMaps;
+
+  // A V8 frame, `at name (url:line:column)` or `at url:line:column`, or
+  // a Firefox and Safari one, `name@url:line:column`.
+  const _v8Frame = /^\s*at (?:(.*) \((.+):(\d+):(\d+)\)|(.+):(\d+):(\d+))$/;
+  const _firefoxFrame = /^(.*)@(.+):(\d+):(\d+)$/;
+
+  function _parseFrame(line) {
+    let match = _v8Frame.exec(line);
+    if (match != null) {
+      return match[2] !== void 0 ?
+          {name: match[1], url: match[2], line: +match[3], column: +match[4]} :
+          {name: null, url: match[5], line: +match[6], column: +match[7]};
+    }
+    match = _firefoxFrame.exec(line);
+    if (match != null) {
+      return {name: match[1], url: match[2], line: +match[3],
+              column: +match[4]};
+    }
+    return null;
+  }
+
+  /** Recovers the Dart member name from the JS name of a frame. */
+  function _memberName(name) {
+    if (!name) return '<fn>';
+    return name
+        // Library members are called through their module's exports.
+        .replace(/^Object\./, '')
+        // Private and extension members are named by symbols.
+        .replace(/\[(?:dartx\.)?([^\]]*)\]/g, '$1')
+        .replace(/<anonymous>/g, '<fn>');
+  }
+
+  /**
+   * Maps the JS stack trace `stack` back to the Dart source.
+   *
+   * Frames with a source map are rendered with their Dart member name, file,
+   * line and column.  Each run of frames in the runtime's own helpers is
+   * folded into a single line.  Other frames, including those whose source
+   * map is still being read (see [loadSourceMaps]), are left as they are.
+   */
+  function mapStackTrace(stack) {
+    let result = [];
+    let folding = false;
+    for (let line of stack.split('\n')) {
+      let frame = _parseFrame(line);
+      let location = null;
+      if (frame != null) {
+        let map = _sourceMapFor(frame.url);
+        if (map != null) location = map.lookup(frame.line - 1, frame.column - 1);
+        if (location == null && isRuntimeFrame(line)) {
+          if (!folding) result.push('    at <dart runtime>');
+          folding = true;
+          continue;
+        }
+      }
+      folding = false;
+      if (location == null) {
+        result.push(line);
+      } else {
+        result.push(`    at ${_memberName(frame.name)} ` +
+            `(${location.source}:${location.line + 1}:${location.column + 1})`);
+      }
+    }
+    return result.join('\n');
+  }
+  exports.mapStackTrace = mapStackTrace;
+
+  /**
+   * Whether to record where each async function was called from, so stack
+   * traces can continue past an asynchronous gap.  This is opt-in, as it
+   * captures a stack trace for every call.
+   */
+  let _asyncStackTraces = false;
+
+  function setAsyncStackTraces(enabled) {
+    _asyncStackTraces = enabled;
+  }
+  exports.setAsyncStackTraces = setAsyncStackTraces;
+
+  // The most async calls kept in a chain, so that async loops don't hold on
+  // to all of their past iterations.
+  const _maxChainLength = 16;
+
+  const _asyncGap = '===== asynchronous gap ===========================';
+
+  /**
+   * The chain of the code running now: an array of Errors capturing where
+   * each of the async calls leading to it was made, innermost first.  Null
+   * outside of async code, or when not recording async stack traces.
+   */
+  let _currentChain = null;
+
+  /** The chains of exceptions thrown inside async code. */
+  const _chains = new WeakMap();
+
+  /**
+   * Returns the chain of an async call being made now, or null if we are not
+   * recording async stack traces.
+   */
+  function asyncCallChain() {
+    if (!_asyncStackTraces) return null;
+    let chain = [new Error()];
+    if (_currentChain != null) {
+      chain.push(..._currentChain.slice(0, _maxChainLength - 1));
+    }
+    return chain;
+  }
+  exports.asyncCallChain = asyncCallChain;
+
+  /**
+   * Runs `body`, which resumes an async call made with `chain`.  Exceptions
+   * escaping `body` remember the chain.
+   */
+  function runInChain(chain, body) {
+    if (chain == null) return body();
+    let previous = _currentChain;
+    _currentChain = chain;
+    try {
+      return body();
+    } catch (e) {
+      recordAsyncChain(e);
+      throw e;
+    } finally {
+      _currentChain = previous;
+    }
+  }
+  exports.runInChain = runInChain;
+
+  /** Remembers the current chain for `exception`, if it has none yet. */
+  function recordAsyncChain(exception) {
+    if (_currentChain == null || exception == null) return;
+    if (typeof exception != 'object' && typeof exception != 'function') return;
+    if (!_chains.has(exception)) _chains.set(exception, _currentChain);
+  }
+  exports.recordAsyncChain = recordAsyncChain;
+
+  /**
+   * Returns the chain of `exception`, or the current one if it was not
+   * thrown inside async code.
+   */
+  function asyncChain(exception) {
+    return _chains.get(exception) || _currentChain;
+  }
+  exports.asyncChain = asyncChain;
+
+  /** Appends the stacks of `chain` to `stack`, separated by gap markers. */
+  function chainStack(stack, chain) {
+    let stacks = [stack];
+    for (let error of chain) {
+      stacks.push(String(error.stack).replace(/^Error\s*\n/, ''));
+    }
+    return stacks.join('\n' + _asyncGap + '\n');
+  }
+  exports.chainStack = chainStack;
+});
@@ -32,6 +32,10 @@ dart_library.library('dart_runtime/_types', null, /* Imports */[
    *     - Dynamic, Void, and Bottom are singleton instances of sentinal 
    *       classes.
    *     - Function types are instances of subclasses of AbstractFunctionType.
+   *     - Generic function types are instances of GenericFunctionType, and
+   *       their type parameters are instances of TypeVariable.
+   *     - Non-nullable types are instances of NonNullableType, wrapping the
+   *       corresponding (nullable) type.
    *
    * Function types are represented in one of two ways:
    *   - As an instance of FunctionType.  These are eagerly computed.
@@ -72,6 +76,43 @@ dart_library.library('dart_runtime/_types', null, /* Imports */[
   let jsobjectR = new JSObject();
   exports.jsobject = jsobjectR;
 
+  /**
+   * A type that excludes null, written `T!`.  A non-null value is an
+   * instance of `T!` if it is an instance of `T`.
+   */
+  class NonNullableType extends TypeRep {
+    constructor(type) {
+      super();
+      this.type = type;
+    }
+
+    toString() { return typeName(this.type) + '!'; }
+  }
+
+  const _nonNullableTypes = new Map();
+
+  /** Returns the non-nullable form of `type`. */
+  function nonNullable(type) {
+    if (type instanceof NonNullableType) return type;
+    let result = _nonNullableTypes.get(type);
+    if (result === void 0) {
+      _nonNullableTypes.set(type, result = new NonNullableType(type));
+    }
+    return result;
+  }
+  exports.nonNullable = nonNullable;
+
+  function isNonNullableType(type) {
+    return type instanceof NonNullableType;
+  }
+  exports.isNonNullableType = isNonNullableType;
+
+  /** Returns `type`, or the type it wraps if it is non-nullable. */
+  function nullableType(type) {
+    return type instanceof NonNullableType ? type.type : type;
+  }
+  exports.nullableType = nullableType;
+
   class AbstractFunctionType extends TypeRep {
     constructor() {
       super();
@@ -119,6 +160,19 @@ dart_library.library('dart_runtime/_types', null, /* Imports */[
     }
   }
 
+  /// Marks the default value of a parameter in a function type's parameter
+  /// metadata.  See [FunctionType].
+  class DefaultValue {
+    constructor(value) {
+      this.value = value;
+    }
+  }
+
+  function defaultValue(value) {
+    return new DefaultValue(value);
+  }
+  exports.defaultValue = defaultValue;
+
   class FunctionType extends AbstractFunctionType {
     /**
      * Construct a function type. There are two arrow constructors,
@@ -133,6 +187,14 @@ dart_library.library('dart_runtime/_types', null, /* Imports */[
      * We eagerly canonize the argument types to avoid having to deal with
      * this logic in multiple places.
      *
+     * Any parameter type may instead be given as an array of the type
+     * followed by the parameter's metadata, the last of which may be its
+     * `defaultValue(value)`.  The metadata of the positional and optional
+     * parameters is stored in order in `metadata`, and that of the named
+     * parameters by name in `namedMetadata`.  Default values are stored the
+     * same way in `defaultValues` and `namedDefaultValues`, and are
+     * undefined for parameters that have none.
+     *
      * TODO(leafp): Figure out how to present this to the user.  How
      * should these be printed out?
      */
@@ -144,25 +206,38 @@ dart_library.library('dart_runtime/_types', null, /* Imports */[
       this.optionals = optionals;
       this.named = named;
 
-      // TODO(vsm): This is just parameter metadata for now.
       this.metadata = [];
-      function process(array, metadata) {
-        var result = [];
-        for (var i = 0; i < array.length; ++i) {
-          var arg = array[i];
-          if (arg instanceof Array) {
-            metadata.push(arg.slice(1));
-            result.push(arg[0]);
-          } else {
-            metadata.push([]);
-            result.push(arg);
+      this.defaultValues = [];
+      this.namedMetadata = {};
+      this.namedDefaultValues = {};
+      // Returns the type of the parameter `arg`, and records its metadata and
+      // default value under `key`.
+      let process = (arg, metadata, defaults, key) => {
+        let annotations = [];
+        let value = void 0;
+        if (arg instanceof Array) {
+          for (let i = 1; i < arg.length; ++i) {
+            if (arg[i] instanceof DefaultValue) {
+              value = arg[i].value;
+            } else {
+              annotations.push(arg[i]);
+            }
           }
+          arg = arg[0];
         }
-        return result;
+        metadata[key] = annotations;
+        defaults[key] = value;
+        return arg;
+      };
+      this.args = args.map((arg, i) =>
+          process(arg, this.metadata, this.defaultValues, i));
+      this.optionals = optionals.map((arg, i) =>
+          process(arg, this.metadata, this.defaultValues, args.length + i));
+      this.named = {};
+      for (let name of getOwnPropertyNames(named)) {
+        this.named[name] = process(named[name], this.namedMetadata,
+            this.namedDefaultValues, name);
       }
-      this.args = process(this.args, this.metadata);
-      this.optionals = process(this.optionals, this.metadata);
-      // TODO(vsm): Add named arguments.
       this._canonize();
     }
     _canonize() {
@@ -230,7 +305,151 @@ dart_library.library('dart_runtime/_types', null, /* Imports */[
     get metadata() {
       return this.functionType.metadata;
     }
+
+    get namedMetadata() {
+      return this.functionType.namedMetadata;
+    }
+
+    get defaultValues() {
+      return this.functionType.defaultValues;
+    }
+
+    get namedDefaultValues() {
+      return this.functionType.namedDefaultValues;
+    }
+  }
+
+  /**
+   * A type parameter of a generic function type.  Type variables are only
+   * equal to themselves; they are a subtype of any supertype of their bound.
+   */
+  class TypeVariable extends TypeRep {
+    constructor(name) {
+      super();
+      this._name = name;
+      this.bound = null;
+    }
+
+    toString() { return this._name; }
+  }
+
+  class GenericFunctionType extends TypeRep {
+    /**
+     * Construct a generic function type.
+     *
+     * `typeFormals` is the list of the type parameters' names, for example
+     * `['T', 'U']`.
+     *
+     * `instantiateTypeParts` takes one argument per type parameter, and
+     * returns the `[returnType, args, extra]` of the function type for those
+     * type arguments, as for `functionType`.
+     *
+     * `instantiateTypeBounds`, if given, takes the same arguments and returns
+     * the list of bounds for the type parameters.  Type parameters without a
+     * bound default to dynamic.
+     */
+    constructor(definite, typeFormals, instantiateTypeParts,
+        instantiateTypeBounds) {
+      super();
+      this.definite = definite;
+      this.formalCount = typeFormals.length;
+      this._typeFormalNames = typeFormals;
+      this._instantiateTypeParts = instantiateTypeParts;
+      this._instantiateTypeBounds = instantiateTypeBounds;
+      this._instantiations = new Map();
+      this._typeFormals = null;
+      this._stringValue = null;
+    }
+
+    /** The type parameters of this type, as TypeVariables. */
+    get typeFormals() {
+      if (this._typeFormals) return this._typeFormals;
+      let formals = this._typeFormalNames.map((n) => new TypeVariable(n));
+      this._typeFormals = formals;
+      let bounds = this.instantiateTypeBounds(formals);
+      for (let i = 0; i < formals.length; ++i) {
+        if (!_isTop(bounds[i])) formals[i].bound = bounds[i];
+      }
+      return formals;
+    }
+
+    /** Returns the bounds of the type parameters given the type arguments. */
+    instantiateTypeBounds(typeArgs) {
+      let bounds = this._instantiateTypeBounds ?
+          this._instantiateTypeBounds.apply(null, typeArgs) : [];
+      let result = [];
+      for (let i = 0; i < this.formalCount; ++i) {
+        result.push(bounds[i] != null ? bounds[i] : dynamicR);
+      }
+      return result;
+    }
+
+    /** Returns the function type for the given type arguments. */
+    instantiate(typeArgs) {
+      if (typeArgs.length != this.formalCount) {
+        dart_utils.throwInternalError('requires ' + this.formalCount +
+            ' type arguments');
+      }
+      let map = this._instantiations;
+      for (let i = 0; i < typeArgs.length - 1; ++i) {
+        let next = map.get(typeArgs[i]);
+        if (next === void 0) map.set(typeArgs[i], next = new Map());
+        map = next;
+      }
+      let last = typeArgs[typeArgs.length - 1];
+      let result = map.get(last);
+      if (result === void 0) {
+        let parts = this._instantiateTypeParts.apply(null, typeArgs);
+        result = _functionType(this.definite, parts[0], parts[1], parts[2]);
+        map.set(last, result);
+      }
+      return result;
+    }
+
+    /** The type arguments used when none are supplied: dynamic. */
+    get defaultTypeArgs() {
+      let result = [];
+      for (let i = 0; i < this.formalCount; ++i) result.push(dynamicR);
+      return result;
+    }
+
+    toString() { return this.name; }
+
+    get name() {
+      if (this._stringValue) return this._stringValue;
+      let formals = this.typeFormals;
+      let buffer = '<';
+      for (let i = 0; i < formals.length; ++i) {
+        if (i > 0) buffer += ', ';
+        buffer += formals[i].name;
+        if (formals[i].bound) {
+          buffer += ' extends ' + typeName(formals[i].bound);
+        }
+      }
+      buffer += '>' + this.instantiate(formals).name;
+      this._stringValue = buffer;
+      return buffer;
+    }
+  }
+
+  function genericFunctionType(typeFormals, instantiateTypeParts,
+      instantiateTypeBounds) {
+    return new GenericFunctionType(false, typeFormals, instantiateTypeParts,
+        instantiateTypeBounds);
+  }
+  exports.genericFunctionType = genericFunctionType;
+
+  function definiteGenericFunctionType(typeFormals, instantiateTypeParts,
+      instantiateTypeBounds) {
+    return new GenericFunctionType(true, typeFormals, instantiateTypeParts,
+        instantiateTypeBounds);
+  }
+  exports.definiteGenericFunctionType = definiteGenericFunctionType;
+
+  function isGenericFunctionType(type) {
+    return type instanceof GenericFunctionType;
   }
+  exports.isGenericFunctionType = isGenericFunctionType;
 
   function _functionType(definite, returnType, args, extra) {
     // TODO(vsm): Cache / memomize?
@@ -301,7 +520,8 @@ dart_library.library('dart_runtime/_types', null, /* Imports */[
   exports.typeName = typeName;
 
   function isFunctionType(type) {
-    return type instanceof AbstractFunctionType || type == core.Function;
+    return type instanceof AbstractFunctionType ||
+        type instanceof GenericFunctionType || type == core.Function;
   }
 
   function isFunctionSubType(ft1, ft2) {
@@ -309,6 +529,27 @@ dart_library.library('dart_runtime/_types', null, /* Imports */[
       return true;
     }
 
+    let generic1 = ft1 instanceof GenericFunctionType;
+    let generic2 = ft2 instanceof GenericFunctionType;
+    if (generic1 || generic2) {
+      if (!generic1 || !generic2 || ft1.formalCount != ft2.formalCount) {
+        return false;
+      }
+      // Compare the two types up to renaming of the type parameters, by
+      // instantiating both with the same type variables.
+      let formals = ft1.typeFormals;
+      let bounds1 = ft1.instantiateTypeBounds(formals);
+      let bounds2 = ft2.instantiateTypeBounds(formals);
+      for (let i = 0; i < formals.length; ++i) {
+        if (!isSubtype_(bounds1[i], bounds2[i]) ||
+            !isSubtype_(bounds2[i], bounds1[i])) {
+          return false;
+        }
+      }
+      return isFunctionSubType(ft1.instantiate(formals),
+          ft2.instantiate(formals));
+    }
+
     let ret1 = ft1.returnType;
     let ret2 = ft2.returnType;
 
@@ -382,6 +623,7 @@ dart_library.library('dart_runtime/_types', null, /* Imports */[
    */
   // TODO(jmesserly): lots more needs to be done here.
   function canonicalType(t) {
+    t = dart_library.canonicalClass(t);
     if (t === Object) return core.Object;
     if (t === Function) return core.Function;
     if (t === Array) return core.List;
@@ -430,26 +672,45 @@ dart_library.library('dart_runtime/_types', null, /* Imports */[
       return true;
     }
 
+    // S! <: T if S <: T.  Only non-nullable types are subtypes of T!.
+    if (t2 instanceof NonNullableType) {
+      return t1 instanceof NonNullableType && isSubtype_(t1.type, t2.type);
+    }
+    if (t1 instanceof NonNullableType) return isSubtype_(t1.type, t2);
+
     // Trivially false.
     if (_isTop(t1) || _isBottom(t2)) {
       return false;
     }
 
+    // A type variable is a subtype of anything its bound is.
+    if (t1 instanceof TypeVariable) {
+      return t1.bound != null && isSubtype_(t1.bound, t2);
+    }
+    if (t2 instanceof TypeVariable) return false;
+
     // "Traditional" name-based subtype check.
     if (isClassSubType(t1, t2)) {
       return true;
     }
 
     // Function subtyping.
-    // TODO(vsm): Handle Objects with call methods.  Those are functions
-    // even if they do not *nominally* subtype core.Function.
-    if (isFunctionType(t1) &&
-        isFunctionType(t2)) {
-      return isFunctionSubType(t1, t2);
+    // Objects with call methods are functions even if they do not
+    // *nominally* subtype core.Function, so use the type of `call`.
+    if (isFunctionType(t2)) {
+      let ft1 = isFunctionType(t1) ? t1 : _callMethodType(t1);
+      return ft1 !== void 0 && isFunctionSubType(ft1, t2);
     }
     return false;
   }
 
+  /// The type of the `call` method of a class, as given by its signature, or
+  /// undefined if it has none.
+  function _callMethodType(type) {
+    if (!(type instanceof Function)) return void 0;
+    return classes.getMethodTypeFromType(type, 'call');
+  }
+
   function isClassSubType(t1, t2) {
     // We support Dart's covariant generics with the caveat that we do not
     // substitute bottom for dynamic in subtyping rules.
@@ -519,6 +780,12 @@ dart_library.library('dart_runtime/_types', null, /* Imports */[
   function isGroundType(type) {
     // TODO(vsm): Cache this if we start using it at runtime.
 
+    if (type instanceof GenericFunctionType) {
+      return isGroundType(type.instantiate(type.typeFormals));
+    }
+
+    if (type instanceof NonNullableType) return isGroundType(type.type);
+
     if (type instanceof AbstractFunctionType) {
       if (!_isTop(type.returnType)) return false;
       for (let i = 0; i < type.args.length; ++i) {
@@ -115,7 +115,8 @@ dart_library.library('dart/_foreign_helper', null, /* Imports */[
     }
   }
   dart.setSignature(JS_CONST, {
-    constructors: () => ({JS_CONST: [JS_CONST, [core.String]]})
+    constructors: () => ({JS_CONST: [JS_CONST, [core.String]]}),
+    getters: () => ({code: core.String})
   });
   function JS_STRING_CONCAT(a, b) {
     return a + b;
@@ -11,6 +11,7 @@ dart_library.library('dart/_interceptors', null, /* Imports */[
   let dartx = dart.dartx;
   let JSArray$ = dart.generic(function(E) {
     dart.defineExtensionNames([
+      'checkMutable',
       'checkGrowable',
       'add',
       'removeAt',
@@ -84,6 +85,11 @@ dart_library.library('dart/_interceptors', null, /* Imports */[
         list.fixed$length = Array;
         return list;
       }
+      [dartx.checkMutable](reason) {
+        if (this.immutable$list) {
+          dart.throw(new core.UnsupportedError(dart.as(reason, core.String)));
+        }
+      }
       [dartx.checkGrowable](reason) {
         if (this.fixed$length) {
           dart.throw(new core.UnsupportedError(dart.as(reason, core.String)));
@@ -120,6 +126,7 @@ dart_library.library('dart/_interceptors', null, /* Imports */[
       }
       [dartx.setAll](index, iterable) {
         dart.as(iterable, core.Iterable$(E));
+        this[dartx.checkMutable]('setAll');
         _internal.IterableMixinWorkaround.setAllList(this, index, iterable);
       }
       [dartx.removeLast]() {
@@ -285,16 +292,19 @@ dart_library.library('dart/_interceptors', null, /* Imports */[
         dart.as(iterable, core.Iterable$(E));
         if (skipCount === void 0)
           skipCount = 0;
+        this[dartx.checkMutable]('set range');
         _internal.IterableMixinWorkaround.setRangeList(this, start, end, iterable, skipCount);
       }
       [dartx.fillRange](start, end, fillValue) {
         if (fillValue === void 0)
           fillValue = null;
         dart.as(fillValue, E);
+        this[dartx.checkMutable]('fill range');
         _internal.IterableMixinWorkaround.fillRangeList(this, start, end, fillValue);
       }
       [dartx.replaceRange](start, end, iterable) {
         dart.as(iterable, core.Iterable$(E));
+        this[dartx.checkMutable]('replace range');
         _internal.IterableMixinWorkaround.replaceRangeList(this, start, end, iterable);
       }
       [dartx.any](f) {
@@ -312,11 +322,13 @@ dart_library.library('dart/_interceptors', null, /* Imports */[
         if (compare === void 0)
           compare = null;
         dart.as(compare, dart.functionType(core.int, [E, E]));
+        this[dartx.checkMutable]('sort');
         _internal.IterableMixinWorkaround.sortList(this, compare);
       }
       [dartx.shuffle](random) {
         if (random === void 0)
           random = null;
+        this[dartx.checkMutable]('shuffle');
         _internal.IterableMixinWorkaround.shuffleList(this, random);
       }
       [dartx.indexOf](element, start) {
@@ -383,6 +395,7 @@ dart_library.library('dart/_interceptors', null, /* Imports */[
         dart.as(value, E);
         if (!(typeof index == 'number'))
           dart.throw(new core.ArgumentError(index));
+        this[dartx.checkMutable]('indexed set');
         if (dart.notNull(index) >= dart.notNull(this[dartx.length]) || dart.notNull(index) < 0)
           dart.throw(new core.RangeError.value(index));
         this[index] = value;
@@ -401,7 +414,20 @@ dart_library.library('dart/_interceptors', null, /* Imports */[
         markFixed: [JSArray$(E), [dart.dynamic]],
         markGrowable: [JSArray$(E), [dart.dynamic]]
       }),
+      getters: () => ({
+        [dartx.first]: E,
+        [dartx.last]: E,
+        [dartx.single]: E,
+        [dartx.reversed]: core.Iterable$(E),
+        [dartx.isEmpty]: core.bool,
+        [dartx.isNotEmpty]: core.bool,
+        [dartx.iterator]: core.Iterator$(E),
+        hashCode: core.int,
+        [dartx.length]: core.int
+      }),
+      setters: () => ({[dartx.length]: core.int}),
       methods: () => ({
+        [dartx.checkMutable]: [dart.dynamic, [dart.dynamic]],
         [dartx.checkGrowable]: [dart.dynamic, [dart.dynamic]],
         [dartx.add]: [dart.void, [E]],
         [dartx.removeAt]: [E, [core.int]],
@@ -706,7 +732,7 @@ dart_library.library('dart/_interceptors', null, /* Imports */[
       }
     }
     get hashCode() {
-      return this & 0x1FFFFFFF;
+      return dart.hashCode(this);
     }
     [dartx['unary-']]() {
       return -this;
@@ -854,6 +880,17 @@ dart_library.library('dart/_interceptors', null, /* Imports */[
   JSNumber[dart.implements] = () => [core.int, core.double];
   dart.setSignature(JSNumber, {
     constructors: () => ({JSNumber: [JSNumber, []]}),
+    getters: () => ({
+      [dartx.isNegative]: core.bool,
+      [dartx.isNaN]: core.bool,
+      [dartx.isInfinite]: core.bool,
+      [dartx.isFinite]: core.bool,
+      [dartx.sign]: JSNumber,
+      hashCode: core.int,
+      [dartx.isEven]: core.bool,
+      [dartx.isOdd]: core.bool,
+      [dartx.bitLength]: core.int
+    }),
     methods: () => ({
       [dartx.compareTo]: [core.int, [core.num]],
       [dartx.remainder]: [JSNumber, [core.num]],
@@ -1368,6 +1405,15 @@ dart_library.library('dart/_interceptors', null, /* Imports */[
   JSString[dart.implements] = () => [core.String, JSIndexable];
   dart.setSignature(JSString, {
     constructors: () => ({JSString: [JSString, []]}),
+    getters: () => ({
+      [dartx.codeUnits]: core.List$(core.int),
+      [dartx.runes]: core.Runes,
+      [dartx.isEmpty]: core.bool,
+      [dartx.isNotEmpty]: core.bool,
+      hashCode: core.int,
+      runtimeType: core.Type,
+      [dartx.length]: core.int
+    }),
     methods: () => ({
       [dartx.codeUnitAt]: [core.int, [core.int]],
       [dartx.allMatches]: [core.Iterable$(core.Match), [core.String], [core.int]],
@@ -1419,6 +1465,8 @@ dart_library.library('dart/_interceptors', null, /* Imports */[
   }
   dart.setSignature(_CodeUnits, {
     constructors: () => ({_CodeUnits: [_CodeUnits, [core.String]]}),
+    fields: () => ({[_string]: core.String}),
+    getters: () => ({length: core.int}),
     methods: () => ({get: [core.int, [core.int]]})
   });
   dart.defineExtensionMembers(_CodeUnits, ['get', 'length']);
@@ -1447,7 +1495,11 @@ dart_library.library('dart/_interceptors', null, /* Imports */[
   }
   JSBool[dart.implements] = () => [core.bool];
   dart.setSignature(JSBool, {
-    constructors: () => ({JSBool: [JSBool, []]})
+    constructors: () => ({JSBool: [JSBool, []]}),
+    getters: () => ({
+      hashCode: core.int,
+      runtimeType: core.Type
+    })
   });
   JSBool[dart.metadata] = () => [dart.const(new _js_helper.JsPeerInterface({name: 'Boolean'}))];
   dart.registerExtension(dart.global.Boolean, JSBool);
@@ -1467,7 +1519,11 @@ dart_library.library('dart/_interceptors', null, /* Imports */[
   }
   JavaScriptObject[dart.implements] = () => [JSObject];
   dart.setSignature(JavaScriptObject, {
-    constructors: () => ({JavaScriptObject: [JavaScriptObject, []]})
+    constructors: () => ({JavaScriptObject: [JavaScriptObject, []]}),
+    getters: () => ({
+      hashCode: core.int,
+      runtimeType: core.Type
+    })
   });
   class PlainJavaScriptObject extends JavaScriptObject {
     PlainJavaScriptObject() {
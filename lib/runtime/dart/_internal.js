@@ -243,6 +243,13 @@ dart_library.library('dart/_internal', null, /* Imports */[
     ListIterable[dart.implements] = () => [EfficientLength];
     dart.setSignature(ListIterable, {
       constructors: () => ({ListIterable: [ListIterable$(E), []]}),
+      getters: () => ({
+        iterator: core.Iterator$(E),
+        isEmpty: core.bool,
+        first: E,
+        last: E,
+        single: E
+      }),
       methods: () => ({
         forEach: [dart.void, [dart.functionType(dart.void, [E])]],
         every: [core.bool, [dart.functionType(core.bool, [E])]],
@@ -381,6 +388,14 @@ dart_library.library('dart/_internal', null, /* Imports */[
     }
     dart.setSignature(SubListIterable, {
       constructors: () => ({SubListIterable: [SubListIterable$(E), [core.Iterable$(E), core.int, core.int]]}),
+      getters: () => ({
+        [_iterable]: core.Iterable$(E),
+        [_start]: core.int,
+        [_endOrLength]: core.int,
+        [_endIndex]: core.int,
+        [_startIndex]: core.int,
+        length: core.int
+      }),
       methods: () => ({
         elementAt: [E, [core.int]],
         skip: [core.Iterable$(E), [core.int]],
@@ -429,6 +444,15 @@ dart_library.library('dart/_internal', null, /* Imports */[
     ListIterator[dart.implements] = () => [core.Iterator$(E)];
     dart.setSignature(ListIterator, {
       constructors: () => ({ListIterator: [ListIterator$(E), [core.Iterable$(E)]]}),
+      fields: () => ({
+        [_index]: core.int,
+        [_current]: E
+      }),
+      getters: () => ({
+        [_iterable]: core.Iterable$(E),
+        [_length]: core.int,
+        current: E
+      }),
       methods: () => ({moveNext: [core.bool, []]})
     });
     return ListIterator;
@@ -481,6 +505,16 @@ dart_library.library('dart/_internal', null, /* Imports */[
         new: [MappedIterable$(S, T), [core.Iterable, dart.functionType(T, [S])]],
         _: [MappedIterable$(S, T), [core.Iterable$(S), dart.functionType(T, [S])]]
       }),
+      getters: () => ({
+        [_iterable]: core.Iterable$(S),
+        [_f]: _Transformation$(S, T),
+        iterator: core.Iterator$(T),
+        length: core.int,
+        isEmpty: core.bool,
+        first: T,
+        last: T,
+        single: T
+      }),
       methods: () => ({elementAt: [T, [core.int]]})
     });
     dart.defineExtensionMembers(MappedIterable, [
@@ -530,6 +564,12 @@ dart_library.library('dart/_internal', null, /* Imports */[
     }
     dart.setSignature(MappedIterator, {
       constructors: () => ({MappedIterator: [MappedIterator$(S, T), [core.Iterator$(S), dart.functionType(T, [S])]]}),
+      fields: () => ({[_current]: T}),
+      getters: () => ({
+        [_iterator]: core.Iterator$(S),
+        [_f]: _Transformation$(S, T),
+        current: T
+      }),
       methods: () => ({moveNext: [core.bool, []]})
     });
     return MappedIterator;
@@ -553,6 +593,11 @@ dart_library.library('dart/_internal', null, /* Imports */[
     MappedListIterable[dart.implements] = () => [EfficientLength];
     dart.setSignature(MappedListIterable, {
       constructors: () => ({MappedListIterable: [MappedListIterable$(S, T), [core.Iterable$(S), dart.functionType(T, [S])]]}),
+      getters: () => ({
+        [_source]: core.Iterable$(S),
+        [_f]: _Transformation$(S, T),
+        length: core.int
+      }),
       methods: () => ({elementAt: [T, [core.int]]})
     });
     dart.defineExtensionMembers(MappedListIterable, ['elementAt', 'length']);
@@ -576,7 +621,12 @@ dart_library.library('dart/_internal', null, /* Imports */[
       }
     }
     dart.setSignature(WhereIterable, {
-      constructors: () => ({WhereIterable: [WhereIterable$(E), [core.Iterable$(E), dart.functionType(core.bool, [E])]]})
+      constructors: () => ({WhereIterable: [WhereIterable$(E), [core.Iterable$(E), dart.functionType(core.bool, [E])]]}),
+      getters: () => ({
+        [_iterable]: core.Iterable$(E),
+        [_f]: _ElementPredicate$(E),
+        iterator: core.Iterator$(E)
+      })
     });
     dart.defineExtensionMembers(WhereIterable, ['iterator']);
     return WhereIterable;
@@ -602,6 +652,11 @@ dart_library.library('dart/_internal', null, /* Imports */[
     }
     dart.setSignature(WhereIterator, {
       constructors: () => ({WhereIterator: [WhereIterator$(E), [core.Iterator$(E), dart.functionType(core.bool, [E])]]}),
+      getters: () => ({
+        [_iterator]: core.Iterator$(E),
+        [_f]: _ElementPredicate$(E),
+        current: E
+      }),
       methods: () => ({moveNext: [core.bool, []]})
     });
     return WhereIterator;
@@ -624,7 +679,12 @@ dart_library.library('dart/_internal', null, /* Imports */[
       }
     }
     dart.setSignature(ExpandIterable, {
-      constructors: () => ({ExpandIterable: [ExpandIterable$(S, T), [core.Iterable$(S), dart.functionType(core.Iterable$(T), [S])]]})
+      constructors: () => ({ExpandIterable: [ExpandIterable$(S, T), [core.Iterable$(S), dart.functionType(core.Iterable$(T), [S])]]}),
+      getters: () => ({
+        [_iterable]: core.Iterable$(S),
+        [_f]: _ExpandFunction,
+        iterator: core.Iterator$(T)
+      })
     });
     dart.defineExtensionMembers(ExpandIterable, ['iterator']);
     return ExpandIterable;
@@ -663,6 +723,15 @@ dart_library.library('dart/_internal', null, /* Imports */[
     ExpandIterator[dart.implements] = () => [core.Iterator$(T)];
     dart.setSignature(ExpandIterator, {
       constructors: () => ({ExpandIterator: [ExpandIterator$(S, T), [core.Iterator$(S), dart.functionType(core.Iterable$(T), [S])]]}),
+      fields: () => ({
+        [_currentExpansion]: core.Iterator$(T),
+        [_current]: T
+      }),
+      getters: () => ({
+        [_iterator]: core.Iterator$(S),
+        [_f]: _ExpandFunction,
+        current: T
+      }),
       methods: () => ({
         [_nextExpansion]: [dart.void, []],
         moveNext: [core.bool, []]
@@ -697,6 +766,11 @@ dart_library.library('dart/_internal', null, /* Imports */[
       constructors: () => ({
         new: [TakeIterable$(E), [core.Iterable$(E), core.int]],
         _: [TakeIterable$(E), [core.Iterable$(E), core.int]]
+      }),
+      getters: () => ({
+        [_iterable]: core.Iterable$(E),
+        [_takeCount]: core.int,
+        iterator: core.Iterator$(E)
       })
     });
     dart.defineExtensionMembers(TakeIterable, ['iterator']);
@@ -717,7 +791,8 @@ dart_library.library('dart/_internal', null, /* Imports */[
     }
     EfficientLengthTakeIterable[dart.implements] = () => [EfficientLength];
     dart.setSignature(EfficientLengthTakeIterable, {
-      constructors: () => ({EfficientLengthTakeIterable: [EfficientLengthTakeIterable$(E), [core.Iterable$(E), core.int]]})
+      constructors: () => ({EfficientLengthTakeIterable: [EfficientLengthTakeIterable$(E), [core.Iterable$(E), core.int]]}),
+      getters: () => ({length: core.int})
     });
     dart.defineExtensionMembers(EfficientLengthTakeIterable, ['length']);
     return EfficientLengthTakeIterable;
@@ -747,6 +822,11 @@ dart_library.library('dart/_internal', null, /* Imports */[
     }
     dart.setSignature(TakeIterator, {
       constructors: () => ({TakeIterator: [TakeIterator$(E), [core.Iterator$(E), core.int]]}),
+      fields: () => ({[_remaining]: core.int}),
+      getters: () => ({
+        [_iterator]: core.Iterator$(E),
+        current: E
+      }),
       methods: () => ({moveNext: [core.bool, []]})
     });
     return TakeIterator;
@@ -764,7 +844,12 @@ dart_library.library('dart/_internal', null, /* Imports */[
       }
     }
     dart.setSignature(TakeWhileIterable, {
-      constructors: () => ({TakeWhileIterable: [TakeWhileIterable$(E), [core.Iterable$(E), dart.functionType(core.bool, [E])]]})
+      constructors: () => ({TakeWhileIterable: [TakeWhileIterable$(E), [core.Iterable$(E), dart.functionType(core.bool, [E])]]}),
+      getters: () => ({
+        [_iterable]: core.Iterable$(E),
+        [_f]: _ElementPredicate$(E),
+        iterator: core.Iterator$(E)
+      })
     });
     dart.defineExtensionMembers(TakeWhileIterable, ['iterator']);
     return TakeWhileIterable;
@@ -795,6 +880,12 @@ dart_library.library('dart/_internal', null, /* Imports */[
     }
     dart.setSignature(TakeWhileIterator, {
       constructors: () => ({TakeWhileIterator: [TakeWhileIterator$(E), [core.Iterator$(E), dart.functionType(core.bool, [E])]]}),
+      fields: () => ({[_isFinished]: core.bool}),
+      getters: () => ({
+        [_iterator]: core.Iterator$(E),
+        [_f]: _ElementPredicate$(E),
+        current: E
+      }),
       methods: () => ({moveNext: [core.bool, []]})
     });
     return TakeWhileIterator;
@@ -835,6 +926,11 @@ dart_library.library('dart/_internal', null, /* Imports */[
         new: [SkipIterable$(E), [core.Iterable$(E), core.int]],
         _: [SkipIterable$(E), [core.Iterable$(E), core.int]]
       }),
+      getters: () => ({
+        [_iterable]: core.Iterable$(E),
+        [_skipCount]: core.int,
+        iterator: core.Iterator$(E)
+      }),
       methods: () => ({skip: [core.Iterable$(E), [core.int]]})
     });
     dart.defineExtensionMembers(SkipIterable, ['skip', 'iterator']);
@@ -855,7 +951,8 @@ dart_library.library('dart/_internal', null, /* Imports */[
     }
     EfficientLengthSkipIterable[dart.implements] = () => [EfficientLength];
     dart.setSignature(EfficientLengthSkipIterable, {
-      constructors: () => ({EfficientLengthSkipIterable: [EfficientLengthSkipIterable$(E), [core.Iterable$(E), core.int]]})
+      constructors: () => ({EfficientLengthSkipIterable: [EfficientLengthSkipIterable$(E), [core.Iterable$(E), core.int]]}),
+      getters: () => ({length: core.int})
     });
     dart.defineExtensionMembers(EfficientLengthSkipIterable, ['length']);
     return EfficientLengthSkipIterable;
@@ -880,6 +977,11 @@ dart_library.library('dart/_internal', null, /* Imports */[
     }
     dart.setSignature(SkipIterator, {
       constructors: () => ({SkipIterator: [SkipIterator$(E), [core.Iterator$(E), core.int]]}),
+      fields: () => ({[_skipCount]: core.int}),
+      getters: () => ({
+        [_iterator]: core.Iterator$(E),
+        current: E
+      }),
       methods: () => ({moveNext: [core.bool, []]})
     });
     return SkipIterator;
@@ -897,7 +999,12 @@ dart_library.library('dart/_internal', null, /* Imports */[
       }
     }
     dart.setSignature(SkipWhileIterable, {
-      constructors: () => ({SkipWhileIterable: [SkipWhileIterable$(E), [core.Iterable$(E), dart.functionType(core.bool, [E])]]})
+      constructors: () => ({SkipWhileIterable: [SkipWhileIterable$(E), [core.Iterable$(E), dart.functionType(core.bool, [E])]]}),
+      getters: () => ({
+        [_iterable]: core.Iterable$(E),
+        [_f]: _ElementPredicate$(E),
+        iterator: core.Iterator$(E)
+      })
     });
     dart.defineExtensionMembers(SkipWhileIterable, ['iterator']);
     return SkipWhileIterable;
@@ -927,6 +1034,12 @@ dart_library.library('dart/_internal', null, /* Imports */[
     }
     dart.setSignature(SkipWhileIterator, {
       constructors: () => ({SkipWhileIterator: [SkipWhileIterator$(E), [core.Iterator$(E), dart.functionType(core.bool, [E])]]}),
+      fields: () => ({[_hasSkipped]: core.bool}),
+      getters: () => ({
+        [_iterator]: core.Iterator$(E),
+        [_f]: _ElementPredicate$(E),
+        current: E
+      }),
       methods: () => ({moveNext: [core.bool, []]})
     });
     return SkipWhileIterator;
@@ -1044,6 +1157,14 @@ dart_library.library('dart/_internal', null, /* Imports */[
     EmptyIterable[dart.implements] = () => [EfficientLength];
     dart.setSignature(EmptyIterable, {
       constructors: () => ({EmptyIterable: [EmptyIterable$(E), []]}),
+      getters: () => ({
+        iterator: core.Iterator$(E),
+        isEmpty: core.bool,
+        length: core.int,
+        first: E,
+        last: E,
+        single: E
+      }),
       methods: () => ({
         forEach: [dart.void, [dart.functionType(dart.void, [E])]],
         elementAt: [E, [core.int]],
@@ -1108,6 +1229,7 @@ dart_library.library('dart/_internal', null, /* Imports */[
     EmptyIterator[dart.implements] = () => [core.Iterator$(E)];
     dart.setSignature(EmptyIterator, {
       constructors: () => ({EmptyIterator: [EmptyIterator$(E), []]}),
+      getters: () => ({current: E}),
       methods: () => ({moveNext: [core.bool, []]})
     });
     return EmptyIterator;
@@ -1632,6 +1754,7 @@ dart_library.library('dart/_internal', null, /* Imports */[
       }
     }
     dart.setSignature(FixedLengthListMixin, {
+      setters: () => ({length: core.int}),
       methods: () => ({
         add: [dart.void, [E]],
         insert: [dart.void, [core.int, E]],
@@ -1733,6 +1856,7 @@ dart_library.library('dart/_internal', null, /* Imports */[
     }
     UnmodifiableListMixin[dart.implements] = () => [core.List$(E)];
     dart.setSignature(UnmodifiableListMixin, {
+      setters: () => ({length: core.int}),
       methods: () => ({
         set: [dart.void, [core.int, E]],
         setAll: [dart.void, [core.int, core.Iterable$(E)]],
@@ -1812,6 +1936,8 @@ dart_library.library('dart/_internal', null, /* Imports */[
   }
   dart.setSignature(_ListIndicesIterable, {
     constructors: () => ({_ListIndicesIterable: [_ListIndicesIterable, [core.List]]}),
+    fields: () => ({[_backedList]: core.List}),
+    getters: () => ({length: core.int}),
     methods: () => ({elementAt: [core.int, [core.int]]})
   });
   dart.defineExtensionMembers(_ListIndicesIterable, ['elementAt', 'length']);
@@ -1881,6 +2007,14 @@ dart_library.library('dart/_internal', null, /* Imports */[
     ListMapView[dart.implements] = () => [core.Map$(core.int, E)];
     dart.setSignature(ListMapView, {
       constructors: () => ({ListMapView: [ListMapView$(E), [core.List$(E)]]}),
+      fields: () => ({[_values]: core.List$(E)}),
+      getters: () => ({
+        length: core.int,
+        values: core.Iterable$(E),
+        keys: core.Iterable$(core.int),
+        isEmpty: core.bool,
+        isNotEmpty: core.bool
+      }),
       methods: () => ({
         get: [E, [core.Object]],
         containsValue: [core.bool, [core.Object]],
@@ -1911,6 +2045,8 @@ dart_library.library('dart/_internal', null, /* Imports */[
     }
     dart.setSignature(ReversedListIterable, {
       constructors: () => ({ReversedListIterable: [ReversedListIterable$(E), [core.Iterable$(E)]]}),
+      fields: () => ({[_source]: core.Iterable$(E)}),
+      getters: () => ({length: core.int}),
       methods: () => ({elementAt: [E, [core.int]]})
     });
     dart.defineExtensionMembers(ReversedListIterable, ['elementAt', 'length']);
@@ -2360,6 +2496,10 @@ dart_library.library('dart/_internal', null, /* Imports */[
       unvalidated: [Symbol, [core.String]],
       validated: [Symbol, [core.String]]
     }),
+    getters: () => ({
+      [_name]: core.String,
+      hashCode: core.int
+    }),
     methods: () => ({'==': [core.bool, [core.Object]]}),
     statics: () => ({
       getName: [core.String, [Symbol]],
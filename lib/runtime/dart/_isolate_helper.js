@@ -168,7 +168,9 @@ dart_library.library('dart/_isolate_helper', null, /* Imports */[
     }
   }
   dart.setSignature(_Serializer, {
-    constructors: () => ({_Serializer: [_Serializer, [], {serializeSendPorts: dart.dynamic}]}),
+    constructors: () => ({_Serializer: [_Serializer, [], {serializeSendPorts: [dart.dynamic, dart.defaultValue(true)]}]}),
+    fields: () => ({serializedObjectIds: core.Map$(dart.dynamic, core.int)}),
+    getters: () => ({[_serializeSendPorts]: core.bool}),
     methods: () => ({
       serialize: [dart.dynamic, [dart.dynamic]],
       unsupported: [dart.void, [dart.dynamic], [core.String]],
@@ -317,7 +319,7 @@ dart_library.library('dart/_isolate_helper', null, /* Imports */[
       dart.assert(dart.equals(dart.dindex(x, 0), 'map'));
       let keys = dart.as(dart.dindex(x, 1), core.List);
       let values = dart.as(dart.dindex(x, 2), core.List);
-      let result = dart.map();
+      let result = dart.map([]);
       this.deserializedObjects[dartx.add](result);
       keys = keys[dartx.map](dart.bind(this, 'deserialize'))[dartx.toList]();
       for (let i = 0; dart.notNull(i) < dart.notNull(keys[dartx.length]); i = dart.notNull(i) + 1) {
@@ -382,7 +384,9 @@ dart_library.library('dart/_isolate_helper', null, /* Imports */[
     }
   }
   dart.setSignature(_Deserializer, {
-    constructors: () => ({_Deserializer: [_Deserializer, [], {adjustSendPorts: dart.dynamic}]}),
+    constructors: () => ({_Deserializer: [_Deserializer, [], {adjustSendPorts: [dart.dynamic, dart.defaultValue(true)]}]}),
+    fields: () => ({deserializedObjects: core.List}),
+    getters: () => ({[_adjustSendPorts]: core.bool}),
     methods: () => ({
       deserialize: [dart.dynamic, [dart.dynamic]],
       isPrimitive: [core.bool, [dart.dynamic]],
@@ -529,6 +533,24 @@ dart_library.library('dart/_isolate_helper', null, /* Imports */[
   }
   dart.setSignature(_Manager, {
     constructors: () => ({_Manager: [_Manager, [core.Function]]}),
+    fields: () => ({
+      nextIsolateId: core.int,
+      currentManagerId: core.int,
+      nextManagerId: core.int,
+      currentContext: _IsolateContext,
+      rootContext: _IsolateContext,
+      topEventLoop: _EventLoop,
+      fromCommandLine: core.bool,
+      isWorker: core.bool,
+      supportsWorkers: core.bool,
+      isolates: core.Map$(core.int, _IsolateContext),
+      mainManager: _MainManagerStub,
+      managers: core.Map$(core.int, dart.dynamic)
+    }),
+    getters: () => ({
+      entry: core.Function,
+      useWorkers: core.bool
+    }),
     methods: () => ({
       [_nativeDetectEnvironment]: [dart.void, []],
       [_nativeInitWorkerMessageHandler]: [dart.void, []],
@@ -653,8 +675,8 @@ dart_library.library('dart/_isolate_helper', null, /* Imports */[
         if (dart.notNull(this.errorsAreFatal) && dart.notNull(core.identical(this, exports._globalState.rootContext))) {
           return;
         }
-        if (self.console && self.console.error) {
-          self.console.error(error, stackTrace);
+        if (dart.global.console && dart.global.console.error) {
+          dart.global.console.error(error, stackTrace);
         } else {
           core.print(error);
           if (stackTrace != null)
@@ -682,7 +704,7 @@ dart_library.library('dart/_isolate_helper', null, /* Imports */[
         if (dart.notNull(this.errorsAreFatal)) {
           this.kill();
           if (dart.notNull(core.identical(this, exports._globalState.rootContext))) {
-            throw e;
+            dart.rethrow(e);
           }
         }
       }
@@ -803,6 +825,26 @@ dart_library.library('dart/_isolate_helper', null, /* Imports */[
   _IsolateContext[dart.implements] = () => [_foreign_helper.IsolateContext];
   dart.setSignature(_IsolateContext, {
     constructors: () => ({_IsolateContext: [_IsolateContext, []]}),
+    fields: () => ({
+      initialized: core.bool,
+      isPaused: core.bool,
+      delayedEvents: core.List$(_IsolateEvent),
+      pauseTokens: core.Set$(isolate.Capability),
+      doneHandlers: dart.dynamic,
+      [_scheduledControlEvents]: dart.dynamic,
+      [_isExecutingEvent]: core.bool,
+      errorsAreFatal: core.bool,
+      errorPorts: core.Set$(isolate.SendPort)
+    }),
+    getters: () => ({
+      id: core.int,
+      ports: core.Map$(core.int, RawReceivePortImpl),
+      weakPorts: core.Set$(core.int),
+      isolateStatics: dart.dynamic,
+      controlPort: RawReceivePortImpl,
+      pauseCapability: isolate.Capability,
+      terminateCapability: isolate.Capability
+    }),
     methods: () => ({
       addPause: [dart.void, [isolate.Capability, isolate.Capability]],
       removePause: [dart.void, [isolate.Capability]],
@@ -888,6 +930,8 @@ dart_library.library('dart/_isolate_helper', null, /* Imports */[
   }
   dart.setSignature(_EventLoop, {
     constructors: () => ({_EventLoop: [_EventLoop, []]}),
+    fields: () => ({[_activeJsAsyncCount]: core.int}),
+    getters: () => ({events: collection.Queue$(_IsolateEvent)}),
     methods: () => ({
       enqueue: [dart.void, [dart.dynamic, dart.dynamic, dart.dynamic]],
       prequeue: [dart.void, [_IsolateEvent]],
@@ -914,6 +958,11 @@ dart_library.library('dart/_isolate_helper', null, /* Imports */[
   }
   dart.setSignature(_IsolateEvent, {
     constructors: () => ({_IsolateEvent: [_IsolateEvent, [_IsolateContext, core.Function, core.String]]}),
+    fields: () => ({
+      isolate: _IsolateContext,
+      fn: core.Function,
+      message: core.String
+    }),
     methods: () => ({process: [dart.void, []]})
   });
   dart.defineLazyProperties(exports, {
@@ -1079,7 +1128,7 @@ dart_library.library('dart/_isolate_helper', null, /* Imports */[
       }
     }
     static _consoleLog(msg) {
-      self.console.log(msg);
+      dart.global.console.log(msg);
     }
     static _getJSFunctionFromName(functionName) {
       let globalFunctionsContainer = _foreign_helper.JS_EMBEDDED_GLOBAL("", _js_embedded_names.GLOBAL_FUNCTIONS);
@@ -1263,6 +1312,7 @@ dart_library.library('dart/_isolate_helper', null, /* Imports */[
   _BaseSendPort[dart.implements] = () => [isolate.SendPort];
   dart.setSignature(_BaseSendPort, {
     constructors: () => ({_BaseSendPort: [_BaseSendPort, [core.int]]}),
+    getters: () => ({[_isolateId]: core.int}),
     methods: () => ({[_checkReplyTo]: [dart.void, [isolate.SendPort]]})
   });
   let _isClosed = Symbol('_isClosed');
@@ -1299,6 +1349,10 @@ dart_library.library('dart/_isolate_helper', null, /* Imports */[
   _NativeJsSendPort[dart.implements] = () => [isolate.SendPort];
   dart.setSignature(_NativeJsSendPort, {
     constructors: () => ({_NativeJsSendPort: [_NativeJsSendPort, [RawReceivePortImpl, core.int]]}),
+    getters: () => ({
+      [_receivePort]: RawReceivePortImpl,
+      hashCode: core.int
+    }),
     methods: () => ({send: [dart.void, [dart.dynamic]]})
   });
   class _WorkerSendPort extends _BaseSendPort {
@@ -1328,6 +1382,11 @@ dart_library.library('dart/_isolate_helper', null, /* Imports */[
   _WorkerSendPort[dart.implements] = () => [isolate.SendPort];
   dart.setSignature(_WorkerSendPort, {
     constructors: () => ({_WorkerSendPort: [_WorkerSendPort, [core.int, core.int, core.int]]}),
+    getters: () => ({
+      [_workerId]: core.int,
+      [_receivePortId]: core.int,
+      hashCode: core.int
+    }),
     methods: () => ({send: [dart.void, [dart.dynamic]]})
   });
   let _handler = Symbol('_handler');
@@ -1389,6 +1448,15 @@ dart_library.library('dart/_isolate_helper', null, /* Imports */[
       weak: [RawReceivePortImpl, [core.Function]],
       _controlPort: [RawReceivePortImpl, []]
     }),
+    fields: () => ({
+      [_handler]: core.Function,
+      [_isClosed]: core.bool
+    }),
+    getters: () => ({
+      [_id]: core.int,
+      sendPort: isolate.SendPort
+    }),
+    setters: () => ({handler: core.Function}),
     methods: () => ({
       [_close]: [dart.void, []],
       close: [dart.void, []],
@@ -1435,6 +1503,11 @@ dart_library.library('dart/_isolate_helper', null, /* Imports */[
       weak: [ReceivePortImpl, []],
       fromRawReceivePort: [ReceivePortImpl, [isolate.RawReceivePort]]
     }),
+    fields: () => ({[_controller]: async.StreamController}),
+    getters: () => ({
+      [_rawPort]: isolate.RawReceivePort,
+      sendPort: isolate.SendPort
+    }),
     methods: () => ({
       listen: [async.StreamSubscription, [dart.functionType(dart.void, [dart.dynamic])], {onError: core.Function, onDone: dart.functionType(dart.void, []), cancelOnError: core.bool}],
       close: [dart.void, []]
@@ -1465,7 +1538,7 @@ dart_library.library('dart/_isolate_helper', null, /* Imports */[
         }).bind(this);
         dart.fn(internalCallback, dart.void, []);
         enterJsAsync();
-        this[_handle] = self.setTimeout(internalCallback, milliseconds);
+        this[_handle] = dart.global.setTimeout(internalCallback, milliseconds);
       } else {
         dart.assert(dart.notNull(milliseconds) > 0);
         dart.throw(new core.UnsupportedError("Timer greater than 0."));
@@ -1477,7 +1550,7 @@ dart_library.library('dart/_isolate_helper', null, /* Imports */[
       this[_handle] = null;
       if (dart.notNull(hasTimer())) {
         enterJsAsync();
-        this[_handle] = self.setInterval(dart.fn((() => {
+        this[_handle] = dart.global.setInterval(dart.fn((() => {
           callback(this);
         }).bind(this)), milliseconds);
       } else {
@@ -1493,9 +1566,9 @@ dart_library.library('dart/_isolate_helper', null, /* Imports */[
           return;
         leaveJsAsync();
         if (dart.notNull(this[_once])) {
-          self.clearTimeout(this[_handle]);
+          dart.global.clearTimeout(this[_handle]);
         } else {
-          self.clearInterval(this[_handle]);
+          dart.global.clearInterval(this[_handle]);
         }
         this[_handle] = null;
       } else {
@@ -1513,10 +1586,18 @@ dart_library.library('dart/_isolate_helper', null, /* Imports */[
       TimerImpl: [TimerImpl, [core.int, dart.functionType(dart.void, [])]],
       periodic: [TimerImpl, [core.int, dart.functionType(dart.void, [async.Timer])]]
     }),
+    fields: () => ({
+      [_inEventLoop]: core.bool,
+      [_handle]: core.int
+    }),
+    getters: () => ({
+      [_once]: core.bool,
+      isActive: core.bool
+    }),
     methods: () => ({cancel: [dart.void, []]})
   });
   function hasTimer() {
-    return self.setTimeout != null;
+    return dart.global.setTimeout != null;
   }
   dart.fn(hasTimer, core.bool, []);
   class CapabilityImpl extends core.Object {
@@ -1553,6 +1634,10 @@ dart_library.library('dart/_isolate_helper', null, /* Imports */[
       CapabilityImpl: [CapabilityImpl, []],
       _internal: [CapabilityImpl, [core.int]]
     }),
+    getters: () => ({
+      [_id]: core.int,
+      hashCode: core.int
+    }),
     methods: () => ({'==': [core.bool, [core.Object]]})
   });
   // Exports:
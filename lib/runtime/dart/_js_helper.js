@@ -28,7 +28,8 @@ dart_library.library('dart/_js_helper', null, /* Imports */[
     }
   }
   dart.setSignature(Native, {
-    constructors: () => ({Native: [Native, [core.String]]})
+    constructors: () => ({Native: [Native, [core.String]]}),
+    getters: () => ({name: core.String})
   });
   class JsName extends core.Object {
     JsName(opts) {
@@ -37,7 +38,8 @@ dart_library.library('dart/_js_helper', null, /* Imports */[
     }
   }
   dart.setSignature(JsName, {
-    constructors: () => ({JsName: [JsName, [], {name: core.String}]})
+    constructors: () => ({JsName: [JsName, [], {name: core.String}]}),
+    getters: () => ({name: core.String})
   });
   class JsPeerInterface extends core.Object {
     JsPeerInterface(opts) {
@@ -46,7 +48,8 @@ dart_library.library('dart/_js_helper', null, /* Imports */[
     }
   }
   dart.setSignature(JsPeerInterface, {
-    constructors: () => ({JsPeerInterface: [JsPeerInterface, [], {name: core.String}]})
+    constructors: () => ({JsPeerInterface: [JsPeerInterface, [], {name: core.String}]}),
+    getters: () => ({name: core.String})
   });
   class SupportJsExtensionMethods extends core.Object {
     SupportJsExtensionMethods() {
@@ -191,7 +194,21 @@ dart_library.library('dart/_js_helper', null, /* Imports */[
   }
   JSSyntaxRegExp[dart.implements] = () => [core.RegExp];
   dart.setSignature(JSSyntaxRegExp, {
-    constructors: () => ({JSSyntaxRegExp: [JSSyntaxRegExp, [core.String], {multiLine: core.bool, caseSensitive: core.bool}]}),
+    constructors: () => ({JSSyntaxRegExp: [JSSyntaxRegExp, [core.String], {multiLine: [core.bool, dart.defaultValue(false)], caseSensitive: [core.bool, dart.defaultValue(true)]}]}),
+    fields: () => ({
+      [_nativeGlobalRegExp]: dart.dynamic,
+      [_nativeAnchoredRegExp]: dart.dynamic
+    }),
+    getters: () => ({
+      pattern: core.String,
+      [_nativeRegExp]: dart.dynamic,
+      [_nativeGlobalVersion]: dart.dynamic,
+      [_nativeAnchoredVersion]: dart.dynamic,
+      [_isMultiLine]: core.bool,
+      [_isCaseSensitive]: core.bool,
+      isMultiLine: core.bool,
+      isCaseSensitive: core.bool
+    }),
     methods: () => ({
       firstMatch: [core.Match, [core.String]],
       hasMatch: [core.bool, [core.String]],
@@ -242,6 +259,14 @@ dart_library.library('dart/_js_helper', null, /* Imports */[
   _MatchImplementation[dart.implements] = () => [core.Match];
   dart.setSignature(_MatchImplementation, {
     constructors: () => ({_MatchImplementation: [_MatchImplementation, [core.Pattern, core.List$(core.String)]]}),
+    getters: () => ({
+      pattern: core.Pattern,
+      [_match]: core.List$(core.String),
+      input: core.String,
+      start: core.int,
+      end: core.int,
+      groupCount: core.int
+    }),
     methods: () => ({
       group: [core.String, [core.int]],
       get: [core.String, [core.int]],
@@ -263,7 +288,13 @@ dart_library.library('dart/_js_helper', null, /* Imports */[
     }
   }
   dart.setSignature(_AllMatchesIterable, {
-    constructors: () => ({_AllMatchesIterable: [_AllMatchesIterable, [JSSyntaxRegExp, core.String, core.int]]})
+    constructors: () => ({_AllMatchesIterable: [_AllMatchesIterable, [JSSyntaxRegExp, core.String, core.int]]}),
+    getters: () => ({
+      [_re]: JSSyntaxRegExp,
+      [_string]: core.String,
+      [_start]: core.int,
+      iterator: core.Iterator$(core.Match)
+    })
   });
   dart.defineExtensionMembers(_AllMatchesIterable, ['iterator']);
   let _regExp = Symbol('_regExp');
@@ -302,6 +333,15 @@ dart_library.library('dart/_js_helper', null, /* Imports */[
   _AllMatchesIterator[dart.implements] = () => [core.Iterator$(core.Match)];
   dart.setSignature(_AllMatchesIterator, {
     constructors: () => ({_AllMatchesIterator: [_AllMatchesIterator, [JSSyntaxRegExp, core.String, core.int]]}),
+    fields: () => ({
+      [_string]: core.String,
+      [_nextIndex]: core.int,
+      [_current]: core.Match
+    }),
+    getters: () => ({
+      [_regExp]: JSSyntaxRegExp,
+      current: core.Match
+    }),
     methods: () => ({moveNext: [core.bool, []]})
   });
   function firstMatchAfter(regExp, string, start) {
@@ -340,6 +380,13 @@ dart_library.library('dart/_js_helper', null, /* Imports */[
   StringMatch[dart.implements] = () => [core.Match];
   dart.setSignature(StringMatch, {
     constructors: () => ({StringMatch: [StringMatch, [core.int, core.String, core.String]]}),
+    getters: () => ({
+      start: core.int,
+      input: core.String,
+      pattern: core.String,
+      end: core.int,
+      groupCount: core.int
+    }),
     methods: () => ({
       get: [core.String, [core.int]],
       group: [core.String, [core.int]],
@@ -547,16 +594,21 @@ dart_library.library('dart/_js_helper', null, /* Imports */[
   });
   let patch = dart.const(new _Patch());
   class InternalMap extends core.Object {}
+  dart.defineLazyProperties(exports, {
+    get _identityHashes() {
+      return new WeakMap();
+    }
+  });
   class Primitives extends core.Object {
     static initializeStatics(id) {
       Primitives.mirrorFunctionCacheName = dart.notNull(Primitives.mirrorFunctionCacheName) + `_${id}`;
       Primitives.mirrorInvokeCacheName = dart.notNull(Primitives.mirrorInvokeCacheName) + `_${id}`;
     }
     static objectHashCode(object) {
-      let hash = dart.as(object.$identityHash, core.int);
+      let hash = dart.as(exports._identityHashes.get(object), core.int);
       if (hash == null) {
         hash = Math.random() * 0x3fffffff | 0;
-        object.$identityHash = hash;
+        exports._identityHashes.set(object, hash);
       }
       return hash;
     }
@@ -946,7 +998,11 @@ dart_library.library('dart/_js_helper', null, /* Imports */[
   }
   NullError[dart.implements] = () => [core.NoSuchMethodError];
   dart.setSignature(NullError, {
-    constructors: () => ({NullError: [NullError, [core.String, dart.dynamic]]})
+    constructors: () => ({NullError: [NullError, [core.String, dart.dynamic]]}),
+    getters: () => ({
+      [_message]: core.String,
+      [_method]: core.String
+    })
   });
   let _receiver = Symbol('_receiver');
   class JsNoSuchMethodError extends core.Error {
@@ -967,7 +1023,12 @@ dart_library.library('dart/_js_helper', null, /* Imports */[
   }
   JsNoSuchMethodError[dart.implements] = () => [core.NoSuchMethodError];
   dart.setSignature(JsNoSuchMethodError, {
-    constructors: () => ({JsNoSuchMethodError: [JsNoSuchMethodError, [core.String, dart.dynamic]]})
+    constructors: () => ({JsNoSuchMethodError: [JsNoSuchMethodError, [core.String, dart.dynamic]]}),
+    getters: () => ({
+      [_message]: core.String,
+      [_method]: core.String,
+      [_receiver]: core.String
+    })
   });
   class UnknownJsTypeError extends core.Error {
     UnknownJsTypeError(message) {
@@ -979,7 +1040,8 @@ dart_library.library('dart/_js_helper', null, /* Imports */[
     }
   }
   dart.setSignature(UnknownJsTypeError, {
-    constructors: () => ({UnknownJsTypeError: [UnknownJsTypeError, [core.String]]})
+    constructors: () => ({UnknownJsTypeError: [UnknownJsTypeError, [core.String]]}),
+    getters: () => ({[_message]: core.String})
   });
   function getTraceFromException(exception) {
     return new _StackTrace(exception);
@@ -999,12 +1061,18 @@ dart_library.library('dart/_js_helper', null, /* Imports */[
       if (typeof this[_exception] === "object") {
         trace = dart.as(this[_exception].stack, core.String);
       }
+      if (trace != null)
+        trace = dart.mapStackTrace(trace);
       return this[_trace] = trace == null ? '' : trace;
     }
   }
   _StackTrace[dart.implements] = () => [core.StackTrace];
   dart.setSignature(_StackTrace, {
-    constructors: () => ({_StackTrace: [_StackTrace, [dart.dynamic]]})
+    constructors: () => ({_StackTrace: [_StackTrace, [dart.dynamic]]}),
+    fields: () => ({
+      [_exception]: dart.dynamic,
+      [_trace]: core.String
+    })
   });
   function objectHashCode(object) {
     if (object == null || typeof object != 'object') {
@@ -1051,7 +1119,8 @@ dart_library.library('dart/_js_helper', null, /* Imports */[
     }
   }
   dart.setSignature(Creates, {
-    constructors: () => ({Creates: [Creates, [core.String]]})
+    constructors: () => ({Creates: [Creates, [core.String]]}),
+    getters: () => ({types: core.String})
   });
   class Returns extends core.Object {
     Returns(types) {
@@ -1059,7 +1128,8 @@ dart_library.library('dart/_js_helper', null, /* Imports */[
     }
   }
   dart.setSignature(Returns, {
-    constructors: () => ({Returns: [Returns, [core.String]]})
+    constructors: () => ({Returns: [Returns, [core.String]]}),
+    getters: () => ({types: core.String})
   });
   class JSName extends core.Object {
     JSName(name) {
@@ -1067,7 +1137,8 @@ dart_library.library('dart/_js_helper', null, /* Imports */[
     }
   }
   dart.setSignature(JSName, {
-    constructors: () => ({JSName: [JSName, [core.String]]})
+    constructors: () => ({JSName: [JSName, [core.String]]}),
+    getters: () => ({name: core.String})
   });
   class JavaScriptIndexingBehavior extends _interceptors.JSMutableIndexable {}
   class TypeErrorImplementation extends core.Error {
@@ -1089,7 +1160,8 @@ dart_library.library('dart/_js_helper', null, /* Imports */[
     constructors: () => ({
       TypeErrorImplementation: [TypeErrorImplementation, [core.Object, core.String]],
       fromMessage: [TypeErrorImplementation, [core.String]]
-    })
+    }),
+    getters: () => ({message: core.String})
   });
   class CastErrorImplementation extends core.Error {
     CastErrorImplementation(actualType, expectedType) {
@@ -1102,7 +1174,48 @@ dart_library.library('dart/_js_helper', null, /* Imports */[
   }
   CastErrorImplementation[dart.implements] = () => [core.CastError];
   dart.setSignature(CastErrorImplementation, {
-    constructors: () => ({CastErrorImplementation: [CastErrorImplementation, [core.Object, core.Object]]})
+    constructors: () => ({CastErrorImplementation: [CastErrorImplementation, [core.Object, core.Object]]}),
+    getters: () => ({message: core.String})
+  });
+  class NullCastErrorImplementation extends core.Error {
+    NullCastErrorImplementation(expectedType, callSite) {
+      this.expectedType = expectedType;
+      this.callSite = callSite;
+      super.Error();
+    }
+    toString() {
+      let site = this.callSite != null ? ` at ${this.callSite}` : "";
+      return `CastError: Casting null to non-nullable type ${this.expectedType}${site}`;
+    }
+  }
+  NullCastErrorImplementation[dart.implements] = () => [core.CastError];
+  dart.setSignature(NullCastErrorImplementation, {
+    constructors: () => ({NullCastErrorImplementation: [NullCastErrorImplementation, [core.Object, core.String]]}),
+    getters: () => ({
+      expectedType: core.Object,
+      callSite: core.String
+    })
+  });
+  class InvocationImpl extends core.Invocation {
+    InvocationImpl(memberName, positionalArguments, namedArguments, isMethod, isGetter, isSetter) {
+      this.memberName = memberName;
+      this.positionalArguments = positionalArguments;
+      this.namedArguments = namedArguments;
+      this.isMethod = isMethod;
+      this.isGetter = isGetter;
+      this.isSetter = isSetter;
+    }
+  }
+  dart.setSignature(InvocationImpl, {
+    constructors: () => ({InvocationImpl: [InvocationImpl, [core.Symbol, core.List, core.Map$(core.Symbol, dart.dynamic), core.bool, core.bool, core.bool]]}),
+    getters: () => ({
+      memberName: core.Symbol,
+      positionalArguments: core.List,
+      namedArguments: core.Map$(core.Symbol, dart.dynamic),
+      isMethod: core.bool,
+      isGetter: core.bool,
+      isSetter: core.bool
+    })
   });
   class FallThroughErrorImplementation extends core.FallThroughError {
     FallThroughErrorImplementation() {
@@ -1125,7 +1238,8 @@ dart_library.library('dart/_js_helper', null, /* Imports */[
     }
   }
   dart.setSignature(RuntimeError, {
-    constructors: () => ({RuntimeError: [RuntimeError, [dart.dynamic]]})
+    constructors: () => ({RuntimeError: [RuntimeError, [dart.dynamic]]}),
+    getters: () => ({message: dart.dynamic})
   });
   function random64() {
     let int32a = Math.random() * 0x100000000 >>> 0;
@@ -1156,6 +1270,11 @@ dart_library.library('dart/_js_helper', null, /* Imports */[
     SyncIterator[dart.implements] = () => [core.Iterator$(E)];
     dart.setSignature(SyncIterator, {
       constructors: () => ({SyncIterator: [SyncIterator$(E), [dart.dynamic]]}),
+      fields: () => ({[_current]: E}),
+      getters: () => ({
+        [_jsIterator]: dart.dynamic,
+        current: E
+      }),
       methods: () => ({moveNext: [core.bool, []]})
     });
     return SyncIterator;
@@ -1179,6 +1298,11 @@ dart_library.library('dart/_js_helper', null, /* Imports */[
     }
     dart.setSignature(SyncIterable, {
       constructors: () => ({SyncIterable: [SyncIterable$(E), [dart.dynamic, dart.dynamic]]}),
+      getters: () => ({
+        [_generator]: dart.dynamic,
+        [_args]: dart.dynamic,
+        iterator: core.Iterator$(E)
+      }),
       methods: () => ({[_jsIterator]: [dart.dynamic, []]})
     });
     dart.defineExtensionMembers(SyncIterable, ['iterator']);
@@ -1240,6 +1364,8 @@ dart_library.library('dart/_js_helper', null, /* Imports */[
   exports.JavaScriptIndexingBehavior = JavaScriptIndexingBehavior;
   exports.TypeErrorImplementation = TypeErrorImplementation;
   exports.CastErrorImplementation = CastErrorImplementation;
+  exports.NullCastErrorImplementation = NullCastErrorImplementation;
+  exports.InvocationImpl = InvocationImpl;
   exports.FallThroughErrorImplementation = FallThroughErrorImplementation;
   exports.RuntimeError = RuntimeError;
   exports.random64 = random64;
@@ -12,12 +12,12 @@ dart_library.library('dart/_js_mirrors', null, /* Imports */[
   }
   dart.fn(getName, core.String, [core.Symbol]);
   function getSymbol(name, library) {
-    return dart.throw(new core.UnimplementedError("MirrorSystem.getSymbol unimplemented"));
+    return new _internal.Symbol.unvalidated(dart.as(name, core.String));
   }
   dart.fn(getSymbol, core.Symbol, [dart.dynamic, dart.dynamic]);
   dart.defineLazyProperties(exports, {
     get currentJsMirrorSystem() {
-      return dart.throw(new core.UnimplementedError("MirrorSystem.currentJsMirrorSystem unimplemented"));
+      return new JsMirrorSystem._();
     }
   });
   function reflect(reflectee) {
@@ -25,6 +25,8 @@ dart_library.library('dart/_js_mirrors', null, /* Imports */[
   }
   dart.fn(reflect, mirrors.InstanceMirror, [dart.dynamic]);
   function reflectType(key) {
+    if (typeof key != "function")
+      return new JsTypeMirror._(key);
     return new JsClassMirror._(key);
   }
   dart.fn(reflectType, mirrors.TypeMirror, [core.Type]);
@@ -34,177 +36,429 @@ dart_library.library('dart/_js_mirrors', null, /* Imports */[
     },
     get _metadata() {
       return exports._dart.metadata;
+    },
+    get _dartLibrary() {
+      return dart_library;
     }
   });
   function _dload(obj, name) {
     return exports._dart.dload(obj, name);
   }
-  dart.fn(_dload, dart.dynamic, [dart.dynamic, core.String]);
+  dart.fn(_dload);
   function _dput(obj, name, val) {
     exports._dart.dput(obj, name, val);
   }
-  dart.fn(_dput, dart.void, [dart.dynamic, core.String, dart.dynamic]);
+  dart.fn(_dput, dart.void, [dart.dynamic, dart.dynamic, dart.dynamic]);
   function _dsend(obj, name, args) {
     return exports._dart.dsend(obj, name, ...args);
   }
-  dart.fn(_dsend, dart.dynamic, [dart.dynamic, core.String, core.List]);
-  let _toJsMap = Symbol('_toJsMap');
+  dart.fn(_dsend, dart.dynamic, [dart.dynamic, dart.dynamic, core.List]);
+  function _isDefined(value) {
+    return value !== void 0;
+  }
+  dart.fn(_isDefined, core.bool, [dart.dynamic]);
+  function _isType(value) {
+    return value != null && (exports._dart.isDartType(value) || typeof value == "function" && (value === core.Object || core.Object.isPrototypeOf(value)));
+  }
+  dart.fn(_isType, core.bool, [dart.dynamic]);
+  function _metadataOf(obj) {
+    let fn = obj[dart.metadata];
+    return fn == null ? dart.list([], mirrors.InstanceMirror) : core.List$(mirrors.InstanceMirror).from(dart.as(dart.dsend(dart.dcall(fn), 'map', dart.fn(i => new JsInstanceMirror._(i), JsInstanceMirror, [dart.dynamic])), core.Iterable));
+  }
+  dart.fn(_metadataOf, core.List$(mirrors.InstanceMirror), [dart.dynamic]);
+  function _ownProperty(obj, name) {
+    return Object.getOwnPropertyDescriptor(obj, name);
+  }
+  dart.fn(_ownProperty, dart.dynamic, [dart.dynamic, core.String]);
+  function _loadedLibraries() {
+    let libraries = dart.as(exports._dartLibrary.loadedLibraries(), core.List);
+    return core.List$(JsLibraryMirror).from(libraries[dartx.where](dart.fn(library => !dart.notNull(library.name[dartx.startsWith]('dart_runtime/')), core.bool, [dart.dynamic]))[dartx.map](dart.fn(library => new JsLibraryMirror._(library), JsLibraryMirror, [dart.dynamic])));
+  }
+  dart.fn(_loadedLibraries, () => dart.definiteFunctionType(core.List$(JsLibraryMirror), []));
+  function _libraryUri(name) {
+    if (dart.notNull(name[dartx.startsWith]('dart/'))) {
+      return core.Uri.new({scheme: 'dart', path: name[dartx.substring](5)});
+    }
+    return core.Uri.parse(`${name}.dart`);
+  }
+  dart.fn(_libraryUri, core.Uri, [core.String]);
+  function _qualify(owner, name) {
+    if (owner == null)
+      return name;
+    return new _internal.Symbol.unvalidated(`${getName(owner.qualifiedName)}.${getName(name)}`);
+  }
+  dart.fn(_qualify, core.Symbol, [mirrors.DeclarationMirror, core.Symbol]);
+  function _isPrivate(symbol) {
+    return getName(symbol)[dartx.startsWith]('_');
+  }
+  dart.fn(_isPrivate, core.bool, [core.Symbol]);
+  function _isSubtype(t1, t2) {
+    return dart.notNull(t1.hasReflectedType) && dart.notNull(t2.hasReflectedType) && exports._dart.isSubtype(t1.reflectedType, t2.reflectedType);
+  }
+  dart.fn(_isSubtype, core.bool, [mirrors.TypeMirror, mirrors.TypeMirror]);
+  dart.defineLazyProperties(exports, {
+    get _operatorPattern() {
+      return core.RegExp.new(`^${_internal.Symbol.operatorRE}$`);
+    }
+  });
+  function _jsMemberName(name) {
+    if (name == '[]')
+      return 'get';
+    if (name == '[]=')
+      return 'set';
+    return name;
+  }
+  dart.fn(_jsMemberName, core.String, [core.String]);
+  function _dartName(name) {
+    return dart.as(typeof name == "symbol" ? name.toString().slice("Symbol(".length, -1) : name, core.String);
+  }
+  dart.fn(_dartName, core.String, [dart.dynamic]);
+  function _jsName(cls, symbol) {
+    if (dart.notNull(_isPrivate(symbol))) {
+      for (let c = cls; c != null; c = c.superclass) {
+        let declaration = c.declarations.get(symbol);
+        if (dart.is(declaration, JsVariableMirror))
+          return declaration[_name];
+        if (dart.is(declaration, JsMethodMirror))
+          return declaration[_name];
+      }
+    }
+    return _jsMemberName(getName(symbol));
+  }
+  dart.fn(_jsName, dart.dynamic, [mirrors.ClassMirror, core.Symbol]);
+  function _memberSymbol(name, suffix) {
+    if (suffix === void 0)
+      suffix = '';
+    return new _internal.Symbol.unvalidated(`${_dartName(name)}${suffix}`);
+  }
+  dart.fn(_memberSymbol, core.Symbol, [dart.dynamic], [core.String]);
+  function _dartMethodName(name) {
+    if (typeof name == "symbol")
+      return _dartName(name);
+    if (dart.equals(name, 'get'))
+      return '[]';
+    if (dart.equals(name, 'set'))
+      return '[]=';
+    if (dart.equals(name, '+constructor') || dart.equals(name, '+prototype'))
+      return dart.as(dart.dsend(name, 'substring', 1), core.String);
+    return dart.as(name, core.String);
+  }
+  dart.fn(_dartMethodName, core.String, [dart.dynamic]);
+  function _getField(obj, name) {
+    let field = _dload(obj, name);
+    return new JsInstanceMirror._(field);
+  }
+  dart.fn(_getField, mirrors.InstanceMirror, [dart.dynamic, dart.dynamic]);
+  function _setField(obj, name, value) {
+    _dput(obj, name, value);
+    return new JsInstanceMirror._(value);
+  }
+  dart.fn(_setField, mirrors.InstanceMirror, [dart.dynamic, dart.dynamic, core.Object]);
+  function _invoke(obj, name, args, namedArgs) {
+    if (namedArgs != null) {
+      args = core.List.from(args);
+      args[dartx.add](exports._dart.namedArgs(_toJsMap(namedArgs)));
+    }
+    let result = _dsend(obj, name, args);
+    return new JsInstanceMirror._(result);
+  }
+  dart.fn(_invoke, mirrors.InstanceMirror, [dart.dynamic, dart.dynamic, core.List, core.Map$(core.Symbol, dart.dynamic)]);
+  function _toJsMap(map) {
+    let obj = {};
+    map.forEach(dart.fn((key, value) => {
+      obj[getName(key)] = value;
+    }, dart.dynamic, [core.Symbol, dart.dynamic]));
+    return obj;
+  }
+  dart.fn(_toJsMap, dart.dynamic, [core.Map$(core.Symbol, dart.dynamic)]);
   class JsInstanceMirror extends core.Object {
     _(reflectee) {
       this.reflectee = reflectee;
     }
     get type() {
-      return dart.throw(new core.UnimplementedError("ClassMirror.type unimplemented"));
+      return dart.as(reflectType(exports._dart.realRuntimeType(this.reflectee)), mirrors.ClassMirror);
     }
     get hasReflectee() {
-      return dart.throw(new core.UnimplementedError("ClassMirror.hasReflectee unimplemented"));
+      return true;
     }
     delegate(invocation) {
-      return dart.throw(new core.UnimplementedError("ClassMirror.delegate unimplemented"));
+      let name = getName(invocation.memberName);
+      if (dart.notNull(invocation.isGetter))
+        return this.getField(invocation.memberName).reflectee;
+      if (dart.notNull(invocation.isSetter)) {
+        let value = invocation.positionalArguments[dartx.get](0);
+        this.setField(new _internal.Symbol.unvalidated(name[dartx.substring](0, dart.notNull(name[dartx.length]) - 1)), value);
+        return value;
+      }
+      return this.invoke(invocation.memberName, invocation.positionalArguments, invocation.namedArguments).reflectee;
     }
     getField(symbol) {
-      let name = getName(symbol);
-      let field = _dload(this.reflectee, name);
-      return new JsInstanceMirror._(field);
+      return _getField(this.reflectee, _jsName(this.type, symbol));
     }
     setField(symbol, value) {
-      let name = getName(symbol);
-      _dput(this.reflectee, name, value);
-      return new JsInstanceMirror._(value);
+      return _setField(this.reflectee, _jsName(this.type, symbol), value);
     }
     invoke(symbol, args, namedArgs) {
       if (namedArgs === void 0)
         namedArgs = null;
-      let name = getName(symbol);
-      if (namedArgs != null) {
-        args = core.List.from(args);
-        args[dartx.add](this[_toJsMap](namedArgs));
-      }
-      let result = _dsend(this.reflectee, name, args);
-      return new JsInstanceMirror._(result);
+      return _invoke(this.reflectee, _jsName(this.type, symbol), args, namedArgs);
+    }
+    ['=='](other) {
+      return dart.is(other, JsInstanceMirror) && core.identical(this.reflectee, other.reflectee);
     }
-    [_toJsMap](map) {
-      let obj = {};
-      map.forEach(dart.fn((key, value) => {
-        obj[getName(key)] = value;
-      }, dart.dynamic, [core.Symbol, dart.dynamic]));
-      return obj;
+    get hashCode() {
+      return dart.notNull(core.identityHashCode(this.reflectee)) ^ 909522486;
     }
   }
   JsInstanceMirror[dart.implements] = () => [mirrors.InstanceMirror];
   dart.defineNamedConstructor(JsInstanceMirror, '_');
   dart.setSignature(JsInstanceMirror, {
     constructors: () => ({_: [JsInstanceMirror, [core.Object]]}),
+    getters: () => ({
+      reflectee: core.Object,
+      type: mirrors.ClassMirror,
+      hasReflectee: core.bool,
+      hashCode: core.int
+    }),
     methods: () => ({
       delegate: [dart.dynamic, [core.Invocation]],
       getField: [mirrors.InstanceMirror, [core.Symbol]],
       setField: [mirrors.InstanceMirror, [core.Symbol, core.Object]],
       invoke: [mirrors.InstanceMirror, [core.Symbol, core.List], [core.Map$(core.Symbol, dart.dynamic)]],
-      [_toJsMap]: [dart.dynamic, [core.Map$(core.Symbol, dart.dynamic)]]
+      '==': [core.bool, [dart.dynamic]]
     })
   });
   let _metadata = Symbol('_metadata');
   let _declarations = Symbol('_declarations');
+  let _loadDeclarations = Symbol('_loadDeclarations');
   let _cls = Symbol('_cls');
+  let _forEachMember = Symbol('_forEachMember');
+  let _constructor = Symbol('_constructor');
+  let _name = Symbol('_name');
+  let _type = Symbol('_type');
+  let _genericClass = Symbol('_genericClass');
+  let _declares = Symbol('_declares');
   class JsClassMirror extends core.Object {
     get metadata() {
       return this[_metadata];
     }
     get declarations() {
+      if (this[_declarations] == null)
+        this[_declarations] = this[_loadDeclarations]();
       return this[_declarations];
     }
     _(cls) {
       this[_cls] = cls;
-      this.simpleName = core.Symbol.new(cls.name);
+      this.simpleName = new _internal.Symbol.unvalidated(JsClassMirror._className(cls));
       this[_metadata] = null;
       this[_declarations] = null;
-      let fn = this[_cls][dart.metadata];
-      this[_metadata] = fn == null ? dart.list([], mirrors.InstanceMirror) : core.List$(mirrors.InstanceMirror).from(dart.as(dart.dsend(dart.dcall(fn), 'map', dart.fn(i => new JsInstanceMirror._(i), JsInstanceMirror, [dart.dynamic])), core.Iterable));
-      this[_declarations] = core.Map$(core.Symbol, mirrors.MethodMirror).new();
-      this[_declarations].set(this.simpleName, new JsMethodMirror._(this, this[_cls]));
+      this[_metadata] = _metadataOf(this[_cls]);
+    }
+    static _className(cls) {
+      let mixins = dart.as(exports._dart.getMixins(cls), core.List);
+      if (mixins == null)
+        return cls.name;
+      let superclass = cls.__proto__;
+      return `${JsClassMirror._className(superclass)} with ${mixins[dartx.map](JsClassMirror._className)[dartx.join](', ')}`;
+    }
+    [_forEachMember](kind, f) {
+      let sig = exports._dart.getOwnSignature(this[_cls], kind);
+      let names = Object.getOwnPropertyNames(sig).concat(Object.getOwnPropertySymbols(sig));
+      for (let name of names)
+        f(name, sig[name]);
+    }
+    [_loadDeclarations]() {
+      let declarations = core.Map$(core.Symbol, mirrors.DeclarationMirror).new();
+      function add(mirror) {
+        declarations.set(mirror.simpleName, mirror);
+      }
+      dart.fn(add, dart.void, [mirrors.DeclarationMirror]);
+      let hasConstructors = false;
+      this[_forEachMember]('constructors', dart.fn((name, ftype) => {
+        hasConstructors = true;
+        add(this[_constructor](dart.as(name, core.String), ftype));
+      }, dart.void, [dart.dynamic, dart.dynamic]));
+      if (!hasConstructors && exports._dart.getMixins(this[_cls]) == null) {
+        add(this[_constructor](this[_cls].name, null));
+      }
+      this[_forEachMember]('fields', dart.fn((name, type) => {
+        add(new JsVariableMirror._(this, name, type, {isFinal: false}));
+      }, dart.void, [dart.dynamic, dart.dynamic]));
+      let proto = this[_cls].prototype;
+      this[_forEachMember]('getters', dart.fn((name, type) => {
+        if (proto.hasOwnProperty(name)) {
+          add(new JsMethodMirror._(this, name, _memberSymbol(name), type, {isGetter: true}));
+        } else {
+          add(new JsVariableMirror._(this, name, type, {isFinal: true}));
+        }
+      }, dart.void, [dart.dynamic, dart.dynamic]));
+      this[_forEachMember]('setters', dart.fn((name, type) => {
+        add(new JsMethodMirror._(this, name, _memberSymbol(name, '='), type, {isSetter: true}));
+      }, dart.void, [dart.dynamic, dart.dynamic]));
+      this[_forEachMember]('methods', dart.fn((name, ftype) => {
+        add(new JsMethodMirror._(this, name, new _internal.Symbol.unvalidated(_dartMethodName(name)), ftype));
+      }, dart.void, [dart.dynamic, dart.dynamic]));
+      this[_forEachMember]('statics', dart.fn((name, ftype) => {
+        add(new JsMethodMirror._(this, name, _memberSymbol(name), ftype, {isStatic: true}));
+      }, dart.void, [dart.dynamic, dart.dynamic]));
+      return declarations;
+    }
+    [_constructor](name, ftype) {
+      let className = this[_cls].name;
+      let constructorName = name == className || name == 'new' ? '' : name;
+      let simpleName = constructorName == '' ? className : `${className}.${constructorName}`;
+      return new JsMethodMirror._(this, name, new _internal.Symbol.unvalidated(simpleName), ftype, {constructorName: core.Symbol.new(constructorName), isSynthetic: ftype == null});
+    }
+    get instanceMembers() {
+      let members = core.Map$(core.Symbol, mirrors.MethodMirror).new();
+      let superclass = this.superclass;
+      if (superclass != null)
+        members.addAll(superclass.instanceMembers);
+      this.declarations.forEach(dart.fn((name, declaration) => {
+        if (dart.is(declaration, JsVariableMirror)) {
+          let field = dart.as(declaration, JsVariableMirror);
+          members.set(name, new JsMethodMirror._(this, field[_name], name, field[_type], {isGetter: true, isSynthetic: true}));
+          if (!dart.notNull(field.isFinal)) {
+            let setterName = _memberSymbol(field[_name], '=');
+            members.set(setterName, new JsMethodMirror._(this, field[_name], setterName, field[_type], {isSetter: true, isSynthetic: true}));
+          }
+        } else {
+          let method = dart.as(declaration, JsMethodMirror);
+          if (!dart.notNull(method.isStatic) && !dart.notNull(method.isConstructor))
+            members.set(name, method);
+        }
+      }, dart.void, [core.Symbol, mirrors.DeclarationMirror]));
+      return members;
+    }
+    get staticMembers() {
+      let members = core.Map$(core.Symbol, mirrors.MethodMirror).new();
+      this.declarations.forEach(dart.fn((name, declaration) => {
+        if (dart.is(declaration, JsMethodMirror) && dart.notNull(declaration.isStatic)) {
+          members.set(name, declaration);
+        }
+      }, dart.void, [core.Symbol, mirrors.DeclarationMirror]));
+      return members;
     }
     newInstance(constructorName, args, namedArgs) {
       if (namedArgs === void 0)
         namedArgs = null;
-      dart.assert(getName(constructorName) == "");
-      dart.assert(namedArgs == null || dart.notNull(namedArgs.isEmpty));
-      let instance = new this[_cls](...args);
+      let name = getName(constructorName);
+      if (name == '') {
+        name = this[_cls].hasOwnProperty("new") ? 'new' : this[_cls].name;
+      }
+      if (namedArgs != null) {
+        args = core.List.from(args);
+        args[dartx.add](_toJsMap(namedArgs));
+      }
+      let instance = null;
+      if (!this[_cls].prototype.hasOwnProperty(name)) {
+        instance = this[_cls][name](...args);
+      } else if (name == this[_cls].name) {
+        instance = new this[_cls](...args);
+      } else {
+        instance = new this[_cls][name](...args);
+      }
       return new JsInstanceMirror._(instance);
     }
+    get superclass() {
+      if (dart.equals(this[_cls], core.Object))
+        return null;
+      let superclass = this[_cls].__proto__;
+      if (superclass === Function.prototype)
+        return null;
+      return dart.as(reflectType(dart.as(superclass, core.Type)), mirrors.ClassMirror);
+    }
     get superinterfaces() {
-      let interfaces = this[_cls][dart.implements];
+      let interfaces = exports._dart.getImplements(this[_cls]);
       if (interfaces == null) {
         return dart.list([], mirrors.ClassMirror);
       }
-      dart.throw(new core.UnimplementedError("ClassMirror.superinterfaces unimplemented"));
+      return core.List$(mirrors.ClassMirror).from(dart.as(dart.dsend(dart.dcall(interfaces), 'map', reflectType), core.Iterable));
+    }
+    get mixin() {
+      let mixins = dart.as(exports._dart.getMixins(this[_cls]), core.List);
+      if (mixins == null)
+        return this;
+      return dart.as(reflectType(dart.as(mixins[dartx.last], core.Type)), mirrors.ClassMirror);
     }
     getField(fieldName) {
-      return dart.throw(new core.UnimplementedError("ClassMirror.getField unimplemented"));
+      return _getField(this[_cls], _jsName(this, fieldName));
+    }
+    setField(fieldName, value) {
+      return _setField(this[_cls], _jsName(this, fieldName), value);
     }
     invoke(memberName, positionalArguments, namedArguments) {
       if (namedArguments === void 0)
         namedArguments = null;
-      return dart.throw(new core.UnimplementedError("ClassMirror.invoke unimplemented"));
+      return _invoke(this[_cls], _jsName(this, memberName), positionalArguments, namedArguments);
     }
     isAssignableTo(other) {
-      return dart.throw(new core.UnimplementedError("ClassMirror.isAssignable unimplemented"));
-    }
-    isSubclassOf(other) {
-      return dart.throw(new core.UnimplementedError("ClassMirror.isSubclassOf unimplemented"));
+      return dart.notNull(_isSubtype(this, other)) || dart.notNull(_isSubtype(other, this));
     }
     isSubtypeOf(other) {
-      return dart.throw(new core.UnimplementedError("ClassMirror.isSubtypeOf unimplemented"));
+      return _isSubtype(this, other);
     }
-    setField(fieldName, value) {
-      return dart.throw(new core.UnimplementedError("ClassMirror.setField unimplemented"));
+    isSubclassOf(other) {
+      let original = other.originalDeclaration;
+      for (let c = this; c != null; c = c.superclass) {
+        if (dart.equals(c.originalDeclaration, original) || dart.equals(c.mixin.originalDeclaration, original)) {
+          return true;
+        }
+      }
+      return false;
     }
     get hasReflectedType() {
-      return dart.throw(new core.UnimplementedError("ClassMirror.hasReflectedType unimplemented"));
+      return true;
     }
-    get instanceMembers() {
-      return dart.throw(new core.UnimplementedError("ClassMirror.instanceMembers unimplemented"));
+    get reflectedType() {
+      return this[_cls];
     }
-    get isAbstract() {
-      return dart.throw(new core.UnimplementedError("ClassMirror.isAbstract unimplemented"));
+    get [_genericClass]() {
+      return dart.as(exports._dart.getGenericClass(this[_cls]), core.Function);
     }
-    get isEnum() {
-      return dart.throw(new core.UnimplementedError("ClassMirror.isEnum unimplemented"));
+    get originalDeclaration() {
+      let generic = this[_genericClass];
+      if (generic == null)
+        return this;
+      return reflectType(dart.as(generic(), core.Type));
     }
     get isOriginalDeclaration() {
-      return dart.throw(new core.UnimplementedError("ClassMirror.isOriginalDeclaration unimplemented"));
+      return this[_genericClass] == null || this[_genericClass]() === this[_cls];
+    }
+    get typeArguments() {
+      if (dart.notNull(this.isOriginalDeclaration))
+        return dart.list([], mirrors.TypeMirror);
+      let args = dart.as(exports._dart.getGenericArgs(this[_cls]), core.List);
+      return core.List$(mirrors.TypeMirror).from(args[dartx.map](reflectType));
     }
     get isPrivate() {
-      return dart.throw(new core.UnimplementedError("ClassMirror.isPrivate unimplemented"));
+      return _isPrivate(this.simpleName);
     }
     get isTopLevel() {
-      return dart.throw(new core.UnimplementedError("ClassMirror.isTopLevel unimplemented"));
-    }
-    get location() {
-      return dart.throw(new core.UnimplementedError("ClassMirror.location unimplemented"));
-    }
-    get mixin() {
-      return dart.throw(new core.UnimplementedError("ClassMirror.mixin unimplemented"));
-    }
-    get originalDeclaration() {
-      return dart.throw(new core.UnimplementedError("ClassMirror.originalDeclaration unimplemented"));
+      return true;
     }
     get owner() {
-      return dart.throw(new core.UnimplementedError("ClassMirror.owner unimplemented"));
+      let cls = dart.as(this.originalDeclaration, JsClassMirror)[_cls];
+      let name = cls.name;
+      return _loadedLibraries()[dartx.firstWhere](dart.fn(library => library[_declares](name, cls), core.bool, [JsLibraryMirror]), {orElse: dart.fn(() => null, JsLibraryMirror, [])});
     }
     get qualifiedName() {
-      return dart.throw(new core.UnimplementedError("ClassMirror.qualifiedName unimplemented"));
+      return _qualify(this.owner, this.simpleName);
     }
-    get reflectedType() {
-      return dart.throw(new core.UnimplementedError("ClassMirror.reflectedType unimplemented"));
+    ['=='](other) {
+      return dart.is(other, JsClassMirror) && dart.equals(this[_cls], other[_cls]);
     }
-    get staticMembers() {
-      return dart.throw(new core.UnimplementedError("ClassMirror.staticMembers unimplemented"));
+    get hashCode() {
+      return dart.hashCode(this[_cls]);
     }
-    get superclass() {
-      return dart.throw(new core.UnimplementedError("ClassMirror.superclass unimplemented"));
+    get isAbstract() {
+      return dart.throw(new core.UnimplementedError("ClassMirror.isAbstract unimplemented"));
     }
-    get typeArguments() {
-      return dart.throw(new core.UnimplementedError("ClassMirror.typeArguments unimplemented"));
+    get isEnum() {
+      return dart.throw(new core.UnimplementedError("ClassMirror.isEnum unimplemented"));
+    }
+    get location() {
+      return dart.throw(new core.UnimplementedError("ClassMirror.location unimplemented"));
     }
     get typeVariables() {
       return dart.throw(new core.UnimplementedError("ClassMirror.typeVariables unimplemented"));
@@ -214,229 +468,617 @@ dart_library.library('dart/_js_mirrors', null, /* Imports */[
   dart.defineNamedConstructor(JsClassMirror, '_');
   dart.setSignature(JsClassMirror, {
     constructors: () => ({_: [JsClassMirror, [core.Type]]}),
+    fields: () => ({
+      [_metadata]: core.List$(mirrors.InstanceMirror),
+      [_declarations]: core.Map$(core.Symbol, mirrors.DeclarationMirror)
+    }),
+    getters: () => ({
+      [_cls]: core.Type,
+      simpleName: core.Symbol,
+      metadata: core.List$(mirrors.InstanceMirror),
+      declarations: core.Map$(core.Symbol, mirrors.DeclarationMirror),
+      instanceMembers: core.Map$(core.Symbol, mirrors.MethodMirror),
+      staticMembers: core.Map$(core.Symbol, mirrors.MethodMirror),
+      superclass: mirrors.ClassMirror,
+      superinterfaces: core.List$(mirrors.ClassMirror),
+      mixin: mirrors.ClassMirror,
+      hasReflectedType: core.bool,
+      reflectedType: core.Type,
+      [_genericClass]: core.Function,
+      originalDeclaration: mirrors.TypeMirror,
+      isOriginalDeclaration: core.bool,
+      typeArguments: core.List$(mirrors.TypeMirror),
+      isPrivate: core.bool,
+      isTopLevel: core.bool,
+      owner: mirrors.DeclarationMirror,
+      qualifiedName: core.Symbol,
+      hashCode: core.int,
+      isAbstract: core.bool,
+      isEnum: core.bool,
+      location: mirrors.SourceLocation,
+      typeVariables: core.List$(mirrors.TypeVariableMirror)
+    }),
     methods: () => ({
+      [_forEachMember]: [dart.void, [core.String, dart.functionType(dart.void, [dart.dynamic, dart.dynamic])]],
+      [_loadDeclarations]: [core.Map$(core.Symbol, mirrors.DeclarationMirror), []],
+      [_constructor]: [JsMethodMirror, [core.String, dart.dynamic]],
       newInstance: [mirrors.InstanceMirror, [core.Symbol, core.List], [core.Map$(core.Symbol, dart.dynamic)]],
       getField: [mirrors.InstanceMirror, [core.Symbol]],
+      setField: [mirrors.InstanceMirror, [core.Symbol, core.Object]],
       invoke: [mirrors.InstanceMirror, [core.Symbol, core.List], [core.Map$(core.Symbol, dart.dynamic)]],
       isAssignableTo: [core.bool, [mirrors.TypeMirror]],
-      isSubclassOf: [core.bool, [mirrors.ClassMirror]],
       isSubtypeOf: [core.bool, [mirrors.TypeMirror]],
-      setField: [mirrors.InstanceMirror, [core.Symbol, core.Object]]
-    })
+      isSubclassOf: [core.bool, [mirrors.ClassMirror]],
+      '==': [core.bool, [dart.dynamic]]
+    }),
+    statics: () => ({_className: [core.String, [dart.dynamic]]}),
+    names: ['_className']
   });
   class JsTypeMirror extends core.Object {
     _(reflectedType) {
       this.reflectedType = reflectedType;
       this.hasReflectedType = true;
     }
+    get simpleName() {
+      return new _internal.Symbol.unvalidated(exports._dart.typeName(this.reflectedType));
+    }
     isAssignableTo(other) {
-      return dart.throw(new core.UnimplementedError("TypeMirror.isAssignable unimplemented"));
+      return dart.notNull(_isSubtype(this, other)) || dart.notNull(_isSubtype(other, this));
     }
     isSubtypeOf(other) {
-      return dart.throw(new core.UnimplementedError("TypeMirror.isSubtypeOf unimplemented"));
+      return _isSubtype(this, other);
     }
     get isOriginalDeclaration() {
-      return dart.throw(new core.UnimplementedError("TypeMirror.isOriginalDeclaration unimplemented"));
+      return true;
+    }
+    get originalDeclaration() {
+      return this;
     }
     get isPrivate() {
-      return dart.throw(new core.UnimplementedError("TypeMirror.isPrivate unimplemented"));
+      return false;
     }
     get isTopLevel() {
-      return dart.throw(new core.UnimplementedError("TypeMirror.isTopLevel unimplemented"));
-    }
-    get location() {
-      return dart.throw(new core.UnimplementedError("TypeMirror.location unimplemented"));
-    }
-    get metadata() {
-      return dart.throw(new core.UnimplementedError("TypeMirror.metadata unimplemented"));
-    }
-    get originalDeclaration() {
-      return dart.throw(new core.UnimplementedError("TypeMirror.originalDeclaration unimplemented"));
+      return true;
     }
     get owner() {
-      return dart.throw(new core.UnimplementedError("TypeMirror.owner unimplemented"));
+      return null;
     }
     get qualifiedName() {
-      return dart.throw(new core.UnimplementedError("TypeMirror.qualifiedName unimplemented"));
+      return this.simpleName;
     }
-    get simpleName() {
-      return dart.throw(new core.UnimplementedError("TypeMirror.simpleName unimplemented"));
+    get metadata() {
+      return dart.const(dart.list([], mirrors.InstanceMirror));
     }
     get typeArguments() {
-      return dart.throw(new core.UnimplementedError("TypeMirror.typeArguments unimplemented"));
+      return dart.const(dart.list([], mirrors.TypeMirror));
     }
     get typeVariables() {
-      return dart.throw(new core.UnimplementedError("TypeMirror.typeVariables unimplemented"));
+      return dart.const(dart.list([], mirrors.TypeVariableMirror));
+    }
+    ['=='](other) {
+      return dart.is(other, JsTypeMirror) && dart.equals(this.reflectedType, other.reflectedType);
+    }
+    get hashCode() {
+      return dart.hashCode(this.reflectedType);
+    }
+    get location() {
+      return dart.throw(new core.UnimplementedError("TypeMirror.location unimplemented"));
     }
   }
   JsTypeMirror[dart.implements] = () => [mirrors.TypeMirror];
   dart.defineNamedConstructor(JsTypeMirror, '_');
   dart.setSignature(JsTypeMirror, {
     constructors: () => ({_: [JsTypeMirror, [core.Type]]}),
+    getters: () => ({
+      reflectedType: core.Type,
+      hasReflectedType: core.bool,
+      simpleName: core.Symbol,
+      isOriginalDeclaration: core.bool,
+      originalDeclaration: mirrors.TypeMirror,
+      isPrivate: core.bool,
+      isTopLevel: core.bool,
+      owner: mirrors.DeclarationMirror,
+      qualifiedName: core.Symbol,
+      metadata: core.List$(mirrors.InstanceMirror),
+      typeArguments: core.List$(mirrors.TypeMirror),
+      typeVariables: core.List$(mirrors.TypeVariableMirror),
+      hashCode: core.int,
+      location: mirrors.SourceLocation
+    }),
     methods: () => ({
       isAssignableTo: [core.bool, [mirrors.TypeMirror]],
-      isSubtypeOf: [core.bool, [mirrors.TypeMirror]]
+      isSubtypeOf: [core.bool, [mirrors.TypeMirror]],
+      '==': [core.bool, [dart.dynamic]]
     })
   });
-  let _name = Symbol('_name');
-  class JsParameterMirror extends core.Object {
-    _(name, t, annotations) {
+  class JsVariableMirror extends core.Object {
+    _(owner, name, type, opts) {
+      let isFinal = opts && 'isFinal' in opts ? opts.isFinal : null;
+      let isTopLevel = opts && 'isTopLevel' in opts ? opts.isTopLevel : false;
+      this.owner = owner;
       this[_name] = name;
-      this.type = new JsTypeMirror._(t);
-      this.metadata = core.List$(mirrors.InstanceMirror).from(annotations[dartx.map](dart.fn(a => new JsInstanceMirror._(a), JsInstanceMirror, [dart.dynamic])));
+      this[_type] = type;
+      this.isFinal = isFinal;
+      this.isTopLevel = isTopLevel;
     }
-    get defaultValue() {
-      return dart.throw(new core.UnimplementedError("ParameterMirror.defaultValues unimplemented"));
+    get simpleName() {
+      return _memberSymbol(this[_name]);
     }
-    get hasDefaultValue() {
-      return dart.throw(new core.UnimplementedError("ParameterMirror.hasDefaultValue unimplemented"));
+    get qualifiedName() {
+      return _qualify(this.owner, this.simpleName);
+    }
+    get type() {
+      return reflectType(dart.as(this[_type], core.Type));
     }
     get isConst() {
-      return dart.throw(new core.UnimplementedError("ParameterMirror.isConst unimplemented"));
+      return false;
     }
-    get isFinal() {
-      return dart.throw(new core.UnimplementedError("ParameterMirror.isFinal unimplemented"));
+    get isStatic() {
+      return this.isTopLevel;
     }
-    get isNamed() {
-      return dart.throw(new core.UnimplementedError("ParameterMirror.isNamed unimplemented"));
+    get isPrivate() {
+      return _isPrivate(this.simpleName);
     }
-    get isOptional() {
-      return dart.throw(new core.UnimplementedError("ParameterMirror.isOptional unimplemented"));
+    get location() {
+      return dart.throw(new core.UnimplementedError("VariableMirror.location unimplemented"));
+    }
+    get metadata() {
+      return dart.throw(new core.UnimplementedError("VariableMirror.metadata unimplemented"));
+    }
+  }
+  JsVariableMirror[dart.implements] = () => [mirrors.VariableMirror];
+  dart.defineNamedConstructor(JsVariableMirror, '_');
+  dart.setSignature(JsVariableMirror, {
+    constructors: () => ({_: [JsVariableMirror, [mirrors.DeclarationMirror, dart.dynamic, dart.dynamic], {isFinal: core.bool, isTopLevel: [core.bool, dart.defaultValue(false)]}]}),
+    getters: () => ({
+      owner: mirrors.DeclarationMirror,
+      [_name]: dart.dynamic,
+      [_type]: dart.dynamic,
+      isFinal: core.bool,
+      isTopLevel: core.bool,
+      simpleName: core.Symbol,
+      qualifiedName: core.Symbol,
+      type: mirrors.TypeMirror,
+      isConst: core.bool,
+      isStatic: core.bool,
+      isPrivate: core.bool,
+      location: mirrors.SourceLocation,
+      metadata: core.List$(mirrors.InstanceMirror)
+    })
+  });
+  class JsParameterMirror extends core.Object {
+    _(owner, name, t, annotations, opts) {
+      let isOptional = opts && 'isOptional' in opts ? opts.isOptional : false;
+      let isNamed = opts && 'isNamed' in opts ? opts.isNamed : false;
+      let hasDefaultValue = opts && 'hasDefaultValue' in opts ? opts.hasDefaultValue : false;
+      let defaultValue = opts && 'defaultValue' in opts ? opts.defaultValue : null;
+      this.owner = owner;
+      this[_name] = name;
+      this.isOptional = isOptional;
+      this.isNamed = isNamed;
+      this.hasDefaultValue = hasDefaultValue;
+      this.type = reflectType(t);
+      this.metadata = core.List$(mirrors.InstanceMirror).from(annotations[dartx.map](dart.fn(a => new JsInstanceMirror._(a), JsInstanceMirror, [dart.dynamic])));
+      this.defaultValue = dart.notNull(hasDefaultValue) ? new JsInstanceMirror._(defaultValue) : null;
+    }
+    get simpleName() {
+      return core.Symbol.new(this[_name]);
+    }
+    get qualifiedName() {
+      return _qualify(this.owner, this.simpleName);
+    }
+    get isConst() {
+      return false;
     }
     get isPrivate() {
-      return dart.throw(new core.UnimplementedError("ParameterMirror.isPrivate unimplemented"));
+      return false;
     }
     get isStatic() {
-      return dart.throw(new core.UnimplementedError("ParameterMirror.isStatic unimplemented"));
+      return false;
     }
     get isTopLevel() {
-      return dart.throw(new core.UnimplementedError("ParameterMirror.isTopLevel unimplemented"));
+      return false;
+    }
+    get isFinal() {
+      return dart.throw(new core.UnimplementedError("ParameterMirror.isFinal unimplemented"));
     }
     get location() {
       return dart.throw(new core.UnimplementedError("ParameterMirror.location unimplemented"));
     }
-    get owner() {
-      return dart.throw(new core.UnimplementedError("ParameterMirror.owner unimplemented"));
-    }
-    get qualifiedName() {
-      return dart.throw(new core.UnimplementedError("ParameterMirror.qualifiedName unimplemented"));
-    }
-    get simpleName() {
-      return dart.throw(new core.UnimplementedError("ParameterMirror.simpleName unimplemented"));
-    }
   }
   JsParameterMirror[dart.implements] = () => [mirrors.ParameterMirror];
   dart.defineNamedConstructor(JsParameterMirror, '_');
   dart.setSignature(JsParameterMirror, {
-    constructors: () => ({_: [JsParameterMirror, [core.String, core.Type, core.List]]})
+    constructors: () => ({_: [JsParameterMirror, [mirrors.DeclarationMirror, core.String, core.Type, core.List], {isOptional: [core.bool, dart.defaultValue(false)], isNamed: [core.bool, dart.defaultValue(false)], hasDefaultValue: [core.bool, dart.defaultValue(false)], defaultValue: dart.dynamic}]}),
+    getters: () => ({
+      owner: mirrors.DeclarationMirror,
+      [_name]: core.String,
+      type: mirrors.TypeMirror,
+      metadata: core.List$(mirrors.InstanceMirror),
+      isOptional: core.bool,
+      isNamed: core.bool,
+      hasDefaultValue: core.bool,
+      defaultValue: mirrors.InstanceMirror,
+      simpleName: core.Symbol,
+      qualifiedName: core.Symbol,
+      isConst: core.bool,
+      isPrivate: core.bool,
+      isStatic: core.bool,
+      isTopLevel: core.bool,
+      isFinal: core.bool,
+      location: mirrors.SourceLocation
+    })
   });
-  let _method = Symbol('_method');
   let _params = Symbol('_params');
+  let _exports = Symbol('_exports');
   let _createParameterMirrorList = Symbol('_createParameterMirrorList');
   class JsMethodMirror extends core.Object {
-    _(cls, method) {
-      this[_method] = method;
-      this[_name] = getName(cls.simpleName);
+    _(owner, name, simpleName, type, opts) {
+      let constructorName = opts && 'constructorName' in opts ? opts.constructorName : null;
+      let isStatic = opts && 'isStatic' in opts ? opts.isStatic : false;
+      let isGetter = opts && 'isGetter' in opts ? opts.isGetter : false;
+      let isSetter = opts && 'isSetter' in opts ? opts.isSetter : false;
+      let isSynthetic = opts && 'isSynthetic' in opts ? opts.isSynthetic : false;
+      let isTopLevel = opts && 'isTopLevel' in opts ? opts.isTopLevel : false;
+      this.owner = owner;
+      this[_name] = name;
+      this.simpleName = simpleName;
+      this[_type] = type;
+      this.constructorName = constructorName;
+      this.isStatic = isStatic;
+      this.isGetter = isGetter;
+      this.isSetter = isSetter;
+      this.isSynthetic = isSynthetic;
+      this.isTopLevel = isTopLevel;
+      this.isConstructor = constructorName != null;
       this[_params] = null;
-      let ftype = exports._dart.classGetConstructorType(cls[_cls]);
-      this[_params] = this[_createParameterMirrorList](ftype);
     }
-    get constructorName() {
-      return core.Symbol.new('');
+    get qualifiedName() {
+      return _qualify(this.owner, this.simpleName);
     }
     get parameters() {
+      if (this[_params] == null) {
+        if (dart.notNull(this.isGetter)) {
+          this[_params] = dart.list([], mirrors.ParameterMirror);
+        } else if (dart.notNull(this.isSetter)) {
+          this[_params] = dart.list([new JsParameterMirror._(this, '', dart.as(this[_type], core.Type), [])], mirrors.ParameterMirror);
+        } else {
+          this[_params] = this[_createParameterMirrorList](this[_type]);
+        }
+      }
       return this[_params];
     }
+    get returnType() {
+      if (dart.notNull(this.isConstructor))
+        return this.owner;
+      if (dart.notNull(this.isGetter))
+        return reflectType(dart.as(this[_type], core.Type));
+      if (dart.notNull(this.isSetter))
+        return reflectType(dart.as(exports._dart.void, core.Type));
+      return reflectType(dart.as(dart.dload(this[_type], 'returnType'), core.Type));
+    }
+    get isRegularMethod() {
+      return !dart.notNull(this.isGetter) && !dart.notNull(this.isSetter) && !dart.notNull(this.isConstructor);
+    }
+    get isOperator() {
+      return dart.notNull(this.isRegularMethod) && dart.notNull(exports._operatorPattern.hasMatch(getName(this.simpleName)));
+    }
+    get isPrivate() {
+      return _isPrivate(this.simpleName);
+    }
+    get isAbstract() {
+      return false;
+    }
+    get isFactoryConstructor() {
+      return dart.notNull(this.isConstructor) && !dart.notNull(this.isSynthetic) && !dart.as(this.owner, JsClassMirror)[_cls].prototype.hasOwnProperty(this[_name]);
+    }
+    get isGenerativeConstructor() {
+      return dart.notNull(this.isConstructor) && !dart.notNull(this.isFactoryConstructor);
+    }
+    get metadata() {
+      if (!dart.notNull(this.isTopLevel)) {
+        dart.throw(new core.UnimplementedError("MethodMirror.metadata unimplemented"));
+      }
+      return _metadataOf(dart.as(this.owner, JsLibraryMirror)[_exports][this[_name]]);
+    }
     [_createParameterMirrorList](ftype) {
       if (ftype == null) {
         return dart.list([], mirrors.ParameterMirror);
       }
       let args = dart.as(dart.dload(ftype, 'args'), core.List);
       let opts = dart.as(dart.dload(ftype, 'optionals'), core.List);
-      let params = core.List$(mirrors.ParameterMirror).new(dart.notNull(args[dartx.length]) + dart.notNull(opts[dartx.length]));
+      let named = Object.getOwnPropertyNames(dart.dload(ftype, 'named'));
+      let params = core.List$(mirrors.ParameterMirror).new(dart.notNull(args[dartx.length]) + dart.notNull(opts[dartx.length]) + dart.notNull(named[dartx.length]));
       for (let i = 0; dart.notNull(i) < dart.notNull(args[dartx.length]); i = dart.notNull(i) + 1) {
         let type = args[dartx.get](i);
         let metadata = dart.dindex(dart.dload(ftype, 'metadata'), i);
-        let param = new JsParameterMirror._('', dart.as(type, core.Type), dart.as(metadata, core.List));
+        let param = new JsParameterMirror._(this, '', dart.as(type, core.Type), dart.as(metadata, core.List));
         params[dartx.set](i, param);
       }
       for (let i = 0; dart.notNull(i) < dart.notNull(opts[dartx.length]); i = dart.notNull(i) + 1) {
         let type = opts[dartx.get](i);
         let metadata = dart.dindex(dart.dload(ftype, 'metadata'), dart.notNull(args[dartx.length]) + dart.notNull(i));
-        let param = new JsParameterMirror._('', dart.as(type, core.Type), dart.as(metadata, core.List));
+        let defaultValue = dart.dindex(dart.dload(ftype, 'defaultValues'), dart.notNull(args[dartx.length]) + dart.notNull(i));
+        let param = new JsParameterMirror._(this, '', dart.as(type, core.Type), dart.as(metadata, core.List), {isOptional: true, hasDefaultValue: _isDefined(defaultValue), defaultValue: defaultValue});
         params[dartx.set](dart.notNull(i) + dart.notNull(args[dartx.length]), param);
       }
+      for (let i = 0; dart.notNull(i) < dart.notNull(named[dartx.length]); i = dart.notNull(i) + 1) {
+        let name = named[dartx.get](i);
+        let type = ftype.named[name];
+        let metadata = ftype.namedMetadata[name];
+        let defaultValue = ftype.namedDefaultValues[name];
+        let param = new JsParameterMirror._(this, dart.as(name, core.String), dart.as(type, core.Type), dart.as(metadata, core.List), {isOptional: true, isNamed: true, hasDefaultValue: _isDefined(defaultValue), defaultValue: defaultValue});
+        params[dartx.set](dart.notNull(i) + dart.notNull(args[dartx.length]) + dart.notNull(opts[dartx.length]), param);
+      }
       return params;
     }
-    get isAbstract() {
-      return dart.throw(new core.UnimplementedError("MethodMirror.isAbstract unimplemented"));
-    }
     get isConstConstructor() {
       return dart.throw(new core.UnimplementedError("MethodMirror.isConstConstructor unimplemented"));
     }
-    get isConstructor() {
-      return dart.throw(new core.UnimplementedError("MethodMirror.isConstructor unimplemented"));
+    get isRedirectingConstructor() {
+      return dart.throw(new core.UnimplementedError("MethodMirror.isRedirectingConstructor unimplemented"));
     }
-    get isFactoryConstructor() {
-      return dart.throw(new core.UnimplementedError("MethodMirror.isFactoryConstructor unimplemented"));
+    get location() {
+      return dart.throw(new core.UnimplementedError("MethodMirror.location unimplemented"));
     }
-    get isGenerativeConstructor() {
-      return dart.throw(new core.UnimplementedError("MethodMirror.isGenerativeConstructor unimplemented"));
+    get source() {
+      return dart.throw(new core.UnimplementedError("MethodMirror.source unimplemented"));
     }
-    get isGetter() {
-      return dart.throw(new core.UnimplementedError("MethodMirror.isGetter unimplemented"));
+  }
+  JsMethodMirror[dart.implements] = () => [mirrors.MethodMirror];
+  dart.defineNamedConstructor(JsMethodMirror, '_');
+  dart.setSignature(JsMethodMirror, {
+    constructors: () => ({_: [JsMethodMirror, [mirrors.DeclarationMirror, dart.dynamic, core.Symbol, dart.dynamic], {constructorName: core.Symbol, isStatic: [core.bool, dart.defaultValue(false)], isGetter: [core.bool, dart.defaultValue(false)], isSetter: [core.bool, dart.defaultValue(false)], isSynthetic: [core.bool, dart.defaultValue(false)], isTopLevel: [core.bool, dart.defaultValue(false)]}]}),
+    fields: () => ({[_params]: core.List$(mirrors.ParameterMirror)}),
+    getters: () => ({
+      owner: mirrors.DeclarationMirror,
+      [_name]: dart.dynamic,
+      simpleName: core.Symbol,
+      constructorName: core.Symbol,
+      [_type]: dart.dynamic,
+      isStatic: core.bool,
+      isGetter: core.bool,
+      isSetter: core.bool,
+      isConstructor: core.bool,
+      isSynthetic: core.bool,
+      isTopLevel: core.bool,
+      qualifiedName: core.Symbol,
+      parameters: core.List$(mirrors.ParameterMirror),
+      returnType: mirrors.TypeMirror,
+      isRegularMethod: core.bool,
+      isOperator: core.bool,
+      isPrivate: core.bool,
+      isAbstract: core.bool,
+      isFactoryConstructor: core.bool,
+      isGenerativeConstructor: core.bool,
+      metadata: core.List$(mirrors.InstanceMirror),
+      isConstConstructor: core.bool,
+      isRedirectingConstructor: core.bool,
+      location: mirrors.SourceLocation,
+      source: core.String
+    }),
+    methods: () => ({[_createParameterMirrorList]: [core.List$(mirrors.ParameterMirror), [dart.dynamic]]})
+  });
+  class JsMirrorSystem extends core.Object {
+    _() {
     }
-    get isOperator() {
-      return dart.throw(new core.UnimplementedError("MethodMirror.isOperator unimplemented"));
+    get libraries() {
+      let libraries = core.Map$(core.Uri, mirrors.LibraryMirror).new();
+      for (let library of _loadedLibraries()) {
+        libraries.set(library.uri, library);
+      }
+      return libraries;
     }
-    get isPrivate() {
-      return dart.throw(new core.UnimplementedError("MethodMirror.isPrivate unimplemented"));
+    findLibrary(libraryName) {
+      return this.libraries.values[dartx.singleWhere](dart.fn(library => dart.equals(dart.dload(library, 'simpleName'), libraryName), core.bool, [dart.dynamic]));
     }
-    get isRedirectingConstructor() {
-      return dart.throw(new core.UnimplementedError("MethodMirror.isRedirectingConstructor unimplemented"));
+    get dynamicType() {
+      return reflectType(dart.as(exports._dart.dynamic, core.Type));
     }
-    get isRegularMethod() {
-      return dart.throw(new core.UnimplementedError("MethodMirror.isRegularMethod unimplemented"));
+    get voidType() {
+      return reflectType(dart.as(exports._dart.void, core.Type));
     }
-    get isSetter() {
-      return dart.throw(new core.UnimplementedError("MethodMirror.isSetter unimplemented"));
+    get isolate() {
+      return dart.throw(new core.UnimplementedError("MirrorSystem.isolate unimplemented"));
     }
-    get isStatic() {
-      return dart.throw(new core.UnimplementedError("MethodMirror.isStatic unimplemented"));
+  }
+  JsMirrorSystem[dart.implements] = () => [mirrors.MirrorSystem];
+  dart.defineNamedConstructor(JsMirrorSystem, '_');
+  dart.setSignature(JsMirrorSystem, {
+    constructors: () => ({_: [JsMirrorSystem, []]}),
+    getters: () => ({
+      libraries: core.Map$(core.Uri, mirrors.LibraryMirror),
+      dynamicType: mirrors.TypeMirror,
+      voidType: mirrors.TypeMirror,
+      isolate: mirrors.IsolateMirror
+    }),
+    methods: () => ({findLibrary: [mirrors.LibraryMirror, [core.Symbol]]})
+  });
+  let _imports = Symbol('_imports');
+  let _importedExports = Symbol('_importedExports');
+  let _isReexported = Symbol('_isReexported');
+  let _isGenericClass = Symbol('_isGenericClass');
+  class JsLibraryMirror extends core.Object {
+    _(library) {
+      this[_name] = library.name;
+      this[_exports] = library.exports;
+      this[_imports] = library.imports.concat(library.lazyImports);
+      this[_declarations] = null;
     }
-    get isSynthetic() {
-      return dart.throw(new core.UnimplementedError("MethodMirror.isSynthetic unimplemented"));
+    get simpleName() {
+      return new _internal.Symbol.unvalidated(this[_name][dartx.replaceAll]('/', '.'));
+    }
+    get qualifiedName() {
+      return this.simpleName;
+    }
+    get uri() {
+      return _libraryUri(this[_name]);
+    }
+    get owner() {
+      return null;
+    }
+    get isPrivate() {
+      return false;
     }
     get isTopLevel() {
-      return dart.throw(new core.UnimplementedError("MethodMirror.isTopLevel unimplemented"));
+      return false;
+    }
+    get declarations() {
+      if (this[_declarations] == null)
+        this[_declarations] = this[_loadDeclarations]();
+      return this[_declarations];
+    }
+    [_loadDeclarations]() {
+      let declarations = core.Map$(core.Symbol, mirrors.DeclarationMirror).new();
+      let imported = this[_importedExports];
+      for (let name of Object.getOwnPropertyNames(this[_exports])) {
+        if (dart.notNull(this[_isReexported](dart.as(name, core.String), imported)))
+          continue;
+        let property = _ownProperty(this[_exports], dart.as(name, core.String));
+        let value = property.value;
+        let mirror = null;
+        if (property.get !== void 0) {
+          mirror = new JsVariableMirror._(this, dart.as(name, core.String), exports._dart.dynamic, {isFinal: property.set === void 0, isTopLevel: true});
+        } else if (dart.notNull(_isType(value))) {
+          mirror = reflectType(dart.as(value, core.Type));
+        } else if (typeof value == "function") {
+          if (dart.notNull(this[_isGenericClass](dart.as(name, core.String), value)))
+            continue;
+          mirror = new JsMethodMirror._(this, dart.as(name, core.String), core.Symbol.new(dart.as(name, core.String)), exports._dart.realRuntimeType(value), {isStatic: true, isTopLevel: true});
+        } else {
+          mirror = new JsVariableMirror._(this, dart.as(name, core.String), exports._dart.dynamic, {isFinal: false, isTopLevel: true});
+        }
+        declarations.set(mirror.simpleName, mirror);
+      }
+      return declarations;
+    }
+    [_isGenericClass](name, value) {
+      if (!dart.notNull(name[dartx.endsWith]('$')))
+        return false;
+      let cls = this[_exports][name[dartx.substring](0, dart.notNull(name[dartx.length]) - 1)];
+      return cls != null && core.identical(exports._dart.getGenericClass(cls), value);
+    }
+    get [_importedExports]() {
+      return this.libraryDependencies[dartx.map](dart.fn(dependency => dart.as(dependency.targetLibrary, JsLibraryMirror)[_exports], dart.dynamic, [mirrors.LibraryDependencyMirror]))[dartx.toList]();
+    }
+    [_isReexported](name, imported) {
+      let property = _ownProperty(this[_exports], name);
+      for (let library of imported) {
+        let other = _ownProperty(library, name);
+        if (other != null && property.value === other.value && property.get === other.get) {
+          return true;
+        }
+      }
+      return false;
+    }
+    [_declares](name, value) {
+      let property = _ownProperty(this[_exports], name);
+      return property != null && core.identical(property.value, value) && !dart.notNull(this[_isReexported](name, this[_importedExports]));
+    }
+    get libraryDependencies() {
+      let dependencies = dart.list([], mirrors.LibraryDependencyMirror);
+      for (let library of _loadedLibraries()) {
+        if (dart.notNull(this[_imports][dartx.contains](library[_name]))) {
+          dependencies[dartx.add](new JsLibraryDependencyMirror._(this, library));
+        }
+      }
+      return dependencies;
+    }
+    getField(fieldName) {
+      return _getField(this[_exports], getName(fieldName));
+    }
+    setField(fieldName, value) {
+      return _setField(this[_exports], getName(fieldName), value);
+    }
+    invoke(memberName, positionalArguments, namedArguments) {
+      if (namedArguments === void 0)
+        namedArguments = null;
+      return _invoke(this[_exports], getName(memberName), positionalArguments, namedArguments);
+    }
+    ['=='](other) {
+      return dart.is(other, JsLibraryMirror) && this[_name] == other[_name];
+    }
+    get hashCode() {
+      return dart.hashCode(this[_name]);
     }
     get location() {
-      return dart.throw(new core.UnimplementedError("MethodMirror.location unimplemented"));
+      return dart.throw(new core.UnimplementedError("LibraryMirror.location unimplemented"));
     }
     get metadata() {
-      return dart.throw(new core.UnimplementedError("MethodMirror.metadata unimplemented"));
+      return dart.throw(new core.UnimplementedError("LibraryMirror.metadata unimplemented"));
     }
-    get owner() {
-      return dart.throw(new core.UnimplementedError("MethodMirror.owner unimplemented"));
+  }
+  JsLibraryMirror[dart.implements] = () => [mirrors.LibraryMirror];
+  dart.defineNamedConstructor(JsLibraryMirror, '_');
+  dart.setSignature(JsLibraryMirror, {
+    constructors: () => ({_: [JsLibraryMirror, [dart.dynamic]]}),
+    fields: () => ({[_declarations]: core.Map$(core.Symbol, mirrors.DeclarationMirror)}),
+    getters: () => ({
+      [_name]: core.String,
+      [_exports]: dart.dynamic,
+      [_imports]: core.List,
+      simpleName: core.Symbol,
+      qualifiedName: core.Symbol,
+      uri: core.Uri,
+      owner: mirrors.DeclarationMirror,
+      isPrivate: core.bool,
+      isTopLevel: core.bool,
+      declarations: core.Map$(core.Symbol, mirrors.DeclarationMirror),
+      [_importedExports]: core.List,
+      libraryDependencies: core.List$(mirrors.LibraryDependencyMirror),
+      hashCode: core.int,
+      location: mirrors.SourceLocation,
+      metadata: core.List$(mirrors.InstanceMirror)
+    }),
+    methods: () => ({
+      [_loadDeclarations]: [core.Map$(core.Symbol, mirrors.DeclarationMirror), []],
+      [_isGenericClass]: [core.bool, [core.String, dart.dynamic]],
+      [_isReexported]: [core.bool, [core.String, core.List]],
+      [_declares]: [core.bool, [core.String, dart.dynamic]],
+      getField: [mirrors.InstanceMirror, [core.Symbol]],
+      setField: [mirrors.InstanceMirror, [core.Symbol, core.Object]],
+      invoke: [mirrors.InstanceMirror, [core.Symbol, core.List], [core.Map$(core.Symbol, dart.dynamic)]],
+      '==': [core.bool, [dart.dynamic]]
+    })
+  });
+  class JsLibraryDependencyMirror extends core.Object {
+    _(sourceLibrary, targetLibrary) {
+      this.sourceLibrary = sourceLibrary;
+      this.targetLibrary = targetLibrary;
     }
-    get qualifiedName() {
-      return dart.throw(new core.UnimplementedError("MethodMirror.qualifiedName unimplemented"));
+    get isImport() {
+      return true;
     }
-    get returnType() {
-      return dart.throw(new core.UnimplementedError("MethodMirror.returnType unimplemented"));
+    get isExport() {
+      return false;
     }
-    get simpleName() {
-      return dart.throw(new core.UnimplementedError("MethodMirror.simpleName unimplemented"));
+    get prefix() {
+      return null;
     }
-    get source() {
-      return dart.throw(new core.UnimplementedError("MethodMirror.source unimplemented"));
+    get combinators() {
+      return dart.const(dart.list([], mirrors.CombinatorMirror));
+    }
+    get metadata() {
+      return dart.const(dart.list([], mirrors.InstanceMirror));
+    }
+    get location() {
+      return dart.throw(new core.UnimplementedError("LibraryDependencyMirror.location unimplemented"));
     }
   }
-  JsMethodMirror[dart.implements] = () => [mirrors.MethodMirror];
-  dart.defineNamedConstructor(JsMethodMirror, '_');
-  dart.setSignature(JsMethodMirror, {
-    constructors: () => ({_: [JsMethodMirror, [JsClassMirror, dart.dynamic]]}),
-    methods: () => ({[_createParameterMirrorList]: [core.List$(mirrors.ParameterMirror), [dart.dynamic]]})
+  JsLibraryDependencyMirror[dart.implements] = () => [mirrors.LibraryDependencyMirror];
+  dart.defineNamedConstructor(JsLibraryDependencyMirror, '_');
+  dart.setSignature(JsLibraryDependencyMirror, {
+    constructors: () => ({_: [JsLibraryDependencyMirror, [mirrors.LibraryMirror, mirrors.LibraryMirror]]}),
+    getters: () => ({
+      sourceLibrary: mirrors.LibraryMirror,
+      targetLibrary: mirrors.LibraryMirror,
+      isImport: core.bool,
+      isExport: core.bool,
+      prefix: core.Symbol,
+      combinators: core.List$(mirrors.CombinatorMirror),
+      metadata: core.List$(mirrors.InstanceMirror),
+      location: mirrors.SourceLocation
+    })
   });
   // Exports:
   exports.getName = getName;
@@ -446,6 +1088,10 @@ dart_library.library('dart/_js_mirrors', null, /* Imports */[
   exports.JsInstanceMirror = JsInstanceMirror;
   exports.JsClassMirror = JsClassMirror;
   exports.JsTypeMirror = JsTypeMirror;
+  exports.JsVariableMirror = JsVariableMirror;
   exports.JsParameterMirror = JsParameterMirror;
   exports.JsMethodMirror = JsMethodMirror;
+  exports.JsMirrorSystem = JsMirrorSystem;
+  exports.JsLibraryMirror = JsLibraryMirror;
+  exports.JsLibraryDependencyMirror = JsLibraryDependencyMirror;
 });
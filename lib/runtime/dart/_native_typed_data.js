@@ -126,6 +126,10 @@ dart_library.library('dart/_native_typed_data', null, /* Imports */[
   }
   NativeByteBuffer[dart.implements] = () => [typed_data.ByteBuffer];
   dart.setSignature(NativeByteBuffer, {
+    getters: () => ({
+      lengthInBytes: core.int,
+      runtimeType: core.Type
+    }),
     methods: () => ({
       asUint8List: [typed_data.Uint8List, [], [core.int, core.int]],
       asInt8List: [typed_data.Int8List, [], [core.int, core.int]],
@@ -248,6 +252,15 @@ dart_library.library('dart/_native_typed_data', null, /* Imports */[
       _slowFromList: [NativeFloat32x4List, [core.List$(typed_data.Float32x4)]],
       fromList: [NativeFloat32x4List, [core.List$(typed_data.Float32x4)]]
     }),
+    getters: () => ({
+      [_storage]: NativeFloat32List,
+      runtimeType: core.Type,
+      buffer: typed_data.ByteBuffer,
+      lengthInBytes: core.int,
+      offsetInBytes: core.int,
+      elementSizeInBytes: core.int,
+      length: core.int
+    }),
     methods: () => ({
       [_invalidIndex]: [dart.void, [core.int, core.int]],
       [_checkIndex]: [dart.void, [core.int, core.int]],
@@ -357,6 +370,15 @@ dart_library.library('dart/_native_typed_data', null, /* Imports */[
       _slowFromList: [NativeInt32x4List, [core.List$(typed_data.Int32x4)]],
       fromList: [NativeInt32x4List, [core.List$(typed_data.Int32x4)]]
     }),
+    getters: () => ({
+      [_storage]: typed_data.Int32List,
+      runtimeType: core.Type,
+      buffer: typed_data.ByteBuffer,
+      lengthInBytes: core.int,
+      offsetInBytes: core.int,
+      elementSizeInBytes: core.int,
+      length: core.int
+    }),
     methods: () => ({
       [_invalidIndex]: [dart.void, [core.int, core.int]],
       [_checkIndex]: [dart.void, [core.int, core.int]],
@@ -460,6 +482,15 @@ dart_library.library('dart/_native_typed_data', null, /* Imports */[
       _slowFromList: [NativeFloat64x2List, [core.List$(typed_data.Float64x2)]],
       fromList: [NativeFloat64x2List, [core.List$(typed_data.Float64x2)]]
     }),
+    getters: () => ({
+      [_storage]: NativeFloat64List,
+      runtimeType: core.Type,
+      buffer: typed_data.ByteBuffer,
+      lengthInBytes: core.int,
+      offsetInBytes: core.int,
+      elementSizeInBytes: core.int,
+      length: core.int
+    }),
     methods: () => ({
       [_invalidIndex]: [dart.void, [core.int, core.int]],
       [_checkIndex]: [dart.void, [core.int, core.int]],
@@ -500,6 +531,12 @@ dart_library.library('dart/_native_typed_data', null, /* Imports */[
   }
   NativeTypedData[dart.implements] = () => [typed_data.TypedData];
   dart.setSignature(NativeTypedData, {
+    getters: () => ({
+      buffer: typed_data.ByteBuffer,
+      lengthInBytes: core.int,
+      offsetInBytes: core.int,
+      elementSizeInBytes: core.int
+    }),
     methods: () => ({
       [_invalidIndex]: [dart.void, [core.int, core.int]],
       [_checkIndex]: [dart.void, [core.int, core.int]],
@@ -657,6 +694,10 @@ dart_library.library('dart/_native_typed_data', null, /* Imports */[
       new: [NativeByteData, [core.int]],
       view: [NativeByteData, [typed_data.ByteBuffer, core.int, core.int]]
     }),
+    getters: () => ({
+      runtimeType: core.Type,
+      elementSizeInBytes: core.int
+    }),
     methods: () => ({
       getFloat32: [core.double, [core.int], [typed_data.Endianness]],
       [_getFloat32]: [core.double, [core.int], [core.bool]],
@@ -748,6 +789,7 @@ dart_library.library('dart/_native_typed_data', null, /* Imports */[
     }
   }
   dart.setSignature(NativeTypedArrayOfDouble, {
+    getters: () => ({length: core.int}),
     methods: () => ({
       get: [core.double, [core.int]],
       set: [dart.void, [core.int, core.num]],
@@ -776,6 +818,7 @@ dart_library.library('dart/_native_typed_data', null, /* Imports */[
   }
   NativeTypedArrayOfInt[dart.implements] = () => [core.List$(core.int)];
   dart.setSignature(NativeTypedArrayOfInt, {
+    getters: () => ({length: core.int}),
     methods: () => ({
       set: [dart.void, [core.int, core.int]],
       setRange: [dart.void, [core.int, core.int, core.Iterable$(core.int)], [core.int]]
@@ -820,6 +863,7 @@ dart_library.library('dart/_native_typed_data', null, /* Imports */[
       fromList: [NativeFloat32List, [core.List$(core.double)]],
       view: [NativeFloat32List, [typed_data.ByteBuffer, core.int, core.int]]
     }),
+    getters: () => ({runtimeType: core.Type}),
     methods: () => ({sublist: [core.List$(core.double), [core.int], [core.int]]}),
     statics: () => ({
       _create1: [NativeFloat32List, [dart.dynamic]],
@@ -868,6 +912,7 @@ dart_library.library('dart/_native_typed_data', null, /* Imports */[
       fromList: [NativeFloat64List, [core.List$(core.double)]],
       view: [NativeFloat64List, [typed_data.ByteBuffer, core.int, core.int]]
     }),
+    getters: () => ({runtimeType: core.Type}),
     methods: () => ({sublist: [core.List$(core.double), [core.int], [core.int]]}),
     statics: () => ({
       _create1: [NativeFloat64List, [dart.dynamic]],
@@ -920,6 +965,7 @@ dart_library.library('dart/_native_typed_data', null, /* Imports */[
       fromList: [NativeInt16List, [core.List$(core.int)]],
       view: [NativeInt16List, [NativeByteBuffer, core.int, core.int]]
     }),
+    getters: () => ({runtimeType: core.Type}),
     methods: () => ({
       get: [core.int, [core.int]],
       sublist: [core.List$(core.int), [core.int], [core.int]]
@@ -975,6 +1021,7 @@ dart_library.library('dart/_native_typed_data', null, /* Imports */[
       fromList: [NativeInt32List, [core.List$(core.int)]],
       view: [NativeInt32List, [typed_data.ByteBuffer, core.int, core.int]]
     }),
+    getters: () => ({runtimeType: core.Type}),
     methods: () => ({
       get: [core.int, [core.int]],
       sublist: [core.List$(core.int), [core.int], [core.int]]
@@ -1030,6 +1077,7 @@ dart_library.library('dart/_native_typed_data', null, /* Imports */[
       fromList: [NativeInt8List, [core.List$(core.int)]],
       view: [NativeInt8List, [typed_data.ByteBuffer, core.int, core.int]]
     }),
+    getters: () => ({runtimeType: core.Type}),
     methods: () => ({
       get: [core.int, [core.int]],
       sublist: [core.List$(core.int), [core.int], [core.int]]
@@ -1085,6 +1133,7 @@ dart_library.library('dart/_native_typed_data', null, /* Imports */[
       fromList: [NativeUint16List, [core.List$(core.int)]],
       view: [NativeUint16List, [typed_data.ByteBuffer, core.int, core.int]]
     }),
+    getters: () => ({runtimeType: core.Type}),
     methods: () => ({
       get: [core.int, [core.int]],
       sublist: [core.List$(core.int), [core.int], [core.int]]
@@ -1140,6 +1189,7 @@ dart_library.library('dart/_native_typed_data', null, /* Imports */[
       fromList: [NativeUint32List, [core.List$(core.int)]],
       view: [NativeUint32List, [typed_data.ByteBuffer, core.int, core.int]]
     }),
+    getters: () => ({runtimeType: core.Type}),
     methods: () => ({
       get: [core.int, [core.int]],
       sublist: [core.List$(core.int), [core.int], [core.int]]
@@ -1198,6 +1248,10 @@ dart_library.library('dart/_native_typed_data', null, /* Imports */[
       fromList: [NativeUint8ClampedList, [core.List$(core.int)]],
       view: [NativeUint8ClampedList, [typed_data.ByteBuffer, core.int, core.int]]
     }),
+    getters: () => ({
+      runtimeType: core.Type,
+      length: core.int
+    }),
     methods: () => ({
       get: [core.int, [core.int]],
       sublist: [core.List$(core.int), [core.int], [core.int]]
@@ -1256,6 +1310,10 @@ dart_library.library('dart/_native_typed_data', null, /* Imports */[
       fromList: [NativeUint8List, [core.List$(core.int)]],
       view: [NativeUint8List, [typed_data.ByteBuffer, core.int, core.int]]
     }),
+    getters: () => ({
+      runtimeType: core.Type,
+      length: core.int
+    }),
     methods: () => ({
       get: [core.int, [core.int]],
       sublist: [core.List$(core.int), [core.int], [core.int]]
@@ -1538,6 +1596,13 @@ dart_library.library('dart/_native_typed_data', null, /* Imports */[
       _doubles: [NativeFloat32x4, [core.double, core.double, core.double, core.double]],
       _truncated: [NativeFloat32x4, [core.double, core.double, core.double, core.double]]
     }),
+    getters: () => ({
+      x: core.double,
+      y: core.double,
+      z: core.double,
+      w: core.double,
+      signMask: core.int
+    }),
     methods: () => ({
       '+': [typed_data.Float32x4, [typed_data.Float32x4]],
       'unary-': [typed_data.Float32x4, []],
@@ -1760,6 +1825,17 @@ dart_library.library('dart/_native_typed_data', null, /* Imports */[
       fromFloat32x4Bits: [NativeInt32x4, [typed_data.Float32x4]],
       _truncated: [NativeInt32x4, [core.int, core.int, core.int, core.int]]
     }),
+    getters: () => ({
+      x: core.int,
+      y: core.int,
+      z: core.int,
+      w: core.int,
+      signMask: core.int,
+      flagX: core.bool,
+      flagY: core.bool,
+      flagZ: core.bool,
+      flagW: core.bool
+    }),
     methods: () => ({
       '|': [typed_data.Int32x4, [typed_data.Int32x4]],
       '&': [typed_data.Int32x4, [typed_data.Int32x4]],
@@ -1887,6 +1963,11 @@ dart_library.library('dart/_native_typed_data', null, /* Imports */[
       fromFloat32x4: [NativeFloat64x2, [typed_data.Float32x4]],
       _doubles: [NativeFloat64x2, [core.double, core.double]]
     }),
+    getters: () => ({
+      x: core.double,
+      y: core.double,
+      signMask: core.int
+    }),
     methods: () => ({
       '+': [typed_data.Float64x2, [typed_data.Float64x2]],
       'unary-': [typed_data.Float64x2, []],
@@ -35,7 +35,11 @@ dart_library.library('dart/async', null, /* Imports */[
   }
   AsyncError[dart.implements] = () => [core.Error];
   dart.setSignature(AsyncError, {
-    constructors: () => ({AsyncError: [AsyncError, [dart.dynamic, core.StackTrace]]})
+    constructors: () => ({AsyncError: [AsyncError, [dart.dynamic, core.StackTrace]]}),
+    getters: () => ({
+      error: dart.dynamic,
+      stackTrace: core.StackTrace
+    })
   });
   class _UncaughtAsyncError extends AsyncError {
     _UncaughtAsyncError(error, stackTrace) {
@@ -179,7 +183,7 @@ dart_library.library('dart/async', null, /* Imports */[
 
             if (dart.is(newValue, Future)) {
               subscription.pause();
-              dart.dsend(dart.dsend(newValue, 'then', add, {onError: addError}), 'whenComplete', dart.bind(subscription, 'resume'));
+              dart.dsend(dart.dsend(newValue, 'then', add, dart.namedArgs({onError: addError})), 'whenComplete', dart.bind(subscription, 'resume'));
             } else {
               controller.add(newValue);
             }
@@ -728,6 +732,14 @@ dart_library.library('dart/async', null, /* Imports */[
         periodic: [Stream$(T), [core.Duration], [dart.functionType(T, [core.int])]],
         eventTransformed: [Stream$(T), [Stream$(), dart.functionType(EventSink, [EventSink$(T)])]]
       }),
+      getters: () => ({
+        isBroadcast: core.bool,
+        length: Future$(core.int),
+        isEmpty: Future$(core.bool),
+        first: Future$(T),
+        last: Future$(T),
+        single: Future$(T)
+      }),
       methods: () => ({
         asBroadcastStream: [Stream$(T), [], {onListen: dart.functionType(dart.void, [StreamSubscription$(T)]), onCancel: dart.functionType(dart.void, [StreamSubscription$(T)])}],
         where: [Stream$(T), [dart.functionType(core.bool, [T])]],
@@ -824,6 +836,8 @@ dart_library.library('dart/async', null, /* Imports */[
     }
     dart.setSignature(_ControllerStream, {
       constructors: () => ({_ControllerStream: [_ControllerStream$(T), [_StreamControllerLifecycle$(T)]]}),
+      fields: () => ({[_controller]: _StreamControllerLifecycle$(T)}),
+      getters: () => ({hashCode: core.int}),
       methods: () => ({
         [_createSubscription]: [StreamSubscription$(T), [dart.functionType(dart.void, [T]), core.Function, dart.functionType(dart.void, []), core.bool]],
         '==': [core.bool, [core.Object]]
@@ -842,7 +856,8 @@ dart_library.library('dart/async', null, /* Imports */[
       }
     }
     dart.setSignature(_BroadcastStream, {
-      constructors: () => ({_BroadcastStream: [_BroadcastStream$(T), [_StreamControllerLifecycle]]})
+      constructors: () => ({_BroadcastStream: [_BroadcastStream$(T), [_StreamControllerLifecycle]]}),
+      getters: () => ({isBroadcast: core.bool})
     });
     return _BroadcastStream;
   });
@@ -855,6 +870,12 @@ dart_library.library('dart/async', null, /* Imports */[
       this[_previous] = null;
     }
   }
+  dart.setSignature(_BroadcastSubscriptionLink, {
+    fields: () => ({
+      [_next]: _BroadcastSubscriptionLink,
+      [_previous]: _BroadcastSubscriptionLink
+    })
+  });
   let _zone = Symbol('_zone');
   let _state = Symbol('_state');
   let _onData = Symbol('_onData');
@@ -1190,6 +1211,28 @@ dart_library.library('dart/async', null, /* Imports */[
     _BufferingStreamSubscription[dart.implements] = () => [StreamSubscription$(T), _EventSink$(T), _EventDispatch$(T)];
     dart.setSignature(_BufferingStreamSubscription, {
       constructors: () => ({_BufferingStreamSubscription: [_BufferingStreamSubscription$(T), [dart.functionType(dart.void, [T]), core.Function, dart.functionType(dart.void, []), core.bool]]}),
+      fields: () => ({
+        [_onData]: _DataHandler$(T),
+        [_onError]: core.Function,
+        [_onDone]: _DoneHandler,
+        [_state]: core.int,
+        [_cancelFuture]: Future,
+        [_pending]: _PendingEvents
+      }),
+      getters: () => ({
+        [_zone]: Zone,
+        [_isInputPaused]: core.bool,
+        [_isClosed]: core.bool,
+        [_isCanceled]: core.bool,
+        [_waitsForCancel]: core.bool,
+        [_inCallback]: core.bool,
+        [_hasPending]: core.bool,
+        [_isPaused]: core.bool,
+        [_canFire]: core.bool,
+        [_mayResumeInput]: core.bool,
+        [_cancelOnError]: core.bool,
+        isPaused: core.bool
+      }),
       methods: () => ({
         [_setPendingEvents]: [dart.void, [_PendingEvents]],
         [_extractPending]: [_PendingEvents, []],
@@ -1240,7 +1283,8 @@ dart_library.library('dart/async', null, /* Imports */[
       }
     }
     dart.setSignature(_ControllerSubscription, {
-      constructors: () => ({_ControllerSubscription: [_ControllerSubscription$(T), [_StreamControllerLifecycle$(T), dart.functionType(dart.void, [T]), core.Function, dart.functionType(dart.void, []), core.bool]]})
+      constructors: () => ({_ControllerSubscription: [_ControllerSubscription$(T), [_StreamControllerLifecycle$(T), dart.functionType(dart.void, [T]), core.Function, dart.functionType(dart.void, []), core.bool]]}),
+      getters: () => ({[_controller]: _StreamControllerLifecycle$(T)})
     });
     return _ControllerSubscription;
   });
@@ -1285,6 +1329,16 @@ dart_library.library('dart/async', null, /* Imports */[
     _BroadcastSubscription[dart.implements] = () => [_BroadcastSubscriptionLink];
     dart.setSignature(_BroadcastSubscription, {
       constructors: () => ({_BroadcastSubscription: [_BroadcastSubscription$(T), [_StreamControllerLifecycle, dart.functionType(dart.void, [T]), core.Function, dart.functionType(dart.void, []), core.bool]]}),
+      fields: () => ({
+        [_eventState]: core.int,
+        [_next]: _BroadcastSubscriptionLink,
+        [_previous]: _BroadcastSubscriptionLink
+      }),
+      getters: () => ({
+        [_controller]: _BroadcastStreamController$(T),
+        [_isFiring]: core.bool,
+        [_removeAfterFiring]: core.bool
+      }),
       methods: () => ({
         [_expectsEvent]: [core.bool, [core.int]],
         [_toggleEventId]: [dart.void, []],
@@ -1521,6 +1575,28 @@ dart_library.library('dart/async', null, /* Imports */[
     _BroadcastStreamController[dart.implements] = () => [StreamController$(T), _StreamControllerLifecycle$(T), _BroadcastSubscriptionLink, _EventSink$(T), _EventDispatch$(T)];
     dart.setSignature(_BroadcastStreamController, {
       constructors: () => ({_BroadcastStreamController: [_BroadcastStreamController$(T), [_NotificationHandler, _NotificationHandler]]}),
+      fields: () => ({
+        [_state]: core.int,
+        [_next]: _BroadcastSubscriptionLink,
+        [_previous]: _BroadcastSubscriptionLink,
+        [_addStreamState]: _AddStreamState$(T),
+        [_doneFuture]: _Future
+      }),
+      getters: () => ({
+        [_onListen]: _NotificationHandler,
+        [_onCancel]: _NotificationHandler,
+        stream: Stream$(T),
+        sink: StreamSink$(T),
+        isClosed: core.bool,
+        isPaused: core.bool,
+        hasListener: core.bool,
+        [_hasOneListener]: core.bool,
+        [_isFiring]: core.bool,
+        [_isAddingStream]: core.bool,
+        [_mayAddEvent]: core.bool,
+        [_isEmpty]: core.bool,
+        done: Future
+      }),
       methods: () => ({
         [_ensureDoneFuture]: [_Future, []],
         [_addListener]: [dart.void, [_BroadcastSubscription$(T)]],
@@ -1709,6 +1785,8 @@ dart_library.library('dart/async', null, /* Imports */[
     _AsBroadcastStreamController[dart.implements] = () => [_EventDispatch$(T)];
     dart.setSignature(_AsBroadcastStreamController, {
       constructors: () => ({_AsBroadcastStreamController: [_AsBroadcastStreamController$(T), [dart.functionType(dart.void, []), dart.functionType(dart.void, [])]]}),
+      fields: () => ({[_pending]: _StreamImplEvents}),
+      getters: () => ({[_hasPending]: core.bool}),
       methods: () => ({
         [_addPendingEvent]: [dart.void, [_DelayedEvent]],
         add: [dart.void, [T]]
@@ -1760,6 +1838,8 @@ dart_library.library('dart/async', null, /* Imports */[
     }
     _DoneSubscription[dart.implements] = () => [StreamSubscription$(T)];
     dart.setSignature(_DoneSubscription, {
+      fields: () => ({[_pauseCount]: core.int}),
+      getters: () => ({isPaused: core.bool}),
       methods: () => ({
         onData: [dart.void, [dart.functionType(dart.void, [T])]],
         onError: [dart.void, [core.Function]],
@@ -1791,6 +1871,10 @@ dart_library.library('dart/async', null, /* Imports */[
   }
   dart.setSignature(DeferredLibrary, {
     constructors: () => ({DeferredLibrary: [DeferredLibrary, [core.String], {uri: core.String}]}),
+    getters: () => ({
+      libraryName: core.String,
+      uri: core.String
+    }),
     methods: () => ({load: [Future$(core.Null), []]})
   });
   DeferredLibrary[dart.metadata] = () => [dart.const(new core.Deprecated("Dart sdk v. 1.8"))];
@@ -1805,7 +1889,8 @@ dart_library.library('dart/async', null, /* Imports */[
   }
   DeferredLoadException[dart.implements] = () => [core.Exception];
   dart.setSignature(DeferredLoadException, {
-    constructors: () => ({DeferredLoadException: [DeferredLoadException, [core.String]]})
+    constructors: () => ({DeferredLoadException: [DeferredLoadException, [core.String]]}),
+    getters: () => ({[_s]: core.String})
   });
   let _completeWithValue = Symbol('_completeWithValue');
   let Future$ = dart.generic(function(T) {
@@ -2006,7 +2091,11 @@ dart_library.library('dart/async', null, /* Imports */[
   }
   TimeoutException[dart.implements] = () => [core.Exception];
   dart.setSignature(TimeoutException, {
-    constructors: () => ({TimeoutException: [TimeoutException, [core.String], [core.Duration]]})
+    constructors: () => ({TimeoutException: [TimeoutException, [core.String], [core.Duration]]}),
+    getters: () => ({
+      message: core.String,
+      duration: core.Duration
+    })
   });
   let Completer$ = dart.generic(function(T) {
     class Completer extends core.Object {
@@ -2071,6 +2160,10 @@ dart_library.library('dart/async', null, /* Imports */[
     }
     _Completer[dart.implements] = () => [Completer$(T)];
     dart.setSignature(_Completer, {
+      getters: () => ({
+        future: _Future$(T),
+        isCompleted: core.bool
+      }),
       methods: () => ({completeError: [dart.void, [core.Object], [core.StackTrace]]})
     });
     return _Completer;
@@ -2201,6 +2294,22 @@ dart_library.library('dart/async', null, /* Imports */[
       catchError: [_FutureListener, [_Future, core.Function, _FutureErrorTest]],
       whenComplete: [_FutureListener, [_Future, _FutureAction]],
       chain: [_FutureListener, [_Future]]
+    }),
+    fields: () => ({[_nextListener]: _FutureListener}),
+    getters: () => ({
+      result: _Future,
+      state: core.int,
+      callback: core.Function,
+      errorCallback: core.Function,
+      [_zone]: Zone,
+      handlesValue: core.bool,
+      handlesError: core.bool,
+      hasErrorTest: core.bool,
+      handlesComplete: core.bool,
+      [_onValue]: _FutureOnValue,
+      [_onError]: core.Function,
+      [_errorTest]: _FutureErrorTest,
+      [_whenCompleteAction]: _FutureAction
     })
   });
   _FutureListener.MASK_VALUE = 1;
@@ -2231,11 +2340,13 @@ dart_library.library('dart/async', null, /* Imports */[
         this[_zone] = Zone.current;
         this[_state] = _Future$()._INCOMPLETE;
         this[_resultOrListeners] = null;
+        dart.thenable(this);
       }
       immediate(value) {
         this[_zone] = Zone.current;
         this[_state] = _Future$()._INCOMPLETE;
         this[_resultOrListeners] = null;
+        dart.thenable(this);
         this[_asyncComplete](value);
       }
       immediateError(error, stackTrace) {
@@ -2244,6 +2355,7 @@ dart_library.library('dart/async', null, /* Imports */[
         this[_zone] = Zone.current;
         this[_state] = _Future$()._INCOMPLETE;
         this[_resultOrListeners] = null;
+        dart.thenable(this);
         this[_asyncCompleteError](error, stackTrace);
       }
       get [_mayComplete]() {
@@ -2549,7 +2661,7 @@ dart_library.library('dart/async', null, /* Imports */[
                 isPropagationAborted = true;
                 dart.dsend(completeResult, 'then', dart.fn(ignored => {
                   _Future$()._propagateToListeners(source, new _FutureListener.chain(result));
-                }), {onError: dart.fn((error, stackTrace) => {
+                }), dart.namedArgs({onError: dart.fn((error, stackTrace) => {
                     if (stackTrace === void 0)
                       stackTrace = null;
                     if (!dart.is(completeResult, _Future$())) {
@@ -2557,7 +2669,7 @@ dart_library.library('dart/async', null, /* Imports */[
                       dart.dsend(completeResult, _setError, error, stackTrace);
                     }
                     _Future$()._propagateToListeners(dart.as(completeResult, _Future$()), new _FutureListener.chain(result));
-                  }, dart.dynamic, [dart.dynamic], [dart.dynamic])});
+                  }, dart.dynamic, [dart.dynamic], [dart.dynamic])}));
               }
             }
             dart.fn(handleWhenCompleteCallback, dart.void, []);
@@ -2652,6 +2764,21 @@ dart_library.library('dart/async', null, /* Imports */[
         immediate: [_Future$(T), [dart.dynamic]],
         immediateError: [_Future$(T), [dart.dynamic], [core.StackTrace]]
       }),
+      fields: () => ({
+        [_state]: core.int,
+        [_resultOrListeners]: dart.dynamic
+      }),
+      getters: () => ({
+        [_zone]: Zone,
+        [_mayComplete]: core.bool,
+        [_isChained]: core.bool,
+        [_isComplete]: core.bool,
+        [_hasValue]: core.bool,
+        [_hasError]: core.bool,
+        [_value]: T,
+        [_error]: AsyncError
+      }),
+      setters: () => ({[_isChained]: core.bool}),
       methods: () => ({
         then: [Future, [dart.functionType(dart.dynamic, [T])], {onError: core.Function}],
         catchError: [Future, [core.Function], {test: dart.functionType(core.bool, [dart.dynamic])}],
@@ -2700,7 +2827,9 @@ dart_library.library('dart/async', null, /* Imports */[
     }
   }
   dart.setSignature(_AsyncCallbackEntry, {
-    constructors: () => ({_AsyncCallbackEntry: [_AsyncCallbackEntry, [_AsyncCallback]]})
+    constructors: () => ({_AsyncCallbackEntry: [_AsyncCallbackEntry, [_AsyncCallback]]}),
+    fields: () => ({next: _AsyncCallbackEntry}),
+    getters: () => ({callback: _AsyncCallback})
   });
   exports._nextCallback = null;
   exports._lastCallback = null;
@@ -2773,12 +2902,12 @@ dart_library.library('dart/async', null, /* Imports */[
       dart.dcall(_AsyncRun.scheduleImmediateClosure, callback);
     }
     static _initializeScheduleImmediate() {
-      if (self.scheduleImmediate != null) {
+      if (dart.global.scheduleImmediate != null) {
         return _AsyncRun._scheduleImmediateJsOverride;
       }
-      if (self.MutationObserver != null && self.document != null) {
-        let div = self.document.createElement("div");
-        let span = self.document.createElement("span");
+      if (dart.global.MutationObserver != null && dart.global.document != null) {
+        let div = dart.global.document.createElement("div");
+        let span = dart.global.document.createElement("span");
         let storedCallback = null;
         function internalCallback(_) {
           _isolate_helper.leaveJsAsync();
@@ -2788,7 +2917,7 @@ dart_library.library('dart/async', null, /* Imports */[
         }
         dart.fn(internalCallback);
         ;
-        let observer = new self.MutationObserver(internalCallback);
+        let observer = new dart.global.MutationObserver(internalCallback);
         observer.observe(div, {childList: true});
         return dart.fn(callback => {
           dart.assert(storedCallback == null);
@@ -2796,7 +2925,7 @@ dart_library.library('dart/async', null, /* Imports */[
           storedCallback = callback;
           div.firstChild ? div.removeChild(span) : div.appendChild(span);
         }, dart.dynamic, [dart.functionType(dart.void, [])]);
-      } else if (self.setImmediate != null) {
+      } else if (dart.global.setImmediate != null) {
         return _AsyncRun._scheduleImmediateWithSetImmediate;
       }
       return _AsyncRun._scheduleImmediateWithTimer;
@@ -2809,7 +2938,7 @@ dart_library.library('dart/async', null, /* Imports */[
       dart.fn(internalCallback);
       ;
       _isolate_helper.enterJsAsync();
-      self.scheduleImmediate(internalCallback);
+      dart.global.scheduleImmediate(internalCallback);
     }
     static _scheduleImmediateWithSetImmediate(callback) {
       function internalCallback() {
@@ -2819,7 +2948,7 @@ dart_library.library('dart/async', null, /* Imports */[
       dart.fn(internalCallback);
       ;
       _isolate_helper.enterJsAsync();
-      self.setImmediate(internalCallback);
+      dart.global.setImmediate(internalCallback);
     }
     static _scheduleImmediateWithTimer(callback) {
       Timer._createTimer(core.Duration.ZERO, callback);
@@ -2879,6 +3008,8 @@ dart_library.library('dart/async', null, /* Imports */[
     }
     dart.setSignature(StreamView, {
       constructors: () => ({StreamView: [StreamView$(T), [Stream$(T)]]}),
+      fields: () => ({[_stream]: Stream$(T)}),
+      getters: () => ({isBroadcast: core.bool}),
       methods: () => ({
         asBroadcastStream: [Stream$(T), [], {onListen: dart.functionType(dart.void, [StreamSubscription$(T)]), onCancel: dart.functionType(dart.void, [StreamSubscription$(T)])}],
         listen: [StreamSubscription$(T), [dart.functionType(dart.void, [T])], {onError: core.Function, onDone: dart.functionType(dart.void, []), cancelOnError: core.bool}]
@@ -2949,6 +3080,7 @@ dart_library.library('dart/async', null, /* Imports */[
     _ControllerEventSinkWrapper[dart.implements] = () => [EventSink$(T)];
     dart.setSignature(_ControllerEventSinkWrapper, {
       constructors: () => ({_ControllerEventSinkWrapper: [_ControllerEventSinkWrapper$(T), [EventSink]]}),
+      fields: () => ({[_sink]: EventSink}),
       methods: () => ({
         add: [dart.void, [T]],
         addError: [dart.void, [dart.dynamic], [core.StackTrace]],
@@ -2985,8 +3117,8 @@ dart_library.library('dart/async', null, /* Imports */[
     StreamController[dart.implements] = () => [StreamSink$(T)];
     dart.setSignature(StreamController, {
       constructors: () => ({
-        new: [StreamController$(T), [], {onListen: dart.functionType(dart.void, []), onPause: dart.functionType(dart.void, []), onResume: dart.functionType(dart.void, []), onCancel: dart.functionType(dart.dynamic, []), sync: core.bool}],
-        broadcast: [StreamController$(T), [], {onListen: dart.functionType(dart.void, []), onCancel: dart.functionType(dart.void, []), sync: core.bool}]
+        new: [StreamController$(T), [], {onListen: dart.functionType(dart.void, []), onPause: dart.functionType(dart.void, []), onResume: dart.functionType(dart.void, []), onCancel: dart.functionType(dart.dynamic, []), sync: [core.bool, dart.defaultValue(false)]}],
+        broadcast: [StreamController$(T), [], {onListen: dart.functionType(dart.void, []), onCancel: dart.functionType(dart.void, []), sync: [core.bool, dart.defaultValue(false)]}]
       })
     });
     return StreamController;
@@ -3247,6 +3379,25 @@ dart_library.library('dart/async', null, /* Imports */[
     _StreamController[dart.implements] = () => [StreamController$(T), _StreamControllerLifecycle$(T), _EventSink$(T), _EventDispatch$(T)];
     dart.setSignature(_StreamController, {
       constructors: () => ({_StreamController: [_StreamController$(T), []]}),
+      fields: () => ({
+        [_varData]: dart.dynamic,
+        [_state]: core.int,
+        [_doneFuture]: _Future
+      }),
+      getters: () => ({
+        stream: Stream$(T),
+        sink: StreamSink$(T),
+        [_isCanceled]: core.bool,
+        hasListener: core.bool,
+        [_isInitialState]: core.bool,
+        isClosed: core.bool,
+        isPaused: core.bool,
+        [_isAddingStream]: core.bool,
+        [_mayAddEvent]: core.bool,
+        [_pendingEvents]: _PendingEvents,
+        [_subscription]: _ControllerSubscription,
+        done: Future
+      }),
       methods: () => ({
         [_ensurePendingEvents]: [_StreamImplEvents, []],
         [_badEventState]: [core.Error, []],
@@ -3333,7 +3484,13 @@ dart_library.library('dart/async', null, /* Imports */[
       }
     }
     dart.setSignature(_AsyncStreamController, {
-      constructors: () => ({_AsyncStreamController: [_AsyncStreamController$(T), [dart.functionType(dart.void, []), dart.functionType(dart.void, []), dart.functionType(dart.void, []), dart.functionType(dart.dynamic, [])]]})
+      constructors: () => ({_AsyncStreamController: [_AsyncStreamController$(T), [dart.functionType(dart.void, []), dart.functionType(dart.void, []), dart.functionType(dart.void, []), dart.functionType(dart.dynamic, [])]]}),
+      getters: () => ({
+        [_onListen]: _NotificationHandler,
+        [_onPause]: _NotificationHandler,
+        [_onResume]: _NotificationHandler,
+        [_onCancel]: _NotificationHandler
+      })
     });
     return _AsyncStreamController;
   });
@@ -3349,7 +3506,13 @@ dart_library.library('dart/async', null, /* Imports */[
       }
     }
     dart.setSignature(_SyncStreamController, {
-      constructors: () => ({_SyncStreamController: [_SyncStreamController$(T), [dart.functionType(dart.void, []), dart.functionType(dart.void, []), dart.functionType(dart.void, []), dart.functionType(dart.dynamic, [])]]})
+      constructors: () => ({_SyncStreamController: [_SyncStreamController$(T), [dart.functionType(dart.void, []), dart.functionType(dart.void, []), dart.functionType(dart.void, []), dart.functionType(dart.dynamic, [])]]}),
+      getters: () => ({
+        [_onListen]: _NotificationHandler,
+        [_onPause]: _NotificationHandler,
+        [_onResume]: _NotificationHandler,
+        [_onCancel]: _NotificationHandler
+      })
     });
     return _SyncStreamController;
   });
@@ -3368,6 +3531,14 @@ dart_library.library('dart/async', null, /* Imports */[
       return null;
     }
   }
+  dart.setSignature(_NoCallbacks, {
+    getters: () => ({
+      [_onListen]: _NotificationHandler,
+      [_onPause]: _NotificationHandler,
+      [_onResume]: _NotificationHandler,
+      [_onCancel]: _NotificationHandler
+    })
+  });
   class _NoCallbackAsyncStreamController extends dart.mixin(_StreamController, _AsyncStreamControllerDispatch, _NoCallbacks) {
     _NoCallbackAsyncStreamController() {
       super._StreamController(...arguments);
@@ -3424,6 +3595,10 @@ dart_library.library('dart/async', null, /* Imports */[
     _StreamSinkWrapper[dart.implements] = () => [StreamSink$(T)];
     dart.setSignature(_StreamSinkWrapper, {
       constructors: () => ({_StreamSinkWrapper: [_StreamSinkWrapper$(T), [StreamController]]}),
+      getters: () => ({
+        [_target]: StreamController,
+        done: Future
+      }),
       methods: () => ({
         add: [dart.void, [T]],
         addError: [dart.void, [core.Object], [core.StackTrace]],
@@ -3468,6 +3643,10 @@ dart_library.library('dart/async', null, /* Imports */[
     }
     dart.setSignature(_AddStreamState, {
       constructors: () => ({_AddStreamState: [_AddStreamState$(T), [_EventSink$(T), Stream, core.bool]]}),
+      getters: () => ({
+        addStreamFuture: _Future,
+        addSubscription: StreamSubscription
+      }),
       methods: () => ({
         pause: [dart.void, []],
         resume: [dart.void, []],
@@ -3491,7 +3670,8 @@ dart_library.library('dart/async', null, /* Imports */[
       }
     }
     dart.setSignature(_StreamControllerAddStreamState, {
-      constructors: () => ({_StreamControllerAddStreamState: [_StreamControllerAddStreamState$(T), [_StreamController, dart.dynamic, Stream, core.bool]]})
+      constructors: () => ({_StreamControllerAddStreamState: [_StreamControllerAddStreamState$(T), [_StreamController, dart.dynamic, Stream, core.bool]]}),
+      fields: () => ({varData: dart.dynamic})
     });
     return _StreamControllerAddStreamState;
   });
@@ -3538,6 +3718,8 @@ dart_library.library('dart/async', null, /* Imports */[
     }
     dart.setSignature(_GeneratedStreamImpl, {
       constructors: () => ({_GeneratedStreamImpl: [_GeneratedStreamImpl$(T), [_EventGenerator]]}),
+      fields: () => ({[_isUsed]: core.bool}),
+      getters: () => ({[_pending]: _EventGenerator}),
       methods: () => ({[_createSubscription]: [StreamSubscription$(T), [dart.functionType(dart.void, [T]), core.Function, dart.functionType(dart.void, []), core.bool]]})
     });
     return _GeneratedStreamImpl;
@@ -3578,6 +3760,11 @@ dart_library.library('dart/async', null, /* Imports */[
     }
   }
   dart.setSignature(_PendingEvents, {
+    fields: () => ({[_state]: core.int}),
+    getters: () => ({
+      isScheduled: core.bool,
+      [_eventScheduled]: core.bool
+    }),
     methods: () => ({
       schedule: [dart.void, [_EventDispatch]],
       cancelSchedule: [dart.void, []]
@@ -3622,6 +3809,8 @@ dart_library.library('dart/async', null, /* Imports */[
     }
     dart.setSignature(_IterablePendingEvents, {
       constructors: () => ({_IterablePendingEvents: [_IterablePendingEvents$(T), [core.Iterable$(T)]]}),
+      fields: () => ({[_iterator]: core.Iterator$(T)}),
+      getters: () => ({isEmpty: core.bool}),
       methods: () => ({
         handleNext: [dart.void, [_EventDispatch]],
         clear: [dart.void, []]
@@ -3654,6 +3843,9 @@ dart_library.library('dart/async', null, /* Imports */[
         this.next = null;
       }
     }
+    dart.setSignature(_DelayedEvent, {
+      fields: () => ({next: _DelayedEvent$()})
+    });
     return _DelayedEvent;
   });
   let _DelayedEvent = _DelayedEvent$();
@@ -3670,6 +3862,7 @@ dart_library.library('dart/async', null, /* Imports */[
     }
     dart.setSignature(_DelayedData, {
       constructors: () => ({_DelayedData: [_DelayedData$(T), [T]]}),
+      getters: () => ({value: T}),
       methods: () => ({perform: [dart.void, [_EventDispatch$(T)]]})
     });
     return _DelayedData;
@@ -3687,6 +3880,10 @@ dart_library.library('dart/async', null, /* Imports */[
   }
   dart.setSignature(_DelayedError, {
     constructors: () => ({_DelayedError: [_DelayedError, [dart.dynamic, core.StackTrace]]}),
+    getters: () => ({
+      error: dart.dynamic,
+      stackTrace: core.StackTrace
+    }),
     methods: () => ({perform: [dart.void, [_EventDispatch]]})
   });
   class _DelayedDone extends core.Object {
@@ -3705,6 +3902,8 @@ dart_library.library('dart/async', null, /* Imports */[
   _DelayedDone[dart.implements] = () => [_DelayedEvent];
   dart.setSignature(_DelayedDone, {
     constructors: () => ({_DelayedDone: [_DelayedDone, []]}),
+    getters: () => ({next: _DelayedEvent}),
+    setters: () => ({next: _DelayedEvent}),
     methods: () => ({perform: [dart.void, [_EventDispatch]]})
   });
   _PendingEvents._STATE_UNSCHEDULED = 0;
@@ -3742,6 +3941,11 @@ dart_library.library('dart/async', null, /* Imports */[
     }
   }
   dart.setSignature(_StreamImplEvents, {
+    fields: () => ({
+      firstPendingEvent: _DelayedEvent,
+      lastPendingEvent: _DelayedEvent
+    }),
+    getters: () => ({isEmpty: core.bool}),
     methods: () => ({
       add: [dart.void, [_DelayedEvent]],
       handleNext: [dart.void, [_EventDispatch]],
@@ -3769,6 +3973,10 @@ dart_library.library('dart/async', null, /* Imports */[
     }
   }
   dart.setSignature(_BroadcastLinkedList, {
+    fields: () => ({
+      [_next]: _BroadcastLinkedList,
+      [_previous]: _BroadcastLinkedList
+    }),
     methods: () => ({
       [_unlink]: [dart.void, []],
       [_insertBefore]: [dart.void, [_BroadcastLinkedList]]
@@ -3848,6 +4056,16 @@ dart_library.library('dart/async', null, /* Imports */[
     _DoneStreamSubscription[dart.implements] = () => [StreamSubscription$(T)];
     dart.setSignature(_DoneStreamSubscription, {
       constructors: () => ({_DoneStreamSubscription: [_DoneStreamSubscription$(T), [_DoneHandler]]}),
+      fields: () => ({
+        [_state]: core.int,
+        [_onDone]: _DoneHandler
+      }),
+      getters: () => ({
+        [_zone]: Zone,
+        [_isSent]: core.bool,
+        [_isScheduled]: core.bool,
+        isPaused: core.bool
+      }),
       methods: () => ({
         [_schedule]: [dart.void, []],
         onData: [dart.void, [dart.functionType(dart.void, [T])]],
@@ -3946,6 +4164,18 @@ dart_library.library('dart/async', null, /* Imports */[
     }
     dart.setSignature(_AsBroadcastStream, {
       constructors: () => ({_AsBroadcastStream: [_AsBroadcastStream$(T), [Stream$(T), dart.functionType(dart.void, [StreamSubscription]), dart.functionType(dart.void, [StreamSubscription])]]}),
+      fields: () => ({
+        [_controller]: _AsBroadcastStreamController$(T),
+        [_subscription]: StreamSubscription$(T)
+      }),
+      getters: () => ({
+        [_source]: Stream$(T),
+        [_onListenHandler]: _broadcastCallback,
+        [_onCancelHandler]: _broadcastCallback,
+        [_zone]: Zone,
+        isBroadcast: core.bool,
+        [_isSubscriptionPaused]: core.bool
+      }),
       methods: () => ({
         listen: [StreamSubscription$(T), [dart.functionType(dart.void, [T])], {onError: core.Function, onDone: dart.functionType(dart.void, []), cancelOnError: core.bool}],
         [_onCancel]: [dart.void, []],
@@ -3998,6 +4228,10 @@ dart_library.library('dart/async', null, /* Imports */[
     _BroadcastSubscriptionWrapper[dart.implements] = () => [StreamSubscription$(T)];
     dart.setSignature(_BroadcastSubscriptionWrapper, {
       constructors: () => ({_BroadcastSubscriptionWrapper: [_BroadcastSubscriptionWrapper$(T), [_AsBroadcastStream]]}),
+      getters: () => ({
+        [_stream]: _AsBroadcastStream,
+        isPaused: core.bool
+      }),
       methods: () => ({
         onData: [dart.void, [dart.functionType(dart.void, [T])]],
         onError: [dart.void, [core.Function]],
@@ -4126,6 +4360,13 @@ dart_library.library('dart/async', null, /* Imports */[
     _StreamIteratorImpl[dart.implements] = () => [StreamIterator$(T)];
     dart.setSignature(_StreamIteratorImpl, {
       constructors: () => ({_StreamIteratorImpl: [_StreamIteratorImpl$(T), [Stream$(T)]]}),
+      fields: () => ({
+        [_subscription]: StreamSubscription,
+        [_current]: T,
+        [_futureOrPrefetch]: dart.dynamic,
+        [_state]: core.int
+      }),
+      getters: () => ({current: T}),
       methods: () => ({
         moveNext: [Future$(core.bool), []],
         [_clear]: [dart.void, []],
@@ -4242,6 +4483,10 @@ dart_library.library('dart/async', null, /* Imports */[
     }
     dart.setSignature(_ForwardingStream, {
       constructors: () => ({_ForwardingStream: [_ForwardingStream$(S, T), [Stream$(S)]]}),
+      getters: () => ({
+        [_source]: Stream$(S),
+        isBroadcast: core.bool
+      }),
       methods: () => ({
         listen: [StreamSubscription$(T), [dart.functionType(dart.void, [T])], {onError: core.Function, onDone: dart.functionType(dart.void, []), cancelOnError: core.bool}],
         [_createSubscription]: [StreamSubscription$(T), [dart.functionType(dart.void, [T]), core.Function, dart.functionType(dart.void, []), core.bool]],
@@ -4303,6 +4548,8 @@ dart_library.library('dart/async', null, /* Imports */[
     }
     dart.setSignature(_ForwardingStreamSubscription, {
       constructors: () => ({_ForwardingStreamSubscription: [_ForwardingStreamSubscription$(S, T), [_ForwardingStream$(S, T), dart.functionType(dart.void, [T]), core.Function, dart.functionType(dart.void, []), core.bool]]}),
+      fields: () => ({[_subscription]: StreamSubscription$(S)}),
+      getters: () => ({[_stream]: _ForwardingStream$(S, T)}),
       methods: () => ({
         [_add]: [dart.void, [T]],
         [_handleData]: [dart.void, [S]],
@@ -4353,6 +4600,7 @@ dart_library.library('dart/async', null, /* Imports */[
     }
     dart.setSignature(_WhereStream, {
       constructors: () => ({_WhereStream: [_WhereStream$(T), [Stream$(T), dart.functionType(core.bool, [T])]]}),
+      getters: () => ({[_test]: _Predicate$(T)}),
       methods: () => ({[_handleData]: [dart.void, [T, _EventSink$(T)]]})
     });
     return _WhereStream;
@@ -4387,6 +4635,7 @@ dart_library.library('dart/async', null, /* Imports */[
     }
     dart.setSignature(_MapStream, {
       constructors: () => ({_MapStream: [_MapStream$(S, T), [Stream$(S), dart.functionType(T, [S])]]}),
+      getters: () => ({[_transform]: _Transformation}),
       methods: () => ({[_handleData]: [dart.void, [S, _EventSink$(T)]]})
     });
     return _MapStream;
@@ -4415,6 +4664,7 @@ dart_library.library('dart/async', null, /* Imports */[
     }
     dart.setSignature(_ExpandStream, {
       constructors: () => ({_ExpandStream: [_ExpandStream$(S, T), [Stream$(S), dart.functionType(core.Iterable$(T), [S])]]}),
+      getters: () => ({[_expand]: _Transformation$(S, core.Iterable$(T))}),
       methods: () => ({[_handleData]: [dart.void, [S, _EventSink$(T)]]})
     });
     return _ExpandStream;
@@ -4461,6 +4711,10 @@ dart_library.library('dart/async', null, /* Imports */[
     }
     dart.setSignature(_HandleErrorStream, {
       constructors: () => ({_HandleErrorStream: [_HandleErrorStream$(T), [Stream$(T), core.Function, dart.functionType(core.bool, [dart.dynamic])]]}),
+      getters: () => ({
+        [_transform]: core.Function,
+        [_test]: _ErrorTest
+      }),
       methods: () => ({[_handleError]: [dart.void, [core.Object, core.StackTrace, _EventSink$(T)]]})
     });
     return _HandleErrorStream;
@@ -4489,6 +4743,7 @@ dart_library.library('dart/async', null, /* Imports */[
     }
     dart.setSignature(_TakeStream, {
       constructors: () => ({_TakeStream: [_TakeStream$(T), [Stream$(T), core.int]]}),
+      fields: () => ({[_remaining]: core.int}),
       methods: () => ({[_handleData]: [dart.void, [T, _EventSink$(T)]]})
     });
     return _TakeStream;
@@ -4522,6 +4777,7 @@ dart_library.library('dart/async', null, /* Imports */[
     }
     dart.setSignature(_TakeWhileStream, {
       constructors: () => ({_TakeWhileStream: [_TakeWhileStream$(T), [Stream$(T), dart.functionType(core.bool, [T])]]}),
+      getters: () => ({[_test]: _Predicate$(T)}),
       methods: () => ({[_handleData]: [dart.void, [T, _EventSink$(T)]]})
     });
     return _TakeWhileStream;
@@ -4547,6 +4803,7 @@ dart_library.library('dart/async', null, /* Imports */[
     }
     dart.setSignature(_SkipStream, {
       constructors: () => ({_SkipStream: [_SkipStream$(T), [Stream$(T), core.int]]}),
+      fields: () => ({[_remaining]: core.int}),
       methods: () => ({[_handleData]: [dart.void, [T, _EventSink$(T)]]})
     });
     return _SkipStream;
@@ -4585,6 +4842,8 @@ dart_library.library('dart/async', null, /* Imports */[
     }
     dart.setSignature(_SkipWhileStream, {
       constructors: () => ({_SkipWhileStream: [_SkipWhileStream$(T), [Stream$(T), dart.functionType(core.bool, [T])]]}),
+      fields: () => ({[_hasFailed]: core.bool}),
+      getters: () => ({[_test]: _Predicate$(T)}),
       methods: () => ({[_handleData]: [dart.void, [T, _EventSink$(T)]]})
     });
     return _SkipWhileStream;
@@ -4632,6 +4891,10 @@ dart_library.library('dart/async', null, /* Imports */[
     }
     dart.setSignature(_DistinctStream, {
       constructors: () => ({_DistinctStream: [_DistinctStream$(T), [Stream$(T), dart.functionType(core.bool, [T, T])]]}),
+      fields: () => ({
+        [_equals]: _Equality$(T),
+        [_previous]: dart.dynamic
+      }),
       methods: () => ({[_handleData]: [dart.void, [T, _EventSink$(T)]]})
     });
     return _DistinctStream;
@@ -4664,6 +4927,7 @@ dart_library.library('dart/async', null, /* Imports */[
     _EventSinkWrapper[dart.implements] = () => [EventSink$(T)];
     dart.setSignature(_EventSinkWrapper, {
       constructors: () => ({_EventSinkWrapper: [_EventSinkWrapper$(T), [_EventSink]]}),
+      fields: () => ({[_sink]: _EventSink}),
       methods: () => ({
         add: [dart.void, [T]],
         addError: [dart.void, [dart.dynamic], [core.StackTrace]],
@@ -4761,6 +5025,11 @@ dart_library.library('dart/async', null, /* Imports */[
     }
     dart.setSignature(_SinkTransformerStreamSubscription, {
       constructors: () => ({_SinkTransformerStreamSubscription: [_SinkTransformerStreamSubscription$(S, T), [Stream$(S), _SinkMapper$(S, T), dart.functionType(dart.void, [T]), core.Function, dart.functionType(dart.void, []), core.bool]]}),
+      fields: () => ({
+        [_transformerSink]: EventSink,
+        [_subscription]: StreamSubscription$(S)
+      }),
+      getters: () => ({[_isSubscribed]: core.bool}),
       methods: () => ({
         [_add]: [dart.void, [T]],
         [_handleData]: [dart.void, [S]],
@@ -4790,6 +5059,7 @@ dart_library.library('dart/async', null, /* Imports */[
     _StreamSinkTransformer[dart.implements] = () => [StreamTransformer$(S, T)];
     dart.setSignature(_StreamSinkTransformer, {
       constructors: () => ({_StreamSinkTransformer: [_StreamSinkTransformer$(S, T), [_SinkMapper$(S, T)]]}),
+      getters: () => ({[_sinkMapper]: _SinkMapper$(S, T)}),
       methods: () => ({bind: [Stream$(T), [Stream$(S)]]})
     });
     return _StreamSinkTransformer;
@@ -4818,6 +5088,11 @@ dart_library.library('dart/async', null, /* Imports */[
     }
     dart.setSignature(_BoundSinkStream, {
       constructors: () => ({_BoundSinkStream: [_BoundSinkStream$(S, T), [Stream$(S), _SinkMapper$(S, T)]]}),
+      getters: () => ({
+        [_sinkMapper]: _SinkMapper$(S, T),
+        [_stream]: Stream$(S),
+        isBroadcast: core.bool
+      }),
       methods: () => ({listen: [StreamSubscription$(T), [dart.functionType(dart.void, [T])], {onError: core.Function, onDone: dart.functionType(dart.void, []), cancelOnError: core.bool}]})
     });
     return _BoundSinkStream;
@@ -4862,6 +5137,12 @@ dart_library.library('dart/async', null, /* Imports */[
     _HandlerEventSink[dart.implements] = () => [EventSink$(S)];
     dart.setSignature(_HandlerEventSink, {
       constructors: () => ({_HandlerEventSink: [_HandlerEventSink$(S, T), [_TransformDataHandler$(S, T), _TransformErrorHandler$(T), _TransformDoneHandler$(T), EventSink$(T)]]}),
+      getters: () => ({
+        [_handleData]: _TransformDataHandler$(S, T),
+        [_handleError]: _TransformErrorHandler$(T),
+        [_handleDone]: _TransformDoneHandler$(T),
+        [_sink]: EventSink$(T)
+      }),
       methods: () => ({
         add: [dart.void, [S]],
         addError: [dart.void, [core.Object], [core.StackTrace]],
@@ -4934,6 +5215,7 @@ dart_library.library('dart/async', null, /* Imports */[
     _StreamSubscriptionTransformer[dart.implements] = () => [StreamTransformer$(S, T)];
     dart.setSignature(_StreamSubscriptionTransformer, {
       constructors: () => ({_StreamSubscriptionTransformer: [_StreamSubscriptionTransformer$(S, T), [_SubscriptionTransformer$(S, T)]]}),
+      getters: () => ({[_transformer]: _SubscriptionTransformer$(S, T)}),
       methods: () => ({bind: [Stream$(T), [Stream$(S)]]})
     });
     return _StreamSubscriptionTransformer;
@@ -4962,6 +5244,10 @@ dart_library.library('dart/async', null, /* Imports */[
     }
     dart.setSignature(_BoundSubscriptionStream, {
       constructors: () => ({_BoundSubscriptionStream: [_BoundSubscriptionStream$(S, T), [Stream$(S), _SubscriptionTransformer$(S, T)]]}),
+      getters: () => ({
+        [_transformer]: _SubscriptionTransformer$(S, T),
+        [_stream]: Stream$(S)
+      }),
       methods: () => ({listen: [StreamSubscription$(T), [dart.functionType(dart.void, [T])], {onError: core.Function, onDone: dart.functionType(dart.void, []), cancelOnError: core.bool}]})
     });
     return _BoundSubscriptionStream;
@@ -5042,7 +5328,11 @@ dart_library.library('dart/async', null, /* Imports */[
     }
   }
   dart.setSignature(_ZoneFunction, {
-    constructors: () => ({_ZoneFunction: [_ZoneFunction, [_Zone, core.Function]]})
+    constructors: () => ({_ZoneFunction: [_ZoneFunction, [_Zone, core.Function]]}),
+    getters: () => ({
+      zone: _Zone,
+      function: core.Function
+    })
   });
   class ZoneSpecification extends core.Object {
     static new(opts) {
@@ -5068,7 +5358,7 @@ dart_library.library('dart/async', null, /* Imports */[
   dart.setSignature(ZoneSpecification, {
     constructors: () => ({
       new: [ZoneSpecification, [], {handleUncaughtError: dart.functionType(dart.dynamic, [Zone, ZoneDelegate, Zone, dart.dynamic, core.StackTrace]), run: dart.functionType(dart.dynamic, [Zone, ZoneDelegate, Zone, dart.functionType(dart.dynamic, [])]), runUnary: dart.functionType(dart.dynamic, [Zone, ZoneDelegate, Zone, dart.functionType(dart.dynamic, [dart.dynamic]), dart.dynamic]), runBinary: dart.functionType(dart.dynamic, [Zone, ZoneDelegate, Zone, dart.functionType(dart.dynamic, [dart.dynamic, dart.dynamic]), dart.dynamic, dart.dynamic]), registerCallback: dart.functionType(ZoneCallback, [Zone, ZoneDelegate, Zone, dart.functionType(dart.dynamic, [])]), registerUnaryCallback: dart.functionType(ZoneUnaryCallback, [Zone, ZoneDelegate, Zone, dart.functionType(dart.dynamic, [dart.dynamic])]), registerBinaryCallback: dart.functionType(ZoneBinaryCallback, [Zone, ZoneDelegate, Zone, dart.functionType(dart.dynamic, [dart.dynamic, dart.dynamic])]), errorCallback: dart.functionType(AsyncError, [Zone, ZoneDelegate, Zone, core.Object, core.StackTrace]), scheduleMicrotask: dart.functionType(dart.void, [Zone, ZoneDelegate, Zone, dart.functionType(dart.dynamic, [])]), createTimer: dart.functionType(Timer, [Zone, ZoneDelegate, Zone, core.Duration, dart.functionType(dart.void, [])]), createPeriodicTimer: dart.functionType(Timer, [Zone, ZoneDelegate, Zone, core.Duration, dart.functionType(dart.void, [Timer])]), print: dart.functionType(dart.void, [Zone, ZoneDelegate, Zone, core.String]), fork: dart.functionType(Zone, [Zone, ZoneDelegate, Zone, ZoneSpecification, core.Map])}],
-      from: [ZoneSpecification, [ZoneSpecification], {handleUncaughtError: dart.functionType(dart.dynamic, [Zone, ZoneDelegate, Zone, dart.dynamic, core.StackTrace]), run: dart.functionType(dart.dynamic, [Zone, ZoneDelegate, Zone, dart.functionType(dart.dynamic, [])]), runUnary: dart.functionType(dart.dynamic, [Zone, ZoneDelegate, Zone, dart.functionType(dart.dynamic, [dart.dynamic]), dart.dynamic]), runBinary: dart.functionType(dart.dynamic, [Zone, ZoneDelegate, Zone, dart.functionType(dart.dynamic, [dart.dynamic, dart.dynamic]), dart.dynamic, dart.dynamic]), registerCallback: dart.functionType(ZoneCallback, [Zone, ZoneDelegate, Zone, dart.functionType(dart.dynamic, [])]), registerUnaryCallback: dart.functionType(ZoneUnaryCallback, [Zone, ZoneDelegate, Zone, dart.functionType(dart.dynamic, [dart.dynamic])]), registerBinaryCallback: dart.functionType(ZoneBinaryCallback, [Zone, ZoneDelegate, Zone, dart.functionType(dart.dynamic, [dart.dynamic, dart.dynamic])]), errorCallback: dart.functionType(AsyncError, [Zone, ZoneDelegate, Zone, core.Object, core.StackTrace]), scheduleMicrotask: dart.functionType(dart.void, [Zone, ZoneDelegate, Zone, dart.functionType(dart.dynamic, [])]), createTimer: dart.functionType(Timer, [Zone, ZoneDelegate, Zone, core.Duration, dart.functionType(dart.void, [])]), createPeriodicTimer: dart.functionType(Timer, [Zone, ZoneDelegate, Zone, core.Duration, dart.functionType(dart.void, [Timer])]), print: dart.functionType(dart.void, [Zone, ZoneDelegate, Zone, core.String]), fork: dart.functionType(Zone, [Zone, ZoneDelegate, Zone, ZoneSpecification, core.Map])}]
+      from: [ZoneSpecification, [ZoneSpecification], {handleUncaughtError: [dart.functionType(dart.dynamic, [Zone, ZoneDelegate, Zone, dart.dynamic, core.StackTrace]), dart.defaultValue(null)], run: [dart.functionType(dart.dynamic, [Zone, ZoneDelegate, Zone, dart.functionType(dart.dynamic, [])]), dart.defaultValue(null)], runUnary: [dart.functionType(dart.dynamic, [Zone, ZoneDelegate, Zone, dart.functionType(dart.dynamic, [dart.dynamic]), dart.dynamic]), dart.defaultValue(null)], runBinary: [dart.functionType(dart.dynamic, [Zone, ZoneDelegate, Zone, dart.functionType(dart.dynamic, [dart.dynamic, dart.dynamic]), dart.dynamic, dart.dynamic]), dart.defaultValue(null)], registerCallback: [dart.functionType(ZoneCallback, [Zone, ZoneDelegate, Zone, dart.functionType(dart.dynamic, [])]), dart.defaultValue(null)], registerUnaryCallback: [dart.functionType(ZoneUnaryCallback, [Zone, ZoneDelegate, Zone, dart.functionType(dart.dynamic, [dart.dynamic])]), dart.defaultValue(null)], registerBinaryCallback: [dart.functionType(ZoneBinaryCallback, [Zone, ZoneDelegate, Zone, dart.functionType(dart.dynamic, [dart.dynamic, dart.dynamic])]), dart.defaultValue(null)], errorCallback: dart.functionType(AsyncError, [Zone, ZoneDelegate, Zone, core.Object, core.StackTrace]), scheduleMicrotask: [dart.functionType(dart.void, [Zone, ZoneDelegate, Zone, dart.functionType(dart.dynamic, [])]), dart.defaultValue(null)], createTimer: [dart.functionType(Timer, [Zone, ZoneDelegate, Zone, core.Duration, dart.functionType(dart.void, [])]), dart.defaultValue(null)], createPeriodicTimer: [dart.functionType(Timer, [Zone, ZoneDelegate, Zone, core.Duration, dart.functionType(dart.void, [Timer])]), dart.defaultValue(null)], print: [dart.functionType(dart.void, [Zone, ZoneDelegate, Zone, core.String]), dart.defaultValue(null)], fork: [dart.functionType(Zone, [Zone, ZoneDelegate, Zone, ZoneSpecification, core.Map]), dart.defaultValue(null)]}]
     })
   });
   class _ZoneSpecification extends core.Object {
@@ -5103,7 +5393,22 @@ dart_library.library('dart/async', null, /* Imports */[
   }
   _ZoneSpecification[dart.implements] = () => [ZoneSpecification];
   dart.setSignature(_ZoneSpecification, {
-    constructors: () => ({_ZoneSpecification: [_ZoneSpecification, [], {handleUncaughtError: HandleUncaughtErrorHandler, run: RunHandler, runUnary: RunUnaryHandler, runBinary: RunBinaryHandler, registerCallback: RegisterCallbackHandler, registerUnaryCallback: RegisterUnaryCallbackHandler, registerBinaryCallback: RegisterBinaryCallbackHandler, errorCallback: ErrorCallbackHandler, scheduleMicrotask: ScheduleMicrotaskHandler, createTimer: CreateTimerHandler, createPeriodicTimer: CreatePeriodicTimerHandler, print: PrintHandler, fork: ForkHandler}]})
+    constructors: () => ({_ZoneSpecification: [_ZoneSpecification, [], {handleUncaughtError: [HandleUncaughtErrorHandler, dart.defaultValue(null)], run: [RunHandler, dart.defaultValue(null)], runUnary: [RunUnaryHandler, dart.defaultValue(null)], runBinary: [RunBinaryHandler, dart.defaultValue(null)], registerCallback: [RegisterCallbackHandler, dart.defaultValue(null)], registerUnaryCallback: [RegisterUnaryCallbackHandler, dart.defaultValue(null)], registerBinaryCallback: [RegisterBinaryCallbackHandler, dart.defaultValue(null)], errorCallback: [ErrorCallbackHandler, dart.defaultValue(null)], scheduleMicrotask: [ScheduleMicrotaskHandler, dart.defaultValue(null)], createTimer: [CreateTimerHandler, dart.defaultValue(null)], createPeriodicTimer: [CreatePeriodicTimerHandler, dart.defaultValue(null)], print: [PrintHandler, dart.defaultValue(null)], fork: [ForkHandler, dart.defaultValue(null)]}]}),
+    getters: () => ({
+      handleUncaughtError: HandleUncaughtErrorHandler,
+      run: RunHandler,
+      runUnary: RunUnaryHandler,
+      runBinary: RunBinaryHandler,
+      registerCallback: RegisterCallbackHandler,
+      registerUnaryCallback: RegisterUnaryCallbackHandler,
+      registerBinaryCallback: RegisterBinaryCallbackHandler,
+      errorCallback: ErrorCallbackHandler,
+      scheduleMicrotask: ScheduleMicrotaskHandler,
+      createTimer: CreateTimerHandler,
+      createPeriodicTimer: CreatePeriodicTimerHandler,
+      print: PrintHandler,
+      fork: ForkHandler
+    })
   });
   class ZoneDelegate extends core.Object {}
   class Zone extends core.Object {
@@ -5330,6 +5635,25 @@ dart_library.library('dart/async', null, /* Imports */[
   }
   dart.setSignature(_RootZone, {
     constructors: () => ({_RootZone: [_RootZone, []]}),
+    getters: () => ({
+      [_run]: _ZoneFunction,
+      [_runUnary]: _ZoneFunction,
+      [_runBinary]: _ZoneFunction,
+      [_registerCallback]: _ZoneFunction,
+      [_registerUnaryCallback]: _ZoneFunction,
+      [_registerBinaryCallback]: _ZoneFunction,
+      [_errorCallback]: _ZoneFunction,
+      [_scheduleMicrotask]: _ZoneFunction,
+      [_createTimer]: _ZoneFunction,
+      [_createPeriodicTimer]: _ZoneFunction,
+      [_print]: _ZoneFunction,
+      [_fork]: _ZoneFunction,
+      [_handleUncaughtError]: _ZoneFunction,
+      parent: _Zone,
+      [_map]: core.Map,
+      [_delegate]: ZoneDelegate,
+      errorZone: Zone
+    }),
     methods: () => ({
       runGuarded: [dart.dynamic, [dart.functionType(dart.dynamic, [])]],
       runUnaryGuarded: [dart.dynamic, [dart.functionType(dart.dynamic, [dart.dynamic]), dart.dynamic]],
@@ -5438,6 +5762,7 @@ dart_library.library('dart/async', null, /* Imports */[
   _ZoneDelegate[dart.implements] = () => [ZoneDelegate];
   dart.setSignature(_ZoneDelegate, {
     constructors: () => ({_ZoneDelegate: [_ZoneDelegate, [_Zone]]}),
+    getters: () => ({[_delegationTarget]: _Zone}),
     methods: () => ({
       handleUncaughtError: [dart.dynamic, [Zone, dart.dynamic, core.StackTrace]],
       run: [dart.dynamic, [Zone, dart.functionType(dart.dynamic, [])]],
@@ -5651,6 +5976,28 @@ dart_library.library('dart/async', null, /* Imports */[
   }
   dart.setSignature(_CustomZone, {
     constructors: () => ({_CustomZone: [_CustomZone, [_Zone, ZoneSpecification, core.Map]]}),
+    fields: () => ({
+      [_runUnary]: _ZoneFunction,
+      [_run]: _ZoneFunction,
+      [_runBinary]: _ZoneFunction,
+      [_registerCallback]: _ZoneFunction,
+      [_registerUnaryCallback]: _ZoneFunction,
+      [_registerBinaryCallback]: _ZoneFunction,
+      [_errorCallback]: _ZoneFunction,
+      [_scheduleMicrotask]: _ZoneFunction,
+      [_createTimer]: _ZoneFunction,
+      [_createPeriodicTimer]: _ZoneFunction,
+      [_print]: _ZoneFunction,
+      [_fork]: _ZoneFunction,
+      [_handleUncaughtError]: _ZoneFunction,
+      [_delegateCache]: ZoneDelegate
+    }),
+    getters: () => ({
+      parent: _Zone,
+      [_map]: core.Map,
+      [_delegate]: ZoneDelegate,
+      errorZone: Zone
+    }),
     methods: () => ({
       runGuarded: [dart.dynamic, [dart.functionType(dart.dynamic, [])]],
       runUnaryGuarded: [dart.dynamic, [dart.functionType(dart.dynamic, [dart.dynamic]), dart.dynamic]],
@@ -5821,6 +6168,23 @@ dart_library.library('dart/async', null, /* Imports */[
     }
   }
   _RootZoneSpecification[dart.implements] = () => [ZoneSpecification];
+  dart.setSignature(_RootZoneSpecification, {
+    getters: () => ({
+      handleUncaughtError: HandleUncaughtErrorHandler,
+      run: RunHandler,
+      runUnary: RunUnaryHandler,
+      runBinary: RunBinaryHandler,
+      registerCallback: RegisterCallbackHandler,
+      registerUnaryCallback: RegisterUnaryCallbackHandler,
+      registerBinaryCallback: RegisterBinaryCallbackHandler,
+      errorCallback: ErrorCallbackHandler,
+      scheduleMicrotask: ScheduleMicrotaskHandler,
+      createTimer: CreateTimerHandler,
+      createPeriodicTimer: CreatePeriodicTimerHandler,
+      print: PrintHandler,
+      fork: ForkHandler
+    })
+  });
   _RootZone._rootDelegate = null;
   dart.defineLazyProperties(_RootZone, {
     get _rootMap() {
@@ -23,6 +23,10 @@ dart_library.library('dart/collection', null, /* Imports */[
     }
     dart.setSignature(UnmodifiableListView, {
       constructors: () => ({UnmodifiableListView: [exports.UnmodifiableListView$(E), [core.Iterable$(E)]]}),
+      getters: () => ({
+        [_source]: core.Iterable$(E),
+        length: core.int
+      }),
       methods: () => ({get: [E, [core.int]]})
     });
     dart.defineExtensionMembers(UnmodifiableListView, ['get', 'length']);
@@ -384,6 +388,13 @@ dart_library.library('dart/collection', null, /* Imports */[
     }
     SetMixin[dart.implements] = () => [core.Set$(E)];
     dart.setSignature(SetMixin, {
+      getters: () => ({
+        isEmpty: core.bool,
+        isNotEmpty: core.bool,
+        single: E,
+        first: E,
+        last: E
+      }),
       methods: () => ({
         clear: [dart.void, []],
         addAll: [dart.void, [core.Iterable$(E)]],
@@ -760,6 +771,14 @@ dart_library.library('dart/collection', null, /* Imports */[
     }
     IterableMixin[dart.implements] = () => [core.Iterable$(E)];
     dart.setSignature(IterableMixin, {
+      getters: () => ({
+        length: core.int,
+        isEmpty: core.bool,
+        isNotEmpty: core.bool,
+        first: E,
+        last: E,
+        single: E
+      }),
       methods: () => ({
         map: [core.Iterable, [dart.functionType(dart.dynamic, [E])]],
         where: [core.Iterable$(E), [dart.functionType(core.bool, [E])]],
@@ -1159,6 +1178,14 @@ dart_library.library('dart/collection', null, /* Imports */[
     IterableBase[dart.implements] = () => [core.Iterable$(E)];
     dart.setSignature(IterableBase, {
       constructors: () => ({IterableBase: [IterableBase$(E), []]}),
+      getters: () => ({
+        length: core.int,
+        isEmpty: core.bool,
+        isNotEmpty: core.bool,
+        first: E,
+        last: E,
+        single: E
+      }),
       methods: () => ({
         map: [core.Iterable, [dart.functionType(dart.dynamic, [E])]],
         where: [core.Iterable$(E), [dart.functionType(core.bool, [E])]],
@@ -1257,6 +1284,11 @@ dart_library.library('dart/collection', null, /* Imports */[
     }
     dart.setSignature(HasNextIterator, {
       constructors: () => ({HasNextIterator: [HasNextIterator$(E), [core.Iterator]]}),
+      fields: () => ({
+        [_iterator]: core.Iterator,
+        [_state]: core.int
+      }),
+      getters: () => ({hasNext: core.bool}),
       methods: () => ({
         next: [E, []],
         [_move]: [dart.void, []]
@@ -1513,6 +1545,20 @@ dart_library.library('dart/collection', null, /* Imports */[
     LinkedList[dart.implements] = () => [_LinkedListLink];
     dart.setSignature(LinkedList, {
       constructors: () => ({LinkedList: [LinkedList$(E), []]}),
+      fields: () => ({
+        [_modificationCount]: core.int,
+        [_length]: core.int,
+        [_next]: _LinkedListLink,
+        [_previous]: _LinkedListLink
+      }),
+      getters: () => ({
+        iterator: core.Iterator$(E),
+        length: core.int,
+        first: E,
+        last: E,
+        single: E,
+        isEmpty: core.bool
+      }),
       methods: () => ({
         addFirst: [dart.void, [E]],
         add: [dart.void, [E]],
@@ -1564,6 +1610,15 @@ dart_library.library('dart/collection', null, /* Imports */[
     _LinkedListIterator[dart.implements] = () => [core.Iterator$(E)];
     dart.setSignature(_LinkedListIterator, {
       constructors: () => ({_LinkedListIterator: [_LinkedListIterator$(E), [LinkedList$(E)]]}),
+      fields: () => ({
+        [_current]: E,
+        [_next]: _LinkedListLink
+      }),
+      getters: () => ({
+        [_list]: LinkedList$(E),
+        [_modificationCount]: core.int,
+        current: E
+      }),
       methods: () => ({moveNext: [core.bool, []]})
     });
     return _LinkedListIterator;
@@ -1575,6 +1630,12 @@ dart_library.library('dart/collection', null, /* Imports */[
       this[_previous] = null;
     }
   }
+  dart.setSignature(_LinkedListLink, {
+    fields: () => ({
+      [_next]: _LinkedListLink,
+      [_previous]: _LinkedListLink
+    })
+  });
   let LinkedListEntry$ = dart.generic(function(E) {
     class LinkedListEntry extends core.Object {
       LinkedListEntry() {
@@ -1610,6 +1671,16 @@ dart_library.library('dart/collection', null, /* Imports */[
     }
     LinkedListEntry[dart.implements] = () => [_LinkedListLink];
     dart.setSignature(LinkedListEntry, {
+      fields: () => ({
+        [_list]: LinkedList$(E),
+        [_next]: _LinkedListLink,
+        [_previous]: _LinkedListLink
+      }),
+      getters: () => ({
+        list: LinkedList$(E),
+        next: E,
+        previous: E
+      }),
       methods: () => ({
         unlink: [dart.void, []],
         insertAfter: [dart.void, [E]],
@@ -2104,6 +2175,15 @@ dart_library.library('dart/collection', null, /* Imports */[
     }
     ListMixin[dart.implements] = () => [core.List$(E)];
     dart.setSignature(ListMixin, {
+      getters: () => ({
+        iterator: core.Iterator$(E),
+        isEmpty: core.bool,
+        isNotEmpty: core.bool,
+        first: E,
+        last: E,
+        single: E,
+        reversed: core.Iterable$(E)
+      }),
       methods: () => ({
         elementAt: [E, [core.int]],
         forEach: [dart.void, [dart.functionType(dart.void, [E])]],
@@ -2268,6 +2348,12 @@ dart_library.library('dart/collection', null, /* Imports */[
     }
     MapMixin[dart.implements] = () => [core.Map$(K, V)];
     dart.setSignature(MapMixin, {
+      getters: () => ({
+        length: core.int,
+        isEmpty: core.bool,
+        isNotEmpty: core.bool,
+        values: core.Iterable$(V)
+      }),
       methods: () => ({
         forEach: [dart.void, [dart.functionType(dart.void, [K, V])]],
         addAll: [dart.void, [core.Map$(K, V)]],
@@ -2361,7 +2447,17 @@ dart_library.library('dart/collection', null, /* Imports */[
     }
     _MapBaseValueIterable[dart.implements] = () => [_internal.EfficientLength];
     dart.setSignature(_MapBaseValueIterable, {
-      constructors: () => ({_MapBaseValueIterable: [_MapBaseValueIterable$(V), [core.Map]]})
+      constructors: () => ({_MapBaseValueIterable: [_MapBaseValueIterable$(V), [core.Map]]}),
+      getters: () => ({
+        [_map]: core.Map,
+        length: core.int,
+        isEmpty: core.bool,
+        isNotEmpty: core.bool,
+        first: V,
+        single: V,
+        last: V,
+        iterator: core.Iterator$(V)
+      })
     });
     dart.defineExtensionMembers(_MapBaseValueIterable, [
       'length',
@@ -2398,6 +2494,12 @@ dart_library.library('dart/collection', null, /* Imports */[
     _MapBaseValueIterator[dart.implements] = () => [core.Iterator$(V)];
     dart.setSignature(_MapBaseValueIterator, {
       constructors: () => ({_MapBaseValueIterator: [_MapBaseValueIterator$(V), [core.Map]]}),
+      fields: () => ({[_current]: V}),
+      getters: () => ({
+        [_keys]: core.Iterator,
+        [_map]: core.Map,
+        current: V
+      }),
       methods: () => ({moveNext: [core.bool, []]})
     });
     return _MapBaseValueIterator;
@@ -2464,6 +2566,14 @@ dart_library.library('dart/collection', null, /* Imports */[
     MapView[dart.implements] = () => [core.Map$(K, V)];
     dart.setSignature(MapView, {
       constructors: () => ({MapView: [MapView$(K, V), [core.Map$(K, V)]]}),
+      getters: () => ({
+        [_map]: core.Map$(K, V),
+        isEmpty: core.bool,
+        isNotEmpty: core.bool,
+        length: core.int,
+        keys: core.Iterable$(K),
+        values: core.Iterable$(V)
+      }),
       methods: () => ({
         get: [V, [core.Object]],
         set: [dart.void, [K, V]],
@@ -2679,6 +2789,13 @@ dart_library.library('dart/collection', null, /* Imports */[
     }
     dart.setSignature(DoubleLinkedQueueEntry, {
       constructors: () => ({DoubleLinkedQueueEntry: [DoubleLinkedQueueEntry$(E), [E]]}),
+      fields: () => ({
+        [_previous]: DoubleLinkedQueueEntry$(E),
+        [_next]: DoubleLinkedQueueEntry$(E),
+        [_element]: E
+      }),
+      getters: () => ({element: E}),
+      setters: () => ({element: E}),
       methods: () => ({
         [_link]: [dart.void, [DoubleLinkedQueueEntry$(E), DoubleLinkedQueueEntry$(E)]],
         append: [dart.void, [E]],
@@ -2714,6 +2831,8 @@ dart_library.library('dart/collection', null, /* Imports */[
     }
     dart.setSignature(_DoubleLinkedQueueEntrySentinel, {
       constructors: () => ({_DoubleLinkedQueueEntrySentinel: [_DoubleLinkedQueueEntrySentinel$(E), []]}),
+      getters: () => ({element: E}),
+      setters: () => ({element: E}),
       methods: () => ({
         remove: [E, []],
         [_asNonSentinelEntry]: [DoubleLinkedQueueEntry$(E), []]
@@ -2855,6 +2974,18 @@ dart_library.library('dart/collection', null, /* Imports */[
         DoubleLinkedQueue: [DoubleLinkedQueue$(E), []],
         from: [DoubleLinkedQueue$(E), [core.Iterable]]
       }),
+      fields: () => ({
+        [_sentinel]: _DoubleLinkedQueueEntrySentinel$(E),
+        [_elementCount]: core.int
+      }),
+      getters: () => ({
+        length: core.int,
+        first: E,
+        last: E,
+        single: E,
+        isEmpty: core.bool,
+        iterator: _DoubleLinkedQueueIterator$(E)
+      }),
       methods: () => ({
         addLast: [dart.void, [E]],
         addFirst: [dart.void, [E]],
@@ -2908,6 +3039,12 @@ dart_library.library('dart/collection', null, /* Imports */[
     _DoubleLinkedQueueIterator[dart.implements] = () => [core.Iterator$(E)];
     dart.setSignature(_DoubleLinkedQueueIterator, {
       constructors: () => ({_DoubleLinkedQueueIterator: [_DoubleLinkedQueueIterator$(E), [_DoubleLinkedQueueEntrySentinel$(E)]]}),
+      fields: () => ({
+        [_sentinel]: _DoubleLinkedQueueEntrySentinel$(E),
+        [_nextEntry]: DoubleLinkedQueueEntry$(E),
+        [_current]: E
+      }),
+      getters: () => ({current: E}),
       methods: () => ({moveNext: [core.bool, []]})
     });
     return _DoubleLinkedQueueIterator;
@@ -3213,6 +3350,20 @@ dart_library.library('dart/collection', null, /* Imports */[
         ListQueue: [ListQueue$(E), [], [core.int]],
         from: [ListQueue$(E), [core.Iterable]]
       }),
+      fields: () => ({
+        [_table]: core.List$(E),
+        [_head]: core.int,
+        [_tail]: core.int,
+        [_modificationCount]: core.int
+      }),
+      getters: () => ({
+        iterator: core.Iterator$(E),
+        isEmpty: core.bool,
+        length: core.int,
+        first: E,
+        last: E,
+        single: E
+      }),
       methods: () => ({
         forEach: [dart.void, [dart.functionType(dart.void, [E])]],
         elementAt: [E, [core.int]],
@@ -3285,6 +3436,16 @@ dart_library.library('dart/collection', null, /* Imports */[
     _ListQueueIterator[dart.implements] = () => [core.Iterator$(E)];
     dart.setSignature(_ListQueueIterator, {
       constructors: () => ({_ListQueueIterator: [_ListQueueIterator$(E), [ListQueue]]}),
+      fields: () => ({
+        [_position]: core.int,
+        [_current]: E
+      }),
+      getters: () => ({
+        [_queue]: ListQueue,
+        [_end]: core.int,
+        [_modificationCount]: core.int,
+        current: E
+      }),
       methods: () => ({moveNext: [core.bool, []]})
     });
     return _ListQueueIterator;
@@ -3304,7 +3465,12 @@ dart_library.library('dart/collection', null, /* Imports */[
       }
     }
     dart.setSignature(_SplayTreeNode, {
-      constructors: () => ({_SplayTreeNode: [_SplayTreeNode$(K), [K]]})
+      constructors: () => ({_SplayTreeNode: [_SplayTreeNode$(K), [K]]}),
+      fields: () => ({
+        left: _SplayTreeNode$(K),
+        right: _SplayTreeNode$(K)
+      }),
+      getters: () => ({key: K})
     });
     return _SplayTreeNode;
   });
@@ -3317,7 +3483,8 @@ dart_library.library('dart/collection', null, /* Imports */[
       }
     }
     dart.setSignature(_SplayTreeMapNode, {
-      constructors: () => ({_SplayTreeMapNode: [_SplayTreeMapNode$(K, V), [K, V]]})
+      constructors: () => ({_SplayTreeMapNode: [_SplayTreeMapNode$(K, V), [K, V]]}),
+      fields: () => ({value: V})
     });
     return _SplayTreeMapNode;
   });
@@ -3476,6 +3643,17 @@ dart_library.library('dart/collection', null, /* Imports */[
       }
     }
     dart.setSignature(_SplayTree, {
+      fields: () => ({
+        [_root]: _SplayTreeNode$(K),
+        [_dummy]: _SplayTreeNode$(K),
+        [_count]: core.int,
+        [_modificationCount]: core.int,
+        [_splayCount]: core.int
+      }),
+      getters: () => ({
+        [_first]: _SplayTreeNode,
+        [_last]: _SplayTreeNode
+      }),
       methods: () => ({
         [_splay]: [core.int, [K]],
         [_splayMin]: [_SplayTreeNode$(K), [_SplayTreeNode$(K)]],
@@ -3715,6 +3893,17 @@ dart_library.library('dart/collection', null, /* Imports */[
         fromIterables: [SplayTreeMap$(K, V), [core.Iterable$(K), core.Iterable$(V)], [dart.functionType(core.int, [K, K]), dart.functionType(core.bool, [core.Object])]],
         _internal: [SplayTreeMap$(K, V), []]
       }),
+      fields: () => ({
+        [_comparator]: core.Comparator$(K),
+        [_validKey]: _Predicate$(core.Object)
+      }),
+      getters: () => ({
+        isEmpty: core.bool,
+        isNotEmpty: core.bool,
+        length: core.int,
+        keys: core.Iterable$(K),
+        values: core.Iterable$(V)
+      }),
       methods: () => ({
         [_compare]: [core.int, [K, K]],
         get: [V, [core.Object]],
@@ -3812,6 +4001,16 @@ dart_library.library('dart/collection', null, /* Imports */[
         _SplayTreeIterator: [_SplayTreeIterator$(T), [_SplayTree]],
         startAt: [_SplayTreeIterator$(T), [_SplayTree, dart.dynamic]]
       }),
+      fields: () => ({
+        [_modificationCount]: core.int,
+        [_splayCount]: core.int,
+        [_currentNode]: _SplayTreeNode
+      }),
+      getters: () => ({
+        [_tree]: _SplayTree,
+        [_workList]: core.List$(_SplayTreeNode),
+        current: T
+      }),
       methods: () => ({
         [_findLeftMostDescendent]: [dart.void, [_SplayTreeNode]],
         [_rebuildWorkList]: [dart.void, [_SplayTreeNode]],
@@ -3848,6 +4047,12 @@ dart_library.library('dart/collection', null, /* Imports */[
     _SplayTreeKeyIterable[dart.implements] = () => [_internal.EfficientLength];
     dart.setSignature(_SplayTreeKeyIterable, {
       constructors: () => ({_SplayTreeKeyIterable: [_SplayTreeKeyIterable$(K), [_SplayTree$(K)]]}),
+      fields: () => ({[_tree]: _SplayTree$(K)}),
+      getters: () => ({
+        length: core.int,
+        isEmpty: core.bool,
+        iterator: core.Iterator$(K)
+      }),
       methods: () => ({toSet: [core.Set$(K), []]})
     });
     dart.defineExtensionMembers(_SplayTreeKeyIterable, ['toSet', 'length', 'isEmpty', 'iterator']);
@@ -3872,7 +4077,13 @@ dart_library.library('dart/collection', null, /* Imports */[
     }
     _SplayTreeValueIterable[dart.implements] = () => [_internal.EfficientLength];
     dart.setSignature(_SplayTreeValueIterable, {
-      constructors: () => ({_SplayTreeValueIterable: [_SplayTreeValueIterable$(K, V), [SplayTreeMap$(K, V)]]})
+      constructors: () => ({_SplayTreeValueIterable: [_SplayTreeValueIterable$(K, V), [SplayTreeMap$(K, V)]]}),
+      fields: () => ({[_map]: SplayTreeMap$(K, V)}),
+      getters: () => ({
+        length: core.int,
+        isEmpty: core.bool,
+        iterator: core.Iterator$(V)
+      })
     });
     dart.defineExtensionMembers(_SplayTreeValueIterable, ['length', 'isEmpty', 'iterator']);
     return _SplayTreeValueIterable;
@@ -4097,6 +4308,19 @@ dart_library.library('dart/collection', null, /* Imports */[
         SplayTreeSet: [SplayTreeSet$(E), [], [dart.functionType(core.int, [E, E]), dart.functionType(core.bool, [core.Object])]],
         from: [SplayTreeSet$(E), [core.Iterable], [dart.functionType(core.int, [E, E]), dart.functionType(core.bool, [core.Object])]]
       }),
+      fields: () => ({
+        [_comparator]: core.Comparator$(E),
+        [_validKey]: _Predicate$(core.Object)
+      }),
+      getters: () => ({
+        iterator: core.Iterator$(E),
+        length: core.int,
+        isEmpty: core.bool,
+        isNotEmpty: core.bool,
+        first: E,
+        last: E,
+        single: E
+      }),
       methods: () => ({
         [_compare]: [core.int, [E, E]],
         contains: [core.bool, [core.Object]],
@@ -4413,6 +4637,20 @@ dart_library.library('dart/collection', null, /* Imports */[
     _HashMap[dart.implements] = () => [HashMap$(K, V)];
     dart.setSignature(_HashMap, {
       constructors: () => ({_HashMap: [_HashMap$(K, V), []]}),
+      fields: () => ({
+        [_length]: core.int,
+        [_strings]: dart.dynamic,
+        [_nums]: dart.dynamic,
+        [_rest]: dart.dynamic,
+        [_keys]: core.List
+      }),
+      getters: () => ({
+        length: core.int,
+        isEmpty: core.bool,
+        isNotEmpty: core.bool,
+        keys: core.Iterable$(K),
+        values: core.Iterable$(V)
+      }),
       methods: () => ({
         containsKey: [core.bool, [core.Object]],
         [_containsKey]: [core.bool, [core.Object]],
@@ -4520,6 +4758,11 @@ dart_library.library('dart/collection', null, /* Imports */[
     }
     dart.setSignature(_CustomHashMap, {
       constructors: () => ({_CustomHashMap: [_CustomHashMap$(K, V), [_Equality$(K), _Hasher$(K), dart.functionType(core.bool, [core.Object])]]}),
+      getters: () => ({
+        [_equals]: _Equality$(K),
+        [_hashCode]: _Hasher$(K),
+        [_validKey]: _Predicate$(core.Object)
+      }),
       methods: () => ({
         get: [V, [core.Object]],
         set: [dart.void, [K, V]],
@@ -4561,6 +4804,12 @@ dart_library.library('dart/collection', null, /* Imports */[
     HashMapKeyIterable[dart.implements] = () => [_internal.EfficientLength];
     dart.setSignature(HashMapKeyIterable, {
       constructors: () => ({HashMapKeyIterable: [HashMapKeyIterable$(E), [dart.dynamic]]}),
+      getters: () => ({
+        [_map]: dart.dynamic,
+        length: core.int,
+        isEmpty: core.bool,
+        iterator: core.Iterator$(E)
+      }),
       methods: () => ({forEach: [dart.void, [dart.functionType(dart.void, [E])]]})
     });
     dart.defineExtensionMembers(HashMapKeyIterable, [
@@ -4603,6 +4852,15 @@ dart_library.library('dart/collection', null, /* Imports */[
     HashMapKeyIterator[dart.implements] = () => [core.Iterator$(E)];
     dart.setSignature(HashMapKeyIterator, {
       constructors: () => ({HashMapKeyIterator: [HashMapKeyIterator$(E), [dart.dynamic, core.List]]}),
+      fields: () => ({
+        [_offset]: core.int,
+        [_current]: E
+      }),
+      getters: () => ({
+        [_map]: dart.dynamic,
+        [_keys]: core.List,
+        current: E
+      }),
       methods: () => ({moveNext: [core.bool, []]})
     });
     return HashMapKeyIterator;
@@ -4896,6 +5154,22 @@ dart_library.library('dart/collection', null, /* Imports */[
     _LinkedHashMap[dart.implements] = () => [LinkedHashMap$(K, V), _js_helper.InternalMap];
     dart.setSignature(_LinkedHashMap, {
       constructors: () => ({_LinkedHashMap: [_LinkedHashMap$(K, V), []]}),
+      fields: () => ({
+        [_length]: core.int,
+        [_strings]: dart.dynamic,
+        [_nums]: dart.dynamic,
+        [_rest]: dart.dynamic,
+        [_first]: LinkedHashMapCell,
+        [_last]: LinkedHashMapCell,
+        [_modifications]: core.int
+      }),
+      getters: () => ({
+        length: core.int,
+        isEmpty: core.bool,
+        isNotEmpty: core.bool,
+        keys: core.Iterable$(K),
+        values: core.Iterable$(V)
+      }),
       methods: () => ({
         containsKey: [core.bool, [core.Object]],
         [_containsKey]: [core.bool, [core.Object]],
@@ -5001,6 +5275,11 @@ dart_library.library('dart/collection', null, /* Imports */[
     }
     dart.setSignature(_LinkedCustomHashMap, {
       constructors: () => ({_LinkedCustomHashMap: [_LinkedCustomHashMap$(K, V), [_Equality$(K), _Hasher$(K), dart.functionType(core.bool, [core.Object])]]}),
+      getters: () => ({
+        [_equals]: _Equality$(K),
+        [_hashCode]: _Hasher$(K),
+        [_validKey]: _Predicate$(core.Object)
+      }),
       methods: () => ({
         get: [V, [core.Object]],
         set: [dart.void, [K, V]],
@@ -5019,7 +5298,13 @@ dart_library.library('dart/collection', null, /* Imports */[
     }
   }
   dart.setSignature(LinkedHashMapCell, {
-    constructors: () => ({LinkedHashMapCell: [LinkedHashMapCell, [dart.dynamic, dart.dynamic]]})
+    constructors: () => ({LinkedHashMapCell: [LinkedHashMapCell, [dart.dynamic, dart.dynamic]]}),
+    fields: () => ({
+      [_value]: dart.dynamic,
+      [_next]: LinkedHashMapCell,
+      [_previous]: LinkedHashMapCell
+    }),
+    getters: () => ({[_key]: dart.dynamic})
   });
   let LinkedHashMapKeyIterable$ = dart.generic(function(E) {
     class LinkedHashMapKeyIterable extends IterableBase$(E) {
@@ -5055,6 +5340,12 @@ dart_library.library('dart/collection', null, /* Imports */[
     LinkedHashMapKeyIterable[dart.implements] = () => [_internal.EfficientLength];
     dart.setSignature(LinkedHashMapKeyIterable, {
       constructors: () => ({LinkedHashMapKeyIterable: [LinkedHashMapKeyIterable$(E), [dart.dynamic]]}),
+      getters: () => ({
+        [_map]: dart.dynamic,
+        length: core.int,
+        isEmpty: core.bool,
+        iterator: core.Iterator$(E)
+      }),
       methods: () => ({forEach: [dart.void, [dart.functionType(dart.void, [E])]]})
     });
     dart.defineExtensionMembers(LinkedHashMapKeyIterable, [
@@ -5096,6 +5387,15 @@ dart_library.library('dart/collection', null, /* Imports */[
     LinkedHashMapKeyIterator[dart.implements] = () => [core.Iterator$(E)];
     dart.setSignature(LinkedHashMapKeyIterator, {
       constructors: () => ({LinkedHashMapKeyIterator: [LinkedHashMapKeyIterator$(E), [dart.dynamic, core.int]]}),
+      fields: () => ({
+        [_cell]: LinkedHashMapCell,
+        [_current]: E
+      }),
+      getters: () => ({
+        [_map]: dart.dynamic,
+        [_modifications]: core.int,
+        current: E
+      }),
       methods: () => ({moveNext: [core.bool, []]})
     });
     return LinkedHashMapKeyIterator;
@@ -5338,6 +5638,19 @@ dart_library.library('dart/collection', null, /* Imports */[
     _HashSet[dart.implements] = () => [HashSet$(E)];
     dart.setSignature(_HashSet, {
       constructors: () => ({_HashSet: [_HashSet$(E), []]}),
+      fields: () => ({
+        [_length]: core.int,
+        [_strings]: dart.dynamic,
+        [_nums]: dart.dynamic,
+        [_rest]: dart.dynamic,
+        [_elements]: core.List
+      }),
+      getters: () => ({
+        iterator: core.Iterator$(E),
+        length: core.int,
+        isEmpty: core.bool,
+        isNotEmpty: core.bool
+      }),
       methods: () => ({
         [_newSet]: [core.Set$(E), []],
         contains: [core.bool, [core.Object]],
@@ -5452,6 +5765,11 @@ dart_library.library('dart/collection', null, /* Imports */[
     }
     dart.setSignature(_CustomHashSet, {
       constructors: () => ({_CustomHashSet: [_CustomHashSet$(E), [_Equality$(E), _Hasher$(E), dart.functionType(core.bool, [core.Object])]]}),
+      fields: () => ({
+        [_equality]: _Equality$(E),
+        [_hasher]: _Hasher$(E),
+        [_validKey]: _Predicate$(core.Object)
+      }),
       methods: () => ({
         [_newSet]: [core.Set$(E), []],
         add: [core.bool, [E]],
@@ -5491,6 +5809,15 @@ dart_library.library('dart/collection', null, /* Imports */[
     HashSetIterator[dart.implements] = () => [core.Iterator$(E)];
     dart.setSignature(HashSetIterator, {
       constructors: () => ({HashSetIterator: [HashSetIterator$(E), [dart.dynamic, core.List]]}),
+      fields: () => ({
+        [_offset]: core.int,
+        [_current]: E
+      }),
+      getters: () => ({
+        [_set]: dart.dynamic,
+        [_elements]: core.List,
+        current: E
+      }),
       methods: () => ({moveNext: [core.bool, []]})
     });
     return HashSetIterator;
@@ -5774,6 +6101,23 @@ dart_library.library('dart/collection', null, /* Imports */[
     _LinkedHashSet[dart.implements] = () => [LinkedHashSet$(E)];
     dart.setSignature(_LinkedHashSet, {
       constructors: () => ({_LinkedHashSet: [_LinkedHashSet$(E), []]}),
+      fields: () => ({
+        [_length]: core.int,
+        [_strings]: dart.dynamic,
+        [_nums]: dart.dynamic,
+        [_rest]: dart.dynamic,
+        [_first]: LinkedHashSetCell,
+        [_last]: LinkedHashSetCell,
+        [_modifications]: core.int
+      }),
+      getters: () => ({
+        iterator: core.Iterator$(E),
+        length: core.int,
+        isEmpty: core.bool,
+        isNotEmpty: core.bool,
+        first: E,
+        last: E
+      }),
       methods: () => ({
         [_newSet]: [core.Set$(E), []],
         [_unsupported]: [dart.void, [core.String]],
@@ -5911,6 +6255,11 @@ dart_library.library('dart/collection', null, /* Imports */[
     }
     dart.setSignature(_LinkedCustomHashSet, {
       constructors: () => ({_LinkedCustomHashSet: [_LinkedCustomHashSet$(E), [_Equality$(E), _Hasher$(E), dart.functionType(core.bool, [core.Object])]]}),
+      fields: () => ({
+        [_equality]: _Equality$(E),
+        [_hasher]: _Hasher$(E),
+        [_validKey]: _Predicate$(core.Object)
+      }),
       methods: () => ({
         [_newSet]: [core.Set$(E), []],
         add: [core.bool, [E]],
@@ -5929,7 +6278,12 @@ dart_library.library('dart/collection', null, /* Imports */[
     }
   }
   dart.setSignature(LinkedHashSetCell, {
-    constructors: () => ({LinkedHashSetCell: [LinkedHashSetCell, [dart.dynamic]]})
+    constructors: () => ({LinkedHashSetCell: [LinkedHashSetCell, [dart.dynamic]]}),
+    fields: () => ({
+      [_next]: LinkedHashSetCell,
+      [_previous]: LinkedHashSetCell
+    }),
+    getters: () => ({[_element]: dart.dynamic})
   });
   let LinkedHashSetIterator$ = dart.generic(function(E) {
     class LinkedHashSetIterator extends core.Object {
@@ -5959,6 +6313,15 @@ dart_library.library('dart/collection', null, /* Imports */[
     LinkedHashSetIterator[dart.implements] = () => [core.Iterator$(E)];
     dart.setSignature(LinkedHashSetIterator, {
       constructors: () => ({LinkedHashSetIterator: [LinkedHashSetIterator$(E), [dart.dynamic, core.int]]}),
+      fields: () => ({
+        [_cell]: LinkedHashSetCell,
+        [_current]: E
+      }),
+      getters: () => ({
+        [_set]: dart.dynamic,
+        [_modifications]: core.int,
+        current: E
+      }),
       methods: () => ({moveNext: [core.bool, []]})
     });
     return LinkedHashSetIterator;
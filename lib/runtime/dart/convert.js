@@ -31,6 +31,7 @@ dart_library.library('dart/convert', null, /* Imports */[
     }
     dart.setSignature(Codec, {
       constructors: () => ({Codec: [Codec$(S, T), []]}),
+      getters: () => ({inverted: Codec$(T, S)}),
       methods: () => ({
         encode: [T, [S]],
         decode: [S, [T]],
@@ -91,7 +92,13 @@ dart_library.library('dart/convert', null, /* Imports */[
     }
   }
   dart.setSignature(AsciiCodec, {
-    constructors: () => ({AsciiCodec: [AsciiCodec, [], {allowInvalid: core.bool}]}),
+    constructors: () => ({AsciiCodec: [AsciiCodec, [], {allowInvalid: [core.bool, dart.defaultValue(false)]}]}),
+    getters: () => ({
+      [_allowInvalid]: core.bool,
+      name: core.String,
+      encoder: AsciiEncoder,
+      decoder: AsciiDecoder
+    }),
     methods: () => ({decode: [core.String, [core.List$(core.int)], {allowInvalid: core.bool}]})
   });
   let ASCII = dart.const(new AsciiCodec());
@@ -163,6 +170,7 @@ dart_library.library('dart/convert', null, /* Imports */[
   }
   dart.setSignature(_UnicodeSubsetEncoder, {
     constructors: () => ({_UnicodeSubsetEncoder: [_UnicodeSubsetEncoder, [core.int]]}),
+    getters: () => ({[_subsetMask]: core.int}),
     methods: () => ({
       convert: [core.List$(core.int), [core.String], [core.int, core.int]],
       startChunkedConversion: [StringConversionSink, [core.Sink$(core.List$(core.int))]],
@@ -222,6 +230,10 @@ dart_library.library('dart/convert', null, /* Imports */[
   }
   dart.setSignature(_UnicodeSubsetEncoderSink, {
     constructors: () => ({_UnicodeSubsetEncoderSink: [_UnicodeSubsetEncoderSink, [core.int, ByteConversionSink]]}),
+    getters: () => ({
+      [_sink]: ByteConversionSink,
+      [_subsetMask]: core.int
+    }),
     methods: () => ({
       close: [dart.void, []],
       addSlice: [dart.void, [core.String, core.int, core.int, core.bool]]
@@ -271,6 +283,10 @@ dart_library.library('dart/convert', null, /* Imports */[
   }
   dart.setSignature(_UnicodeSubsetDecoder, {
     constructors: () => ({_UnicodeSubsetDecoder: [_UnicodeSubsetDecoder, [core.bool, core.int]]}),
+    getters: () => ({
+      [_allowInvalid]: core.bool,
+      [_subsetMask]: core.int
+    }),
     methods: () => ({
       convert: [core.String, [core.List$(core.int)], [core.int, core.int]],
       [_convertInvalid]: [core.String, [core.List$(core.int), core.int, core.int]],
@@ -297,7 +313,7 @@ dart_library.library('dart/convert', null, /* Imports */[
     }
   }
   dart.setSignature(AsciiDecoder, {
-    constructors: () => ({AsciiDecoder: [AsciiDecoder, [], {allowInvalid: core.bool}]}),
+    constructors: () => ({AsciiDecoder: [AsciiDecoder, [], {allowInvalid: [core.bool, dart.defaultValue(false)]}]}),
     methods: () => ({startChunkedConversion: [ByteConversionSink, [core.Sink$(core.String)]]})
   });
   let ChunkedConversionSink$ = dart.generic(function(T) {
@@ -379,6 +395,7 @@ dart_library.library('dart/convert', null, /* Imports */[
   }
   dart.setSignature(_ErrorHandlingAsciiDecoderSink, {
     constructors: () => ({_ErrorHandlingAsciiDecoderSink: [_ErrorHandlingAsciiDecoderSink, [ByteConversionSink]]}),
+    fields: () => ({[_utf8Sink]: ByteConversionSink}),
     methods: () => ({
       close: [dart.void, []],
       add: [dart.void, [core.List$(core.int)]]
@@ -414,6 +431,7 @@ dart_library.library('dart/convert', null, /* Imports */[
   }
   dart.setSignature(_SimpleAsciiDecoderSink, {
     constructors: () => ({_SimpleAsciiDecoderSink: [_SimpleAsciiDecoderSink, [core.Sink]]}),
+    fields: () => ({[_sink]: core.Sink}),
     methods: () => ({
       close: [dart.void, []],
       add: [dart.void, [core.List$(core.int)]]
@@ -432,6 +450,7 @@ dart_library.library('dart/convert', null, /* Imports */[
   }
   dart.setSignature(_ByteAdapterSink, {
     constructors: () => ({_ByteAdapterSink: [_ByteAdapterSink, [core.Sink$(core.List$(core.int))]]}),
+    getters: () => ({[_sink]: core.Sink$(core.List$(core.int))}),
     methods: () => ({
       add: [dart.void, [core.List$(core.int)]],
       close: [dart.void, []]
@@ -475,6 +494,11 @@ dart_library.library('dart/convert', null, /* Imports */[
   }
   dart.setSignature(_ByteCallbackSink, {
     constructors: () => ({_ByteCallbackSink: [_ByteCallbackSink, [dart.functionType(dart.void, [core.List$(core.int)])]]}),
+    fields: () => ({
+      [_buffer]: core.List$(core.int),
+      [_bufferIndex]: core.int
+    }),
+    getters: () => ({[_callback]: _ChunkedConversionCallback$(core.List$(core.int))}),
     methods: () => ({
       add: [dart.void, [core.Iterable$(core.int)]],
       close: [dart.void, []]
@@ -506,6 +530,10 @@ dart_library.library('dart/convert', null, /* Imports */[
     }
     dart.setSignature(_SimpleCallbackSink, {
       constructors: () => ({_SimpleCallbackSink: [_SimpleCallbackSink$(T), [_ChunkedConversionCallback$(core.List$(T))]]}),
+      getters: () => ({
+        [_callback]: _ChunkedConversionCallback$(core.List$(T)),
+        [_accumulated]: core.List$(T)
+      }),
       methods: () => ({
         add: [dart.void, [T]],
         close: [dart.void, []]
@@ -530,6 +558,7 @@ dart_library.library('dart/convert', null, /* Imports */[
     _EventSinkAdapter[dart.implements] = () => [ChunkedConversionSink$(T)];
     dart.setSignature(_EventSinkAdapter, {
       constructors: () => ({_EventSinkAdapter: [_EventSinkAdapter$(T), [async.EventSink$(T)]]}),
+      getters: () => ({[_sink]: async.EventSink$(T)}),
       methods: () => ({
         add: [dart.void, [T]],
         close: [dart.void, []]
@@ -562,6 +591,8 @@ dart_library.library('dart/convert', null, /* Imports */[
     _ConverterStreamEventSink[dart.implements] = () => [async.EventSink$(S)];
     dart.setSignature(_ConverterStreamEventSink, {
       constructors: () => ({_ConverterStreamEventSink: [_ConverterStreamEventSink$(S, T), [Converter, async.EventSink$(T)]]}),
+      fields: () => ({[_chunkedSink]: ChunkedConversionSink}),
+      getters: () => ({[_eventSink]: async.EventSink$(T)}),
       methods: () => ({
         add: [dart.void, [S]],
         addError: [dart.void, [core.Object], [core.StackTrace]],
@@ -588,7 +619,13 @@ dart_library.library('dart/convert', null, /* Imports */[
       }
     }
     dart.setSignature(_FusedCodec, {
-      constructors: () => ({_FusedCodec: [_FusedCodec$(S, M, T), [Codec$(S, M), Codec$(M, T)]]})
+      constructors: () => ({_FusedCodec: [_FusedCodec$(S, M, T), [Codec$(S, M), Codec$(M, T)]]}),
+      getters: () => ({
+        [_first]: Codec$(S, M),
+        [_second]: Codec$(M, T),
+        encoder: Converter$(S, T),
+        decoder: Converter$(T, S)
+      })
     });
     return _FusedCodec;
   });
@@ -611,7 +648,13 @@ dart_library.library('dart/convert', null, /* Imports */[
       }
     }
     dart.setSignature(_InvertedCodec, {
-      constructors: () => ({_InvertedCodec: [_InvertedCodec$(T, S), [Codec$(S, T)]]})
+      constructors: () => ({_InvertedCodec: [_InvertedCodec$(T, S), [Codec$(S, T)]]}),
+      getters: () => ({
+        [_codec]: Codec$(S, T),
+        encoder: Converter$(T, S),
+        decoder: Converter$(S, T),
+        inverted: Codec$(S, T)
+      })
     });
     return _InvertedCodec;
   });
@@ -634,6 +677,10 @@ dart_library.library('dart/convert', null, /* Imports */[
     }
     dart.setSignature(_FusedConverter, {
       constructors: () => ({_FusedConverter: [_FusedConverter$(S, M, T), [Converter, Converter]]}),
+      getters: () => ({
+        [_first]: Converter,
+        [_second]: Converter
+      }),
       methods: () => ({
         convert: [T, [S]],
         startChunkedConversion: [ChunkedConversionSink, [core.Sink$(T)]]
@@ -644,7 +691,7 @@ dart_library.library('dart/convert', null, /* Imports */[
   let _FusedConverter = _FusedConverter$();
   dart.defineLazyProperties(Encoding, {
     get _nameToEncoding() {
-      return dart.map({"iso_8859-1:1987": LATIN1, "iso-ir-100": LATIN1, "iso_8859-1": LATIN1, "iso-8859-1": LATIN1, latin1: LATIN1, l1: LATIN1, ibm819: LATIN1, cp819: LATIN1, csisolatin1: LATIN1, "iso-ir-6": ASCII, "ansi_x3.4-1968": ASCII, "ansi_x3.4-1986": ASCII, "iso_646.irv:1991": ASCII, "iso646-us": ASCII, "us-ascii": ASCII, us: ASCII, ibm367: ASCII, cp367: ASCII, csascii: ASCII, ascii: ASCII, csutf8: UTF8, "utf-8": UTF8});
+      return dart.map({"iso_8859-1:1987": LATIN1, "iso-ir-100": LATIN1, "iso_8859-1": LATIN1, "iso-8859-1": LATIN1, latin1: LATIN1, l1: LATIN1, ibm819: LATIN1, cp819: LATIN1, csisolatin1: LATIN1, "iso-ir-6": ASCII, "ansi_x3.4-1968": ASCII, "ansi_x3.4-1986": ASCII, "iso_646.irv:1991": ASCII, "iso646-us": ASCII, "us-ascii": ASCII, us: ASCII, ibm367: ASCII, cp367: ASCII, csascii: ASCII, ascii: ASCII, csutf8: UTF8, "utf-8": UTF8}, core.String, Encoding);
     },
     set _nameToEncoding(_) {}
   });
@@ -663,7 +710,14 @@ dart_library.library('dart/convert', null, /* Imports */[
   }
   dart.defineNamedConstructor(HtmlEscapeMode, '_');
   dart.setSignature(HtmlEscapeMode, {
-    constructors: () => ({_: [HtmlEscapeMode, [core.String, core.bool, core.bool, core.bool, core.bool]]})
+    constructors: () => ({_: [HtmlEscapeMode, [core.String, core.bool, core.bool, core.bool, core.bool]]}),
+    getters: () => ({
+      [_name]: core.String,
+      escapeLtGt: core.bool,
+      escapeQuot: core.bool,
+      escapeApos: core.bool,
+      escapeSlash: core.bool
+    })
   });
   HtmlEscapeMode.UNKNOWN = dart.const(new HtmlEscapeMode._('unknown', true, true, true, true));
   let _convert = Symbol('_convert');
@@ -743,7 +797,8 @@ dart_library.library('dart/convert', null, /* Imports */[
     }
   }
   dart.setSignature(HtmlEscape, {
-    constructors: () => ({HtmlEscape: [HtmlEscape, [], [HtmlEscapeMode]]}),
+    constructors: () => ({HtmlEscape: [HtmlEscape, [], [[HtmlEscapeMode, dart.defaultValue(HtmlEscapeMode.UNKNOWN)]]]}),
+    getters: () => ({mode: HtmlEscapeMode}),
     methods: () => ({
       convert: [core.String, [core.String]],
       [_convert]: [core.String, [core.String, core.int, core.int]],
@@ -775,6 +830,10 @@ dart_library.library('dart/convert', null, /* Imports */[
   }
   dart.setSignature(_HtmlEscapeSink, {
     constructors: () => ({_HtmlEscapeSink: [_HtmlEscapeSink, [HtmlEscape, StringConversionSink]]}),
+    getters: () => ({
+      [_escape]: HtmlEscape,
+      [_sink]: StringConversionSink
+    }),
     methods: () => ({
       addSlice: [dart.void, [core.String, core.int, core.int, core.bool]],
       close: [dart.void, []]
@@ -796,7 +855,11 @@ dart_library.library('dart/convert', null, /* Imports */[
     }
   }
   dart.setSignature(JsonUnsupportedObjectError, {
-    constructors: () => ({JsonUnsupportedObjectError: [JsonUnsupportedObjectError, [dart.dynamic], {cause: dart.dynamic}]})
+    constructors: () => ({JsonUnsupportedObjectError: [JsonUnsupportedObjectError, [dart.dynamic], {cause: dart.dynamic}]}),
+    getters: () => ({
+      unsupportedObject: dart.dynamic,
+      cause: dart.dynamic
+    })
   });
   class JsonCyclicError extends JsonUnsupportedObjectError {
     JsonCyclicError(object) {
@@ -855,6 +918,12 @@ dart_library.library('dart/convert', null, /* Imports */[
       JsonCodec: [JsonCodec, [], {reviver: dart.functionType(dart.dynamic, [dart.dynamic, dart.dynamic]), toEncodable: dart.functionType(dart.dynamic, [dart.dynamic])}],
       withReviver: [JsonCodec, [dart.functionType(dart.dynamic, [dart.dynamic, dart.dynamic])]]
     }),
+    getters: () => ({
+      [_reviver]: _Reviver,
+      [_toEncodable$]: _ToEncodable,
+      encoder: JsonEncoder,
+      decoder: JsonDecoder
+    }),
     methods: () => ({
       decode: [dart.dynamic, [core.String], {reviver: dart.functionType(dart.dynamic, [dart.dynamic, dart.dynamic])}],
       encode: [core.String, [core.Object], {toEncodable: dart.functionType(dart.dynamic, [dart.dynamic])}]
@@ -905,6 +974,10 @@ dart_library.library('dart/convert', null, /* Imports */[
       JsonEncoder: [JsonEncoder, [], [dart.functionType(core.Object, [core.Object])]],
       withIndent: [JsonEncoder, [core.String], [dart.functionType(core.Object, [core.Object])]]
     }),
+    getters: () => ({
+      indent: core.String,
+      [_toEncodable$]: core.Function
+    }),
     methods: () => ({
       convert: [core.String, [core.Object]],
       startChunkedConversion: [ChunkedConversionSink$(core.Object), [core.Sink$(core.String)]],
@@ -984,7 +1057,12 @@ dart_library.library('dart/convert', null, /* Imports */[
     }
   }
   dart.setSignature(JsonUtf8Encoder, {
-    constructors: () => ({JsonUtf8Encoder: [JsonUtf8Encoder, [], [core.String, dart.functionType(dart.dynamic, [core.Object]), core.int]]}),
+    constructors: () => ({JsonUtf8Encoder: [JsonUtf8Encoder, [], [core.String, dart.functionType(dart.dynamic, [core.Object]), [core.int, dart.defaultValue(JsonUtf8Encoder.DEFAULT_BUFFER_SIZE)]]]}),
+    getters: () => ({
+      [_indent]: core.List$(core.int),
+      [_toEncodable$]: core.Function,
+      [_bufferSize]: core.int
+    }),
     methods: () => ({
       convert: [core.List$(core.int), [core.Object]],
       startChunkedConversion: [ChunkedConversionSink$(core.Object), [core.Sink$(core.List$(core.int))]],
@@ -1017,6 +1095,12 @@ dart_library.library('dart/convert', null, /* Imports */[
   }
   dart.setSignature(_JsonEncoderSink, {
     constructors: () => ({_JsonEncoderSink: [_JsonEncoderSink, [StringConversionSink, core.Function, core.String]]}),
+    fields: () => ({[_isDone]: core.bool}),
+    getters: () => ({
+      [_indent]: core.String,
+      [_toEncodable$]: core.Function,
+      [_sink]: StringConversionSink
+    }),
     methods: () => ({
       add: [dart.void, [core.Object]],
       close: [dart.void, []]
@@ -1052,6 +1136,13 @@ dart_library.library('dart/convert', null, /* Imports */[
   }
   dart.setSignature(_JsonUtf8EncoderSink, {
     constructors: () => ({_JsonUtf8EncoderSink: [_JsonUtf8EncoderSink, [ByteConversionSink, core.Function, core.List$(core.int), core.int]]}),
+    fields: () => ({[_isDone]: core.bool}),
+    getters: () => ({
+      [_sink]: ByteConversionSink,
+      [_indent]: core.List$(core.int),
+      [_toEncodable$]: core.Function,
+      [_bufferSize]: core.int
+    }),
     methods: () => ({
       [_addChunk]: [dart.void, [typed_data.Uint8List, core.int, core.int]],
       add: [dart.void, [core.Object]],
@@ -1077,6 +1168,7 @@ dart_library.library('dart/convert', null, /* Imports */[
   }
   dart.setSignature(JsonDecoder, {
     constructors: () => ({JsonDecoder: [JsonDecoder, [], [dart.functionType(dart.dynamic, [dart.dynamic, dart.dynamic])]]}),
+    getters: () => ({[_reviver]: _Reviver}),
     methods: () => ({
       convert: [dart.dynamic, [core.String]],
       startChunkedConversion: [StringConversionSink, [core.Sink$(core.Object)]],
@@ -1232,7 +1324,7 @@ dart_library.library('dart/convert', null, /* Imports */[
         return true;
       } else if (dart.is(object, core.Map)) {
         this[_checkCycle](object);
-        this.writeMap(dart.as(object, core.Map$(core.String, core.Object)));
+        this.writeMap(dart.as(object, core.Map));
         this[_removeSeen](object);
         return true;
       } else {
@@ -1265,6 +1357,10 @@ dart_library.library('dart/convert', null, /* Imports */[
   }
   dart.setSignature(_JsonStringifier, {
     constructors: () => ({_JsonStringifier: [_JsonStringifier, [dart.functionType(core.Object, [core.Object])]]}),
+    getters: () => ({
+      [_seen]: core.List,
+      [_toEncodable$]: core.Function
+    }),
     methods: () => ({
       writeStringContent: [dart.void, [core.String]],
       [_checkCycle]: [dart.void, [dart.dynamic]],
@@ -1272,7 +1368,7 @@ dart_library.library('dart/convert', null, /* Imports */[
       writeObject: [dart.void, [dart.dynamic]],
       writeJsonValue: [core.bool, [dart.dynamic]],
       writeList: [dart.void, [core.List]],
-      writeMap: [dart.void, [core.Map$(core.String, core.Object)]]
+      writeMap: [dart.void, [core.Map]]
     }),
     statics: () => ({hexDigit: [core.int, [core.int]]}),
     names: ['hexDigit']
@@ -1342,6 +1438,7 @@ dart_library.library('dart/convert', null, /* Imports */[
   }
   _JsonPrettyPrintMixin[dart.implements] = () => [_JsonStringifier];
   dart.setSignature(_JsonPrettyPrintMixin, {
+    fields: () => ({[_indentLevel]: core.int}),
     methods: () => ({
       writeList: [dart.void, [core.List]],
       writeMap: [dart.void, [core.Map]]
@@ -1381,6 +1478,7 @@ dart_library.library('dart/convert', null, /* Imports */[
   }
   dart.setSignature(_JsonStringStringifier, {
     constructors: () => ({_JsonStringStringifier: [_JsonStringStringifier, [core.StringSink, dart.dynamic]]}),
+    getters: () => ({[_sink]: core.StringSink}),
     methods: () => ({
       writeNumber: [dart.void, [core.num]],
       writeString: [dart.void, [core.String]],
@@ -1405,6 +1503,7 @@ dart_library.library('dart/convert', null, /* Imports */[
   }
   dart.setSignature(_JsonStringStringifierPretty, {
     constructors: () => ({_JsonStringStringifierPretty: [_JsonStringStringifierPretty, [core.StringSink, core.Function, core.String]]}),
+    getters: () => ({[_indent]: core.String}),
     methods: () => ({writeIndentation: [dart.void, [core.int]]})
   });
   class _JsonUtf8Stringifier extends _JsonStringifier {
@@ -1508,6 +1607,14 @@ dart_library.library('dart/convert', null, /* Imports */[
   }
   dart.setSignature(_JsonUtf8Stringifier, {
     constructors: () => ({_JsonUtf8Stringifier: [_JsonUtf8Stringifier, [dart.dynamic, core.int, core.Function]]}),
+    fields: () => ({
+      buffer: typed_data.Uint8List,
+      index: core.int
+    }),
+    getters: () => ({
+      bufferSize: core.int,
+      addChunk: core.Function
+    }),
     methods: () => ({
       flush: [dart.void, []],
       writeNumber: [dart.void, [core.num]],
@@ -1554,6 +1661,7 @@ dart_library.library('dart/convert', null, /* Imports */[
   }
   dart.setSignature(_JsonUtf8StringifierPretty, {
     constructors: () => ({_JsonUtf8StringifierPretty: [_JsonUtf8StringifierPretty, [dart.dynamic, core.List$(core.int), dart.dynamic, dart.dynamic]]}),
+    getters: () => ({indent: core.List$(core.int)}),
     methods: () => ({writeIndentation: [dart.void, [core.int]]})
   });
   let __CastType0 = dart.typedef('__CastType0', () => dart.functionType(core.Object, [core.Object]));
@@ -1586,7 +1694,13 @@ dart_library.library('dart/convert', null, /* Imports */[
     }
   }
   dart.setSignature(Latin1Codec, {
-    constructors: () => ({Latin1Codec: [Latin1Codec, [], {allowInvalid: core.bool}]}),
+    constructors: () => ({Latin1Codec: [Latin1Codec, [], {allowInvalid: [core.bool, dart.defaultValue(false)]}]}),
+    getters: () => ({
+      [_allowInvalid]: core.bool,
+      name: core.String,
+      encoder: Converter$(core.String, core.List$(core.int)),
+      decoder: Converter$(core.List$(core.int), core.String)
+    }),
     methods: () => ({decode: [core.String, [core.List$(core.int)], {allowInvalid: core.bool}]})
   });
   let LATIN1 = dart.const(new Latin1Codec());
@@ -1617,7 +1731,7 @@ dart_library.library('dart/convert', null, /* Imports */[
     }
   }
   dart.setSignature(Latin1Decoder, {
-    constructors: () => ({Latin1Decoder: [Latin1Decoder, [], {allowInvalid: core.bool}]}),
+    constructors: () => ({Latin1Decoder: [Latin1Decoder, [], {allowInvalid: [core.bool, dart.defaultValue(false)]}]}),
     methods: () => ({startChunkedConversion: [ByteConversionSink, [core.Sink$(core.String)]]})
   });
   let _addSliceToSink = Symbol('_addSliceToSink');
@@ -1654,6 +1768,7 @@ dart_library.library('dart/convert', null, /* Imports */[
   }
   dart.setSignature(_Latin1DecoderSink, {
     constructors: () => ({_Latin1DecoderSink: [_Latin1DecoderSink, [StringConversionSink]]}),
+    fields: () => ({[_sink]: StringConversionSink}),
     methods: () => ({
       close: [dart.void, []],
       add: [dart.void, [core.List$(core.int)]],
@@ -1766,6 +1881,8 @@ dart_library.library('dart/convert', null, /* Imports */[
   }
   dart.setSignature(_LineSplitterSink, {
     constructors: () => ({_LineSplitterSink: [_LineSplitterSink, [StringConversionSink]]}),
+    fields: () => ({[_carry]: core.String}),
+    getters: () => ({[_sink]: StringConversionSink}),
     methods: () => ({
       addSlice: [dart.void, [core.String, core.int, core.int, core.bool]],
       close: [dart.void, []]
@@ -1834,6 +1951,10 @@ dart_library.library('dart/convert', null, /* Imports */[
   _ClosableStringSink[dart.implements] = () => [ClosableStringSink];
   dart.setSignature(_ClosableStringSink, {
     constructors: () => ({_ClosableStringSink: [_ClosableStringSink, [core.StringSink, _StringSinkCloseCallback]]}),
+    getters: () => ({
+      [_callback]: _StringSinkCloseCallback,
+      [_sink]: core.StringSink
+    }),
     methods: () => ({
       close: [dart.void, []],
       writeCharCode: [dart.void, [core.int]],
@@ -1900,6 +2021,10 @@ dart_library.library('dart/convert', null, /* Imports */[
   _StringConversionSinkAsStringSinkAdapter[dart.implements] = () => [ClosableStringSink];
   dart.setSignature(_StringConversionSinkAsStringSinkAdapter, {
     constructors: () => ({_StringConversionSinkAsStringSinkAdapter: [_StringConversionSinkAsStringSinkAdapter, [StringConversionSink]]}),
+    fields: () => ({
+      [_buffer]: core.StringBuffer,
+      [_chunkedSink]: StringConversionSink
+    }),
     methods: () => ({
       close: [dart.void, []],
       writeCharCode: [dart.void, [core.int]],
@@ -1939,6 +2064,7 @@ dart_library.library('dart/convert', null, /* Imports */[
   }
   dart.setSignature(_StringSinkConversionSink, {
     constructors: () => ({_StringSinkConversionSink: [_StringSinkConversionSink, [core.StringSink]]}),
+    fields: () => ({[_stringSink]: core.StringSink}),
     methods: () => ({
       close: [dart.void, []],
       addSlice: [dart.void, [core.String, core.int, core.int, core.bool]]
@@ -1960,7 +2086,8 @@ dart_library.library('dart/convert', null, /* Imports */[
     }
   }
   dart.setSignature(_StringCallbackSink, {
-    constructors: () => ({_StringCallbackSink: [_StringCallbackSink, [_ChunkedConversionCallback$(core.String)]]})
+    constructors: () => ({_StringCallbackSink: [_StringCallbackSink, [_ChunkedConversionCallback$(core.String)]]}),
+    getters: () => ({[_callback]: _ChunkedConversionCallback$(core.String)})
   });
   class _StringAdapterSink extends StringConversionSinkBase {
     _StringAdapterSink(sink) {
@@ -1984,6 +2111,7 @@ dart_library.library('dart/convert', null, /* Imports */[
   }
   dart.setSignature(_StringAdapterSink, {
     constructors: () => ({_StringAdapterSink: [_StringAdapterSink, [core.Sink$(core.String)]]}),
+    getters: () => ({[_sink]: core.Sink$(core.String)}),
     methods: () => ({
       addSlice: [dart.void, [core.String, core.int, core.int, core.bool]],
       close: [dart.void, []]
@@ -2012,6 +2140,10 @@ dart_library.library('dart/convert', null, /* Imports */[
   }
   dart.setSignature(_Utf8StringSinkAdapter, {
     constructors: () => ({_Utf8StringSinkAdapter: [_Utf8StringSinkAdapter, [core.Sink, core.StringSink, core.bool]]}),
+    getters: () => ({
+      [_decoder]: _Utf8Decoder,
+      [_sink]: core.Sink
+    }),
     methods: () => ({
       close: [dart.void, []],
       add: [dart.void, [core.List$(core.int)]],
@@ -2059,6 +2191,11 @@ dart_library.library('dart/convert', null, /* Imports */[
       _Utf8ConversionSink: [_Utf8ConversionSink, [StringConversionSink, core.bool]],
       _: [_Utf8ConversionSink, [StringConversionSink, core.StringBuffer, core.bool]]
     }),
+    getters: () => ({
+      [_decoder]: _Utf8Decoder,
+      [_chunkedSink]: StringConversionSink,
+      [_buffer]: core.StringBuffer
+    }),
     methods: () => ({
       close: [dart.void, []],
       add: [dart.void, [core.List$(core.int)]],
@@ -2091,7 +2228,13 @@ dart_library.library('dart/convert', null, /* Imports */[
     }
   }
   dart.setSignature(Utf8Codec, {
-    constructors: () => ({Utf8Codec: [Utf8Codec, [], {allowMalformed: core.bool}]}),
+    constructors: () => ({Utf8Codec: [Utf8Codec, [], {allowMalformed: [core.bool, dart.defaultValue(false)]}]}),
+    getters: () => ({
+      [_allowMalformed]: core.bool,
+      name: core.String,
+      encoder: Utf8Encoder,
+      decoder: Utf8Decoder
+    }),
     methods: () => ({decode: [core.String, [core.List$(core.int)], {allowMalformed: core.bool}]})
   });
   let UTF8 = dart.const(new Utf8Codec());
@@ -2268,6 +2411,11 @@ dart_library.library('dart/convert', null, /* Imports */[
       _Utf8Encoder: [_Utf8Encoder, []],
       withBufferSize: [_Utf8Encoder, [core.int]]
     }),
+    fields: () => ({
+      [_carry]: core.int,
+      [_bufferIndex]: core.int
+    }),
+    getters: () => ({[_buffer]: core.List$(core.int)}),
     methods: () => ({
       [_writeSurrogate]: [core.bool, [core.int, core.int]],
       [_fillBuffer]: [core.int, [core.String, core.int, core.int]]
@@ -2328,6 +2476,7 @@ dart_library.library('dart/convert', null, /* Imports */[
   }
   dart.setSignature(_Utf8EncoderSink, {
     constructors: () => ({_Utf8EncoderSink: [_Utf8EncoderSink, [ByteConversionSink]]}),
+    getters: () => ({[_sink]: ByteConversionSink}),
     methods: () => ({
       close: [dart.void, []],
       addSlice: [dart.void, [core.String, core.int, core.int, core.bool]]
@@ -2371,7 +2520,8 @@ dart_library.library('dart/convert', null, /* Imports */[
     }
   }
   dart.setSignature(Utf8Decoder, {
-    constructors: () => ({Utf8Decoder: [Utf8Decoder, [], {allowMalformed: core.bool}]}),
+    constructors: () => ({Utf8Decoder: [Utf8Decoder, [], {allowMalformed: [core.bool, dart.defaultValue(false)]}]}),
+    getters: () => ({[_allowMalformed]: core.bool}),
     methods: () => ({
       convert: [core.String, [core.List$(core.int)], [core.int, core.int]],
       startChunkedConversion: [ByteConversionSink, [core.Sink$(core.String)]],
@@ -2556,6 +2706,17 @@ dart_library.library('dart/convert', null, /* Imports */[
   }
   dart.setSignature(_Utf8Decoder, {
     constructors: () => ({_Utf8Decoder: [_Utf8Decoder, [core.StringSink, core.bool]]}),
+    fields: () => ({
+      [_isFirstCharacter]: core.bool,
+      [_value]: core.int,
+      [_expectedUnits]: core.int,
+      [_extraUnits]: core.int
+    }),
+    getters: () => ({
+      [_allowMalformed]: core.bool,
+      [_stringSink]: core.StringSink,
+      hasPartialInput: core.bool
+    }),
     methods: () => ({
       close: [dart.void, []],
       flush: [dart.void, []],
@@ -2710,7 +2871,7 @@ dart_library.library('dart/convert', null, /* Imports */[
           dart.dsend(this[_data], 'clear');
         }
         this[_original] = this[_processed] = null;
-        this[_data] = dart.map();
+        this[_data] = dart.map([]);
       }
     }
     forEach(f) {
@@ -2751,7 +2912,7 @@ dart_library.library('dart/convert', null, /* Imports */[
     [_upgrade]() {
       if (dart.notNull(this[_isUpgraded]))
         return this[_upgradedMap];
-      let result = dart.map();
+      let result = dart.map([]);
       let keys = this[_computeKeys]();
       for (let i = 0; dart.notNull(i) < dart.notNull(keys[dartx.length]); i = dart.notNull(i) + 1) {
         let key = keys[dartx.get](i);
@@ -2795,6 +2956,20 @@ dart_library.library('dart/convert', null, /* Imports */[
   _JsonMap[dart.implements] = () => [collection.LinkedHashMap];
   dart.setSignature(_JsonMap, {
     constructors: () => ({_JsonMap: [_JsonMap, [dart.dynamic]]}),
+    fields: () => ({
+      [_original]: dart.dynamic,
+      [_processed]: dart.dynamic,
+      [_data]: dart.dynamic
+    }),
+    getters: () => ({
+      length: core.int,
+      isEmpty: core.bool,
+      isNotEmpty: core.bool,
+      keys: core.Iterable,
+      values: core.Iterable,
+      [_isUpgraded]: core.bool,
+      [_upgradedMap]: core.Map
+    }),
     methods: () => ({
       get: [dart.dynamic, [core.Object]],
       set: [dart.void, [dart.dynamic, dart.dynamic]],
@@ -2840,6 +3015,11 @@ dart_library.library('dart/convert', null, /* Imports */[
   }
   dart.setSignature(_JsonMapKeyIterable, {
     constructors: () => ({_JsonMapKeyIterable: [_JsonMapKeyIterable, [_JsonMap]]}),
+    getters: () => ({
+      [_parent]: _JsonMap,
+      length: core.int,
+      iterator: core.Iterator
+    }),
     methods: () => ({elementAt: [core.String, [core.int]]})
   });
   dart.defineExtensionMembers(_JsonMapKeyIterable, ['elementAt', 'contains', 'length', 'iterator']);
@@ -2860,7 +3040,11 @@ dart_library.library('dart/convert', null, /* Imports */[
     }
   }
   dart.setSignature(_JsonDecoderSink, {
-    constructors: () => ({_JsonDecoderSink: [_JsonDecoderSink, [_Reviver, core.Sink$(core.Object)]]})
+    constructors: () => ({_JsonDecoderSink: [_JsonDecoderSink, [_Reviver, core.Sink$(core.Object)]]}),
+    getters: () => ({
+      [_reviver]: _Reviver,
+      [_sink]: core.Sink$(core.Object)
+    })
   });
   // Exports:
   exports.Codec$ = Codec$;
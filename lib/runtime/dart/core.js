@@ -35,6 +35,10 @@ dart_library.library('dart/core', null, /* Imports */[
   }
   dart.setSignature(Object, {
     constructors: () => ({Object: [Object, []]}),
+    getters: () => ({
+      hashCode: int,
+      runtimeType: Type
+    }),
     methods: () => ({
       '==': [bool, [dart.dynamic]],
       toString: [String, []],
@@ -50,7 +54,8 @@ dart_library.library('dart/core', null, /* Imports */[
     }
   }
   dart.setSignature(Deprecated, {
-    constructors: () => ({Deprecated: [Deprecated, [String]]})
+    constructors: () => ({Deprecated: [Deprecated, [String]]}),
+    getters: () => ({expires: String})
   });
   class _Override extends Object {
     _Override() {
@@ -82,7 +87,7 @@ dart_library.library('dart/core', null, /* Imports */[
     }
   }
   dart.setSignature(bool, {
-    constructors: () => ({fromEnvironment: [bool, [String], {defaultValue: bool}]})
+    constructors: () => ({fromEnvironment: [bool, [String], {defaultValue: [bool, dart.defaultValue(false)]}]})
   });
   let Comparator$ = dart.generic(function(T) {
     let Comparator = dart.typedef('Comparator', () => dart.functionType(int, [T, T]));
@@ -354,13 +359,28 @@ dart_library.library('dart/core', null, /* Imports */[
   dart.defineNamedConstructor(DateTime, '_now');
   dart.setSignature(DateTime, {
     constructors: () => ({
-      DateTime: [DateTime, [int], [int, int, int, int, int, int]],
-      utc: [DateTime, [int], [int, int, int, int, int, int]],
+      DateTime: [DateTime, [int], [[int, dart.defaultValue(1)], [int, dart.defaultValue(1)], [int, dart.defaultValue(0)], [int, dart.defaultValue(0)], [int, dart.defaultValue(0)], [int, dart.defaultValue(0)]]],
+      utc: [DateTime, [int], [[int, dart.defaultValue(1)], [int, dart.defaultValue(1)], [int, dart.defaultValue(0)], [int, dart.defaultValue(0)], [int, dart.defaultValue(0)], [int, dart.defaultValue(0)]]],
       now: [DateTime, []],
-      fromMillisecondsSinceEpoch: [DateTime, [int], {isUtc: bool}],
+      fromMillisecondsSinceEpoch: [DateTime, [int], {isUtc: [bool, dart.defaultValue(false)]}],
       _internal: [DateTime, [int, int, int, int, int, int, int, bool]],
       _now: [DateTime, []]
     }),
+    getters: () => ({
+      millisecondsSinceEpoch: int,
+      isUtc: bool,
+      hashCode: int,
+      timeZoneName: String,
+      timeZoneOffset: Duration,
+      year: int,
+      month: int,
+      day: int,
+      hour: int,
+      minute: int,
+      second: int,
+      millisecond: int,
+      weekday: int
+    }),
     methods: () => ({
       isBefore: [bool, [DateTime]],
       isAfter: [bool, [DateTime]],
@@ -569,9 +589,20 @@ dart_library.library('dart/core', null, /* Imports */[
   dart.defineNamedConstructor(Duration, '_microseconds');
   dart.setSignature(Duration, {
     constructors: () => ({
-      Duration: [Duration, [], {days: int, hours: int, minutes: int, seconds: int, milliseconds: int, microseconds: int}],
+      Duration: [Duration, [], {days: [int, dart.defaultValue(0)], hours: [int, dart.defaultValue(0)], minutes: [int, dart.defaultValue(0)], seconds: [int, dart.defaultValue(0)], milliseconds: [int, dart.defaultValue(0)], microseconds: [int, dart.defaultValue(0)]}],
       _microseconds: [Duration, [int]]
     }),
+    getters: () => ({
+      [_duration]: int,
+      inDays: int,
+      inHours: int,
+      inMinutes: int,
+      inSeconds: int,
+      inMilliseconds: int,
+      inMicroseconds: int,
+      hashCode: int,
+      isNegative: bool
+    }),
     methods: () => ({
       '+': [Duration, [Duration]],
       '-': [Duration, [Duration]],
@@ -627,6 +658,7 @@ dart_library.library('dart/core', null, /* Imports */[
   }
   dart.setSignature(Error, {
     constructors: () => ({Error: [Error, []]}),
+    getters: () => ({stackTrace: StackTrace}),
     statics: () => ({
       safeToString: [String, [Object]],
       _stringToSafeString: [String, [String]],
@@ -700,8 +732,14 @@ dart_library.library('dart/core', null, /* Imports */[
   dart.setSignature(ArgumentError, {
     constructors: () => ({
       ArgumentError: [ArgumentError, [], [dart.dynamic]],
-      value: [ArgumentError, [dart.dynamic], [String, String]],
+      value: [ArgumentError, [dart.dynamic], [String, [String, dart.defaultValue("Invalid argument")]]],
       notNull: [ArgumentError, [], [String]]
+    }),
+    getters: () => ({
+      [_hasValue]: bool,
+      invalidValue: dart.dynamic,
+      name: String,
+      message: dart.dynamic
     })
   });
   class RangeError extends ArgumentError {
@@ -811,6 +849,10 @@ dart_library.library('dart/core', null, /* Imports */[
       range: [RangeError, [num, int, int], [String, String]],
       index: [RangeError, [int, dart.dynamic], [String, String, int]]
     }),
+    getters: () => ({
+      start: num,
+      end: num
+    }),
     statics: () => ({
       checkValueInInterval: [dart.void, [int, int, int], [String, String]],
       checkValidIndex: [dart.void, [int, dart.dynamic], [String, int, String]],
@@ -849,7 +891,13 @@ dart_library.library('dart/core', null, /* Imports */[
   }
   IndexError[dart.implements] = () => [RangeError];
   dart.setSignature(IndexError, {
-    constructors: () => ({IndexError: [IndexError, [int, dart.dynamic], [String, String, int]]})
+    constructors: () => ({IndexError: [IndexError, [int, dart.dynamic], [String, String, int]]}),
+    getters: () => ({
+      indexable: dart.dynamic,
+      length: int,
+      start: int,
+      end: int
+    })
   });
   class FallThroughError extends Error {
     FallThroughError() {
@@ -870,7 +918,8 @@ dart_library.library('dart/core', null, /* Imports */[
     }
   }
   dart.setSignature(AbstractClassInstantiationError, {
-    constructors: () => ({AbstractClassInstantiationError: [AbstractClassInstantiationError, [String]]})
+    constructors: () => ({AbstractClassInstantiationError: [AbstractClassInstantiationError, [String]]}),
+    getters: () => ({[_className]: String})
   });
   let _receiver = dart.JsSymbol('_receiver');
   let _memberName = dart.JsSymbol('_memberName');
@@ -927,7 +976,14 @@ dart_library.library('dart/core', null, /* Imports */[
     }
   }
   dart.setSignature(NoSuchMethodError, {
-    constructors: () => ({NoSuchMethodError: [NoSuchMethodError, [Object, Symbol, List, Map$(Symbol, dart.dynamic)], [List]]})
+    constructors: () => ({NoSuchMethodError: [NoSuchMethodError, [Object, Symbol, List, Map$(Symbol, dart.dynamic)], [[List, dart.defaultValue(null)]]]}),
+    getters: () => ({
+      [_receiver]: Object,
+      [_memberName]: Symbol,
+      [_arguments]: List,
+      [_namedArguments]: Map$(Symbol, dart.dynamic),
+      [_existingArgumentNames]: List
+    })
   });
   class UnsupportedError extends Error {
     UnsupportedError(message) {
@@ -939,7 +995,8 @@ dart_library.library('dart/core', null, /* Imports */[
     }
   }
   dart.setSignature(UnsupportedError, {
-    constructors: () => ({UnsupportedError: [UnsupportedError, [String]]})
+    constructors: () => ({UnsupportedError: [UnsupportedError, [String]]}),
+    getters: () => ({message: String})
   });
   class UnimplementedError extends Error {
     UnimplementedError(message) {
@@ -954,7 +1011,8 @@ dart_library.library('dart/core', null, /* Imports */[
   }
   UnimplementedError[dart.implements] = () => [UnsupportedError];
   dart.setSignature(UnimplementedError, {
-    constructors: () => ({UnimplementedError: [UnimplementedError, [], [String]]})
+    constructors: () => ({UnimplementedError: [UnimplementedError, [], [String]]}),
+    getters: () => ({message: String})
   });
   class StateError extends Error {
     StateError(message) {
@@ -966,7 +1024,8 @@ dart_library.library('dart/core', null, /* Imports */[
     }
   }
   dart.setSignature(StateError, {
-    constructors: () => ({StateError: [StateError, [String]]})
+    constructors: () => ({StateError: [StateError, [String]]}),
+    getters: () => ({message: String})
   });
   class ConcurrentModificationError extends Error {
     ConcurrentModificationError(modifiedObject) {
@@ -983,7 +1042,8 @@ dart_library.library('dart/core', null, /* Imports */[
     }
   }
   dart.setSignature(ConcurrentModificationError, {
-    constructors: () => ({ConcurrentModificationError: [ConcurrentModificationError, [], [Object]]})
+    constructors: () => ({ConcurrentModificationError: [ConcurrentModificationError, [], [Object]]}),
+    getters: () => ({modifiedObject: Object})
   });
   class OutOfMemoryError extends Object {
     OutOfMemoryError() {
@@ -997,7 +1057,8 @@ dart_library.library('dart/core', null, /* Imports */[
   }
   OutOfMemoryError[dart.implements] = () => [Error];
   dart.setSignature(OutOfMemoryError, {
-    constructors: () => ({OutOfMemoryError: [OutOfMemoryError, []]})
+    constructors: () => ({OutOfMemoryError: [OutOfMemoryError, []]}),
+    getters: () => ({stackTrace: StackTrace})
   });
   class StackOverflowError extends Object {
     StackOverflowError() {
@@ -1011,7 +1072,8 @@ dart_library.library('dart/core', null, /* Imports */[
   }
   StackOverflowError[dart.implements] = () => [Error];
   dart.setSignature(StackOverflowError, {
-    constructors: () => ({StackOverflowError: [StackOverflowError, []]})
+    constructors: () => ({StackOverflowError: [StackOverflowError, []]}),
+    getters: () => ({stackTrace: StackTrace})
   });
   class CyclicInitializationError extends Error {
     CyclicInitializationError(variableName) {
@@ -1025,7 +1087,8 @@ dart_library.library('dart/core', null, /* Imports */[
     }
   }
   dart.setSignature(CyclicInitializationError, {
-    constructors: () => ({CyclicInitializationError: [CyclicInitializationError, [], [String]]})
+    constructors: () => ({CyclicInitializationError: [CyclicInitializationError, [], [String]]}),
+    getters: () => ({variableName: String})
   });
   class Exception extends Object {
     static new(message) {
@@ -1051,7 +1114,8 @@ dart_library.library('dart/core', null, /* Imports */[
   }
   _ExceptionImplementation[dart.implements] = () => [Exception];
   dart.setSignature(_ExceptionImplementation, {
-    constructors: () => ({_ExceptionImplementation: [_ExceptionImplementation, [], [dart.dynamic]]})
+    constructors: () => ({_ExceptionImplementation: [_ExceptionImplementation, [], [dart.dynamic]]}),
+    getters: () => ({message: dart.dynamic})
   });
   class FormatException extends Object {
     FormatException(message, source, offset) {
@@ -1143,7 +1207,12 @@ dart_library.library('dart/core', null, /* Imports */[
   }
   FormatException[dart.implements] = () => [Exception];
   dart.setSignature(FormatException, {
-    constructors: () => ({FormatException: [FormatException, [], [String, dart.dynamic, int]]})
+    constructors: () => ({FormatException: [FormatException, [], [[String, dart.defaultValue("")], dart.dynamic, [int, dart.defaultValue(-1)]]]}),
+    getters: () => ({
+      message: String,
+      source: dart.dynamic,
+      offset: int
+    })
   });
   class IntegerDivisionByZeroException extends Object {
     IntegerDivisionByZeroException() {
@@ -1196,6 +1265,7 @@ dart_library.library('dart/core', null, /* Imports */[
     }
     dart.setSignature(Expando, {
       constructors: () => ({Expando: [Expando$(T), [], [String]]}),
+      getters: () => ({name: String}),
       methods: () => ({
         get: [T, [Object]],
         set: [dart.void, [Object, T]],
@@ -1212,10 +1282,17 @@ dart_library.library('dart/core', null, /* Imports */[
     static apply(f, positionalArguments, namedArguments) {
       if (namedArguments === void 0)
         namedArguments = null;
+      if (namedArguments != null && dart.notNull(namedArguments.isNotEmpty)) {
+        let named = {};
+        namedArguments.forEach(dart.fn((symbol, value) => {
+          named[_symbolToString(dart.as(symbol, Symbol))] = value;
+        }));
+        return dart.dcall.apply(null, [f].concat(positionalArguments, [dart.namedArgs(named)]));
+      }
       return dart.dcall.apply(null, [f].concat(positionalArguments));
     }
     static _toMangledNames(namedArguments) {
-      let result = dart.map();
+      let result = dart.map([], String, dart.dynamic);
       namedArguments.forEach(dart.fn((symbol, value) => {
         result.set(_symbolToString(dart.as(symbol, Symbol)), value);
       }));
@@ -1258,6 +1335,9 @@ dart_library.library('dart/core', null, /* Imports */[
       return dart.notNull(this.isGetter) || dart.notNull(this.isSetter);
     }
   }
+  dart.setSignature(Invocation, {
+    getters: () => ({isAccessor: bool})
+  });
   let Iterable$ = dart.generic(function(E) {
     dart.defineExtensionNames([
       'join'
@@ -1350,6 +1430,13 @@ dart_library.library('dart/core', null, /* Imports */[
         _GeneratorIterable: [exports._GeneratorIterable$(E), [int, dart.functionType(E, [int])]],
         slice: [exports._GeneratorIterable$(E), [int, int, _Generator$(E)]]
       }),
+      getters: () => ({
+        [_start]: int,
+        [_end]: int,
+        [_generator]: _Generator$(E),
+        iterator: Iterator$(E),
+        length: int
+      }),
       methods: () => ({
         skip: [Iterable$(E), [int]],
         take: [Iterable$(E), [int]]
@@ -1388,6 +1475,15 @@ dart_library.library('dart/core', null, /* Imports */[
     _GeneratorIterator[dart.implements] = () => [Iterator$(E)];
     dart.setSignature(_GeneratorIterator, {
       constructors: () => ({_GeneratorIterator: [_GeneratorIterator$(E), [int, int, _Generator$(E)]]}),
+      fields: () => ({
+        [_index]: int,
+        [_current]: E
+      }),
+      getters: () => ({
+        [_end]: int,
+        [_generator]: _Generator$(E),
+        current: E
+      }),
       methods: () => ({moveNext: [bool, []]})
     });
     return _GeneratorIterator;
@@ -1462,8 +1558,8 @@ dart_library.library('dart/core', null, /* Imports */[
       constructors: () => ({
         new: [List$(E), [], [int]],
         filled: [List$(E), [int, E]],
-        from: [List$(E), [Iterable], {growable: bool}],
-        generate: [List$(E), [int, dart.functionType(E, [int])], {growable: bool}]
+        from: [List$(E), [Iterable], {growable: [bool, dart.defaultValue(true)]}],
+        generate: [List$(E), [int, dart.functionType(E, [int])], {growable: [bool, dart.defaultValue(true)]}]
       })
     });
     return List;
@@ -1531,7 +1627,7 @@ dart_library.library('dart/core', null, /* Imports */[
   }
   RegExp[dart.implements] = () => [Pattern];
   dart.setSignature(RegExp, {
-    constructors: () => ({new: [RegExp, [String], {multiLine: bool, caseSensitive: bool}]})
+    constructors: () => ({new: [RegExp, [String], {multiLine: [bool, dart.defaultValue(false)], caseSensitive: [bool, dart.defaultValue(true)]}]})
   });
   let Set$ = dart.generic(function(E) {
     class Set extends collection.IterableBase$(E) {
@@ -1623,6 +1719,18 @@ dart_library.library('dart/core', null, /* Imports */[
   }
   dart.setSignature(Stopwatch, {
     constructors: () => ({Stopwatch: [Stopwatch, []]}),
+    fields: () => ({
+      [_start]: num,
+      [_stop]: num
+    }),
+    getters: () => ({
+      frequency: int,
+      elapsedTicks: int,
+      elapsed: Duration,
+      elapsedMicroseconds: int,
+      elapsedMilliseconds: int,
+      isRunning: bool
+    }),
     methods: () => ({
       start: [dart.void, []],
       stop: [dart.void, []],
@@ -1696,7 +1804,7 @@ dart_library.library('dart/core', null, /* Imports */[
   String[dart.implements] = () => [Comparable$(String), Pattern];
   dart.setSignature(String, {
     constructors: () => ({
-      fromCharCodes: [String, [Iterable$(int)], [int, int]],
+      fromCharCodes: [String, [Iterable$(int)], [[int, dart.defaultValue(0)], int]],
       fromCharCode: [String, [int]],
       fromEnvironment: [String, [String], {defaultValue: String}]
     }),
@@ -1729,7 +1837,12 @@ dart_library.library('dart/core', null, /* Imports */[
         }
       }
       dart.setSignature(Runes, {
-        constructors: () => ({Runes: [exports.Runes, [String]]})
+        constructors: () => ({Runes: [exports.Runes, [String]]}),
+        getters: () => ({
+          string: String,
+          iterator: RuneIterator,
+          last: int
+        })
       });
       dart.defineExtensionMembers(Runes, ['iterator', 'last']);
       return Runes;
@@ -1848,6 +1961,19 @@ dart_library.library('dart/core', null, /* Imports */[
       RuneIterator: [RuneIterator, [String]],
       at: [RuneIterator, [String, int]]
     }),
+    fields: () => ({
+      [_position]: int,
+      [_nextPosition]: int,
+      [_currentCodePoint]: num
+    }),
+    getters: () => ({
+      string: String,
+      rawIndex: int,
+      current: int,
+      currentSize: int,
+      currentAsString: String
+    }),
+    setters: () => ({rawIndex: int}),
     methods: () => ({
       [_checkSplitSurrogate]: [dart.void, [int]],
       reset: [dart.void, [], [int]],
@@ -1914,7 +2040,13 @@ dart_library.library('dart/core', null, /* Imports */[
   }
   StringBuffer[dart.implements] = () => [StringSink];
   dart.setSignature(StringBuffer, {
-    constructors: () => ({StringBuffer: [StringBuffer, [], [Object]]}),
+    constructors: () => ({StringBuffer: [StringBuffer, [], [[Object, dart.defaultValue("")]]]}),
+    fields: () => ({[_contents]: String}),
+    getters: () => ({
+      length: int,
+      isEmpty: bool,
+      isNotEmpty: bool
+    }),
     methods: () => ({
       write: [dart.void, [Object]],
       writeCharCode: [dart.void, [int]],
@@ -1991,7 +2123,7 @@ dart_library.library('dart/core', null, /* Imports */[
     }
     static parse(uri) {
       function isRegName(ch) {
-        return dart.notNull(ch) < 128 && !dart.equals(dart.dsend(Uri._regNameTable[dartx.get](dart.notNull(ch) >> 4), '&', 1 << (dart.notNull(ch) & 15)), 0);
+        return dart.notNull(ch) < 128 && (dart.notNull(Uri._regNameTable[dartx.get](dart.notNull(ch) >> 4)) & 1 << (dart.notNull(ch) & 15)) != 0;
       }
       dart.fn(isRegName, bool, [int]);
       let EOI = -1;
@@ -2444,7 +2576,7 @@ dart_library.library('dart/core', null, /* Imports */[
       return Uri._normalizeRegName(host, start, end);
     }
     static _isRegNameChar(char) {
-      return dart.notNull(char) < 127 && !dart.equals(dart.dsend(Uri._regNameTable[dartx.get](dart.notNull(char) >> 4), '&', 1 << (dart.notNull(char) & 15)), 0);
+      return dart.notNull(char) < 127 && (dart.notNull(Uri._regNameTable[dartx.get](dart.notNull(char) >> 4)) & 1 << (dart.notNull(char) & 15)) != 0;
     }
     static _normalizeRegName(host, start, end) {
       let buffer = null;
@@ -2544,7 +2676,7 @@ dart_library.library('dart/core', null, /* Imports */[
     static _makeUserInfo(userInfo, start, end) {
       if (userInfo == null)
         return "";
-      return Uri._normalize(userInfo, start, end, dart.as(Uri._userinfoTable, List$(int)));
+      return Uri._normalize(userInfo, start, end, Uri._userinfoTable);
     }
     static _makePath(path, start, end, pathSegments, ensureLeadingSlash, isFile) {
       if (path == null && pathSegments == null)
@@ -2554,9 +2686,9 @@ dart_library.library('dart/core', null, /* Imports */[
       }
       let result = null;
       if (path != null) {
-        result = Uri._normalize(path, start, end, dart.as(Uri._pathCharOrSlashTable, List$(int)));
+        result = Uri._normalize(path, start, end, Uri._pathCharOrSlashTable);
       } else {
-        result = pathSegments[dartx.map](dart.fn(s => Uri._uriEncode(dart.as(Uri._pathCharTable, List$(int)), dart.as(s, String)), String, [dart.dynamic]))[dartx.join]("/");
+        result = pathSegments[dartx.map](dart.fn(s => Uri._uriEncode(Uri._pathCharTable, dart.as(s, String)), String, [dart.dynamic]))[dartx.join]("/");
       }
       if (dart.notNull(dart.as(dart.dload(result, 'isEmpty'), bool))) {
         if (dart.notNull(isFile))
@@ -2573,7 +2705,7 @@ dart_library.library('dart/core', null, /* Imports */[
         dart.throw(new ArgumentError('Both query and queryParameters specified'));
       }
       if (query != null)
-        return Uri._normalize(query, start, end, dart.as(Uri._queryCharTable, List$(int)));
+        return Uri._normalize(query, start, end, Uri._queryCharTable);
       let result = new StringBuffer();
       let first = true;
       queryParameters.forEach(dart.fn((key, value) => {
@@ -2592,7 +2724,7 @@ dart_library.library('dart/core', null, /* Imports */[
     static _makeFragment(fragment, start, end) {
       if (fragment == null)
         return null;
-      return Uri._normalize(fragment, start, end, dart.as(Uri._queryCharTable, List$(int)));
+      return Uri._normalize(fragment, start, end, Uri._queryCharTable);
     }
     static _stringOrNullLength(s) {
       return s == null ? 0 : s[dartx.length];
@@ -2633,7 +2765,7 @@ dart_library.library('dart/core', null, /* Imports */[
       return null;
     }
     static _isUnreservedChar(ch) {
-      return dart.notNull(ch) < 127 && !dart.equals(dart.dsend(Uri._unreservedTable[dartx.get](dart.notNull(ch) >> 4), '&', 1 << (dart.notNull(ch) & 15)), 0);
+      return dart.notNull(ch) < 127 && (dart.notNull(Uri._unreservedTable[dartx.get](dart.notNull(ch) >> 4)) & 1 << (dart.notNull(ch) & 15)) != 0;
     }
     static _escapeChar(char) {
       dart.assert(dart.dsend(char, '<=', 1114111));
@@ -2723,10 +2855,10 @@ dart_library.library('dart/core', null, /* Imports */[
       return dart.toString(buffer);
     }
     static _isSchemeCharacter(ch) {
-      return dart.notNull(ch) < 128 && !dart.equals(dart.dsend(Uri._schemeTable[dartx.get](dart.notNull(ch) >> 4), '&', 1 << (dart.notNull(ch) & 15)), 0);
+      return dart.notNull(ch) < 128 && (dart.notNull(Uri._schemeTable[dartx.get](dart.notNull(ch) >> 4)) & 1 << (dart.notNull(ch) & 15)) != 0;
     }
     static _isGeneralDelimiter(ch) {
-      return dart.notNull(ch) <= dart.notNull(Uri._RIGHT_BRACKET) && !dart.equals(dart.dsend(Uri._genDelimitersTable[dartx.get](dart.notNull(ch) >> 4), '&', 1 << (dart.notNull(ch) & 15)), 0);
+      return dart.notNull(ch) <= dart.notNull(Uri._RIGHT_BRACKET) && (dart.notNull(Uri._genDelimitersTable[dartx.get](dart.notNull(ch) >> 4)) & 1 << (dart.notNull(ch) & 15)) != 0;
     }
     get isAbsolute() {
       return this.scheme != "" && this.fragment == "";
@@ -2964,11 +3096,11 @@ dart_library.library('dart/core', null, /* Imports */[
       }
     }
     static encodeComponent(component) {
-      return Uri._uriEncode(dart.as(Uri._unreserved2396Table, List$(int)), component);
+      return Uri._uriEncode(Uri._unreserved2396Table, component);
     }
     static encodeQueryComponent(component, opts) {
       let encoding = opts && 'encoding' in opts ? opts.encoding : convert.UTF8;
-      return Uri._uriEncode(dart.as(Uri._unreservedTable, List$(int)), component, {encoding: encoding, spaceToPlus: true});
+      return Uri._uriEncode(Uri._unreservedTable, component, {encoding: encoding, spaceToPlus: true});
     }
     static decodeComponent(encodedComponent) {
       return Uri._uriDecode(encodedComponent);
@@ -2978,14 +3110,14 @@ dart_library.library('dart/core', null, /* Imports */[
       return Uri._uriDecode(encodedComponent, {plusToSpace: true, encoding: encoding});
     }
     static encodeFull(uri) {
-      return Uri._uriEncode(dart.as(Uri._encodeFullTable, List$(int)), uri);
+      return Uri._uriEncode(Uri._encodeFullTable, uri);
     }
     static decodeFull(uri) {
       return Uri._uriDecode(uri);
     }
     static splitQueryString(query, opts) {
       let encoding = opts && 'encoding' in opts ? opts.encoding : convert.UTF8;
-      return dart.as(query[dartx.split]("&")[dartx.fold](dart.map(), dart.fn((map, element) => {
+      return dart.as(query[dartx.split]("&")[dartx.fold](dart.map([]), dart.fn((map, element) => {
         let index = dart.as(dart.dsend(element, 'indexOf', "="), int);
         if (index == -1) {
           if (!dart.equals(element, "")) {
@@ -3199,11 +3331,41 @@ dart_library.library('dart/core', null, /* Imports */[
   dart.setSignature(Uri, {
     constructors: () => ({
       _internal: [Uri, [String, String, String, num, String, String, String]],
-      new: [Uri, [], {scheme: String, userInfo: String, host: String, port: int, path: String, pathSegments: Iterable$(String), query: String, queryParameters: Map$(String, String), fragment: String}],
+      new: [Uri, [], {scheme: [String, dart.defaultValue("")], userInfo: [String, dart.defaultValue("")], host: String, port: int, path: String, pathSegments: Iterable$(String), query: String, queryParameters: Map$(String, String), fragment: String}],
       http: [Uri, [String, String], [Map$(String, String)]],
       https: [Uri, [String, String], [Map$(String, String)]],
       file: [Uri, [String], {windows: bool}]
     }),
+    fields: () => ({
+      [_port]: num,
+      [_path]: String,
+      [_pathSegments]: List$(String),
+      [_queryParameters]: Map$(String, String)
+    }),
+    getters: () => ({
+      [_host]: String,
+      scheme: String,
+      [_userInfo]: String,
+      [_query]: String,
+      [_fragment]: String,
+      authority: String,
+      userInfo: String,
+      host: String,
+      port: int,
+      path: String,
+      query: String,
+      fragment: String,
+      pathSegments: List$(String),
+      queryParameters: Map$(String, String),
+      isAbsolute: bool,
+      hasAuthority: bool,
+      hasPort: bool,
+      hasQuery: bool,
+      hasFragment: bool,
+      origin: String,
+      [_isPathAbsolute]: bool,
+      hashCode: int
+    }),
     methods: () => ({
       replace: [Uri, [], {scheme: String, userInfo: String, host: String, port: int, path: String, pathSegments: Iterable$(String), query: String, queryParameters: Map$(String, String), fragment: String}],
       [_merge]: [String, [String, String]],
@@ -3286,18 +3448,44 @@ dart_library.library('dart/core', null, /* Imports */[
   Uri._LOWER_CASE_F = 102;
   Uri._LOWER_CASE_Z = 122;
   Uri._BAR = 124;
-  Uri._unreservedTable = dart.const([0, 0, 24576, 1023, 65534, 34815, 65534, 18431]);
-  Uri._unreserved2396Table = dart.const([0, 0, 26498, 1023, 65534, 34815, 65534, 18431]);
-  Uri._encodeFullTable = dart.const([0, 0, 65498, 45055, 65535, 34815, 65534, 18431]);
-  Uri._schemeTable = dart.const([0, 0, 26624, 1023, 65534, 2047, 65534, 2047]);
-  Uri._schemeLowerTable = dart.const([0, 0, 26624, 1023, 0, 0, 65534, 2047]);
-  Uri._subDelimitersTable = dart.const([0, 0, 32722, 11263, 65534, 34815, 65534, 18431]);
-  Uri._genDelimitersTable = dart.const([0, 0, 32776, 33792, 1, 10240, 0, 0]);
-  Uri._userinfoTable = dart.const([0, 0, 32722, 12287, 65534, 34815, 65534, 18431]);
-  Uri._regNameTable = dart.const([0, 0, 32754, 11263, 65534, 34815, 65534, 18431]);
-  Uri._pathCharTable = dart.const([0, 0, 32722, 12287, 65535, 34815, 65534, 18431]);
-  Uri._pathCharOrSlashTable = dart.const([0, 0, 65490, 12287, 65535, 34815, 65534, 18431]);
-  Uri._queryCharTable = dart.const([0, 0, 65490, 45055, 65535, 34815, 65534, 18431]);
+  dart.defineLazyProperties(Uri, {
+    get _unreservedTable() {
+      return dart.const(dart.list([0, 0, 24576, 1023, 65534, 34815, 65534, 18431], int));
+    },
+    get _unreserved2396Table() {
+      return dart.const(dart.list([0, 0, 26498, 1023, 65534, 34815, 65534, 18431], int));
+    },
+    get _encodeFullTable() {
+      return dart.const(dart.list([0, 0, 65498, 45055, 65535, 34815, 65534, 18431], int));
+    },
+    get _schemeTable() {
+      return dart.const(dart.list([0, 0, 26624, 1023, 65534, 2047, 65534, 2047], int));
+    },
+    get _schemeLowerTable() {
+      return dart.const(dart.list([0, 0, 26624, 1023, 0, 0, 65534, 2047], int));
+    },
+    get _subDelimitersTable() {
+      return dart.const(dart.list([0, 0, 32722, 11263, 65534, 34815, 65534, 18431], int));
+    },
+    get _genDelimitersTable() {
+      return dart.const(dart.list([0, 0, 32776, 33792, 1, 10240, 0, 0], int));
+    },
+    get _userinfoTable() {
+      return dart.const(dart.list([0, 0, 32722, 12287, 65534, 34815, 65534, 18431], int));
+    },
+    get _regNameTable() {
+      return dart.const(dart.list([0, 0, 32754, 11263, 65534, 34815, 65534, 18431], int));
+    },
+    get _pathCharTable() {
+      return dart.const(dart.list([0, 0, 32722, 12287, 65535, 34815, 65534, 18431], int));
+    },
+    get _pathCharOrSlashTable() {
+      return dart.const(dart.list([0, 0, 65490, 12287, 65535, 34815, 65534, 18431], int));
+    },
+    get _queryCharTable() {
+      return dart.const(dart.list([0, 0, 65490, 45055, 65535, 34815, 65534, 18431], int));
+    }
+  });
   function _symbolToString(symbol) {
     return _internal.Symbol.getName(dart.as(symbol, _internal.Symbol));
   }
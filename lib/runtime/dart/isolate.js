@@ -25,7 +25,8 @@ dart_library.library('dart/isolate', null, /* Imports */[
   }
   IsolateSpawnException[dart.implements] = () => [core.Exception];
   dart.setSignature(IsolateSpawnException, {
-    constructors: () => ({IsolateSpawnException: [IsolateSpawnException, [core.String]]})
+    constructors: () => ({IsolateSpawnException: [IsolateSpawnException, [core.String]]}),
+    getters: () => ({message: core.String})
   });
   let _pause = Symbol('_pause');
   class Isolate extends core.Object {
@@ -160,6 +161,12 @@ dart_library.library('dart/isolate', null, /* Imports */[
   }
   dart.setSignature(Isolate, {
     constructors: () => ({Isolate: [Isolate, [SendPort], {pauseCapability: Capability, terminateCapability: Capability}]}),
+    getters: () => ({
+      controlPort: SendPort,
+      pauseCapability: Capability,
+      terminateCapability: Capability,
+      errors: async.Stream
+    }),
     methods: () => ({
       pause: [Capability, [], [Capability]],
       [_pause]: [dart.void, [Capability]],
@@ -225,7 +232,12 @@ dart_library.library('dart/isolate', null, /* Imports */[
   }
   _IsolateUnhandledException[dart.implements] = () => [core.Exception];
   dart.setSignature(_IsolateUnhandledException, {
-    constructors: () => ({_IsolateUnhandledException: [_IsolateUnhandledException, [dart.dynamic, dart.dynamic, core.StackTrace]]})
+    constructors: () => ({_IsolateUnhandledException: [_IsolateUnhandledException, [dart.dynamic, dart.dynamic, core.StackTrace]]}),
+    getters: () => ({
+      message: dart.dynamic,
+      source: dart.dynamic,
+      stackTrace: core.StackTrace
+    })
   });
   let _description = Symbol('_description');
   class RemoteError extends core.Object {
@@ -239,7 +251,11 @@ dart_library.library('dart/isolate', null, /* Imports */[
   }
   RemoteError[dart.implements] = () => [core.Error];
   dart.setSignature(RemoteError, {
-    constructors: () => ({RemoteError: [RemoteError, [core.String, core.String]]})
+    constructors: () => ({RemoteError: [RemoteError, [core.String, core.String]]}),
+    getters: () => ({
+      [_description]: core.String,
+      stackTrace: core.StackTrace
+    })
   });
   let _trace = Symbol('_trace');
   class _RemoteStackTrace extends core.Object {
@@ -252,7 +268,8 @@ dart_library.library('dart/isolate', null, /* Imports */[
   }
   _RemoteStackTrace[dart.implements] = () => [core.StackTrace];
   dart.setSignature(_RemoteStackTrace, {
-    constructors: () => ({_RemoteStackTrace: [_RemoteStackTrace, [core.String]]})
+    constructors: () => ({_RemoteStackTrace: [_RemoteStackTrace, [core.String]]}),
+    fields: () => ({[_trace]: core.String})
   });
   // Exports:
   exports.Capability = Capability;
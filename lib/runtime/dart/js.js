@@ -116,7 +116,7 @@ dart_library.library('dart/js', null, /* Imports */[
         args = core.List.from(args[dartx.map](_convertToJS));
       let fn = this[_jsObject][method];
       if (!(fn instanceof Function)) {
-        dart.throw(new core.NoSuchMethodError(this[_jsObject], core.Symbol.new(dart.as(method, core.String)), args, dart.map()));
+        dart.throw(new core.NoSuchMethodError(this[_jsObject], core.Symbol.new(dart.as(method, core.String)), args, dart.map([], core.Symbol, dart.dynamic)));
       }
       return _convertToDart(fn.apply(this[_jsObject], args));
     }
@@ -129,6 +129,10 @@ dart_library.library('dart/js', null, /* Imports */[
       fromBrowserObject: [JsObject, [dart.dynamic]],
       jsify: [JsObject, [dart.dynamic]]
     }),
+    getters: () => ({
+      [_jsObject]: dart.dynamic,
+      hashCode: core.int
+    }),
     methods: () => ({
       get: [dart.dynamic, [core.Object]],
       set: [dart.dynamic, [core.Object, dart.dynamic]],
@@ -281,6 +285,8 @@ dart_library.library('dart/js', null, /* Imports */[
         from: [JsArray$(E), [core.Iterable$(E)]],
         _fromJs: [JsArray$(E), [dart.dynamic]]
       }),
+      getters: () => ({length: core.int}),
+      setters: () => ({length: core.int}),
       methods: () => ({
         [_checkIndex]: [dart.dynamic, [core.int]],
         [_checkInsertIndex]: [dart.dynamic, [core.int]],
@@ -314,8 +320,303 @@ dart_library.library('dart/js', null, /* Imports */[
     return JsArray;
   });
   let JsArray = JsArray$();
+  function jsify(data, opts) {
+    let copy = opts && 'copy' in opts ? opts.copy : true;
+    let converted = new Map();
+    function convert(o) {
+      if (o == null || typeof o == 'string' || typeof o == 'number' || typeof o == 'boolean')
+        return o;
+      if (dart.notNull(_isTypedData(o)))
+        return dart.notNull(copy) ? _copyTypedData(o) : o;
+      if (dart.is(o, core.DateTime))
+        return new Date(o.millisecondsSinceEpoch);
+      if (dart.is(o, JsObject))
+        return o[_jsObject];
+      if (dart.is(o, core.List) && !dart.notNull(copy))
+        return o;
+      if (dart.is(o, _JsView) && !dart.notNull(copy))
+        return o[_jsValue];
+      if (converted.has(o)) {
+        return converted.get(o);
+      }
+      if (dart.is(o, core.Map)) {
+        if (dart.notNull(o.keys[dartx.every](dart.fn(key => typeof key == 'string', core.bool, [dart.dynamic])))) {
+          let object = {};
+          converted.set(o, object);
+          o.forEach(dart.fn((key, value) => {
+            object[key] = convert(value);
+          }));
+          return object;
+        }
+        let map = new Map();
+        converted.set(o, map);
+        o.forEach(dart.fn((key, value) => {
+          map.set(convert(key), convert(value));
+        }));
+        return map;
+      }
+      if (dart.is(o, core.Set)) {
+        let set = new Set();
+        converted.set(o, set);
+        for (let element of o)
+          set.add(convert(element));
+        return set;
+      }
+      if (dart.is(o, core.Iterable)) {
+        let array = [];
+        converted.set(o, array);
+        for (let element of o)
+          array[dartx.add](convert(element));
+        return array;
+      }
+      return _convertToJS(o);
+    }
+    dart.fn(convert, dart.dynamic, [core.Object]);
+    return convert(data);
+  }
+  dart.fn(jsify, dart.dynamic, [core.Object], {copy: core.bool});
+  function dartify(data, opts) {
+    let copy = opts && 'copy' in opts ? opts.copy : true;
+    let converted = new Map();
+    function convert(o) {
+      if (dart.is(o, JsObject))
+        return convert(o[_jsObject]);
+      if (o instanceof Date) {
+        let ms = o.getTime();
+        return new core.DateTime.fromMillisecondsSinceEpoch(dart.asInt(ms));
+      }
+      if (dart.notNull(_isTypedData(o)))
+        return dart.notNull(copy) ? _copyTypedData(o) : o;
+      if (!dart.notNull(copy)) {
+        if (Array.isArray(o))
+          return o;
+        if (o instanceof Map) {
+          return _putIfAbsent(exports._views, o, dart.fn(o => new _JsMapView(o), _JsMapView, [dart.dynamic]));
+        }
+        if (o instanceof Set) {
+          return _putIfAbsent(exports._views, o, dart.fn(o => new _JsSetView(o), _JsSetView, [dart.dynamic]));
+        }
+        if (dart.notNull(_isPlainObject(o))) {
+          return _putIfAbsent(exports._views, o, dart.fn(o => new _JsObjectMapView(o), _JsObjectMapView, [dart.dynamic]));
+        }
+      }
+      if (converted.has(o)) {
+        return converted.get(o);
+      }
+      if (Array.isArray(o)) {
+        let list = [];
+        converted.set(o, list);
+        for (let i = 0; dart.notNull(i) < o.length; i = dart.notNull(i) + 1) {
+          list[dartx.add](convert(o[i]));
+        }
+        return list;
+      }
+      if (o instanceof Map) {
+        let map = core.Map.new();
+        converted.set(o, map);
+        o.forEach(dart.fn((value, key) => {
+          map.set(convert(key), convert(value));
+        }));
+        return map;
+      }
+      if (o instanceof Set) {
+        let set = core.Set.new();
+        converted.set(o, set);
+        o.forEach(dart.fn(element => {
+          set.add(convert(element));
+        }));
+        return set;
+      }
+      if (dart.notNull(_isPlainObject(o))) {
+        let map = core.Map$(core.String, dart.dynamic).new();
+        converted.set(o, map);
+        for (let key of dart.as(Object.keys(o), core.Iterable)) {
+          map.set(dart.as(key, core.String), convert(o[key]));
+        }
+        return map;
+      }
+      if (o instanceof core.Object)
+        return o;
+      return _convertToDart(o);
+    }
+    dart.fn(convert);
+    return convert(data);
+  }
+  dart.fn(dartify, core.Object, [core.Object], {copy: core.bool});
+  dart.defineLazyProperties(exports, {
+    get _views() {
+      return new WeakMap();
+    }
+  });
+  let _jsValue = Symbol('_jsValue');
+  class _JsView extends core.Object {}
+  class _JsObjectMapView extends collection.MapBase$(core.String, dart.dynamic) {
+    _JsObjectMapView(jsValue) {
+      this[_jsValue] = jsValue;
+    }
+    get(key) {
+      return dart.notNull(this.containsKey(key)) ? dartify(this[_jsValue][key], {copy: false}) : null;
+    }
+    set(key, value) {
+      this[_jsValue][key] = jsify(value, {copy: false});
+      return value;
+    }
+    containsKey(key) {
+      return typeof key == 'string' && Object.prototype.hasOwnProperty.call(this[_jsValue], key);
+    }
+    get keys() {
+      return core.List$(core.String).from(Object.keys(this[_jsValue]));
+    }
+    remove(key) {
+      if (!dart.notNull(this.containsKey(key)))
+        return null;
+      let value = this.get(key);
+      delete this[_jsValue][key];
+      return value;
+    }
+    clear() {
+      for (let key of this.keys)
+        delete this[_jsValue][key];
+    }
+  }
+  _JsObjectMapView[dart.implements] = () => [_JsView];
+  dart.setSignature(_JsObjectMapView, {
+    constructors: () => ({_JsObjectMapView: [_JsObjectMapView, [dart.dynamic]]}),
+    getters: () => ({
+      [_jsValue]: dart.dynamic,
+      keys: core.Iterable$(core.String)
+    }),
+    methods: () => ({
+      get: [dart.dynamic, [core.Object]],
+      set: [dart.void, [core.String, dart.dynamic]],
+      containsKey: [core.bool, [core.Object]],
+      remove: [dart.dynamic, [core.Object]],
+      clear: [dart.void, []]
+    })
+  });
+  class _JsMapView extends collection.MapBase {
+    _JsMapView(jsValue) {
+      this[_jsValue] = jsValue;
+    }
+    get(key) {
+      return dart.notNull(this.containsKey(key)) ? dartify(this[_jsValue].get(jsify(key, {copy: false})), {copy: false}) : null;
+    }
+    set(key, value) {
+      this[_jsValue].set(jsify(key, {copy: false}), jsify(value, {copy: false}));
+      return value;
+    }
+    containsKey(key) {
+      return this[_jsValue].has(jsify(key, {copy: false}));
+    }
+    get length() {
+      return this[_jsValue].size;
+    }
+    get keys() {
+      return Array.from(this[_jsValue].keys())[dartx.map](dart.fn(key => dartify(key, {copy: false}), core.Object, [dart.dynamic]));
+    }
+    remove(key) {
+      if (!dart.notNull(this.containsKey(key)))
+        return null;
+      let value = this.get(key);
+      this[_jsValue].delete(jsify(key, {copy: false}));
+      return value;
+    }
+    clear() {
+      this[_jsValue].clear();
+    }
+  }
+  _JsMapView[dart.implements] = () => [_JsView];
+  dart.setSignature(_JsMapView, {
+    constructors: () => ({_JsMapView: [_JsMapView, [dart.dynamic]]}),
+    getters: () => ({
+      [_jsValue]: dart.dynamic,
+      length: core.int,
+      keys: core.Iterable
+    }),
+    methods: () => ({
+      get: [dart.dynamic, [core.Object]],
+      set: [dart.void, [dart.dynamic, dart.dynamic]],
+      containsKey: [core.bool, [core.Object]],
+      remove: [dart.dynamic, [core.Object]],
+      clear: [dart.void, []]
+    })
+  });
+  class _JsSetView extends collection.SetBase {
+    _JsSetView(jsValue) {
+      this[_jsValue] = jsValue;
+    }
+    add(value) {
+      if (dart.notNull(this.contains(value)))
+        return false;
+      this[_jsValue].add(jsify(value, {copy: false}));
+      return true;
+    }
+    contains(element) {
+      return this[_jsValue].has(jsify(element, {copy: false}));
+    }
+    lookup(element) {
+      return dart.notNull(this.contains(element)) ? element : null;
+    }
+    remove(element) {
+      return this[_jsValue].delete(jsify(element, {copy: false}));
+    }
+    get iterator() {
+      return Array.from(this[_jsValue])[dartx.map](dart.fn(element => dartify(element, {copy: false}), core.Object, [dart.dynamic]))[dartx.iterator];
+    }
+    get length() {
+      return this[_jsValue].size;
+    }
+    toSet() {
+      return core.Set.from(this);
+    }
+  }
+  _JsSetView[dart.implements] = () => [_JsView];
+  dart.setSignature(_JsSetView, {
+    constructors: () => ({_JsSetView: [_JsSetView, [dart.dynamic]]}),
+    getters: () => ({
+      [_jsValue]: dart.dynamic,
+      iterator: core.Iterator,
+      length: core.int
+    }),
+    methods: () => ({
+      add: [core.bool, [dart.dynamic]],
+      contains: [core.bool, [core.Object]],
+      lookup: [dart.dynamic, [core.Object]],
+      remove: [core.bool, [core.Object]],
+      toSet: [core.Set, []]
+    })
+  });
+  dart.defineExtensionMembers(_JsSetView, ['contains', 'toSet', 'iterator', 'length']);
+  function _isTypedData(o) {
+    return o instanceof ArrayBuffer || ArrayBuffer.isView(o);
+  }
+  dart.fn(_isTypedData, core.bool, [dart.dynamic]);
+  function _copyTypedData(o) {
+    if (o instanceof ArrayBuffer) {
+      return o.slice(0);
+    }
+    if (o instanceof DataView) {
+      return new DataView(o.buffer.slice(o.byteOffset, o.byteOffset + o.byteLength));
+    }
+    return o.slice();
+  }
+  dart.fn(_copyTypedData);
+  function _isPlainObject(o) {
+    if (typeof o != "object" || o == null)
+      return false;
+    let proto = Object.getPrototypeOf(o);
+    return proto === Object.prototype || proto === null;
+  }
+  dart.fn(_isPlainObject, core.bool, [dart.dynamic]);
+  let _browserTypeNames = dart.const(dart.list(['Blob', 'Event', 'KeyRange', 'ImageData', 'Node', 'TypedData', 'Window'], core.String));
   function _isBrowserType(o) {
-    return o instanceof Blob || o instanceof Event || window.KeyRange && o instanceof KeyRange || o instanceof ImageData || o instanceof Node || window.TypedData && o instanceof TypedData || o instanceof Window;
+    for (let name of _browserTypeNames) {
+      let type = dart.global[name];
+      if (typeof type == "function" && o instanceof type) {
+        return true;
+      }
+    }
+    return false;
   }
   dart.fn(_isBrowserType, core.bool, [dart.dynamic]);
   let _dartObj = Symbol('_dartObj');
@@ -325,7 +626,8 @@ dart_library.library('dart/js', null, /* Imports */[
     }
   }
   dart.setSignature(_DartObject, {
-    constructors: () => ({_DartObject: [_DartObject, [dart.dynamic]]})
+    constructors: () => ({_DartObject: [_DartObject, [dart.dynamic]]}),
+    getters: () => ({[_dartObj]: dart.dynamic})
   });
   function _convertToJS(o) {
     if (o == null || typeof o == 'string' || typeof o == 'number' || typeof o == 'boolean' || dart.notNull(_isBrowserType(o))) {
@@ -400,4 +702,6 @@ dart_library.library('dart/js', null, /* Imports */[
   exports.JsFunction = JsFunction;
   exports.JsArray$ = JsArray$;
   exports.JsArray = JsArray;
+  exports.jsify = jsify;
+  exports.dartify = dartify;
 });
@@ -79,6 +79,12 @@ dart_library.library('dart/math', null, /* Imports */[
     }
     dart.setSignature(Point, {
       constructors: () => ({Point: [Point$(T), [T, T]]}),
+      getters: () => ({
+        x: T,
+        y: T,
+        hashCode: core.int,
+        magnitude: core.double
+      }),
       methods: () => ({
         '+': [Point$(T), [Point$(T)]],
         '-': [Point$(T), [Point$(T)]],
@@ -166,6 +172,15 @@ dart_library.library('dart/math', null, /* Imports */[
     }
     dart.setSignature(_RectangleBase, {
       constructors: () => ({_RectangleBase: [_RectangleBase$(T), []]}),
+      getters: () => ({
+        right: T,
+        bottom: T,
+        hashCode: core.int,
+        topLeft: Point$(T),
+        topRight: Point$(T),
+        bottomRight: Point$(T),
+        bottomLeft: Point$(T)
+      }),
       methods: () => ({
         intersection: [Rectangle$(T), [Rectangle$(T)]],
         intersects: [core.bool, [Rectangle$(core.num)]],
@@ -198,6 +213,12 @@ dart_library.library('dart/math', null, /* Imports */[
       constructors: () => ({
         Rectangle: [Rectangle$(T), [T, T, T, T]],
         fromPoints: [Rectangle$(T), [Point$(T), Point$(T)]]
+      }),
+      getters: () => ({
+        left: T,
+        top: T,
+        width: T,
+        height: T
       })
     });
     return Rectangle;
@@ -245,6 +266,20 @@ dart_library.library('dart/math', null, /* Imports */[
       constructors: () => ({
         MutableRectangle: [MutableRectangle$(T), [T, T, T, T]],
         fromPoints: [MutableRectangle$(T), [Point$(T), Point$(T)]]
+      }),
+      fields: () => ({
+        left: T,
+        top: T,
+        [_width]: T,
+        [_height]: T
+      }),
+      getters: () => ({
+        width: T,
+        height: T
+      }),
+      setters: () => ({
+        width: T,
+        height: T
       })
     });
     return MutableRectangle;
@@ -485,6 +520,10 @@ dart_library.library('dart/math', null, /* Imports */[
   _Random[dart.implements] = () => [Random];
   dart.setSignature(_Random, {
     constructors: () => ({_Random: [_Random, [core.int]]}),
+    fields: () => ({
+      [_lo]: core.int,
+      [_hi]: core.int
+    }),
     methods: () => ({
       [_nextState]: [dart.void, []],
       nextInt: [core.int, [core.int]],
@@ -94,7 +94,12 @@ dart_library.library('dart/mirrors', null, /* Imports */[
     }
   }
   dart.setSignature(Comment, {
-    constructors: () => ({Comment: [Comment, [core.String, core.String, core.bool]]})
+    constructors: () => ({Comment: [Comment, [core.String, core.String, core.bool]]}),
+    getters: () => ({
+      text: core.String,
+      trimmedText: core.String,
+      isDocComment: core.bool
+    })
   });
   class MirrorsUsed extends core.Object {
     MirrorsUsed(opts) {
@@ -109,7 +114,13 @@ dart_library.library('dart/mirrors', null, /* Imports */[
     }
   }
   dart.setSignature(MirrorsUsed, {
-    constructors: () => ({MirrorsUsed: [MirrorsUsed, [], {symbols: dart.dynamic, targets: dart.dynamic, metaTargets: dart.dynamic, override: dart.dynamic}]})
+    constructors: () => ({MirrorsUsed: [MirrorsUsed, [], {symbols: dart.dynamic, targets: dart.dynamic, metaTargets: dart.dynamic, override: dart.dynamic}]}),
+    getters: () => ({
+      symbols: dart.dynamic,
+      targets: dart.dynamic,
+      metaTargets: dart.dynamic,
+      override: dart.dynamic
+    })
   });
   // Exports:
   exports.MirrorSystem = MirrorSystem;
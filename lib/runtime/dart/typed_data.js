@@ -16,7 +16,8 @@ dart_library.library('dart/typed_data', null, /* Imports */[
   }
   dart.defineNamedConstructor(Endianness, '_');
   dart.setSignature(Endianness, {
-    constructors: () => ({_: [Endianness, [core.bool]]})
+    constructors: () => ({_: [Endianness, [core.bool]]}),
+    getters: () => ({[_littleEndian]: core.bool})
   });
   Endianness.BIG_ENDIAN = dart.const(new Endianness._(false));
   Endianness.LITTLE_ENDIAN = dart.const(new Endianness._(true));
@@ -41,7 +42,7 @@ dart_library.library('dart/typed_data', null, /* Imports */[
   dart.setSignature(ByteData, {
     constructors: () => ({
       new: [ByteData, [core.int]],
-      view: [ByteData, [ByteBuffer], [core.int, core.int]]
+      view: [ByteData, [ByteBuffer], [[core.int, dart.defaultValue(0)], core.int]]
     })
   });
   class Int8List extends core.Object {
@@ -64,7 +65,7 @@ dart_library.library('dart/typed_data', null, /* Imports */[
     constructors: () => ({
       new: [Int8List, [core.int]],
       fromList: [Int8List, [core.List$(core.int)]],
-      view: [Int8List, [ByteBuffer], [core.int, core.int]]
+      view: [Int8List, [ByteBuffer], [[core.int, dart.defaultValue(0)], core.int]]
     })
   });
   Int8List.BYTES_PER_ELEMENT = 1;
@@ -88,7 +89,7 @@ dart_library.library('dart/typed_data', null, /* Imports */[
     constructors: () => ({
       new: [Uint8List, [core.int]],
       fromList: [Uint8List, [core.List$(core.int)]],
-      view: [Uint8List, [ByteBuffer], [core.int, core.int]]
+      view: [Uint8List, [ByteBuffer], [[core.int, dart.defaultValue(0)], core.int]]
     })
   });
   Uint8List.BYTES_PER_ELEMENT = 1;
@@ -112,7 +113,7 @@ dart_library.library('dart/typed_data', null, /* Imports */[
     constructors: () => ({
       new: [Uint8ClampedList, [core.int]],
       fromList: [Uint8ClampedList, [core.List$(core.int)]],
-      view: [Uint8ClampedList, [ByteBuffer], [core.int, core.int]]
+      view: [Uint8ClampedList, [ByteBuffer], [[core.int, dart.defaultValue(0)], core.int]]
     })
   });
   Uint8ClampedList.BYTES_PER_ELEMENT = 1;
@@ -136,7 +137,7 @@ dart_library.library('dart/typed_data', null, /* Imports */[
     constructors: () => ({
       new: [Int16List, [core.int]],
       fromList: [Int16List, [core.List$(core.int)]],
-      view: [Int16List, [ByteBuffer], [core.int, core.int]]
+      view: [Int16List, [ByteBuffer], [[core.int, dart.defaultValue(0)], core.int]]
     })
   });
   Int16List.BYTES_PER_ELEMENT = 2;
@@ -160,7 +161,7 @@ dart_library.library('dart/typed_data', null, /* Imports */[
     constructors: () => ({
       new: [Uint16List, [core.int]],
       fromList: [Uint16List, [core.List$(core.int)]],
-      view: [Uint16List, [ByteBuffer], [core.int, core.int]]
+      view: [Uint16List, [ByteBuffer], [[core.int, dart.defaultValue(0)], core.int]]
     })
   });
   Uint16List.BYTES_PER_ELEMENT = 2;
@@ -184,7 +185,7 @@ dart_library.library('dart/typed_data', null, /* Imports */[
     constructors: () => ({
       new: [Int32List, [core.int]],
       fromList: [Int32List, [core.List$(core.int)]],
-      view: [Int32List, [ByteBuffer], [core.int, core.int]]
+      view: [Int32List, [ByteBuffer], [[core.int, dart.defaultValue(0)], core.int]]
     })
   });
   Int32List.BYTES_PER_ELEMENT = 4;
@@ -208,7 +209,7 @@ dart_library.library('dart/typed_data', null, /* Imports */[
     constructors: () => ({
       new: [Uint32List, [core.int]],
       fromList: [Uint32List, [core.List$(core.int)]],
-      view: [Uint32List, [ByteBuffer], [core.int, core.int]]
+      view: [Uint32List, [ByteBuffer], [[core.int, dart.defaultValue(0)], core.int]]
     })
   });
   Uint32List.BYTES_PER_ELEMENT = 4;
@@ -232,7 +233,7 @@ dart_library.library('dart/typed_data', null, /* Imports */[
     constructors: () => ({
       new: [Int64List, [core.int]],
       fromList: [Int64List, [core.List$(core.int)]],
-      view: [Int64List, [ByteBuffer], [core.int, core.int]]
+      view: [Int64List, [ByteBuffer], [[core.int, dart.defaultValue(0)], core.int]]
     })
   });
   Int64List.BYTES_PER_ELEMENT = 8;
@@ -256,7 +257,7 @@ dart_library.library('dart/typed_data', null, /* Imports */[
     constructors: () => ({
       new: [Uint64List, [core.int]],
       fromList: [Uint64List, [core.List$(core.int)]],
-      view: [Uint64List, [ByteBuffer], [core.int, core.int]]
+      view: [Uint64List, [ByteBuffer], [[core.int, dart.defaultValue(0)], core.int]]
     })
   });
   Uint64List.BYTES_PER_ELEMENT = 8;
@@ -280,7 +281,7 @@ dart_library.library('dart/typed_data', null, /* Imports */[
     constructors: () => ({
       new: [Float32List, [core.int]],
       fromList: [Float32List, [core.List$(core.double)]],
-      view: [Float32List, [ByteBuffer], [core.int, core.int]]
+      view: [Float32List, [ByteBuffer], [[core.int, dart.defaultValue(0)], core.int]]
     })
   });
   Float32List.BYTES_PER_ELEMENT = 4;
@@ -304,7 +305,7 @@ dart_library.library('dart/typed_data', null, /* Imports */[
     constructors: () => ({
       new: [Float64List, [core.int]],
       fromList: [Float64List, [core.List$(core.double)]],
-      view: [Float64List, [ByteBuffer], [core.int, core.int]]
+      view: [Float64List, [ByteBuffer], [[core.int, dart.defaultValue(0)], core.int]]
     })
   });
   Float64List.BYTES_PER_ELEMENT = 8;
@@ -328,7 +329,7 @@ dart_library.library('dart/typed_data', null, /* Imports */[
     constructors: () => ({
       new: [Float32x4List, [core.int]],
       fromList: [Float32x4List, [core.List$(Float32x4)]],
-      view: [Float32x4List, [ByteBuffer], [core.int, core.int]]
+      view: [Float32x4List, [ByteBuffer], [[core.int, dart.defaultValue(0)], core.int]]
     })
   });
   Float32x4List.BYTES_PER_ELEMENT = 16;
@@ -352,7 +353,7 @@ dart_library.library('dart/typed_data', null, /* Imports */[
     constructors: () => ({
       new: [Int32x4List, [core.int]],
       fromList: [Int32x4List, [core.List$(Int32x4)]],
-      view: [Int32x4List, [ByteBuffer], [core.int, core.int]]
+      view: [Int32x4List, [ByteBuffer], [[core.int, dart.defaultValue(0)], core.int]]
     })
   });
   Int32x4List.BYTES_PER_ELEMENT = 16;
@@ -376,7 +377,7 @@ dart_library.library('dart/typed_data', null, /* Imports */[
     constructors: () => ({
       new: [Float64x2List, [core.int]],
       fromList: [Float64x2List, [core.List$(Float64x2)]],
-      view: [Float64x2List, [ByteBuffer], [core.int, core.int]]
+      view: [Float64x2List, [ByteBuffer], [[core.int, dart.defaultValue(0)], core.int]]
     })
   });
   Float64x2List.BYTES_PER_ELEMENT = 16;
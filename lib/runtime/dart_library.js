@@ -12,8 +12,8 @@ var dart_library =
   'use strict';
 
   // Module support.  This is a simplified module system for Dart.
-  // Longer term, we can easily migrate to an existing JS module system:
-  // ES6, AMD, RequireJS, ....
+  // Libraries can also be exposed to an existing JS module system (ES6,
+  // CommonJS, AMD); see `setMode` below.
 
   class LibraryLoader {
     constructor(name, defaultValue, imports, lazyImports, loader) {
@@ -25,6 +25,11 @@ var dart_library =
 
       // Cyclic import detection
       this._state = LibraryLoader.NOT_LOADED;
+
+      // Diagnostics: when loading started, and how long it took (in ms),
+      // including imports.
+      this._loadStart = null;
+      this._loadTime = null;
     }
 
     loadImports(pendingSet) {
@@ -48,7 +53,10 @@ var dart_library =
       for (let name of list) {
         let lib = libraries[name];
         if (!lib) {
-          dart_utils.throwInternalError('Library not available: ' + name);
+          let chain = _importChain();
+          if (chain[chain.length - 1] != this._name) chain.push(this._name);
+          dart_utils.throwInternalError('Library not available: ' + name +
+              ' (imported by ' + chain.join(' -> ') + ')');
         }
         results.push(handler(lib));
       }
@@ -58,36 +66,275 @@ var dart_library =
     load(inheritedPendingSet) {
       // Check for cycles
       if (this._state == LibraryLoader.LOADING) {
+        let chain = _importChain();
+        chain = chain.slice(chain.indexOf(this._name)).concat(this._name);
         dart_utils.throwInternalError('Circular dependence on library: '
-                              + this._name);
+                              + chain.join(' -> '));
       } else if (this._state >= LibraryLoader.LOADED) {
         return this._library;
       }
       this._state = LibraryLoader.LOADING;
+      this._loadStart = _now();
+      _loadStack.push(this);
+      try {
+        // Handle imports and record lazy imports
+        let pendingSet = inheritedPendingSet ? inheritedPendingSet : new Set();
+        let args = this.loadImports(pendingSet);
+        args = args.concat(this.deferLazyImports(pendingSet));
 
-      // Handle imports and record lazy imports
-      let pendingSet = inheritedPendingSet ? inheritedPendingSet : new Set();
-      let args = this.loadImports(pendingSet);
-      args = args.concat(this.deferLazyImports(pendingSet));
-
-      // Load the library
-      args.unshift(this._library);
-      this._loader.apply(null, args);
-      this._state = LibraryLoader.LOADED;
+        // Load the library
+        args.unshift(this._library);
+        this._loader.apply(null, args);
+        this._state = LibraryLoader.LOADED;
+        _loadOrder.push(this._name);
 
-      // Handle lazy imports
-      if (inheritedPendingSet === void 0) {
-        // Drain the queue
-        this.loadLazyImports(pendingSet);
+        // Handle lazy imports
+        if (inheritedPendingSet === void 0) {
+          // Drain the queue
+          this.loadLazyImports(pendingSet);
+        }
+      } finally {
+        _loadStack.pop();
       }
       this._state = LibraryLoader.READY;
+      this._loadTime = _now() - this._loadStart;
       return this._library;
     }
 
     stub() {
       return this._library;
     }
+
+    /**
+     * Re-runs the library body (or `loader`, if given) and patches the
+     * results into the existing library object, so that code holding onto
+     * the library, its classes or their instances sees the new definitions.
+     * Returns the set of export names that were updated.
+     */
+    reload(loader) {
+      if (this._state != LibraryLoader.READY) {
+        dart_utils.throwInternalError('Library not loaded: ' + this._name);
+      }
+      if (loader) this._loader = loader;
+
+      // All imports are loaded, so there is no need to defer any of them.
+      let fresh = {};
+      let args = this.handleImports(this._imports.concat(this._lazyImports),
+          (lib) => lib.stub());
+      args.unshift(fresh);
+      this._loader.apply(null, args);
+
+      let changed = new Map();
+      let lib = this._library;
+      let classes = _runtimeClasses();
+      for (let name of dart_utils.getOwnNamesAndSymbols(fresh)) {
+        let oldDesc = Object.getOwnPropertyDescriptor(lib, name);
+        let newDesc = Object.getOwnPropertyDescriptor(fresh, name);
+        if (oldDesc && _isClass(oldDesc.value) && _isClass(newDesc.value)) {
+          // Keep the class identity so existing instances and subclasses
+          // pick up the new members.
+          _patchClass(oldDesc.value, newDesc.value);
+        } else if (oldDesc && classes && classes.reloadGeneric(oldDesc.value,
+            newDesc.value, _patchClass)) {
+          // Likewise for generic classes and their instantiations.
+          _reloadedClasses.set(newDesc.value, oldDesc.value);
+        } else if (oldDesc && 'value' in oldDesc &&
+            typeof oldDesc.value != 'function' &&
+            typeof newDesc.value != 'function') {
+          // Preserve library state.  Note that lazily initialized fields are
+          // accessors, so we can't tell them apart from top-level getters and
+          // they are reset.
+          continue;
+        } else {
+          newDesc.configurable = true;
+          Object.defineProperty(lib, name, newDesc);
+        }
+        if (oldDesc && 'value' in oldDesc) changed.set(oldDesc.value, name);
+      }
+      for (let name of dart_utils.getOwnNamesAndSymbols(lib)) {
+        if (!(name in fresh)) {
+          let oldDesc = Object.getOwnPropertyDescriptor(lib, name);
+          if (oldDesc.configurable) delete lib[name];
+        }
+      }
+      _relinkDependents(this._name, lib, changed);
+      return new Set(changed.values());
+    }
+  }
+
+  // Class constructors, unlike other functions, have a read-only prototype.
+  function _isClass(value) {
+    if (typeof value != 'function') return false;
+    let desc = Object.getOwnPropertyDescriptor(value, 'prototype');
+    return desc !== void 0 && !desc.writable;
+  }
+
+  // The runtime's class operations, or null if the runtime is not loaded.
+  function _runtimeClasses() {
+    let loader = libraries['dart_runtime/_classes'];
+    return loader && loader._state == LibraryLoader.READY ?
+        loader._library : null;
+  }
+
+  // Map from a reloaded class to the original class it was patched into.
+  let _reloadedClasses = new WeakMap();
+
+  /**
+   * Copies the members (and signatures) of `from` onto class `to`.
+   *
+   * The reloaded library body still refers to `from`, so it is made an alias
+   * for `to`: its instances inherit their members from `to`, report `to` as
+   * their constructor, and `canonicalClass` maps it to `to`.
+   */
+  function _patchClass(to, from) {
+    // A class may be reached both as an export and as an instantiation of a
+    // generic class.
+    if (_reloadedClasses.get(from) === to) return;
+    let oldNames = _privateNames(to);
+    let newNames = _privateNames(from);
+
+    _replaceProperties(to.prototype, from.prototype, ['constructor']);
+    // Statics, including the signature and metadata symbols.
+    _replaceProperties(to, from, ['prototype', 'name', 'length']);
+
+    _replaceProperties(from.prototype, {}, []);
+    Object.setPrototypeOf(from.prototype, to.prototype);
+    _reloadedClasses.set(from, to);
+    _relinkPrivateNames(to, oldNames, newNames);
+  }
+
+  // For each reloaded class, a map from the description of each of its
+  // private names to the name's `symbols` so far, of which `original` is the
+  // one its instances' fields are stored under.
+  let _privateNameHistory = new WeakMap();
+
+  /**
+   * Returns the private names of the members of class `cls`, as a map from
+   * their descriptions to their symbols.  These are the symbols on its
+   * prototype and in its own signatures, which include its fields.
+   */
+  function _privateNames(cls) {
+    let result = new Map();
+    let symbols = Object.getOwnPropertySymbols(cls.prototype);
+    let classes = _runtimeClasses();
+    if (classes) {
+      symbols = symbols.concat(classes.getOwnSignatureNames(cls)
+          .filter((name) => typeof name == 'symbol'));
+    }
+    for (let symbol of symbols) result.set(String(symbol), symbol);
+    return result;
+  }
+
+  /**
+   * Links the private names of class `to`, which the reloaded library body
+   * created anew, to its old ones with the same description: old names of a
+   * method or accessor refer to the new one, and all names of a field refer
+   * to the field that existing instances have.
+   */
+  function _relinkPrivateNames(to, oldNames, newNames) {
+    let history = _privateNameHistory.get(to);
+    if (!history) _privateNameHistory.set(to, history = new Map());
+    let proto = to.prototype;
+    for (let [description, symbol] of newNames) {
+      let entry = history.get(description);
+      if (!entry) {
+        let old = oldNames.get(description);
+        if (old === void 0 || old === symbol) continue;
+        history.set(description, entry = {original: old, symbols: [old]});
+      }
+      if (entry.symbols.indexOf(symbol) < 0) entry.symbols.push(symbol);
+
+      let desc = Object.getOwnPropertyDescriptor(proto, symbol);
+      let original = entry.original;
+      for (let other of entry.symbols) {
+        if (desc) {
+          if (other !== symbol) Object.defineProperty(proto, other, desc);
+        } else if (other !== original) {
+          Object.defineProperty(proto, other, {
+            get() { return this[original]; },
+            set(value) { this[original] = value; },
+            configurable: true
+          });
+        }
+      }
+    }
+  }
+
+  /** Returns the class that `cls` was reloaded into, or `cls` itself. */
+  function canonicalClass(cls) {
+    let result = _reloadedClasses.get(cls);
+    return result !== void 0 ? result : cls;
+  }
+  dart_library.canonicalClass = canonicalClass;
+
+  function _replaceProperties(to, from, skip) {
+    let names = dart_utils.getOwnNamesAndSymbols(from);
+    let keep = new Set(names.concat(skip));
+    for (let name of dart_utils.getOwnNamesAndSymbols(to)) {
+      if (keep.has(name)) continue;
+      let desc = Object.getOwnPropertyDescriptor(to, name);
+      if (desc.configurable) delete to[name];
+    }
+    for (let name of names) {
+      if (skip.indexOf(name) >= 0) continue;
+      let desc = Object.getOwnPropertyDescriptor(to, name);
+      if (desc && !desc.configurable) continue;
+      Object.defineProperty(to, name,
+          Object.getOwnPropertyDescriptor(from, name));
+    }
+  }
+
+  /**
+   * Updates libraries that import `name` and have copied (re-exported) any
+   * of its old values.  `changed` maps each old value to its export name.
+   */
+  function _relinkDependents(name, lib, changed) {
+    for (let key of Object.keys(libraries)) {
+      let dependent = libraries[key];
+      if (dependent._state != LibraryLoader.READY ||
+          dependent._imports.indexOf(name) < 0 &&
+          dependent._lazyImports.indexOf(name) < 0) {
+        continue;
+      }
+      let exports = dependent._library;
+      for (let n of dart_utils.getOwnNamesAndSymbols(exports)) {
+        let desc = Object.getOwnPropertyDescriptor(exports, n);
+        if (!('value' in desc) || !changed.has(desc.value)) continue;
+        let newValue = lib[changed.get(desc.value)];
+        if (newValue !== desc.value && desc.configurable) {
+          desc.value = newValue;
+          Object.defineProperty(exports, n, desc);
+        }
+      }
+    }
+  }
+
+  // The global object, in a browser, a Web Worker or Node.
+  const _global = typeof globalThis != "undefined" ? globalThis :
+      typeof self != "undefined" ? self :
+      typeof global != "undefined" ? global : Function('return this')();
+  dart_library.global = _global;
+
+  // This loader's own module, when it is loaded as a node module.
+  const _nodeModule = typeof process != "undefined" && process.versions &&
+      process.versions.node && typeof module != "undefined" &&
+      typeof module.require == "function" ? module : null;
+
+  const _now = typeof performance != "undefined" ?
+      () => performance.now() : () => Date.now();
+
+  // The libraries currently being loaded, outermost first.
+  let _loadStack = [];
+
+  // The names of all libraries, in the order their bodies ran.
+  let _loadOrder = [];
+
+  function _importChain() {
+    return _loadStack.map((loader) => loader._name);
   }
+
+  const _stateNames = ['NOT_LOADED', 'LOADING', 'LOADED', 'READY'];
+
   LibraryLoader.NOT_LOADED = 0;
   LibraryLoader.LOADING = 1;
   LibraryLoader.LOADED = 2;
@@ -96,22 +343,353 @@ var dart_library =
   // Map from name to LibraryLoader
   let libraries = new Map();
 
+  // Loader modes.  In the default 'legacy' mode, libraries are only reachable
+  // through `dart_library.import`.  The other modes additionally publish each
+  // library to the corresponding JS module system as it is registered:
+  //   - 'amd': a named AMD module via the global `define`.
+  //   - 'common': a CommonJS exports object, set as the `exports` of the
+  //     LibraryLoader that `library` returns.  When node is running the
+  //     library's file through `require`, it is also set as the
+  //     `module.exports` of that file.
+  //   - 'es6': a named module registered with an ES6 module loader, such as
+  //     SystemJS, via `System.register`.  Its namespace is also available via
+  //     `dart_library.esModule`.
+  // 'amd' and 'es6' throw if there is no such loader.
+  const modes = new Set(['legacy', 'amd', 'common', 'es6']);
+  let mode = 'legacy';
+
+  function setMode(newMode) {
+    if (!modes.has(newMode)) {
+      dart_utils.throwInternalError('Unknown loader mode: ' + newMode);
+    }
+    mode = newMode;
+  }
+  dart_library.setMode = setMode;
+
+  function getMode() {
+    return mode;
+  }
+  dart_library.getMode = getMode;
+
   function library(name, defaultValue, imports, lazyImports, loader) {
-    return libraries[name] =
+    let result = libraries[name] =
       new LibraryLoader(name, defaultValue, imports, lazyImports, loader);
+    switch (mode) {
+      case 'amd':
+        amd(name);
+        break;
+      case 'common':
+        result.exports = commonjs(name);
+        _setNodeModuleExports(name, result.exports);
+        break;
+      case 'es6':
+        es6(name);
+        break;
+    }
+    return result;
   }
   dart_library.library = library;
 
+  function _loaderFor(name) {
+    let loader = libraries[name];
+    if (!loader) {
+      let chain = _importChain();
+      dart_utils.throwInternalError('Library not found: ' + name +
+          (chain.length > 0 ? ' (while loading ' + chain.join(' -> ') + ')' :
+              ''));
+    }
+    return loader;
+  }
+
+  // Module adapters.  These all load the library through `LibraryLoader.load`,
+  // so lazy imports and cycles are handled exactly as they are for
+  // `dart_library.import`.
+
+  /**
+   * Returns an ES6 module namespace object for the library: an object with a
+   * null prototype and a live, read-only binding for each export, including
+   * exports that a reload adds later.
+   */
+  function esModule(name) {
+    let loader = _loaderFor(name);
+    if (loader._namespace) return loader._namespace;
+    let lib = import_(name);
+    let target = Object.create(null);
+    Object.defineProperty(target, Symbol.toStringTag, { value: 'Module' });
+    Object.defineProperty(target, '__esModule', { value: true });
+    let own = (key) => Object.prototype.hasOwnProperty.call(lib, key);
+    return loader._namespace = new Proxy(target, {
+      get: (_, key) => key in target ? target[key] : own(key) ? lib[key] :
+          void 0,
+      has: (_, key) => key in target || own(key),
+      ownKeys: () => Reflect.ownKeys(lib).concat(Reflect.ownKeys(target)),
+      getOwnPropertyDescriptor(_, key) {
+        if (key in target) return Object.getOwnPropertyDescriptor(target, key);
+        if (!own(key)) return void 0;
+        // Proxy invariants require reported properties to be configurable
+        // unless they also exist on the target.
+        return {
+          value: lib[key],
+          writable: true,
+          enumerable: true,
+          configurable: true
+        };
+      },
+      set: () => false,
+      defineProperty: () => false,
+      deleteProperty: () => false,
+      setPrototypeOf: () => false
+    });
+  }
+  dart_library.esModule = esModule;
+
+  /**
+   * Registers the library as a named module with the ES6 module loader's
+   * `System.register`.  The library is loaded when the module is executed.
+   */
+  function es6(name) {
+    _loaderFor(name);
+    if (typeof System == "undefined" || typeof System.register != "function") {
+      dart_utils.throwInternalError('No ES6 module loader available for: ' +
+          name);
+    }
+    System.register(name, [], (_export) => ({
+      setters: [],
+      execute() { _export(esModule(name)); }
+    }));
+  }
+  dart_library.es6 = es6;
+
+  /**
+   * Returns a CommonJS exports object for the library.  The library is
+   * loaded on first use, so this may be called before its imports have
+   * been registered.
+   */
+  function commonjs(name) {
+    let loader = _loaderFor(name);
+    if (loader._exports) return loader._exports;
+    let lib = () => import_(name);
+    return loader._exports = new Proxy({}, {
+      get: (_, key) => lib()[key],
+      set: (_, key, value) => { lib()[key] = value; return true; },
+      has: (_, key) => key in lib(),
+      ownKeys: () => Reflect.ownKeys(lib()),
+      getOwnPropertyDescriptor(_, key) {
+        let desc = Object.getOwnPropertyDescriptor(lib(), key);
+        // Proxy invariants require reported properties to be configurable
+        // unless they also exist on the (empty) target.
+        if (desc) desc.configurable = true;
+        return desc;
+      }
+    });
+  }
+  dart_library.commonjs = commonjs;
+
+  /**
+   * Sets `exports` as the `module.exports` of the library's file,
+   * `<name>.js`, if node's `require` is running it now.
+   */
+  function _setNodeModuleExports(name, exports) {
+    if (!_nodeModule || typeof require != "function" || !require.cache) return;
+    // Modules are cached as they start loading, so the innermost module
+    // being loaded is the last one that has not finished.
+    let loading = null;
+    for (let key of Object.keys(require.cache)) {
+      if (!require.cache[key].loaded) loading = require.cache[key];
+    }
+    if (!loading) return;
+    let file = loading.filename.replace(/\\/g, '/');
+    if (file.endsWith('/' + name + '.js')) loading.exports = exports;
+  }
+
+  /**
+   * Defines the library as a named AMD module using the global `define`.
+   * The library is loaded when the module is first required.
+   */
+  function amd(name) {
+    _loaderFor(name);
+    if (typeof define != "function" || !define.amd) {
+      dart_utils.throwInternalError('No AMD loader available for: ' + name);
+    }
+    define(name, [], () => import_(name));
+  }
+  dart_library.amd = amd;
+
   function import_(libraryName) {
     bootstrap();
-    let loader = libraries[libraryName];
     // TODO(vsm): A user might call this directly from JS (as we do in tests).
     // We may want a different error type.
-    if (!loader) dart_utils.throwInternalError('Library not found: ' + libraryName);
-    return loader.load();
+    return _loaderFor(libraryName).load();
   }
   dart_library.import = import_;
 
+  // Asynchronous loading.  A resolver is a function that, given a library
+  // name, returns a Promise that completes once the script defining that
+  // library has been evaluated (and hence has called `library`).
+
+  /**
+   * Returns a resolver that loads each library from the URL given by
+   * `urlFor(name)`.  By default scripts are loaded by adding a script tag to
+   * the page; `loadScript(url)` may be passed to override this.
+   */
+  function urlResolver(urlFor, loadScript) {
+    if (!loadScript) loadScript = _loadScriptTag;
+    return (name) => loadScript(urlFor(name));
+  }
+  dart_library.urlResolver = urlResolver;
+
+  function _loadScriptTag(url) {
+    return new Promise((resolve, reject) => {
+      let script = document.createElement('script');
+      script.src = url;
+      script.async = false;
+      script.onload = () => resolve();
+      script.onerror = () => reject(new Error('Failed to load: ' + url));
+      document.head.appendChild(script);
+    });
+  }
+
+  /**
+   * Returns a resolver that reads each library from `rootDir/<name>.js` on
+   * the local file system and evaluates it in the current context.  Only
+   * available when this loader is loaded as a node module, unless
+   * `nodeRequire` is given to provide the `fs`, `path` and `vm` modules in
+   * their place.
+   */
+  function nodeResolver(rootDir, nodeRequire) {
+    if (!nodeRequire) {
+      if (!_nodeModule) {
+        dart_utils.throwInternalError('The node resolver needs node, or the ' +
+            'fs, path and vm modules through nodeRequire');
+      }
+      nodeRequire = (name) => _nodeModule.require(name);
+    }
+    let fs = nodeRequire('fs');
+    let path = nodeRequire('path');
+    let vm = nodeRequire('vm');
+    return (name) => new Promise((resolve, reject) => {
+      let file = path.join(rootDir, name + '.js');
+      fs.readFile(file, 'utf8', (err, data) => {
+        if (err) return reject(err);
+        try {
+          vm.runInThisContext(data, file);
+        } catch (e) {
+          return reject(e);
+        }
+        resolve();
+      });
+    });
+  }
+  dart_library.nodeResolver = nodeResolver;
+
+  let _resolver = typeof document != "undefined" ?
+      urlResolver((name) => name + '.js') : null;
+
+  function setResolver(resolver) {
+    _resolver = resolver;
+  }
+  dart_library.setResolver = setResolver;
+
+  function getResolver() {
+    return _resolver;
+  }
+  dart_library.getResolver = getResolver;
+
+  // Map from library name to a Promise for a pending fetch.
+  let _fetching = new Map();
+
+  /** Fetches the named library, if it is not already registered. */
+  function _fetch(name) {
+    if (libraries[name]) return Promise.resolve(libraries[name]);
+    let pending = _fetching.get(name);
+    if (pending) return pending;
+    if (!_resolver) {
+      return Promise.reject(new Error('No resolver for library: ' + name));
+    }
+    pending = Promise.resolve(_resolver(name)).then(() => {
+      _fetching.delete(name);
+      let loader = libraries[name];
+      if (!loader) throw new Error('Library not found: ' + name);
+      return loader;
+    }, (e) => {
+      _fetching.delete(name);
+      throw e;
+    });
+    _fetching.set(name, pending);
+    return pending;
+  }
+
+  /**
+   * Fetches the named library and everything it transitively imports,
+   * eagerly or lazily.  `visited` guards against cyclic imports.
+   */
+  function _fetchAll(name, visited) {
+    if (visited.has(name)) return Promise.resolve();
+    visited.add(name);
+    return _fetch(name).then((loader) => {
+      let names = loader._imports.concat(loader._lazyImports);
+      return Promise.all(names.map((n) => _fetchAll(n, visited)));
+    });
+  }
+
+  /**
+   * Loads the named library, fetching it and any of its imports that are not
+   * yet registered via the current resolver.  Returns a Promise for the
+   * library object.
+   */
+  function importAsync(libraryName) {
+    return _fetchAll(libraryName, new Set()).then(() => import_(libraryName));
+  }
+  dart_library.importAsync = importAsync;
+
+  /**
+   * Returns a JSON-compatible description of the library graph: each
+   * registered library with its imports, lazy imports, state and load
+   * timings (in ms), along with the order in which the libraries ran.
+   */
+  function debugGraph() {
+    let result = { libraries: {}, loadOrder: _loadOrder.slice() };
+    for (let name of Object.keys(libraries)) {
+      let loader = libraries[name];
+      result.libraries[name] = {
+        imports: loader._imports.slice(),
+        lazyImports: loader._lazyImports.slice(),
+        state: _stateNames[loader._state],
+        loadStart: loader._loadStart,
+        loadTime: loader._loadTime
+      };
+    }
+    return result;
+  }
+  dart_library.debugGraph = debugGraph;
+
+  /**
+   * Returns the libraries that have been loaded, in the order their bodies
+   * ran, each as its `name`, `exports` and the names of its `imports` and
+   * `lazyImports`.  This is what dart:mirrors reflects on.
+   */
+  function loadedLibraries() {
+    return _loadOrder.map((name) => {
+      let loader = libraries[name];
+      return {
+        name: name,
+        exports: loader._library,
+        imports: loader._imports.slice(),
+        lazyImports: loader._lazyImports.slice()
+      };
+    });
+  }
+  dart_library.loadedLibraries = loadedLibraries;
+
+  /**
+   * Reloads the named library in place, optionally with a new library body.
+   * See `LibraryLoader.reload`.
+   */
+  function reload(libraryName, loader) {
+    return _loaderFor(libraryName).reload(loader);
+  }
+  dart_library.reload = reload;
+
   function start(libraryName) {
     let library = import_(libraryName);
     let _isolate_helper = import_('dart/_isolate_helper');
@@ -4,15 +4,17 @@
 
 dart_library.library('dart_runtime/dart', null, /* Imports */[
   'dart_runtime/_classes',
+  'dart_runtime/_debugger',
   'dart_runtime/_errors',
   'dart_runtime/_generators',
   'dart_runtime/_operations',
   'dart_runtime/_rtti',
+  'dart_runtime/_stack_trace',
   'dart_runtime/_types',
 ], /* Lazy Imports */[
   'dart/_js_helper'
-], function(exports, classes, errors, generators, operations, rtti, types,
-    _js_helper) {
+], function(exports, classes, debugger_, errors, generators, operations,
+    rtti, stack_trace, types, _js_helper) {
   'use strict';
 
   function _export(value) {
@@ -27,7 +29,7 @@ dart_library.library('dart_runtime/dart', null, /* Imports */[
     }
   }
 
-  exports.global = typeof window == "undefined" ? global : window;
+  exports.global = dart_library.global;
   exports.JsSymbol = _export(Symbol);
 
   // TODO(vsm): This is referenced (as init.globalState) from
@@ -47,6 +49,11 @@ dart_library.library('dart_runtime/dart', null, /* Imports */[
     'defineExtensionNames',
     'defineExtensionMembers',
     'generic',
+    'getGenericArgs',
+    'getGenericClass',
+    'getImplements',
+    'getMixins',
+    'getOwnSignature',
     'implements',
     'list',
     'metadata',
@@ -57,10 +64,23 @@ dart_library.library('dart_runtime/dart', null, /* Imports */[
     'virtualField'
   ]);
 
+  exportFrom(debugger_, ['devtoolsFormatter']);
+
+  exportFrom(stack_trace, [
+    'loadSourceMaps',
+    'mapStackTrace',
+    'registerSourceMap',
+    'setAsyncStackTraces',
+    'setSourceMapLoader'
+  ]);
+
   exportFrom(generators, [
     'syncStar',
     'async',
-    'asyncStar'
+    'asyncStar',
+    'fromPromise',
+    'toPromise',
+    'thenable'
   ]);
 
   // From dart_utils
@@ -76,19 +96,27 @@ dart_library.library('dart_runtime/dart', null, /* Imports */[
     'arity',
     'asInt',
     'assert',
+    'checkCounts',
     'const',
+    'constMap',
     'dcall',
+    'deferredLibrary',
     'dindex',
     'dload',
     'dput',
     'dsend',
     'dsetindex',
     'equals',
+    'getCheckMode',
     'hashCode',
     'map',
+    'namedArgs',
     'noSuchMethod',
     'notNull',
     'nullSafe',
+    'resetCheckCounts',
+    'rethrow',
+    'setCheckMode',
     'stackPrint',
     'stackTrace',
     'strongInstanceOf',
@@ -102,10 +130,16 @@ dart_library.library('dart_runtime/dart', null, /* Imports */[
   // From types
   exportFrom(types, [
     'bottom',
+    'defaultValue',
     'definiteFunctionType',
+    'definiteGenericFunctionType',
     'dynamic',
     'functionType',
+    'genericFunctionType',
+    'isDartType',
+    'isSubtype',
     'jsobject',
+    'nonNullable',
     'typedef',
     'typeName',
     'void',
@@ -114,6 +148,7 @@ dart_library.library('dart_runtime/dart', null, /* Imports */[
   // From rtti
   exportFrom(rtti, [
     'fn',
+    'gbind',
     'realRuntimeType',
     'runtimeType',
   ]);
@@ -21,19 +21,70 @@ var dart_utils =
 
   const slice = [].slice;
 
+  /** This error indicates a strong mode specific failure.
+   *
+   * Besides the message, it records what failed:
+   *   - kind: the operation, such as 'cast', 'is' or 'dcall'.
+   *   - actualType: the runtime type that was checked.
+   *   - expectedType: the type it was checked against.
+   *   - callSite: the location in the generated code, if known.  The details
+   *     may give it as a function, which is called when it is first read.
+   */
   class StrongModeError extends Error {
-    constructor(message) {
+    constructor(message, details) {
       super(message);
+      this.message = message;
+      if (details == null) details = {};
+      this.kind = details.kind;
+      this.actualType = details.actualType;
+      this.expectedType = details.expectedType;
+      this._callSite = details.callSite;
+    }
+
+    get callSite() {
+      if (typeof this._callSite == 'function') this._callSite = this._callSite();
+      return this._callSite;
     }
   }
+  dart_utils.StrongModeError = StrongModeError;
 
-  /** This error indicates a strong mode specific failure.
+  let strongModeErrorHandler = null;
+
+  /** Sets a function that is called with each StrongModeError, for example
+   * to log failures while migrating code.  The handler only observes the
+   * error.  Whether it is then thrown depends on the check mode of the failed
+   * check (see `dart.setCheckMode`): in 'throw' mode it is thrown once the
+   * handler returns, and in 'warn' mode the check carries on as if it had
+   * passed.  Pass null to remove the handler.
    */
-  function throwStrongModeError(message) {
-    throw new StrongModeError(message);
+  function setStrongModeErrorHandler(handler) {
+    strongModeErrorHandler = handler;
+  }
+  dart_utils.setStrongModeErrorHandler = setStrongModeErrorHandler;
+
+  /** Throws a StrongModeError, after passing it to the handler if there is
+   * one.  See [StrongModeError] for the optional details.
+   */
+  function throwStrongModeError(message, details) {
+    let error = new StrongModeError(message, details);
+    if (strongModeErrorHandler != null) strongModeErrorHandler(error);
+    throw error;
   }
   dart_utils.throwStrongModeError = throwStrongModeError;
 
+  /** Reports a StrongModeError without throwing it, to the handler if there
+   * is one and otherwise with `console.warn`.
+   */
+  function warnStrongModeError(message, details) {
+    let error = new StrongModeError(message, details);
+    if (strongModeErrorHandler == null) {
+      console.warn('Ignoring failed check: ' + error);
+    } else {
+      strongModeErrorHandler(error);
+    }
+  }
+  dart_utils.warnStrongModeError = warnStrongModeError;
+
   /** This error indicates a bug in the runtime or the compiler.
    */
   function throwInternalError(message) {
@@ -18,5 +18,22 @@ for (var i = 0; i < argc-1; ++i) {
   __load(args[i]);
 }
 
+// Read the source maps of the loaded files from disk, so that stack traces
+// point into the Dart sources.
+var dart = dart_library.import('dart_runtime/dart');
+dart.setSourceMapLoader(function(path) {
+  try {
+    return fs.readFileSync(path).toString();
+  } catch (e) {
+    return null;
+  }
+});
+
 var main = vm.createScript(args[argc-1] + '.main()', 'main');
-main.runInThisContext();
+try {
+  main.runInThisContext();
+} catch (e) {
+  console.error(dart.toString(e));
+  console.error(dart.stackTrace(e).toString());
+  process.exit(1);
+}
@@ -76,6 +76,11 @@ class JSCodegenVisitor extends GeneralizingAstVisitor with ClosureAnnotator {
 
   /// Imported libraries, and the temporaries used to refer to them.
   final _imports = new Map<LibraryElement, JS.TemporaryId>();
+
+  /// Libraries imported with `deferred as`, and those imported without it.
+  /// A library is only loaded lazily if all of its imports are deferred.
+  final _deferredImports = new HashSet<LibraryElement>();
+  final _eagerImports = new HashSet<LibraryElement>();
   final _exports = new Set<String>();
   final _lazyFields = <VariableDeclaration>[];
   final _properties = <FunctionDeclaration>[];
@@ -197,18 +202,31 @@ class JSCodegenVisitor extends GeneralizingAstVisitor with ClosureAnnotator {
 
     var imports = <JS.Expression>[js.string('dart_runtime/dart')];
     _imports.forEach((library, temp) {
-      if (_loader.libraryIsLoaded(library)) {
+      if (_loader.libraryIsLoaded(library) && !_isDeferred(library)) {
         processImport(library, temp, imports);
       }
     });
 
     var lazyImports = <JS.Expression>[];
     _imports.forEach((library, temp) {
-      if (!_loader.libraryIsLoaded(library)) {
+      if (!_loader.libraryIsLoaded(library) && !_isDeferred(library)) {
         processImport(library, temp, lazyImports);
       }
     });
 
+    // Deferred libraries are not imports of the module: they are fetched and
+    // initialized by `loadLibrary()`.
+    var deferredImports = <JS.Statement>[];
+    _imports.forEach((library, temp) {
+      if (_isDeferred(library)) {
+        deferredImports.add(js.statement('let # = dart.deferredLibrary(#);', [
+          temp,
+          js.string(compiler.getModuleName(library.source.uri), "'")
+        ]));
+      }
+    });
+    _moduleItems.insertAll(0, deferredImports);
+
     var dartxImport =
         js.statement("let # = #.dartx;", [_dartxVar, _runtimeLibVar]);
 
@@ -254,10 +272,20 @@ class JSCodegenVisitor extends GeneralizingAstVisitor with ClosureAnnotator {
 
   @override
   void visitImportDirective(ImportDirective node) {
-    // Nothing to do yet, but we'll want to convert this to an ES6 import once
-    // we have support for modules.
+    // TODO(jmesserly): we'll want to convert this to an ES6 import once we
+    // have support for modules.
+    ImportElement import = node.element;
+    if (import == null) return;
+    if (import.isDeferred) {
+      _deferredImports.add(import.importedLibrary);
+    } else {
+      _eagerImports.add(import.importedLibrary);
+    }
   }
 
+  bool _isDeferred(LibraryElement library) =>
+      _deferredImports.contains(library) && !_eagerImports.contains(library);
+
   @override void visitPartDirective(PartDirective node) {}
   @override void visitPartOfDirective(PartOfDirective node) {}
 
@@ -731,9 +759,33 @@ class JSCodegenVisitor extends GeneralizingAstVisitor with ClosureAnnotator {
     {
       var tStatics = <JS.Property>[];
       var tMethods = <JS.Property>[];
+      var tFields = <JS.Property>[];
+      var tGetters = <JS.Property>[];
+      var tSetters = <JS.Property>[];
       var sNames = <JS.Expression>[];
+      for (FieldDeclaration member in fields) {
+        for (VariableDeclaration fieldDecl in member.fields.variables) {
+          var field = fieldDecl.element as FieldElement;
+          var property = new JS.Property(
+              _elementMemberName(field.getter), _emitTypeName(field.type));
+          // Final fields can only be read, so they are recorded as getters.
+          (field.setter == null ? tGetters : tFields).add(property);
+        }
+      }
       for (MethodDeclaration node in methods) {
-        if (!(node.isSetter || node.isGetter || node.isAbstract)) {
+        if ((node.isGetter || node.isSetter) &&
+            !node.isStatic &&
+            !node.isAbstract) {
+          var element = node.element as PropertyAccessorElement;
+          var memberName = _elementMemberName(element);
+          if (node.isGetter) {
+            tGetters.add(new JS.Property(
+                memberName, _emitTypeName(element.returnType)));
+          } else {
+            tSetters.add(new JS.Property(
+                memberName, _emitTypeName(element.parameters[0].type)));
+          }
+        } else if (!(node.isSetter || node.isGetter || node.isAbstract)) {
           var name = node.name.name;
           var element = node.element;
           var inheritedElement =
@@ -741,9 +793,8 @@ class JSCodegenVisitor extends GeneralizingAstVisitor with ClosureAnnotator {
           if (inheritedElement != null &&
               inheritedElement.type == element.type) continue;
           var memberName = _elementMemberName(element);
-          var parts = _emitFunctionTypeParts(element.type);
           var property =
-              new JS.Property(memberName, new JS.ArrayInitializer(parts));
+              new JS.Property(memberName, _emitMethodSignature(element.type));
           if (node.isStatic) {
             tStatics.add(property);
             sNames.add(memberName);
@@ -771,6 +822,9 @@ class JSCodegenVisitor extends GeneralizingAstVisitor with ClosureAnnotator {
       }
       var sigFields = <JS.Property>[];
       if (!tCtors.isEmpty) sigFields.add(build('constructors', tCtors));
+      if (!tFields.isEmpty) sigFields.add(build('fields', tFields));
+      if (!tGetters.isEmpty) sigFields.add(build('getters', tGetters));
+      if (!tSetters.isEmpty) sigFields.add(build('setters', tSetters));
       if (!tMethods.isEmpty) sigFields.add(build('methods', tMethods));
       if (!tStatics.isEmpty) {
         assert(!sNames.isEmpty);
@@ -1208,6 +1262,7 @@ class JSCodegenVisitor extends GeneralizingAstVisitor with ClosureAnnotator {
     if (params == null) params = <JS.Parameter>[];
 
     JS.Fun fn = _emitFunctionBody(params, node.body);
+    fn = _emitGenericFunction(node.element.typeParameters, fn);
     if (node.operatorKeyword != null &&
         node.name.name == '[]=' &&
         params.isNotEmpty) {
@@ -1259,6 +1314,15 @@ class JSCodegenVisitor extends GeneralizingAstVisitor with ClosureAnnotator {
     body.add(_emitFunctionTagged(id, node.element.type, topLevel: true)
         .toStatement());
 
+    // Metadata
+    if (node.metadata.isNotEmpty) {
+      body.add(js.statement('#[dart.metadata] = () => #;', [
+        id,
+        new JS.ArrayInitializer(new List<JS.Expression>.from(
+            node.metadata.map(_instantiateAnnotation)))
+      ]));
+    }
+
     if (isPublic(name)) _addExport(name);
     return _statement(body);
   }
@@ -1298,6 +1362,11 @@ class JSCodegenVisitor extends GeneralizingAstVisitor with ClosureAnnotator {
     var lazy = topLevel && !_typeIsLoaded(type);
 
     if (type is FunctionType && (name == '' || name == null)) {
+      if (_typeFormalsOf(type).isNotEmpty) {
+        // Generic function types are always emitted lazily, so that their
+        // type parameters are in scope.
+        return js.call('dart.fn(#, () => #)', [clos, _emitFunctionRTTI(type)]);
+      }
       if (type.returnType.isDynamic &&
           type.optionalParameterTypes.isEmpty &&
           type.namedParameterTypes.isEmpty &&
@@ -1320,7 +1389,8 @@ class JSCodegenVisitor extends GeneralizingAstVisitor with ClosureAnnotator {
     var parent = node.parent;
     var inStmt = parent.parent is FunctionDeclarationStatement;
     if (parent is FunctionDeclaration) {
-      return _emitFunctionBody(params, node.body);
+      return _emitGenericFunction(
+          node.element.typeParameters, _emitFunctionBody(params, node.body));
     } else {
       String code;
       JS.Node jsBody;
@@ -1345,6 +1415,17 @@ class JSCodegenVisitor extends GeneralizingAstVisitor with ClosureAnnotator {
     }
   }
 
+  /// A generic function takes its type arguments and returns the function
+  /// for those type arguments, see `dart.fn` and `dart.gbind`.
+  JS.Fun _emitGenericFunction(
+      List<TypeParameterElement> typeFormals, JS.Fun fn) {
+    if (typeFormals.isEmpty) return fn;
+    var typeParams = typeFormals.map((t) => new JS.Identifier(t.name));
+    return new JS.Fun(typeParams.toList(), js.statement('{ return #; }',
+        [new JS.ArrowFun(fn.params, fn.body)]))
+      ..sourceInformation = fn.sourceInformation;
+  }
+
   JS.Fun _emitFunctionBody(List<JS.Parameter> params, FunctionBody body) {
     // sync*, async, async*
     if (body.isAsynchronous || body.isGenerator) {
@@ -1523,29 +1604,42 @@ class JSCodegenVisitor extends GeneralizingAstVisitor with ClosureAnnotator {
           ? p.metadata
           : (p as DefaultFormalParameter).parameter.metadata;
 
+  /// Emits the type of a parameter.  If the parameter is known and has
+  /// metadata or a default value, these are emitted along with the type as
+  /// `[type, ...metadata, dart.defaultValue(value)]`.
+  JS.Expression _emitParameterType(DartType type, FormalParameter parameter) {
+    var typeName = _emitTypeName(type);
+    if (parameter == null) return typeName;
+    // TODO(vsm): Make this optional per #268.
+    var parts = new List<JS.Expression>.from(
+        _parameterMetadata(parameter).map(_instantiateAnnotation));
+    if (parameter is DefaultFormalParameter &&
+        parameter.defaultValue != null) {
+      parts.add(js.call(
+          'dart.defaultValue(#)', [_visit(parameter.defaultValue)]));
+    }
+    if (parts.isEmpty) return typeName;
+    return new JS.ArrayInitializer([typeName]..addAll(parts));
+  }
+
   JS.ArrayInitializer _emitTypeNames(List<DartType> types,
       [List<FormalParameter> parameters]) {
     var result = <JS.Expression>[];
     for (int i = 0; i < types.length; ++i) {
-      var metadata =
-          parameters != null ? _parameterMetadata(parameters[i]) : [];
-      var typeName = _emitTypeName(types[i]);
-      var value = typeName;
-      // TODO(vsm): Make this optional per #268.
-      if (metadata.isNotEmpty) {
-        metadata = metadata.map(_instantiateAnnotation).toList();
-        value = new JS.ArrayInitializer([typeName]..addAll(metadata));
-      }
-      result.add(value);
+      result.add(_emitParameterType(
+          types[i], parameters != null ? parameters[i] : null));
     }
     return new JS.ArrayInitializer(result);
   }
 
-  JS.ObjectInitializer _emitTypeProperties(Map<String, DartType> types) {
+  JS.ObjectInitializer _emitTypeProperties(Map<String, DartType> types,
+      [List<FormalParameter> parameters]) {
     var properties = <JS.Property>[];
     types.forEach((name, type) {
       var key = _propertyName(name);
-      var value = _emitTypeName(type);
+      var parameter = parameters?.firstWhere(
+          (p) => p.identifier.name == name, orElse: () => null);
+      var value = _emitParameterType(type, parameter);
       properties.add(new JS.Property(key, value));
     });
     return new JS.ObjectInitializer(properties);
@@ -1564,8 +1658,8 @@ class JSCodegenVisitor extends GeneralizingAstVisitor with ClosureAnnotator {
     var ra = _emitTypeNames(parameterTypes, parameters);
     if (!namedTypes.isEmpty) {
       assert(optionalTypes.isEmpty);
-      // TODO(vsm): Pass in annotations here as well.
-      var na = _emitTypeProperties(namedTypes);
+      var na = _emitTypeProperties(
+          namedTypes, parameters?.sublist(parameterTypes.length));
       return [rt, ra, na];
     }
     if (!optionalTypes.isEmpty) {
@@ -1579,9 +1673,56 @@ class JSCodegenVisitor extends GeneralizingAstVisitor with ClosureAnnotator {
 
   JS.Expression _emitFunctionRTTI(FunctionType type) {
     var parts = _emitFunctionTypeParts(type);
+    var typeFormals = _typeFormalsOf(type);
+    if (typeFormals.isNotEmpty) {
+      return _emitGenericFunctionType(
+          typeFormals, new JS.ArrayInitializer(parts));
+    }
     return js.call('dart.definiteFunctionType(#)', [parts]);
   }
 
+  /// Emits the signature of a method for `dart.setSignature`: the pieces of
+  /// its function type, or a generic function type if the method has type
+  /// parameters.
+  JS.Expression _emitMethodSignature(FunctionType type) {
+    var parts = new JS.ArrayInitializer(_emitFunctionTypeParts(type));
+    var typeFormals = _typeFormalsOf(type);
+    if (typeFormals.isEmpty) return parts;
+    return _emitGenericFunctionType(typeFormals, parts);
+  }
+
+  /// The type parameters of a generic function or method.
+  List<TypeParameterElement> _typeFormalsOf(FunctionType type) {
+    var element = type.element;
+    return element is ExecutableElement
+        ? element.typeParameters
+        : const <TypeParameterElement>[];
+  }
+
+  /// Emits `dart.definiteGenericFunctionType` for the given type parameters,
+  /// where [parts] are the pieces of the function type that refer to them.
+  JS.Expression _emitGenericFunctionType(
+      List<TypeParameterElement> typeFormals, JS.Expression parts) {
+    var names = typeFormals.map((t) => js.string(t.name, "'")).toList();
+    JS.Identifier param(TypeParameterElement t) => new JS.Identifier(t.name);
+    if (typeFormals.every((t) => t.bound == null)) {
+      return js.call('dart.definiteGenericFunctionType([#], (#) => #)',
+          [names, typeFormals.map(param).toList(), parts]);
+    }
+    var bounds = typeFormals
+        .map((t) =>
+            t.bound == null ? new JS.LiteralNull() : _emitTypeName(t.bound))
+        .toList();
+    return js.call(
+        'dart.definiteGenericFunctionType([#], (#) => #, (#) => [#])', [
+      names,
+      typeFormals.map(param).toList(),
+      parts,
+      typeFormals.map(param).toList(),
+      bounds
+    ]);
+  }
+
   /// Emits a Dart [type] into code.
   ///
   /// If [lowerTypedef] is set, a typedef will be expanded as if it were a
@@ -1781,14 +1922,14 @@ class JSCodegenVisitor extends GeneralizingAstVisitor with ClosureAnnotator {
     if (result != null) return result;
 
     String code;
+    var args = node.argumentList;
     if (target == null || isLibraryPrefix(target)) {
       if (DynamicInvoke.get(node.methodName)) {
-        code = 'dart.$DCALL(#, #)';
-      } else {
-        code = '#(#)';
+        return js.call('dart.$DCALL(#, #)',
+            [_visit(node.methodName), _emitDynamicArgs(args)]);
       }
-      return js.call(
-          code, [_visit(node.methodName), _visit(node.argumentList)]);
+      return js.call('#(#)',
+          [_emitTypeArgsCall(node.methodName), _visit(args)]);
     }
 
     var type = getStaticType(target);
@@ -1807,14 +1948,31 @@ class JSCodegenVisitor extends GeneralizingAstVisitor with ClosureAnnotator {
     } else if (_requiresStaticDispatch(target, name)) {
       assert(rules.objectMembers[name] is FunctionType);
       // Object methods require a helper for null checks.
-      return js.call('dart.#(#, #)',
-          [memberName, _visit(target), _visit(node.argumentList)]);
+      return js.call(
+          'dart.#(#, #)', [memberName, _visit(target), _visit(args)]);
     } else {
-      code = '#.#(#)';
+      var method = js.call('#.#', [_visit(target), memberName]);
+      return js.call('#(#)',
+          [_emitTypeArgsCall(node.methodName, method), _visit(args)]);
     }
 
     return js.call(
-        code, [_visit(target), memberName, _visit(node.argumentList)]);
+        code, [_visit(target), memberName, _emitDynamicArgs(args)]);
+  }
+
+  /// Passes the type arguments to a static call of a generic function or
+  /// method, whose JS function takes them first, see [_emitGenericFunction].
+  ///
+  /// The type arguments are not inferred yet, so they are dynamic, as for a
+  /// dynamic call.
+  JS.Expression _emitTypeArgsCall(SimpleIdentifier name, [JS.Expression fn]) {
+    if (fn == null) fn = _visit(name);
+    var element = name.staticElement;
+    if (element is! ExecutableElement) return fn;
+    var typeFormals = (element as ExecutableElement).typeParameters;
+    if (typeFormals.isEmpty) return fn;
+    var typeArgs = typeFormals.map((_) => js.call('dart.dynamic')).toList();
+    return js.call('#(#)', [fn, typeArgs]);
   }
 
   /// Emits code for the `JS(...)` builtin.
@@ -1837,13 +1995,22 @@ class JSCodegenVisitor extends GeneralizingAstVisitor with ClosureAnnotator {
   @override
   JS.Expression visitFunctionExpressionInvocation(
       FunctionExpressionInvocation node) {
-    var code;
     if (DynamicInvoke.get(node.function)) {
-      code = 'dart.$DCALL(#, #)';
-    } else {
-      code = '#(#)';
+      return js.call('dart.$DCALL(#, #)',
+          [_visit(node.function), _emitDynamicArgs(node.argumentList)]);
     }
-    return js.call(code, [_visit(node.function), _visit(node.argumentList)]);
+    return js.call('#(#)', [_visit(node.function), _visit(node.argumentList)]);
+  }
+
+  /// Emits the arguments of a dynamic call.  Named arguments are wrapped with
+  /// `dart.namedArgs`, so the runtime can tell them apart from an object
+  /// passed as the last positional argument.
+  List<JS.Expression> _emitDynamicArgs(ArgumentList node) {
+    List<JS.Expression> args = _visit(node);
+    if (node.arguments.any((arg) => arg is NamedExpression)) {
+      args[args.length - 1] = js.call('dart.namedArgs(#)', [args.last]);
+    }
+    return args;
   }
 
   @override
@@ -2063,7 +2230,7 @@ class JSCodegenVisitor extends GeneralizingAstVisitor with ClosureAnnotator {
           _findAccessor(element, getter: true)));
 
       // TODO(jmesserly): use a dummy setter to indicate writable.
-      if (!node.isFinal) {
+      if (!node.isFinal && !node.isConst) {
         methods.add(annotate(
             new JS.Method(access, js.call('function(_) {}') as JS.Fun,
                 isSetter: true),
@@ -2715,9 +2882,9 @@ class JSCodegenVisitor extends GeneralizingAstVisitor with ClosureAnnotator {
   @override
   visitRethrowExpression(RethrowExpression node) {
     if (node.parent is ExpressionStatement) {
-      return js.statement('throw #;', _visit(_catchParameter));
+      return js.statement('dart.rethrow(#);', _visit(_catchParameter));
     } else {
-      return js.call('throw #', _visit(_catchParameter));
+      return js.call('dart.rethrow(#)', _visit(_catchParameter));
     }
   }
 
@@ -3003,9 +3170,9 @@ class JSCodegenVisitor extends GeneralizingAstVisitor with ClosureAnnotator {
     // TODO(jmesserly): we can likely make these faster.
     JS.Expression emitMap() {
       var entries = node.entries;
-      var mapArguments = null;
+      JS.Expression mapArguments;
       if (entries.isEmpty) {
-        mapArguments = [];
+        mapArguments = new JS.ArrayInitializer([]);
       } else if (entries.every((e) => e.key is StringLiteral)) {
         // Use JS object literal notation if possible, otherwise use an array.
         // We could do this any time all keys are non-nullable String type.
@@ -3023,10 +3190,16 @@ class JSCodegenVisitor extends GeneralizingAstVisitor with ClosureAnnotator {
         }
         mapArguments = new JS.ArrayInitializer(values);
       }
-      // TODO(jmesserly): add generic types args.
-      return js.call('dart.map(#)', [mapArguments]);
+      var args = <JS.Expression>[mapArguments];
+      ParameterizedType type = node.staticType;
+      var typeArgs = type.typeArguments;
+      if (typeArgs.any((t) => t != types.dynamicType)) {
+        args.addAll(typeArgs.map(_emitTypeName));
+      }
+      // Constant maps are canonicalized by their entries.
+      if (node.constKeyword != null) return js.call('dart.constMap(#)', [args]);
+      return js.call('dart.map(#)', [args]);
     }
-    if (node.constKeyword != null) return _emitConst(emitMap);
     return emitMap();
   }
 
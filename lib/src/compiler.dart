@@ -522,7 +522,9 @@ final defaultRuntimeFiles = () {
     '_types.js',
     '_rtti.js',
     '_classes.js',
+    '_debugger.js',
     '_operations.js',
+    '_stack_trace.js',
     'dart_runtime.js',
   ];
   files.addAll(corelibOrder.map((l) => l.replaceAll('.', '/') + '.js'));
@@ -76,21 +76,10 @@
     'cyclic_type_test_03_multi',
     'cyclic_type_test_04_multi',
     'cyclic_type_variable_test_none_multi',
-    'deferred_call_empty_before_load_test',
-    'deferred_closurize_load_library_test',
-    'deferred_constant_list_test',
     'deferred_function_type_test',
-    'deferred_inlined_test',
-    'deferred_load_inval_code_test',
-    'deferred_mixin_test',
-    'deferred_no_such_method_test',
     'deferred_not_loaded_check_test',
-    'deferred_only_constant_test',
-    'deferred_optimized_test',
     'deferred_redirecting_factory_test',
     'deferred_regression_22995_test',
-    'deferred_shadow_load_library_test',
-    'deferred_shared_and_unshared_classes_test',
     'deferred_static_seperate_test',
     'double_int_to_string_test',
     'double_to_string_test',
@@ -308,7 +297,6 @@
     'deferred_constraints_type_annotation_test_type_annotation_non_deferred_multi',
     'deferred_load_constants_test_none_multi',
     'deferred_load_library_wrong_args_test_01_multi',
-    'deferred_load_library_wrong_args_test_none_multi',
     'external_test_21_multi',
     'external_test_24_multi',
     'main_not_a_function_test_01_multi',
@@ -0,0 +1,9 @@
+dart_library.library('async/a', null, /* Imports */[
+  'async/b'
+], /* Lazy imports */[
+  'async/c'
+], function(exports, b, c) {
+  'use strict';
+  exports.name = 'a';
+  exports.names = () => [exports.name, b.name, c.name];
+});
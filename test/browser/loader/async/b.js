@@ -0,0 +1,8 @@
+dart_library.library('async/b', null, /* Imports */[
+], /* Lazy imports */[
+  'async/a'
+], function(exports, a) {
+  'use strict';
+  exports.name = 'b';
+  exports.a = a;
+});
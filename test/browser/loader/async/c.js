@@ -0,0 +1,7 @@
+dart_library.library('async/c', null, /* Imports */[
+  'async/b'
+], /* Lazy imports */[
+], function(exports, b) {
+  'use strict';
+  exports.name = 'c';
+});
@@ -0,0 +1,6 @@
+dart_library.library('async/missing', null, /* Imports */[
+  'async/does_not_exist'
+], /* Lazy imports */[
+], function(exports, d) {
+  'use strict';
+});
@@ -0,0 +1,6 @@
+dart_library.library('common/lib', null, /* Imports */[
+], /* Lazy imports */[
+], function(exports) {
+  'use strict';
+  exports.value = 42;
+});
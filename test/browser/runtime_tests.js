@@ -106,7 +106,6 @@ suite('instanceOf', () => {
   let expect = assert.equal;
   let isGroundType = types.isGroundType;
   let generic = dart.generic;
-  let intIsNonNullable = false;
   let cast = dart.as;
   let instanceOf = dart.is;
   let strongInstanceOf = dart.strongInstanceOf;
@@ -215,11 +214,56 @@ suite('instanceOf', () => {
     checkType(5, String, false);
 
     expect(cast(5, int), 5);
-    if (intIsNonNullable) {
-      expect(() => cast(null, int), throws);
-    } else {
-      expect(cast(null, int), null);
+    expect(cast(null, int), null);
+  });
+
+  test('non-nullable', () => {
+    let _js_helper = dart_library.import('dart/_js_helper');
+    let nonNullable = dart.nonNullable;
+    let nnInt = nonNullable(int);
+
+    assert.strictEqual(nonNullable(int), nnInt);
+    assert.strictEqual(nonNullable(nnInt), nnInt);
+    expect(dart.typeName(nnInt), 'int!');
+    expect(isGroundType(nnInt), true);
+    expect(isGroundType(nonNullable(Map$(String, String))), false);
+
+    checkType(5, nnInt);
+    checkType(5, nonNullable(num));
+    checkType(null, nnInt, false);
+    checkType(void 0, nnInt, false);
+    checkType("foo", nnInt, false);
+    checkType(null, nonNullable(Object), false);
+    checkType(null, nonNullable(Map$(String, String)), false);
+
+    expect(cast(5, nnInt), 5);
+    assert.throws(() => cast("foo", nnInt), _js_helper.CastErrorImplementation);
+    try {
+      cast(null, nnInt);
+      assert.fail();
+    } catch (e) {
+      assert.instanceOf(e, _js_helper.NullCastErrorImplementation);
+      checkType(e, core.CastError);
+      assert.strictEqual(e.expectedType, nnInt);
+      assert.include(e.callSite, 'runtime_tests.js');
+      assert.include(e.toString(), 'int!');
     }
+
+    // int! <: int, but not the other way around.
+    expect(isSubtype(nnInt, int), true);
+    expect(isSubtype(nnInt, nonNullable(num)), true);
+    expect(isSubtype(int, nnInt), false);
+    expect(isSubtype(core.Null, nnInt), false);
+    expect(isSubtype(functionType(nnInt, [int]), functionType(int, [nnInt])),
+        true);
+    expect(isSubtype(functionType(int, [nnInt]), functionType(int, [int])),
+        false);
+
+    // Dynamic calls reject null for non-nullable parameters.
+    function f(x) { return x; }
+    dart.fn(f, int, [nnInt]);
+    expect(dart.dcall(f, 1), 1);
+    assert.throws(() => dart.dcall(f, null));
   });
 
   test('dynamic', () => {
@@ -314,15 +358,21 @@ suite('instanceOf', () => {
       dart_utils.StrongModeError);
 
     // As checks
-    // TODO(vsm): Enable these.  We're currently only logging warnings on
-    // StrongModeErrors.
-    // assert.throws(() => dart.as(m3, Map$(String, String)),
-    //   dart_utils.StrongModeError);
-    // assert.throws(() => dart.as(m6, Map$(String, String)),
-    //   dart_utils.StrongModeError);
+    assert.throws(() => dart.as(m3, Map$(String, String)),
+      dart_utils.StrongModeError);
+    assert.throws(() => dart.as(m6, Map$(String, String)),
+      dart_utils.StrongModeError);
     assert.equal(dart.as(m1, Map$(String, String)), m1);
-    // assert.throws(() => dart.as(m2, Map$(String, String)),
-    //   dart_utils.StrongModeError);
+    assert.throws(() => dart.as(m2, Map$(String, String)),
+      dart_utils.StrongModeError);
+  });
+
+  test('JSON', () => {
+    let convert = dart_library.import('dart/convert');
+    // Maps of any type arguments can be encoded.
+    expect(convert.JSON.encode(dart.map({a: 1, b: [true, null]})),
+        '{"a":1,"b":[true,null]}');
+    expect(convert.JSON.encode(dart.map({b: 2}, String, int)), '{"b":2}');
   });
 
   test('constructors', () => {
@@ -499,8 +549,8 @@ suite('instanceOf', () => {
     assert.throws(() => dart.dcall(dd2d, 0));
     assert.throws(() => dart.dcall(dd2d, 0, 1, 2));
     assert.throws(() => dart.dcall(dd2d, 0, 1, {extra : 3}));
-    // This should throw but currently doesn't.
-    //    assert.throws(() => dart.dcall(dd2d, 0, {extra:3}));
+    assert.throws(() => dart.dcall(dd2d, 0, 1, dart.namedArgs({extra : 3})));
+    assert.throws(() => dart.dcall(dd2d, 0, dart.namedArgs({extra:3})));
 
     assert.equal(dart.dcall(ii2i, 0, 1), 0);
     assert.throws(() => dart.dcall(ii2i, "hello", "world"));
@@ -516,7 +566,31 @@ suite('instanceOf', () => {
     assert.throws(() => dart.dcall(i_i2i, "hello", "world"));
     assert.equal(dart.dcall(i_i2i, 0), 0);
     assert.throws(() => dart.dcall(i_i2i, 0, 1, 2));
-    assert.equal(dart.dcall(i_i2i, 0, {extra: 3}), 0);
+    assert.equal(dart.dcall(i_i2i, 0, dart.namedArgs({extra: 3})), 0);
+    assert.equal(dart.dcall(i_i2i, 0, dart.namedArgs({})), 0);
+    assert.throws(() => dart.dcall(i_i2i, 0, dart.namedArgs({extra: 'a'})));
+    assert.throws(() => dart.dcall(i_i2i, 0, dart.namedArgs({other: 3})));
+    assert.throws(() => dart.dcall(i_i2i, dart.namedArgs({extra: 3})));
+    // An object passed positionally is not mistaken for named arguments.
+    assert.throws(() => dart.dcall(i_i2i, 0, {extra: 3}));
+
+    function d_d2d(x, opts) { return opts; }
+    dart.fn(d_d2d, dynamic, [dynamic], {extra: dynamic});
+    function d_d2d_(x, y) { return y; }
+    dart.fn(d_d2d_, dynamic, [dynamic], [dynamic]);
+    let opts = {extra: 3};
+    assert.deepEqual(dart.dcall(d_d2d, 0, dart.namedArgs(opts)), opts);
+    expect(dart.dcall(d_d2d, 0), void 0);
+    expect(dart.dcall(d_d2d_, 0, opts), opts);
+    assert.throws(() => dart.dcall(d_d2d_, 0, dart.namedArgs(opts)));
+
+    // Function.apply passes named arguments as named arguments.
+    let named = dart.map();
+    named.set(core.Symbol.new('extra'), 3);
+    assert.deepEqual(core.Function.apply(d_d2d, [0], named), opts);
+    expect(core.Function.apply(d_d2d, [0]), void 0);
+    expect(core.Function.apply(d_d2d_, [0, opts]), opts);
+    assert.throws(() => core.Function.apply(d_d2d_, [0], named));
   });
 
   test('dsend', () => {
@@ -573,6 +647,368 @@ suite('instanceOf', () => {
     assert.throws(() => dart.dsend(o, 'me', 3, 4));
   });
 
+  test('Callable objects', () => {
+    class Adder extends core.Object {
+      call(x) { return x + 1; }
+    }
+    dart.setSignature(Adder, {
+      methods: () => ({ call: [int, [num]] })
+    });
+    class NotCallable extends core.Object {}
+    dart.setSignature(NotCallable, {});
+    let Int2Int = typedef('Int2Int', () => functionType(int, [int]));
+    let adder = new Adder();
+
+    checkType(adder, functionType(int, [int]));
+    checkType(adder, functionType(num, [int]));
+    checkType(adder, Int2Int);
+    checkType(adder, functionType(dynamic, [dynamic]));
+    checkType(adder, functionType(int, [String]), false, true);
+    checkType(adder, functionType(String, [int]), false, true);
+    checkType(adder, functionType(int, [int, int]), false, true);
+    checkType(new NotCallable(), Int2Int, false, true);
+    checkType(new NotCallable(), functionType(dynamic, [dynamic]), false);
+    expect(isSubtype(Adder, core.Function), true);
+    expect(isSubtype(NotCallable, core.Function), false);
+
+    expect(cast(adder, Int2Int), adder);
+    assert.throws(() => cast(new NotCallable(), Int2Int));
+    expect(dart.dcall(cast(adder, Int2Int), 1), 2);
+  });
+
+  test('dload and dput', () => {
+    let _js_helper = dart_library.import('dart/_js_helper');
+    class Point extends core.Object {
+      Point() {
+        this.x = 0;
+        this.label = 'origin';
+        this[_y] = 0;
+      }
+      get y() { return this[_y]; }
+      set y(value) { this[_y] = value; }
+      get norm() { return Math.abs(this.x) + Math.abs(this.y); }
+      move(dx) { this.x += dx; }
+    }
+    let _y = Symbol('_y');
+    dart.setSignature(Point, {
+      fields: () => ({ x: int }),
+      getters: () => ({ label: String, y: int, norm: int }),
+      setters: () => ({ y: int }),
+      methods: () => ({ move: [dart.void, [int]] })
+    });
+    class Point3 extends Point {
+      Point3() {
+        super.Point();
+        this.z = 0;
+      }
+    }
+    dart.setSignature(Point3, {
+      fields: () => ({ z: num })
+    });
+    let p = new Point3();
+
+    expect(dart.dput(p, 'x', 3), 3);
+    expect(dart.dload(p, 'x'), 3);
+    expect(dart.dput(p, 'y', 4), 4);
+    expect(dart.dload(p, 'y'), 4);
+    expect(dart.dload(p, 'norm'), 7);
+    expect(dart.dput(p, 'z', 1.5), 1.5);
+    dart.dcall(dart.dload(p, 'move'), 1);
+    expect(p.x, 4);
+    expect(dart.dput(p, 'x', null), null);
+    expect(dart.dload(p, 'label'), 'origin');
+
+    // Writes of the wrong type.
+    assert.throws(() => dart.dput(p, 'x', 'hello'),
+        _js_helper.CastErrorImplementation);
+    assert.throws(() => dart.dput(p, 'y', 1.5),
+        _js_helper.CastErrorImplementation);
+    assert.throws(() => dart.dput(p, 'z', 'hello'),
+        _js_helper.CastErrorImplementation);
+    expect(p.x, null);
+
+    // Members that don't exist, or can't be written.
+    assert.throws(() => dart.dload(p, 'w'), core.NoSuchMethodError);
+    assert.throws(() => dart.dput(p, 'w', 1), core.NoSuchMethodError);
+    assert.throws(() => dart.dput(p, 'label', 'a'), core.NoSuchMethodError);
+    assert.throws(() => dart.dput(p, 'norm', 1), core.NoSuchMethodError);
+    assert.throws(() => dart.dput(p, 'move', 1), core.NoSuchMethodError);
+    expect(p.w, void 0);
+    expect(p.label, 'origin');
+
+    // JS objects are not checked.
+    let o = {};
+    expect(dart.dput(o, 'w', 1), 1);
+    expect(dart.dload(o, 'w'), 1);
+    expect(dart.dload(o, 'v'), void 0);
+  });
+
+  test('noSuchMethod', () => {
+    let _internal = dart_library.import('dart/_internal');
+    class Recorder extends core.Object {
+      Recorder() {
+        this.invocations = [];
+      }
+      m(x) { return x; }
+      noSuchMethod(invocation) {
+        this.invocations.push(invocation);
+        return 'handled';
+      }
+    }
+    dart.setSignature(Recorder, {
+      methods: () => ({ m: [dynamic, [dynamic]] })
+    });
+    let r = new Recorder();
+    let last = () => r.invocations[r.invocations.length - 1];
+    let name = (i) => _internal.Symbol.getName(i.memberName);
+    let args = (i) => Array.from(i.positionalArguments);
+
+    expect(dart.dload(r, 'foo'), 'handled');
+    expect(name(last()), 'foo');
+    expect(last().isGetter, true);
+    expect(last().isAccessor, true);
+    assert.deepEqual(args(last()), []);
+
+    expect(dart.dput(r, 'foo', 42), 42);
+    expect(name(last()), 'foo=');
+    expect(last().isSetter, true);
+    assert.deepEqual(args(last()), [42]);
+    expect(r.foo, void 0);
+
+    expect(dart.dsend(r, 'bar', 1, 'two'), 'handled');
+    expect(name(last()), 'bar');
+    expect(last().isMethod, true);
+    expect(last().isAccessor, false);
+    assert.deepEqual(args(last()), [1, 'two']);
+    expect(last().namedArguments.isEmpty, true);
+    dart.dsend(r, 'bar', 1, dart.namedArgs({two: 2}));
+    assert.deepEqual(args(last()), [1]);
+    expect(last().namedArguments.get(core.Symbol.new('two')), 2);
+
+    expect(dart.dsend(r, Symbol('_baz')), 'handled');
+    expect(name(last()), '_baz');
+
+    // Calling an object without a call method, or a method with the wrong
+    // number of arguments.
+    expect(dart.dcall(r, 1), 'handled');
+    expect(name(last()), 'call');
+    expect(dart.dsend(r, 'm', 1, 2), 'handled');
+    expect(name(last()), 'm');
+    expect(dart.dsend(r, 'm', 1), 1);
+    expect(r.invocations.length, 7);
+
+    // Without a noSuchMethod override, NoSuchMethodError is thrown.
+    class Plain extends core.Object {}
+    let p = new Plain();
+    assert.throws(() => dart.dload(p, 'foo'), core.NoSuchMethodError);
+    assert.throws(() => dart.dput(p, 'foo', 1), core.NoSuchMethodError);
+    assert.throws(() => dart.dsend(p, 'foo'), core.NoSuchMethodError);
+    assert.throws(() => dart.dcall(p), core.NoSuchMethodError);
+    assert.throws(() => dart.dsend({}, 'foo'), core.NoSuchMethodError);
+    assert.throws(() => dart.dsend(null, 'foo'), core.NoSuchMethodError);
+  });
+
+  test('Generic functions', () => {
+    let gft = dart.definiteGenericFunctionType;
+    // <T>(T) -> T
+    let identityType = gft(['T'], (T) => [T, [T]]);
+    // <S>(S) -> S
+    let renamedType = gft(['S'], (S) => [S, [S]]);
+    // <T extends num>(T) -> T
+    let boundedType = gft(['T'], (T) => [T, [T]], (T) => [num]);
+    // <T, U>(T) -> U
+    let twoType = gft(['T', 'U'], (T, U) => [U, [T]]);
+
+    expect(identityType.toString(), '<T>(T) -> T');
+    expect(boundedType.toString(), '<T extends num>(T) -> T');
+    expect(twoType.toString(), '<T, U>(T) -> U');
+    expect(isGroundType(identityType), false);
+
+    // Subtyping is up to renaming of the type parameters.
+    expect(isSubtype(identityType, renamedType), true);
+    expect(isSubtype(renamedType, identityType), true);
+    expect(isSubtype(identityType, twoType), false);
+    // Bounds must match.
+    expect(isSubtype(identityType, boundedType), false);
+    expect(isSubtype(boundedType, identityType), false);
+    expect(isSubtype(boundedType,
+        gft(['X'], (X) => [X, [X]], (X) => [num])), true);
+    // A type parameter is a subtype of its bound.
+    expect(isSubtype(boundedType,
+        gft(['T'], (T) => [num, [T]], (T) => [num])), true);
+    expect(isSubtype(identityType, gft(['T'], (T) => [num, [T]])), false);
+    // Generic and non-generic function types are unrelated.
+    expect(isSubtype(identityType, functionType(int, [int])), false);
+    expect(isSubtype(functionType(int, [int]), identityType), false);
+    expect(isSubtype(identityType, core.Function), true);
+
+    // The curried representation of a generic function.
+    function id(T) { return (x) => x; }
+    dart.fn(id, () => identityType);
+    checkType(id, renamedType);
+    checkType(id, core.Function);
+    checkType(id, functionType(dynamic, [dynamic]), false);
+
+    let intId = dart.gbind(id, int);
+    checkType(intId, functionType(int, [int]));
+    checkType(intId, functionType(String, [String]), false, true);
+    assert.equal(intId(42), 42);
+    assert.throws(() => dart.gbind(intId, int));
+
+    // Dynamic calls instantiate the type parameters to dynamic.
+    assert.equal(dart.dcall(id, 'hi'), 'hi');
+    assert.throws(() => dart.dcall(id, 1, 2));
+
+    // Generic methods.
+    class Box extends core.Object {
+      pick(T) { return (x, y) => x; }
+    }
+    dart.setSignature(Box, {
+      methods: () => ({ pick: gft(['T'], (T) => [T, [T, T]]) })
+    });
+    let box = new Box();
+    checkType(dart.bind(box, 'pick'), twoType, false, true);
+    checkType(dart.bind(box, 'pick'), gft(['T'], (T) => [T, [T, T]]));
+    assert.equal(dart.dsend(box, 'pick', 1, 2), 1);
+
+    // A tear off without a class signature keeps the method's own type.
+    let first = dart.fn(function(T) { return (x, y) => x; },
+        () => gft(['T'], (T) => [T, [T, T]]));
+    let firstOf = dart.bind(box, 'first', first);
+    checkType(firstOf, gft(['S'], (S) => [S, [S, S]]));
+    let intFirst = dart.gbind(firstOf, int);
+    checkType(intFirst, functionType(int, [int, int]));
+    assert.equal(intFirst(1, 2), 1);
+  });
+
+  test('StrongModeError details', () => {
+    let m1 = new (Map$(String, String))();
+    let m2 = new (Map$(Object, Object))();
+    let errorFor = (f) => {
+      try {
+        f();
+      } catch (e) {
+        assert.instanceOf(e, dart_utils.StrongModeError);
+        return e;
+      }
+      assert.fail();
+    };
+
+    let e = errorFor(() => dart.as(m2, Map$(String, String)));
+    expect(e.kind, 'cast');
+    expect(e.actualType, Map$(Object, Object));
+    expect(e.expectedType, Map$(String, String));
+    assert.include(e.callSite, 'runtime_tests.js');
+    assert.include(e.message, 'Map<Object, Object>');
+
+    e = errorFor(() => dart.is(m2, Map$(String, String)));
+    expect(e.kind, 'is');
+    expect(e.actualType, Map$(Object, Object));
+
+    function ii2i(x, y) { return x; }
+    dart.fn(ii2i, int, [int, int]);
+    e = errorFor(() => dart.dcall(ii2i, 'hello', 1));
+    expect(e.kind, 'dcall');
+    expect(e.expectedType, runtimeType(ii2i));
+    expect(e.actualType.toString(), '(String, int) -> dynamic');
+
+    // A call with the right number of arguments of the wrong types is a
+    // strong mode failure.  Only a call with the wrong number of arguments
+    // is a NoSuchMethodError.
+    assert.throws(() => dart.dcall(ii2i, 'hello', 1),
+        dart_utils.StrongModeError);
+    assert.throws(() => dart.dcall(ii2i, 'hello'), core.NoSuchMethodError);
+
+    // The handler sees each error before it is thrown.
+    let reported = [];
+    dart_utils.setStrongModeErrorHandler((e) => reported.push(e));
+    try {
+      assert.throws(() => dart.as(m2, Map$(String, String)),
+          dart_utils.StrongModeError);
+      assert.throws(() => dart.is(m2, Map$(String, String)),
+          dart_utils.StrongModeError);
+      assert.throws(() => dart.dcall(ii2i, 'hello', 1),
+          dart_utils.StrongModeError);
+      // Errors that are not strong mode specific are not reported.
+      assert.throws(() => dart.as(m1, int));
+    } finally {
+      dart_utils.setStrongModeErrorHandler(null);
+    }
+    assert.deepEqual(reported.map((e) => e.kind), ['cast', 'is', 'dcall']);
+  });
+
+  test('check modes', () => {
+    let _js_helper = dart_library.import('dart/_js_helper');
+    let m = new (Map$(Object, Object))();
+    function ii2i(x, y) { return x; }
+    dart.fn(ii2i, int, [int, int]);
+    let failAll = () => {
+      expect(dart.as(m, Map$(String, String)), m);
+      expect(dart.is(m, Map$(String, String)), false);
+      expect(dart.dcall(ii2i, 'hello', 1), 'hello');
+    };
+    // Failures that are errors in Dart too are thrown in every mode.
+    let failDart = () => {
+      assert.throws(() => dart.as('hello', int),
+          _js_helper.CastErrorImplementation);
+      assert.throws(() => dart.dcall(ii2i, 'hello'), core.NoSuchMethodError);
+    };
+
+    let warn = console.warn;
+    let warnings = [];
+    console.warn = (message) => warnings.push(message);
+    dart.resetCheckCounts();
+    try {
+      dart.setCheckMode({casts: 'warn', isChecks: 'warn',
+          dynamicCalls: 'warn'});
+      failAll();
+      failDart();
+      expect(warnings.length, 3);
+      assert.deepEqual(dart.checkCounts(),
+          {casts: 1, isChecks: 1, dynamicCalls: 1});
+
+      // Warnings go to the StrongModeError handler if there is one.
+      let reported = [];
+      dart_utils.setStrongModeErrorHandler((e) => reported.push(e));
+      try {
+        failAll();
+      } finally {
+        dart_utils.setStrongModeErrorHandler(null);
+      }
+      expect(warnings.length, 3);
+      assert.deepEqual(reported.map((e) => e.kind), ['cast', 'is', 'dcall']);
+
+      dart.setCheckMode({casts: 'ignore'});
+      assert.deepEqual(dart.getCheckMode(),
+          {casts: 'ignore', isChecks: 'warn', dynamicCalls: 'warn'});
+      dart.setCheckMode({isChecks: 'ignore', dynamicCalls: 'ignore'});
+      failAll();
+      failDart();
+      expect(warnings.length, 3);
+
+      dart.setCheckMode({casts: 'throw', isChecks: 'throw',
+          dynamicCalls: 'throw'});
+      assert.throws(() => dart.as(m, Map$(String, String)),
+          dart_utils.StrongModeError);
+      assert.throws(() => dart.dcall(ii2i, 'hello', 1),
+          dart_utils.StrongModeError);
+      assert.deepEqual(dart.checkCounts(),
+          {casts: 4, isChecks: 3, dynamicCalls: 4});
+
+      assert.throws(() => dart.setCheckMode({casts: 'maybe'}),
+          /Unknown check mode/);
+      assert.throws(() => dart.setCheckMode({nulls: 'warn'}),
+          /Unknown check/);
+    } finally {
+      console.warn = warn;
+      dart.setCheckMode({casts: 'throw', isChecks: 'throw',
+          dynamicCalls: 'throw'});
+      dart.resetCheckCounts();
+    }
+    assert.deepEqual(dart.checkCounts(),
+        {casts: 0, isChecks: 0, dynamicCalls: 0});
+  });
+
   test('Types on top level functions', () => {
     // Test some generated code
     // Test the lazy path
@@ -633,6 +1069,36 @@ suite('instanceOf', () => {
         dart.functionType(core.int, [core.int], [core.int]), false, true);
   });
 
+  test('Parameter metadata and default values', () => {
+    class Meta {}
+    let meta = new Meta();
+
+    function f(x, y) {return x};
+    dart.fn(f, core.int, [[core.int, meta]], [[core.int, dart.defaultValue(1)]]);
+    let ftype = dart.realRuntimeType(f);
+
+    // Metadata and defaults don't affect the type itself.
+    checkType(f, dart.functionType(core.int, [core.int], [core.int]));
+    assert.deepEqual(ftype.metadata, [[meta], []]);
+    assert.deepEqual(ftype.defaultValues, [void 0, 1]);
+
+    function h(x, opts) {return x};
+    dart.fn(h, core.int, [core.int],
+            {z: [core.String, meta, dart.defaultValue('z')], w: core.int});
+    let htype = dart.realRuntimeType(h);
+    checkType(h, dart.functionType(core.int, [core.int],
+                                   {z: core.String, w: core.int}));
+    assert.deepEqual(htype.namedMetadata, {z: [meta], w: []});
+    assert.deepEqual(htype.namedDefaultValues, {z: 'z', w: void 0});
+
+    // A default value of null is recorded, not treated as absent.
+    function g(opts) {};
+    dart.fn(g, dart.void, [], {x: [core.int, dart.defaultValue(null)]});
+    let gtype = dart.realRuntimeType(g);
+    assert.isTrue('x' in gtype.namedDefaultValues);
+    assert.isNull(gtype.namedDefaultValues.x);
+  });
+
   test('Method tearoffs', () => {
     let c = collection;
     // Tear off of an inherited method
@@ -772,6 +1238,102 @@ suite('instanceOf', () => {
     let intType = dart.runtimeType(n);
     assert.equal(intType, core.int);
   });
+
+  test('constants', () => {
+    let _y = Symbol('_y');
+    let _y2 = Symbol('_y');
+    class K extends core.Object {
+      K(x, y, inOrder) {
+        if (inOrder) {
+          this.x = x;
+          this[_y] = y;
+          this[_y2] = y;
+        } else {
+          this[_y2] = y;
+          this[_y] = y;
+          this.x = x;
+        }
+      }
+    }
+    let k = dart.const(new K(1, 2, true));
+    assert.strictEqual(dart.const(new K(1, 2, false)), k);
+    assert.notStrictEqual(dart.const(new K(1, 3, true)), k);
+    assert.isFalse(Reflect.isExtensible(k));
+    checkType(dart.hashCode(k), core.int);
+    assert.equal(dart.hashCode(k), dart.hashCode(k));
+
+    function isUnsupported(e) {
+      return dart.is(e, core.UnsupportedError);
+    }
+    function expectUnsupported(f) {
+      try {
+        f();
+      } catch (e) {
+        assert.isTrue(isUnsupported(e), 'expected UnsupportedError: ' + e);
+        return;
+      }
+      assert.fail('expected UnsupportedError');
+    }
+
+    let ints = dart.const(dart.list([1, 2], core.int));
+    assert.strictEqual(dart.const(dart.list([1, 2], core.int)), ints);
+    assert.notStrictEqual(dart.const(dart.list([1, 2], core.num)), ints);
+    assert.notStrictEqual(dart.const(dart.list([2, 1], core.int)), ints);
+    checkType(ints, core.List$(core.int));
+    expectUnsupported(() => ints[dartx.set](0, 3));
+    expectUnsupported(() => ints[dartx.add](3));
+    expectUnsupported(() => ints[dartx.sort]());
+    assert.equal(ints[dartx.get](0), 1);
+
+    let map = dart.constMap({a: 1, b: 2}, core.String, core.int);
+    assert.strictEqual(dart.constMap({a: 1, b: 2}, core.String, core.int), map);
+    assert.notStrictEqual(dart.constMap({b: 2, a: 1}, core.String, core.int),
+                          map);
+    assert.notStrictEqual(dart.constMap({a: 1, b: 2}), map);
+    checkType(map, core.Map$(core.String, core.int));
+    checkType(map, core.Map$(core.int, core.int), false, true);
+    assert.equal(map.get('b'), 2);
+    expectUnsupported(() => map.set('c', 3));
+    expectUnsupported(() => map.clear());
+  });
+
+  test('hashCode', () => {
+    let hash = dart.hashCode;
+    let names = ['apple', 'grape', 'lemon', 'mango', 'melon', 'peach'];
+    let hashes = new Set(names.map(hash));
+    assert.equal(hashes.size, names.length);
+    // Primitives use the same hash as their interceptor classes.
+    let _interceptors = dart_library.import('dart/_interceptors');
+    function interceptorHash(cls, obj) {
+      return Reflect.getOwnPropertyDescriptor(cls.prototype, 'hashCode')
+          .get.call(obj);
+    }
+    for (let name of names) {
+      assert.equal(hash(name), interceptorHash(_interceptors.JSString, name));
+      checkType(hash(name), core.int);
+    }
+    assert.equal(hash(''), 0);
+
+    assert.equal(hash(42), 42);
+    assert.equal(hash(-0.0), hash(0));
+    assert.equal(hash(1.5), hash(1.5));
+    assert.notEqual(hash(1.5), hash(1));
+    assert.notEqual(hash(1.5), hash(-1.5));
+    assert.notEqual(hash(1.25), hash(1.5));
+    assert.notEqual(hash(Math.pow(2, 40)), hash(0));
+    checkType(hash(0.1), core.int);
+    assert.equal(hash(1.5), interceptorHash(_interceptors.JSNumber, 1.5));
+    assert.equal(hash(true), interceptorHash(_interceptors.JSBool, true));
+    assert.equal(hash(false), interceptorHash(_interceptors.JSBool, false));
+
+    // Foreign objects hash by identity, even when frozen.
+    let foreign = Reflect.preventExtensions({});
+    assert.equal(hash(foreign), hash(foreign));
+    assert.equal(hash(foreign), core.identityHashCode(foreign));
+    checkType(hash(foreign), core.int);
+    let f = () => 42;
+    assert.equal(hash(f), hash(f));
+  });
 });
 
 suite('primitives', function() {
@@ -783,3 +1345,1301 @@ suite('primitives', function() {
     assert.throws(() => list.add(42));
   });
 });
+
+suite('dart_library', function() {
+  'use strict';
+
+  let isNode = typeof process != 'undefined' && process.versions &&
+      process.versions.node;
+
+  function defineTestLibrary(name, imports, lazyImports, body) {
+    return dart_library.library(name, null, imports, lazyImports, body);
+  }
+
+  test('ES6 module namespace', () => {
+    defineTestLibrary('test/es6_a', [], [], (exports) => {
+      exports.x = 1;
+      exports.f = () => exports.x;
+    });
+    let ns = dart_library.esModule('test/es6_a');
+    assert.strictEqual(ns, dart_library.esModule('test/es6_a'));
+    assert.equal(Object.prototype.toString.call(ns), '[object Module]');
+    assert.isNull(Object.getPrototypeOf(ns));
+    assert.deepEqual(Object.keys(ns).sort(), ['f', 'x']);
+    assert.equal(ns.f(), 1);
+    assert.throws(() => { ns.x = 2; });
+    assert.throws(() => { ns.y = 2; });
+    assert.throws(() => { delete ns.x; });
+    // Bindings are live, and so is the set of exports.
+    let lib = dart_library.import('test/es6_a');
+    lib.x = 3;
+    assert.equal(ns.x, 3);
+    lib.y = 4;
+    assert.equal(ns.y, 4);
+    assert.deepEqual(Object.keys(ns).sort(), ['f', 'x', 'y']);
+  });
+
+  test('ES6 module loader', () => {
+    let registered = new Map();
+    let saved = dart.global.System;
+    dart.global.System = {
+      register(name, deps, declare) {
+        assert.deepEqual(deps, []);
+        registered.set(name, declare);
+      }
+    };
+    dart_library.setMode('es6');
+    try {
+      let loader = defineTestLibrary('test/es6_b', [], [], (exports) => {
+        exports.value = 42;
+      });
+      // `library` returns the same LibraryLoader as in every other mode.
+      assert.isFunction(loader.load);
+      delete dart.global.System;
+      assert.throws(() => defineTestLibrary('test/es6_c', [], [],
+          (exports) => {}), 'No ES6 module loader available for: test/es6_c');
+    } finally {
+      dart_library.setMode('legacy');
+      dart.global.System = saved;
+    }
+    let ns;
+    registered.get('test/es6_b')((value) => { ns = value; }).execute();
+    assert.strictEqual(ns, dart_library.esModule('test/es6_b'));
+    assert.equal(ns.value, 42);
+  });
+
+  test('CommonJS exports are loaded lazily', () => {
+    let loaded = false;
+    dart_library.setMode('common');
+    let exports;
+    try {
+      // The lazy import is registered after its importer.
+      exports = defineTestLibrary('test/cjs_a', [], ['test/cjs_b'],
+          (exports, b) => {
+        loaded = true;
+        exports.b = () => b.name;
+      }).exports;
+      defineTestLibrary('test/cjs_b', [], ['test/cjs_a'], (exports, a) => {
+        exports.name = 'b';
+        exports.a = a;
+      });
+    } finally {
+      dart_library.setMode('legacy');
+    }
+    assert.isFalse(loaded);
+    assert.equal(exports.b(), 'b');
+    assert.isTrue(loaded);
+    assert.isTrue('b' in exports);
+    assert.deepEqual(Object.keys(exports), ['b']);
+    assert.strictEqual(dart_library.import('test/cjs_b').a,
+        dart_library.import('test/cjs_a'));
+  });
+
+  if (isNode) {
+    test('CommonJS module.exports', () => {
+      let file = require('path').join(process.cwd(),
+          'test/browser/loader/common/lib.js');
+      dart_library.setMode('common');
+      let exports;
+      try {
+        exports = require(file);
+      } finally {
+        dart_library.setMode('legacy');
+      }
+      assert.strictEqual(exports, dart_library.commonjs('common/lib'));
+      assert.equal(exports.value, 42);
+    });
+  }
+
+  test('AMD define', () => {
+    let defined = new Map();
+    let define = (name, deps, factory) => {
+      assert.deepEqual(deps, []);
+      defined.set(name, factory);
+    };
+    define.amd = {};
+    let saved = dart.global.define;
+    dart.global.define = define;
+    dart_library.setMode('amd');
+    try {
+      defineTestLibrary('test/amd_a', [], [], (exports) => {
+        exports.value = 42;
+      });
+    } finally {
+      dart_library.setMode('legacy');
+      dart.global.define = saved;
+    }
+    assert.equal(defined.get('test/amd_a')().value, 42);
+  });
+
+  suite('importAsync', () => {
+    let savedResolver;
+
+    setup(() => {
+      savedResolver = dart_library.getResolver();
+    });
+
+    teardown(() => {
+      dart_library.setResolver(savedResolver);
+    });
+
+    test('fetches missing libraries', () => {
+      let sources = {
+        'mem/main.js': () => defineTestLibrary('mem/main', ['mem/dep'], [],
+            (exports, dep) => { exports.value = dep.value + 1; }),
+        'mem/dep.js': () => defineTestLibrary('mem/dep', [], ['mem/main'],
+            (exports) => { exports.value = 41; })
+      };
+      let fetched = [];
+      dart_library.setResolver(dart_library.urlResolver(
+          (name) => name + '.js',
+          (url) => {
+            fetched.push(url);
+            sources[url]();
+            return Promise.resolve();
+          }));
+      return dart_library.importAsync('mem/main').then((lib) => {
+        assert.equal(lib.value, 42);
+        assert.deepEqual(fetched, ['mem/main.js', 'mem/dep.js']);
+        // Already registered libraries are not fetched again.
+        return dart_library.importAsync('mem/dep');
+      }).then((lib) => {
+        assert.equal(lib.value, 41);
+        assert.equal(fetched.length, 2);
+      });
+    });
+
+    test('reports missing libraries', () => {
+      dart_library.setResolver((name) => Promise.resolve());
+      return dart_library.importAsync('mem/nowhere').then(
+          () => assert.fail(),
+          (e) => assert.include(e.message, 'mem/nowhere'));
+    });
+
+    test('with the node resolver', () => {
+      // In-memory stand-ins for node's fs, path and vm modules.
+      let files = {
+        'root/fs/a.js': "dart_library.library('fs/a', null, ['fs/b'], [], " +
+            "function(exports, b) { exports.value = b.value + 1; });",
+        'root/fs/b.js': "dart_library.library('fs/b', null, [], [], " +
+            "function(exports) { exports.value = 41; });",
+        'root/fs/bad.js': "throw new Error('bad library');"
+      };
+      let evaluated = [];
+      let modules = {
+        fs: {
+          readFile(file, encoding, callback) {
+            assert.equal(encoding, 'utf8');
+            if (file in files) {
+              callback(null, files[file]);
+            } else {
+              let e = new Error('ENOENT: ' + file);
+              e.code = 'ENOENT';
+              callback(e);
+            }
+          }
+        },
+        path: { join: (root, name) => root + '/' + name },
+        vm: {
+          runInThisContext(code, file) {
+            evaluated.push(file);
+            new Function(code)();
+          }
+        }
+      };
+      dart_library.setResolver(
+          dart_library.nodeResolver('root', (name) => modules[name]));
+      return dart_library.importAsync('fs/a').then((a) => {
+        assert.equal(a.value, 42);
+        assert.deepEqual(evaluated, ['root/fs/a.js', 'root/fs/b.js']);
+        return dart_library.importAsync('fs/missing');
+      }).then(() => assert.fail(), (e) => {
+        assert.equal(e.code, 'ENOENT');
+        return dart_library.importAsync('fs/bad');
+      }).then(() => assert.fail(), (e) => {
+        assert.equal(e.message, 'bad library');
+      });
+    });
+
+    if (isNode) {
+      test('with the node resolver on the file system', () => {
+        let root = require('path').join(process.cwd(), 'test/browser/loader');
+        dart_library.setResolver(dart_library.nodeResolver(root));
+        return dart_library.importAsync('async/a').then((a) => {
+          assert.deepEqual(a.names(), ['a', 'b', 'c']);
+          assert.strictEqual(dart_library.import('async/b').a, a);
+          return dart_library.importAsync('async/missing');
+        }).then(() => assert.fail(), (e) => assert.equal(e.code, 'ENOENT'));
+      });
+    } else {
+      test('without node', () => {
+        // In particular, RequireJS's `require` does not load node modules.
+        assert.throws(() => dart_library.nodeResolver('root'),
+            'The node resolver needs node');
+      });
+    }
+  });
+
+  test('deferred libraries', () => {
+    let async = dart_library.import('dart/async');
+    dart_library.library('test/deferred_a', null, [], [], (exports) => {
+      exports.answer = () => 42;
+      exports.counter = 0;
+    });
+    // The library is registered, but has not been loaded through the prefix.
+    let lib = dart.deferredLibrary('test/deferred_a');
+    assert.throws(() => lib.answer(), core.NoSuchMethodError);
+    assert.throws(() => { lib.counter = 1; }, core.NoSuchMethodError);
+    // It can still be passed to a Promise, or inspected.
+    assert.isUndefined(lib.then);
+    assert.isFalse('then' in lib);
+    assert.isUndefined(lib[Symbol.toPrimitive]);
+    assert.isFalse(Symbol.iterator in lib);
+    Promise.resolve(lib);
+
+    let future = lib.loadLibrary();
+    assert.isTrue(dart.is(future, async.Future));
+    assert.strictEqual(lib.loadLibrary(), future);
+    return new Promise((resolve, reject) => {
+      future.then(dart.fn((_) => {
+        try {
+          assert.equal(lib.answer(), 42);
+          lib.counter = 3;
+          assert.equal(dart_library.import('test/deferred_a').counter, 3);
+          resolve();
+        } catch (e) {
+          reject(e);
+        }
+      }));
+    });
+  });
+
+  test('deferred library load failure', () => {
+    let async = dart_library.import('dart/async');
+    let lib = dart.deferredLibrary('test/deferred_missing');
+    return new Promise((resolve, reject) => {
+      lib.loadLibrary().then(dart.fn((_) => reject(new Error('loaded'))),
+          {onError: dart.fn((e) => {
+            try {
+              assert.instanceOf(e, async.DeferredLoadException);
+              assert.include(e.toString(), 'test/deferred_missing');
+              assert.throws(() => lib.anything, core.NoSuchMethodError);
+              resolve();
+            } catch (e) {
+              reject(e);
+            }
+          })});
+    });
+  });
+
+  test('reload', () => {
+    function body(version) {
+      return (exports) => {
+        let _count = Symbol('_count');
+        class Counter extends core.Object {
+          Counter() {
+            this[_count] = 0;
+          }
+          increment() {
+            this[_count] = this[_count] + version;
+            return this;
+          }
+          get count() {
+            return this[_count];
+          }
+        }
+        dart.setSignature(Counter, {
+          fields: () => ({[_count]: core.int}),
+          methods: () => ({
+            increment: [Counter, []]
+          })
+        });
+        if (version > 1) {
+          Counter.prototype.reset = function() { this[_count] = 0; };
+        }
+        exports.Counter = Counter;
+        exports.make = () => new Counter();
+        exports.version = () => version;
+        exports.state = [];
+      };
+    }
+    dart_library.library('test/reload_a', null, [], [], body(1));
+    dart_library.library('test/reload_b', null, ['test/reload_a'], [],
+        (exports, a) => {
+      dart.export(exports, a, ['version']);
+    });
+    let a = dart_library.import('test/reload_a');
+    let b = dart_library.import('test/reload_b');
+    let Counter = a.Counter;
+    let counter = new Counter().increment();
+    let state = a.state;
+    assert.equal(counter.count, 1);
+    assert.equal(b.version(), 1);
+    assert.isUndefined(counter.reset);
+
+    let changed = dart_library.reload('test/reload_a', body(2));
+    assert.isTrue(changed.has('Counter'));
+    assert.isTrue(changed.has('version'));
+    assert.isFalse(changed.has('state'));
+
+    // Existing classes and instances are patched in place.
+    assert.strictEqual(a.Counter, Counter);
+    assert.equal(counter.increment().count, 3);
+    counter.reset();
+    assert.equal(counter.count, 0);
+    // Top-level state is preserved.
+    assert.strictEqual(a.state, state);
+    // Dependents see the new definitions.
+    assert.equal(a.version(), 2);
+    assert.equal(b.version(), 2);
+    // Signatures are refreshed.
+    assert.isTrue(dart.is(dart.bind(counter, 'increment'),
+        dart.functionType(Counter, [])));
+    // Instances created by the reloaded code are of the original class.
+    let other = a.make();
+    assert.isTrue(dart.is(other, Counter));
+    assert.strictEqual(dart.realRuntimeType(other), Counter);
+    assert.equal(other.increment().count, 2);
+
+    assert.throws(() => dart_library.reload('test/not_loaded'));
+    // Reloading leaves globals alone.
+    assert.strictEqual(dart.JsSymbol, Symbol);
+  });
+
+  test('reload generic classes', () => {
+    function body(version) {
+      return (exports) => {
+        let _value = Symbol('_value');
+        let Box$ = dart.generic(function(T) {
+          class Box extends core.Object {
+            Box(value) {
+              this[_value] = value;
+            }
+            get() {
+              return [version, this[_value]];
+            }
+          }
+          dart.setSignature(Box, {
+            constructors: () => ({Box: [Box$(T), [T]]}),
+            fields: () => ({[_value]: T}),
+            methods: () => ({get: [core.List, []]})
+          });
+          return Box;
+        });
+        let Box = Box$();
+        exports.Box$ = Box$;
+        exports.Box = Box;
+        exports.makeInt = (value) => new (Box$(core.int))(value);
+      };
+    }
+    dart_library.library('test/reload_generic', null, [], [], body(1));
+    let lib = dart_library.import('test/reload_generic');
+    let Box$ = lib.Box$;
+    let boxInt = lib.makeInt(1);
+    let box = new lib.Box('a');
+    assert.deepEqual(box.get(), [1, 'a']);
+    assert.deepEqual(boxInt.get(), [1, 1]);
+
+    dart_library.reload('test/reload_generic', body(2));
+    assert.strictEqual(lib.Box$, Box$);
+    // Both the raw class and memoized instantiations are patched.
+    assert.deepEqual(box.get(), [2, 'a']);
+    assert.deepEqual(boxInt.get(), [2, 1]);
+    // Instantiations by the old and new code are the same class.
+    let newBoxInt = lib.makeInt(2);
+    assert.deepEqual(newBoxInt.get(), [2, 2]);
+    assert.isTrue(dart.is(newBoxInt, Box$(core.int)));
+    assert.isTrue(dart.is(boxInt, Box$(core.int)));
+    // Instantiations made after the reload come from the new body.
+    let boxString = new (Box$(core.String))('s');
+    assert.deepEqual(boxString.get(), [2, 's']);
+  });
+
+  test('circular dependence reports the import chain', () => {
+    let noop = (exports) => {};
+    dart_library.library('test/cycle_a', null, ['test/cycle_b'], [], noop);
+    dart_library.library('test/cycle_b', null, ['test/cycle_c'], [], noop);
+    dart_library.library('test/cycle_c', null, ['test/cycle_b'], [], noop);
+    assert.throws(() => dart_library.import('test/cycle_a'),
+        'Circular dependence on library: ' +
+        'test/cycle_b -> test/cycle_c -> test/cycle_b');
+  });
+
+  test('missing imports report the import chain', () => {
+    let noop = (exports) => {};
+    dart_library.library('test/missing_a', null, ['test/missing_b'], [], noop);
+    dart_library.library('test/missing_b', null, ['test/missing_c'], [], noop);
+    assert.throws(() => dart_library.import('test/missing_a'),
+        'Library not available: test/missing_c ' +
+        '(imported by test/missing_a -> test/missing_b)');
+  });
+
+  test('debugGraph', () => {
+    dart_library.library('test/graph_a', null, ['test/graph_b'],
+        ['test/graph_c'], (exports) => {});
+    dart_library.library('test/graph_b', null, [], [], (exports) => {});
+    dart_library.library('test/graph_c', null, [], [], (exports) => {});
+    dart_library.library('test/graph_d', null, [], [], (exports) => {});
+    dart_library.import('test/graph_a');
+
+    let graph = JSON.parse(JSON.stringify(dart_library.debugGraph()));
+    let a = graph.libraries['test/graph_a'];
+    assert.deepEqual(a.imports, ['test/graph_b']);
+    assert.deepEqual(a.lazyImports, ['test/graph_c']);
+    assert.equal(a.state, 'READY');
+    assert.isNumber(a.loadTime);
+    assert.equal(graph.libraries['test/graph_d'].state, 'NOT_LOADED');
+    assert.isNull(graph.libraries['test/graph_d'].loadTime);
+    assert.equal(graph.libraries['dart/core'].state, 'READY');
+
+    let order = graph.loadOrder.filter((n) => n.startsWith('test/graph_'));
+    assert.deepEqual(order, ['test/graph_b', 'test/graph_a', 'test/graph_c']);
+  });
+
+  test('unknown mode', () => {
+    assert.throws(() => dart_library.setMode('umd'));
+    assert.equal(dart_library.getMode(), 'legacy');
+  });
+});
+
+suite('stack traces', () => {
+  'use strict';
+
+  let files = {
+    'http://test/foo.js': 'foo();\n  bar();\n//# sourceMappingURL=foo.js.map\n',
+    'http://test/foo.js.map': JSON.stringify({
+      version: 3,
+      sourceRoot: 'src',
+      sources: ['foo.dart'],
+      names: [],
+      mappings: ';IASE'
+    }),
+    'http://test/bar.js': 'bar();\n//# sourceMappingURL=data:application/json;' +
+        'base64,eyJ2ZXJzaW9uIjozLCJzb3VyY2VzIjpbImJhci5kYXJ0Il0sIm5hbWVzIjpbXS' +
+        'wibWFwcGluZ3MiOiJBQUFBLElBQ0UifQ==\n',
+    // Its source is named `bäz.dart`, encoded as UTF-8.
+    'http://test/baz.js': 'baz();\n//# sourceMappingURL=data:application/json;' +
+        'base64,eyJ2ZXJzaW9uIjozLCJzb3VyY2VzIjpbImLDpHouZGFydCJdLCJuYW1lcyI6W1' +
+        '0sIm1hcHBpbmdzIjoiQUFBQSJ9\n'
+  };
+
+  setup(() => {
+    dart.setSourceMapLoader((url) => files[url] || null);
+  });
+
+  teardown(() => {
+    dart.setSourceMapLoader(null);
+  });
+
+  test('frames are mapped to Dart', () => {
+    let stack = [
+      'Error: boom',
+      '    at Object.throw_ (http://test/runtime/_operations.js:10:5)',
+      '    at Object.dsend (http://test/runtime/_operations.js:20:5)',
+      '    at Foo.[_bar] (http://test/foo.js:2:5)',
+      '    at Object.main (http://test/bar.js:1:6)',
+      '    at http://test/other.js:1:1',
+      'main@http://test/bar.js:1:1'
+    ].join('\n');
+    assert.equal(dart.mapStackTrace(stack), [
+      'Error: boom',
+      '    at <dart runtime>',
+      '    at Foo._bar (http://test/src/foo.dart:10:3)',
+      '    at main (http://test/bar.dart:2:3)',
+      '    at http://test/other.js:1:1',
+      '    at main (http://test/bar.dart:1:1)'
+    ].join('\n'));
+  });
+
+  test('registered source maps', () => {
+    dart.registerSourceMap('http://test/eval.js',
+        {version: 3, sources: ['/eval.dart'], names: [], mappings: 'AAAA'});
+    assert.equal(dart.mapStackTrace('    at f (http://test/eval.js:1:1)'),
+        '    at f (/eval.dart:1:1)');
+  });
+
+  test('only the runtime helpers are folded', () => {
+    let stack = [
+      '    at Object.f (http://test/runtime/dart/_js_helper.js:1:1)',
+      '    at Object.g (http://test/lib/_helpers.js:1:1)',
+      '    at Object.h (http://test/runtime/dart_utils.js:1:1)'
+    ].join('\n');
+    assert.equal(dart.mapStackTrace(stack), [
+      '    at Object.f (http://test/runtime/dart/_js_helper.js:1:1)',
+      '    at Object.g (http://test/lib/_helpers.js:1:1)',
+      '    at <dart runtime>'
+    ].join('\n'));
+  });
+
+  test('inline source maps are UTF-8', () => {
+    assert.equal(dart.mapStackTrace('    at baz (http://test/baz.js:1:1)'),
+        '    at baz (http://test/bäz.dart:1:1)');
+  });
+
+  test('source maps read in the background', () => {
+    dart.setSourceMapLoader((url) => Promise.resolve(files[url] || null));
+    let stack = '    at Foo.bar (http://test/foo.js:2:10)';
+    assert.equal(dart.mapStackTrace(stack), stack);
+    return dart.loadSourceMaps(stack).then(() => {
+      assert.equal(dart.mapStackTrace(stack),
+          '    at Foo.bar (http://test/src/foo.dart:10:3)');
+    });
+  });
+
+  test('StackTrace.toString', () => {
+    let error = new Error('boom');
+    error.stack = 'Error: boom\n    at Foo.bar (http://test/foo.js:2:10)';
+    assert.equal(dart.stackTrace(error).toString(),
+        'Error: boom\n    at Foo.bar (http://test/src/foo.dart:10:3)');
+  });
+
+  test('thrown primitives have a stack', () => {
+    function throwValue(value) {
+      dart.throw(value);
+    }
+    for (let value of ['a string', 42, null]) {
+      try {
+        throwValue(value);
+        assert.fail('expected a throw');
+      } catch (e) {
+        assert.strictEqual(e, value);
+        assert.include(dart.stackTrace(e).toString(), 'throwValue');
+      }
+    }
+  });
+
+  test('rethrow keeps the original stack', () => {
+    function throwOriginal(value) {
+      dart.throw(value);
+    }
+    function rethrowTrace(value, throwOther) {
+      try {
+        try {
+          throwOriginal(value);
+        } catch (e) {
+          if (throwOther) {
+            try {
+              dart.throw('other');
+            } catch (_) {}
+          }
+          dart.rethrow(e);
+        }
+      } catch (e) {
+        assert.strictEqual(e, value);
+        return dart.stackTrace(e).toString();
+      }
+      assert.fail('expected a throw');
+    }
+    let error = new core.StateError('an object');
+    assert.include(rethrowTrace(error, true), 'throwOriginal');
+    assert.include(rethrowTrace('a string', false), 'throwOriginal');
+    // Another primitive thrown in between replaces the string's stack, so
+    // it gets the stack of the rethrow instead.
+    let trace = rethrowTrace('a string', true);
+    assert.notInclude(trace, 'throwOriginal');
+    assert.include(trace, 'rethrowTrace');
+  });
+});
+
+suite('async stack traces', () => {
+  'use strict';
+
+  teardown(() => {
+    dart.setAsyncStackTraces(false);
+  });
+
+  function failAfterAwait() {
+    return dart.async(function*() {
+      yield null;
+      dart.throw(new core.StateError('failed'));
+    }, dart.dynamic);
+  }
+
+  function awaitFailure() {
+    return dart.async(function*() {
+      yield failAfterAwait();
+    }, dart.dynamic);
+  }
+
+  function expectTrace(future, check, done) {
+    future.then(dart.fn((_) => done(new Error('expected an error'))), {
+      onError: dart.fn((e, s) => {
+        try {
+          check(s.toString());
+          done();
+        } catch (failure) {
+          done(failure);
+        }
+      }, dart.dynamic, [dart.dynamic, core.StackTrace])
+    });
+  }
+
+  test('are chained across awaits', (done) => {
+    dart.setAsyncStackTraces(true);
+    expectTrace(awaitFailure(), (trace) => {
+      assert.include(trace, '===== asynchronous gap');
+      assert.include(trace, 'failAfterAwait');
+      assert.include(trace, 'awaitFailure');
+    }, done);
+  });
+
+  test('are not chained by default', (done) => {
+    expectTrace(awaitFailure(), (trace) => {
+      assert.notInclude(trace, '===== asynchronous gap');
+      assert.notInclude(trace, 'awaitFailure');
+    }, done);
+  });
+});
+
+suite('promises', () => {
+  'use strict';
+
+  let async = dart_library.import('dart/async');
+
+  test('are awaited', () => {
+    let result = dart.async(function*() {
+      let value = yield Promise.resolve(42);
+      try {
+        yield Promise.reject(new Error('rejected'));
+      } catch (e) {
+        return [value, e.message];
+      }
+    }, dart.dynamic);
+    return dart.toPromise(result).then((values) => {
+      assert.deepEqual(values, [42, 'rejected']);
+    });
+  });
+
+  test('Futures are thenables', () => {
+    return Promise.resolve(async.Future.value(42)).then((value) => {
+      assert.equal(value, 42);
+      return async.Future.error(new core.StateError('failed'));
+    }).then(() => assert.fail(), (e) => {
+      assert.isTrue(dart.is(e, core.StateError));
+    });
+  });
+
+  test('convert errors and stack traces', (done) => {
+    let trace;
+    try {
+      dart.throw(new core.StateError('thrown'));
+    } catch (e) {
+      trace = dart.stackTrace(e);
+    }
+    let error = new core.StateError('failed');
+    let completer = async.Completer.new();
+    completer.completeError(error, trace);
+    let promise = dart.toPromise(completer.future);
+    dart.fromPromise(promise).then(dart.fn((_) => done(new Error('resolved'))), {
+      onError: dart.fn((e, s) => {
+        try {
+          assert.equal(e, error);
+          assert.equal(s, trace);
+          done();
+        } catch (failure) {
+          done(failure);
+        }
+      }, dart.dynamic, [dart.dynamic, core.StackTrace])
+    });
+  });
+
+  if (typeof process != 'undefined' && process.versions &&
+      process.versions.node) {
+    test('Futures and Timers without a self global', () => {
+      // A fresh runtime and SDK in a context like node's, whose global object
+      // is `global` and which has no `self`.
+      let fs = require('fs'), path = require('path'), vm = require('vm');
+      let context = vm.createContext({console, process, setTimeout,
+          clearTimeout, setInterval, clearInterval, setImmediate});
+      vm.runInContext('var global = this;', context);
+      assert.equal(vm.runInContext('typeof self', context), 'undefined');
+      let runtime = path.join(process.cwd(), 'lib/runtime');
+      let scripts = (dir, pattern) => fs.readdirSync(dir)
+          .filter((f) => pattern.test(f)).sort()
+          .map((f) => path.join(dir, f));
+      for (let file of [...scripts(runtime, /^dart_.*\.js$/),
+                        ...scripts(runtime, /^_.*\.js$/),
+                        ...scripts(path.join(runtime, 'dart'), /\.js$/)]) {
+        vm.runInContext(fs.readFileSync(file, 'utf8'), context, file);
+      }
+
+      // The test library is defined in the context too, so that its functions
+      // are the context's functions.
+      return new Promise((resolve) => {
+        context.done = resolve;
+        vm.runInContext(`
+          dart_library.library('test/no_self', null, [
+            'dart_runtime/dart', 'dart/core', 'dart/async'
+          ], [], (exports, dart, core, async) => {
+            exports.main = () => {
+              async.Future.value(42).then(dart.fn((value) => {
+                async.Timer.new(new core.Duration({milliseconds: 1}),
+                    () => done(value));
+              }));
+            };
+          });
+          dart_library.start('test/no_self');
+        `, context);
+      }).then((value) => assert.equal(value, 42));
+    });
+  }
+});
+
+suite('mirrors', () => {
+  "use strict";
+
+  let mirrors = dart_library.import('dart/mirrors');
+  let sym = (name) => core.Symbol.new(name);
+  let assertSame = (m1, m2) => assert.isTrue(dart.equals(m1, m2));
+
+  class Shape extends core.Object {
+    Shape(sides) {
+      this.sides = sides;
+      this.name = 'shape';
+    }
+    get isPolygon() { return this.sides > 2; }
+    set scale(s) { this.sides = this.sides * s; }
+    describe(prefix, opts) {
+      let suffix = opts && 'suffix' in opts ? opts.suffix : '';
+      return prefix + this.name + suffix;
+    }
+    ['+'](other) { return this.sides + other.sides; }
+    get(i) { return i; }
+    static create(sides) { return new Shape(sides); }
+  }
+  dart.setSignature(Shape, {
+    constructors: () => ({Shape: [Shape, [core.int]]}),
+    fields: () => ({sides: core.int}),
+    getters: () => ({name: core.String, isPolygon: core.bool}),
+    setters: () => ({scale: core.int}),
+    methods: () => ({
+      describe: [core.String, [core.String], {suffix: core.String}],
+      '+': [core.int, [Shape]],
+      get: [core.int, [core.int]]
+    }),
+    statics: () => ({create: [Shape, [core.int]]}),
+    names: ['create']
+  });
+
+  class Named extends core.Object {}
+  class Square extends dart.mixin(Shape, Named) {
+    Square() {
+      super.Shape(4);
+    }
+    named(opts) {
+      let sides = opts && 'sides' in opts ? opts.sides : 4;
+      super.Shape(sides);
+    }
+    static new() { return new Square(); }
+  }
+  dart.defineNamedConstructor(Square, 'named');
+  Square[dart.implements] = () => [core.Comparable];
+  dart.setSignature(Square, {
+    constructors: () => ({
+      Square: [Square, []],
+      named: [Square, [], {sides: core.int}],
+      new: [Square, []]
+    })
+  });
+
+  test('getSymbol', () => {
+    let symbol = mirrors.MirrorSystem.getSymbol('_private');
+    assert.equal(mirrors.MirrorSystem.getName(symbol), '_private');
+  });
+
+  test('instance mirrors', () => {
+    let shape = new Shape(3);
+    let mirror = mirrors.reflect(shape);
+    assert.isTrue(mirror.hasReflectee);
+    assert.equal(mirror.type.reflectedType, Shape);
+    assert.isTrue(dart.equals(mirror, mirrors.reflect(shape)));
+    assert.isFalse(dart.equals(mirror, mirrors.reflect(new Shape(3))));
+    assert.equal(mirror.getField(sym('sides')).reflectee, 3);
+    mirror.setField(sym('sides'), 5);
+    assert.equal(shape.sides, 5);
+    let named = core.Map$(core.Symbol, dart.dynamic).new();
+    named.set(sym('suffix'), '!');
+    assert.equal(mirror.invoke(sym('describe'), ['a '], named).reflectee,
+        'a shape!');
+    assert.equal(mirror.invoke(sym('[]'), [7]).reflectee, 7);
+    assert.equal(mirrors.reflect(42).type.reflectedType, core.int);
+  });
+
+  test('declarations', () => {
+    let mirror = mirrors.reflectClass(Shape);
+    assert.equal(mirrors.MirrorSystem.getName(mirror.simpleName), 'Shape');
+    let declarations = mirror.declarations;
+    let get = (name) => declarations.get(sym(name));
+
+    let ctor = get('Shape');
+    assert.isTrue(ctor.isConstructor);
+    assert.isTrue(ctor.isGenerativeConstructor);
+    assert.equal(mirrors.MirrorSystem.getName(ctor.constructorName), '');
+    assert.equal(ctor.parameters[dartx.length], 1);
+    assertSame(ctor.returnType, mirror);
+
+    assert.isTrue(dart.is(get('sides'), mirrors.VariableMirror));
+    assert.isFalse(get('sides').isFinal);
+    assert.isTrue(get('name').isFinal);
+    assert.equal(get('name').type.reflectedType, core.String);
+    assert.isTrue(get('isPolygon').isGetter);
+    assert.equal(get('isPolygon').returnType.reflectedType, core.bool);
+    assert.isTrue(get('scale=').isSetter);
+
+    let describe = get('describe');
+    assert.isTrue(describe.isRegularMethod);
+    assert.isFalse(describe.isStatic);
+    assertSame(describe.owner, mirror);
+    assert.equal(describe.returnType.reflectedType, core.String);
+    assert.isTrue(describe.parameters[dartx.get](1).isNamed);
+    assert.isTrue(get('+').isOperator);
+    assert.isTrue(get('[]').isOperator);
+    assert.isTrue(get('create').isStatic);
+  });
+
+  test('members', () => {
+    let mirror = mirrors.reflectClass(Square);
+    let instanceMembers = mirror.instanceMembers;
+    let names = instanceMembers.keys[dartx.map](
+        (s) => mirrors.MirrorSystem.getName(s))[dartx.toList]();
+    for (let name of ['sides', 'sides=', 'name', 'isPolygon', 'scale=',
+        'describe', 'toString']) {
+      assert.include(names, name);
+    }
+    assert.notInclude(names, 'name=');
+    assert.notInclude(names, 'create');
+    assert.isTrue(instanceMembers.get(sym('sides')).isSynthetic);
+
+    let staticMembers = mirrors.reflectClass(Shape).staticMembers;
+    assert.isTrue(staticMembers.containsKey(sym('create')));
+    assert.equal(staticMembers.length, 1);
+
+    let ctors = mirror.declarations;
+    assert.isTrue(ctors.get(sym('Square.named')).isGenerativeConstructor);
+    assert.isTrue(ctors.get(sym('Square')).isFactoryConstructor);
+  });
+
+  test('static and constructor invocation', () => {
+    let mirror = mirrors.reflectClass(Shape);
+    let shape = mirror.invoke(sym('create'), [6]).reflectee;
+    assert.instanceOf(shape, Shape);
+    assert.equal(shape.sides, 6);
+    shape = mirror.newInstance(sym(''), [8]).reflectee;
+    assert.equal(shape.sides, 8);
+
+    let squares = mirrors.reflectClass(Square);
+    assert.instanceOf(squares.newInstance(sym(''), []).reflectee, Square);
+    let named = core.Map$(core.Symbol, dart.dynamic).new();
+    named.set(sym('sides'), 5);
+    let square = squares.newInstance(sym('named'), [], named).reflectee;
+    assert.instanceOf(square, Square);
+    assert.equal(square.sides, 5);
+  });
+
+  test('class hierarchy', () => {
+    let shape = mirrors.reflectClass(Shape);
+    let square = mirrors.reflectClass(Square);
+    let application = square.superclass;
+    assert.equal(mirrors.MirrorSystem.getName(application.simpleName),
+        'Shape with Named');
+    assertSame(application.mixin, mirrors.reflectClass(Named));
+    assertSame(application.superclass, shape);
+    assertSame(shape.superclass, mirrors.reflectClass(core.Object));
+    assert.isNull(mirrors.reflectClass(core.Object).superclass);
+    assertSame(square.mixin, square);
+
+    assert.equal(square.superinterfaces[dartx.length], 1);
+    assert.equal(square.superinterfaces[dartx.get](0).reflectedType,
+        core.Comparable);
+    assert.equal(shape.superinterfaces[dartx.length], 0);
+
+    assert.isTrue(square.isSubclassOf(shape));
+    assert.isTrue(square.isSubclassOf(mirrors.reflectClass(Named)));
+    assert.isFalse(shape.isSubclassOf(square));
+    assert.isTrue(square.isSubtypeOf(mirrors.reflectClass(core.Comparable)));
+    assert.isTrue(shape.isAssignableTo(square));
+    assert.isFalse(shape.isAssignableTo(mirrors.reflectClass(core.String)));
+  });
+
+  test('generic classes', () => {
+    let listOfInt = mirrors.reflectType(core.List$(core.int));
+    assert.isFalse(listOfInt.isOriginalDeclaration);
+    assert.equal(listOfInt.typeArguments[dartx.length], 1);
+    assert.equal(listOfInt.typeArguments[dartx.get](0).reflectedType,
+        core.int);
+
+    let list = mirrors.reflectClass(core.List$(core.int));
+    assert.isTrue(list.isOriginalDeclaration);
+    assertSame(list, listOfInt.originalDeclaration);
+    assert.equal(list.typeArguments[dartx.length], 0);
+    assert.isTrue(listOfInt.isSubclassOf(list));
+
+    let iterableOfNum = mirrors.reflectType(core.Iterable$(core.num));
+    assert.isTrue(listOfInt.isSubtypeOf(iterableOfNum));
+    assert.isFalse(iterableOfNum.isSubtypeOf(listOfInt));
+
+    let fn = mirrors.reflectType(dart.functionType(core.int, [core.int]));
+    assert.isFalse(dart.is(fn, mirrors.ClassMirror));
+    assert.isTrue(fn.isSubtypeOf(mirrors.reflectType(core.Function)));
+  });
+
+  test('libraries', () => {
+    class Plugin extends core.Object {
+      Plugin(name) {
+        this.name = name;
+      }
+    }
+    dart.setSignature(Plugin, {
+      constructors: () => ({Plugin: [Plugin, [core.String]]})
+    });
+    dart_library.library('test/mirrors_base', null, [], [], (exports) => {
+      exports.Plugin = Plugin;
+      exports.version = 2;
+    });
+    dart_library.library('test/mirrors_plugins', null,
+        ['dart_runtime/dart', 'test/mirrors_base'], [],
+        (exports, dart, base) => {
+      function greet(name) {
+        return 'hello ' + name;
+      }
+      dart.fn(greet, core.String, [core.String]);
+      greet[dart.metadata] = () => [new base.Plugin('greeter')];
+      exports.greet = greet;
+      exports.count = 0;
+      dart.defineLazyProperties(exports, {
+        get answer() {
+          return 42;
+        }
+      });
+      dart.export(exports, base, ['version']);
+    });
+    dart_library.import('test/mirrors_plugins');
+
+    let system = mirrors.currentMirrorSystem();
+    let uri = core.Uri.parse('test/mirrors_plugins.dart');
+    let library = system.libraries.get(uri);
+    assertSame(library, system.findLibrary(sym('test.mirrors_plugins')));
+    assert.isTrue(system.libraries.containsKey(core.Uri.parse('dart:core')));
+    assert.isFalse(system.libraries.values[dartx.any](
+        (l) => l.uri.toString().startsWith('dart_runtime')));
+
+    let declarations = library.declarations;
+    let get = (name) => declarations.get(sym(name));
+    let greet = get('greet');
+    assert.isTrue(greet.isTopLevel);
+    assert.isTrue(greet.isStatic);
+    assertSame(greet.owner, library);
+    assert.equal(mirrors.MirrorSystem.getName(greet.qualifiedName),
+        'test.mirrors_plugins.greet');
+    assert.equal(greet.returnType.reflectedType, core.String);
+    assert.equal(greet.parameters[dartx.length], 1);
+    let metadata = greet.metadata;
+    assert.equal(metadata[dartx.length], 1);
+    assert.equal(metadata[dartx.get](0).reflectee.name, 'greeter');
+    assert.isFalse(get('count').isFinal);
+    assert.isTrue(get('answer').isFinal);
+    assert.isFalse(declarations.containsKey(sym('version')));
+
+    assert.equal(library.invoke(sym('greet'), ['dart']).reflectee,
+        'hello dart');
+    assert.equal(library.getField(sym('answer')).reflectee, 42);
+    library.setField(sym('count'), 3);
+    assert.equal(library.getField(sym('count')).reflectee, 3);
+
+    let dependencies = library.libraryDependencies;
+    assert.equal(dependencies[dartx.length], 1);
+    let base = dependencies[dartx.get](0).targetLibrary;
+    assert.equal(base.uri.toString(), 'test/mirrors_base.dart');
+    let plugin = base.declarations.get(sym('Plugin'));
+    assertSame(plugin, mirrors.reflectClass(Plugin));
+    assertSame(plugin.owner, base);
+    assert.equal(mirrors.MirrorSystem.getName(plugin.qualifiedName),
+        'test.mirrors_base.Plugin');
+  });
+
+  test('private members', () => {
+    let _count = Symbol('_count');
+    let _bump = Symbol('_bump');
+    let _make = Symbol('_make');
+    class Counter extends core.Object {
+      Counter() {
+        this[_count] = 0;
+      }
+      [_bump](by) { return this[_count] += by; }
+      static [_make]() { return new Counter(); }
+    }
+    dart.setSignature(Counter, {
+      constructors: () => ({Counter: [Counter, []]}),
+      fields: () => ({[_count]: core.int}),
+      methods: () => ({[_bump]: [core.int, [core.int]]}),
+      statics: () => ({[_make]: [Counter, []]}),
+      names: [_make]
+    });
+    let privateSym = (name) => mirrors.MirrorSystem.getSymbol(name);
+
+    let mirror = mirrors.reflectClass(Counter);
+    let count = mirror.declarations.get(privateSym('_count'));
+    assert.isTrue(dart.is(count, mirrors.VariableMirror));
+    assert.isTrue(count.isPrivate);
+    assert.equal(count.type.reflectedType, core.int);
+    let bump = mirror.declarations.get(privateSym('_bump'));
+    assert.isTrue(bump.isPrivate);
+    assert.isTrue(bump.isRegularMethod);
+    assert.isTrue(mirror.instanceMembers.containsKey(privateSym('_count=')));
+
+    let counter = mirror.invoke(privateSym('_make'), []).reflectee;
+    let instance = mirrors.reflect(counter);
+    assert.equal(instance.invoke(privateSym('_bump'), [2]).reflectee, 2);
+    instance.setField(privateSym('_count'), 5);
+    assert.equal(instance.getField(privateSym('_count')).reflectee, 5);
+  });
+
+  test('owners', () => {
+    let shape = mirrors.reflectClass(Shape);
+    let describe = shape.declarations.get(sym('describe'));
+    let suffix = describe.parameters[dartx.get](1);
+    assertSame(suffix.owner, describe);
+    assert.equal(mirrors.MirrorSystem.getName(suffix.qualifiedName),
+        mirrors.MirrorSystem.getName(describe.qualifiedName) + '.suffix');
+
+    let dynamicType = mirrors.currentMirrorSystem().dynamicType;
+    assert.isNull(dynamicType.owner);
+    assert.equal(mirrors.MirrorSystem.getName(dynamicType.qualifiedName),
+        'dynamic');
+  });
+
+  // The compiler and runtime don't record what these report, so they are
+  // deliberately left unimplemented.
+  test('unsupported members', () => {
+    let shape = mirrors.reflectClass(Shape);
+    let describe = shape.declarations.get(sym('describe'));
+    let library = mirrors.currentMirrorSystem().libraries.get(
+        core.Uri.parse('dart:core'));
+    let unsupported = [
+      [shape, ['isAbstract', 'isEnum', 'location', 'typeVariables']],
+      [mirrors.currentMirrorSystem().dynamicType, ['location']],
+      [shape.declarations.get(sym('sides')), ['location', 'metadata']],
+      [describe.parameters[dartx.get](0), ['isFinal', 'location']],
+      [describe, ['metadata', 'isConstConstructor',
+          'isRedirectingConstructor', 'location', 'source']],
+      [mirrors.currentMirrorSystem(), ['isolate']],
+      [library, ['location', 'metadata']],
+      [library.libraryDependencies[dartx.get](0), ['location']]
+    ];
+    for (let [mirror, names] of unsupported) {
+      for (let name of names) {
+        assert.throws(() => mirror[name], core.UnimplementedError);
+      }
+    }
+  });
+});
+
+suite('devtools formatters', () => {
+  "use strict";
+
+  let formatter = dart.devtoolsFormatter;
+  let _secret = Symbol('_secret');
+
+  class Point extends core.Object {
+    Point(x, y) {
+      this.x = x;
+      this.y = y;
+      this[_secret] = 'hidden';
+    }
+  }
+  dart.setSignature(Point, {
+    constructors: () => ({Point: [Point, [core.int, core.int]]}),
+    fields: () => ({x: core.int, y: core.int})
+  });
+
+  let header = (value) => {
+    let jsonML = formatter.header(value);
+    return jsonML === null ? null : jsonML[2];
+  };
+
+  // The names and values in a body, as text where they aren't objects.
+  let entries = (value) => formatter.body(value).slice(2).map((li) => {
+    let text = (jsonML) => jsonML[0] == 'span' ? jsonML[2] : jsonML[1].object;
+    return li.length == 3 ? [text(li[2])] : [text(li[2]), text(li[4])];
+  });
+
+  test('instances', () => {
+    let point = new Point(1, 2);
+    assert.equal(header(point), 'Point');
+    assert.isTrue(formatter.hasBody(point));
+    assert.deepEqual(entries(point), [['x', '1'], ['y', '2'],
+        ['_secret', '"hidden"']]);
+  });
+
+  test('collections', () => {
+    let list = dart.list([1, new Point(0, 0)], core.Object);
+    assert.equal(header(list), 'List<Object> length 2');
+    let elements = entries(list);
+    assert.deepEqual(elements[0], ['0', '1']);
+    assert.instanceOf(elements[1][1], Point);
+
+    let map = core.Map$(core.String, core.int).new();
+    map.set('a', 1);
+    assert.match(header(map), /<String, int> length 1$/);
+    assert.deepEqual(entries(map), [['"a"', '1']]);
+
+    let set = core.Set$(core.int).new();
+    set.add(3);
+    assert.match(header(set), /<int> length 1$/);
+    assert.deepEqual(entries(set), [['3']]);
+  });
+
+  test('types and functions', () => {
+    assert.equal(header(core.String), 'String');
+    assert.equal(header(Point), 'Point');
+    assert.equal(header(dart.dynamic), 'dynamic');
+    assert.isFalse(formatter.hasBody(core.String));
+
+    function greet(name) {
+      return 'hi ' + name;
+    }
+    dart.fn(greet, core.String, [core.String]);
+    assert.equal(header(greet), 'greet(String) -> String');
+    let closure = dart.fn((i) => i, core.int, [core.int]);
+    assert.equal(header(closure), '(int) -> int');
+    let body = formatter.body(greet);
+    assert.equal(body[2][4], '(String) -> String');
+    let reference = body[3][4][1];
+    assert.equal(reference.object, greet);
+    assert.isNull(formatter.header(greet, reference.config));
+  });
+
+  test('JS values', () => {
+    assert.isNull(formatter.header({a: 1}));
+    assert.isNull(formatter.header([1, 2]));
+    assert.isNull(formatter.header(() => 1));
+    assert.isNull(formatter.header(new Date()));
+  });
+});
+
+suite('js interop', () => {
+  "use strict";
+
+  let js = dart_library.import('dart/js');
+
+  test('global object', () => {
+    assert.equal(dart.global, dart_library.global);
+    assert.equal(dart.global.Math, Math);
+    assert.equal(js.context.get('Math').get('PI'), Math.PI);
+  });
+
+  test('conversions', () => {
+    let args = dart.list(['42'], core.String);
+    assert.equal(js.context.callMethod('parseInt', args), 42);
+
+    let date = js.context.callMethod('eval', dart.list(['new Date(0)'],
+        core.String));
+    assert.isTrue(dart.is(date, core.DateTime));
+    assert.equal(date.millisecondsSinceEpoch, 0);
+
+    let point = js.JsObject.jsify(dart.map({x: 1, y: 2}));
+    assert.equal(point.get('y'), 2);
+  });
+
+  test('jsify', () => {
+    let list = dart.list([1, 2], core.int);
+    let data = dart.map({name: 'a', list: list, when: new core.DateTime(2015)});
+    data.set('self', data);
+    let result = js.jsify(data);
+    assert.equal(Object.getPrototypeOf(result), Object.prototype);
+    assert.equal(result.name, 'a');
+    assert.deepEqual(result.list, [1, 2]);
+    assert.notEqual(result.list, list);
+    assert.instanceOf(result.when, Date);
+    assert.equal(result.when.getFullYear(), 2015);
+    assert.equal(result.self, result);
+
+    let map = js.jsify(dart.map([1, 'one']));
+    assert.instanceOf(map, Map);
+    assert.equal(map.get(1), 'one');
+    let set = js.jsify(core.Set.from(dart.list([1, 2], core.int)));
+    assert.instanceOf(set, Set);
+    assert.isTrue(set.has(2));
+
+    assert.equal(js.jsify(list, {copy: false}), list);
+    let bytes = new Uint8Array([1, 2]);
+    assert.notEqual(js.jsify(bytes), bytes);
+    assert.deepEqual(Array.from(js.jsify(bytes)), [1, 2]);
+    assert.equal(js.jsify(bytes, {copy: false}), bytes);
+  });
+
+  test('dartify', () => {
+    let data = {name: 'a', list: [1, {x: 1}], when: new Date(0)};
+    data.self = data;
+    let result = js.dartify(data);
+    assert.isTrue(dart.is(result, core.Map$(core.String, dart.dynamic)));
+    assert.equal(result.get('name'), 'a');
+    let list = result.get('list');
+    assert.isTrue(dart.is(list, core.List));
+    assert.notEqual(list, data.list);
+    assert.isTrue(dart.is(list[dartx.get](1), core.Map));
+    assert.isTrue(dart.is(result.get('when'), core.DateTime));
+    assert.equal(result.get('self'), result);
+
+    let map = js.dartify(new Map([[1, 'one']]));
+    assert.isTrue(dart.is(map, core.Map));
+    assert.equal(map.get(1), 'one');
+    let set = js.dartify(new Set([1, 2]));
+    assert.isTrue(dart.is(set, core.Set));
+    assert.isTrue(set.contains(2));
+
+    assert.equal(js.dartify(data.list, {copy: false}), data.list);
+    let object = js.JsObject.jsify(dart.map({x: 1}));
+    assert.equal(js.dartify(object).get('x'), 1);
+    let dartObject = new core.Object();
+    assert.equal(js.dartify(dartObject), dartObject);
+  });
+
+  test('dartify Dates', () => {
+    let date = js.dartify(new Date(1000));
+    assert.isTrue(dart.is(date, core.DateTime));
+    assert.equal(date.millisecondsSinceEpoch, 1000);
+    let view = js.dartify({when: new Date(1000)}, {copy: false});
+    assert.equal(view.get('when').millisecondsSinceEpoch, 1000);
+  });
+
+  test('dartify views', () => {
+    let data = {name: 'a', nested: {x: 1}, list: [1]};
+    data.self = data;
+    let view = js.dartify(data, {copy: false});
+    assert.isTrue(dart.is(view, core.Map$(core.String, dart.dynamic)));
+    assert.equal(view.get('name'), 'a');
+    assert.equal(view.get('list'), data.list);
+    assert.equal(view.get('self'), view);
+    assert.equal(js.jsify(view, {copy: false}), data);
+
+    data.name = 'b';
+    assert.equal(view.get('name'), 'b');
+    view.get('nested').set('y', 2);
+    assert.equal(data.nested.y, 2);
+    view.set('copy', dart.map({z: 3}));
+    assert.equal(data.copy.z, 3);
+    assert.equal(view.remove('name'), 'b');
+    assert.isFalse('name' in data);
+    assert.isTrue(view.keys[dartx.contains]('nested'));
+    assert.isNull(view.get('missing'));
+
+    let jsMap = new Map([[1, 'one']]);
+    let map = js.dartify(jsMap, {copy: false});
+    assert.isTrue(dart.is(map, core.Map));
+    map.set(2, 'two');
+    assert.equal(jsMap.get(2), 'two');
+    jsMap.delete(1);
+    assert.isFalse(map.containsKey(1));
+    assert.equal(map.length, 1);
+
+    let jsSet = new Set([1]);
+    let set = js.dartify(jsSet, {copy: false});
+    assert.isTrue(dart.is(set, core.Set));
+    assert.isTrue(set.add(2));
+    assert.isTrue(jsSet.has(2));
+    jsSet.add(3);
+    assert.isTrue(set.contains(3));
+    assert.deepEqual(Array.from(set), [1, 2, 3]);
+  });
+});
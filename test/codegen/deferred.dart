@@ -0,0 +1,11 @@
+// Copyright (c) 2015, the Dart project authors.  Please see the AUTHORS file
+// for details. All rights reserved. Use of this source code is governed by a
+// BSD-style license that can be found in the LICENSE file.
+
+import 'dir/deferred_lib.dart' deferred as lib;
+
+main() {
+  lib.loadLibrary().then((_) {
+    print(lib.answer());
+  });
+}
@@ -77,6 +77,7 @@ dart_library.library('BenchmarkBase', null, /* Imports */[
   }
   dart.setSignature(BenchmarkBase, {
     constructors: () => ({BenchmarkBase: [BenchmarkBase, [core.String]]}),
+    getters: () => ({name: core.String}),
     methods: () => ({
       run: [dart.void, []],
       warmup: [dart.void, []],
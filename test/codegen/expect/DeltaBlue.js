@@ -45,6 +45,10 @@ dart_library.library('DeltaBlue', null, /* Imports */[
   }
   dart.setSignature(Strength, {
     constructors: () => ({Strength: [Strength, [core.int, core.String]]}),
+    getters: () => ({
+      value: core.int,
+      name: core.String
+    }),
     methods: () => ({nextWeaker: [Strength, []]}),
     statics: () => ({
       stronger: [core.bool, [Strength, Strength]],
@@ -99,6 +103,7 @@ dart_library.library('DeltaBlue', null, /* Imports */[
   }
   dart.setSignature(Constraint, {
     constructors: () => ({Constraint: [Constraint, [Strength]]}),
+    getters: () => ({strength: Strength}),
     methods: () => ({
       addConstraint: [dart.void, []],
       satisfy: [Constraint, [dart.dynamic]],
@@ -147,6 +152,8 @@ dart_library.library('DeltaBlue', null, /* Imports */[
   }
   dart.setSignature(UnaryConstraint, {
     constructors: () => ({UnaryConstraint: [UnaryConstraint, [Variable, Strength]]}),
+    fields: () => ({satisfied: core.bool}),
+    getters: () => ({myOutput: Variable}),
     methods: () => ({
       addToGraph: [dart.void, []],
       chooseMethod: [dart.void, [core.int]],
@@ -247,6 +254,11 @@ dart_library.library('DeltaBlue', null, /* Imports */[
   }
   dart.setSignature(BinaryConstraint, {
     constructors: () => ({BinaryConstraint: [BinaryConstraint, [Variable, Variable, Strength]]}),
+    fields: () => ({
+      v1: Variable,
+      v2: Variable,
+      direction: core.int
+    }),
     methods: () => ({
       chooseMethod: [dart.void, [core.int]],
       addToGraph: [dart.void, []],
@@ -299,6 +311,10 @@ dart_library.library('DeltaBlue', null, /* Imports */[
   }
   dart.setSignature(ScaleConstraint, {
     constructors: () => ({ScaleConstraint: [ScaleConstraint, [Variable, Variable, Variable, Variable, Strength]]}),
+    getters: () => ({
+      scale: Variable,
+      offset: Variable
+    }),
     methods: () => ({execute: [dart.void, []]})
   });
   class EqualityConstraint extends BinaryConstraint {
@@ -334,6 +350,15 @@ dart_library.library('DeltaBlue', null, /* Imports */[
   }
   dart.setSignature(Variable, {
     constructors: () => ({Variable: [Variable, [core.String, core.int]]}),
+    fields: () => ({
+      constraints: core.List$(Constraint),
+      determinedBy: Constraint,
+      mark: core.int,
+      walkStrength: Strength,
+      stay: core.bool,
+      value: core.int
+    }),
+    getters: () => ({name: core.String}),
     methods: () => ({
       addConstraint: [dart.void, [Constraint]],
       removeConstraint: [dart.void, [Constraint]]
@@ -436,6 +461,7 @@ dart_library.library('DeltaBlue', null, /* Imports */[
     }
   }
   dart.setSignature(Planner, {
+    fields: () => ({currentMark: core.int}),
     methods: () => ({
       incrementalAdd: [dart.void, [Constraint]],
       incrementalRemove: [dart.void, [Constraint]],
@@ -464,6 +490,7 @@ dart_library.library('DeltaBlue', null, /* Imports */[
     }
   }
   dart.setSignature(Plan, {
+    fields: () => ({list: core.List$(Constraint)}),
     methods: () => ({
       addConstraint: [dart.void, [Constraint]],
       size: [core.int, []],
@@ -10,6 +10,9 @@ dart_library.library('cascade', null, /* Imports */[
       this.x = null;
     }
   }
+  dart.setSignature(A, {
+    fields: () => ({x: dart.dynamic})
+  });
   function test_closure_with_mutate() {
     let a = new A();
     a.x = dart.fn(() => {
@@ -92,6 +95,9 @@ dart_library.library('cascade', null, /* Imports */[
         this.x = dart.list([], T);
       }
     }
+    dart.setSignature(Base, {
+      getters: () => ({x: core.List$(T)})
+    });
     return Base;
   });
   let Base = Base$();
@@ -98,6 +98,16 @@ dart_library.library('closure', null, /* Imports */[
         Foo: [Foo$(T), [core.int, T]],
         build: [Foo$(T), []]
       }),
+      fields: () => ({
+        b: core.bool,
+        s: core.String,
+        v: T
+      }),
+      getters: () => ({
+        i: core.int,
+        prop: core.String
+      }),
+      setters: () => ({prop: core.String}),
       methods: () => ({
         untyped_method: [dart.dynamic, [dart.dynamic, dart.dynamic]],
         pass: [T, [T]],
@@ -18,7 +18,11 @@ dart_library.library('collection/iterable_zip', null, /* Imports */[
     }
   }
   dart.setSignature(IterableZip, {
-    constructors: () => ({IterableZip: [IterableZip, [core.Iterable$(core.Iterable)]]})
+    constructors: () => ({IterableZip: [IterableZip, [core.Iterable$(core.Iterable)]]}),
+    getters: () => ({
+      [_iterables]: core.Iterable$(core.Iterable),
+      iterator: core.Iterator$(core.List)
+    })
   });
   dart.defineExtensionMembers(IterableZip, ['iterator']);
   let _iterators = Symbol('_iterators');
@@ -50,6 +54,11 @@ dart_library.library('collection/iterable_zip', null, /* Imports */[
   _IteratorZip[dart.implements] = () => [core.Iterator$(core.List)];
   dart.setSignature(_IteratorZip, {
     constructors: () => ({_IteratorZip: [_IteratorZip, [core.List]]}),
+    fields: () => ({[_current]: core.List}),
+    getters: () => ({
+      [_iterators]: core.List$(core.Iterator),
+      current: core.List
+    }),
     methods: () => ({moveNext: [core.bool, []]})
   });
   // Exports:
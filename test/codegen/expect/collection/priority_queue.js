@@ -215,6 +215,17 @@ dart_library.library('collection/priority_queue', null, /* Imports */[
     HeapPriorityQueue[dart.implements] = () => [PriorityQueue$(E)];
     dart.setSignature(HeapPriorityQueue, {
       constructors: () => ({HeapPriorityQueue: [HeapPriorityQueue$(E), [], [dart.functionType(core.int, [E, E])]]}),
+      fields: () => ({
+        [_queue]: core.List$(E),
+        [_length]: core.int
+      }),
+      getters: () => ({
+        comparison: core.Comparator,
+        first: E,
+        isEmpty: core.bool,
+        isNotEmpty: core.bool,
+        length: core.int
+      }),
       methods: () => ({
         add: [dart.void, [E]],
         addAll: [dart.void, [core.Iterable$(E)]],
@@ -97,6 +97,16 @@ dart_library.library('collection/src/canonicalized_map', null, /* Imports */[
         CanonicalizedMap: [CanonicalizedMap$(C, K, V), [dart.functionType(C, [K])], {isValidKey: dart.functionType(core.bool, [core.Object])}],
         from: [CanonicalizedMap$(C, K, V), [core.Map$(K, V), dart.functionType(C, [K])], {isValidKey: dart.functionType(core.bool, [core.Object])}]
       }),
+      getters: () => ({
+        [_canonicalize]: core.Function,
+        [_isValidKeyFn]: core.Function,
+        [_base]: core.Map$(C, utils.Pair$(K, V)),
+        isEmpty: core.bool,
+        isNotEmpty: core.bool,
+        keys: core.Iterable$(K),
+        length: core.int,
+        values: core.Iterable$(V)
+      }),
       methods: () => ({
         get: [V, [core.Object]],
         set: [dart.void, [K, V]],
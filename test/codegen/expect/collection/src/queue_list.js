@@ -202,6 +202,13 @@ dart_library.library('collection/src/queue_list', null, /* Imports */[
         QueueList: [QueueList$(E), [], [core.int]],
         from: [QueueList$(E), [core.Iterable$(E)]]
       }),
+      fields: () => ({
+        [_table]: core.List$(E),
+        [_head]: core.int,
+        [_tail]: core.int
+      }),
+      getters: () => ({length: core.int}),
+      setters: () => ({length: core.int}),
       methods: () => ({
         add: [dart.void, [E]],
         addAll: [dart.void, [core.Iterable$(E)]],
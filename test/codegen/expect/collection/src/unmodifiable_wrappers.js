@@ -62,6 +62,7 @@ dart_library.library('collection/src/unmodifiable_wrappers', null, /* Imports */
     }
     NonGrowableListMixin[dart.implements] = () => [core.List$(E)];
     dart.setSignature(NonGrowableListMixin, {
+      setters: () => ({length: core.int}),
       methods: () => ({
         add: [core.bool, [E]],
         addAll: [dart.void, [core.Iterable$(E)]],
@@ -13,7 +13,11 @@ dart_library.library('collection/src/utils', null, /* Imports */[
       }
     }
     dart.setSignature(Pair, {
-      constructors: () => ({Pair: [Pair$(E, F), [E, F]]})
+      constructors: () => ({Pair: [Pair$(E, F), [E, F]]}),
+      fields: () => ({
+        first: E,
+        last: F
+      })
     });
     return Pair;
   });
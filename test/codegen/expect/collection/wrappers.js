@@ -127,6 +127,15 @@ dart_library.library('collection/wrappers', null, /* Imports */[
     _DelegatingIterableBase[dart.implements] = () => [core.Iterable$(E)];
     dart.setSignature(_DelegatingIterableBase, {
       constructors: () => ({_DelegatingIterableBase: [_DelegatingIterableBase$(E), []]}),
+      getters: () => ({
+        first: E,
+        isEmpty: core.bool,
+        isNotEmpty: core.bool,
+        iterator: core.Iterator$(E),
+        last: E,
+        length: core.int,
+        single: E
+      }),
       methods: () => ({
         any: [core.bool, [dart.functionType(core.bool, [E])]],
         contains: [core.bool, [core.Object]],
@@ -191,7 +200,8 @@ dart_library.library('collection/wrappers', null, /* Imports */[
       }
     }
     dart.setSignature(DelegatingIterable, {
-      constructors: () => ({DelegatingIterable: [DelegatingIterable$(E), [core.Iterable$(E)]]})
+      constructors: () => ({DelegatingIterable: [DelegatingIterable$(E), [core.Iterable$(E)]]}),
+      getters: () => ({[_base]: core.Iterable$(E)})
     });
     return DelegatingIterable;
   });
@@ -316,6 +326,11 @@ dart_library.library('collection/wrappers', null, /* Imports */[
     DelegatingList[dart.implements] = () => [core.List$(E)];
     dart.setSignature(DelegatingList, {
       constructors: () => ({DelegatingList: [DelegatingList$(E), [core.List$(E)]]}),
+      getters: () => ({
+        [_listBase]: core.List$(E),
+        reversed: core.Iterable$(E)
+      }),
+      setters: () => ({length: core.int}),
       methods: () => ({
         get: [E, [core.int]],
         set: [dart.void, [core.int, E]],
@@ -435,6 +450,7 @@ dart_library.library('collection/wrappers', null, /* Imports */[
     DelegatingSet[dart.implements] = () => [core.Set$(E)];
     dart.setSignature(DelegatingSet, {
       constructors: () => ({DelegatingSet: [DelegatingSet$(E), [core.Set$(E)]]}),
+      getters: () => ({[_setBase]: core.Set$(E)}),
       methods: () => ({
         add: [core.bool, [E]],
         addAll: [dart.void, [core.Iterable$(E)]],
@@ -505,6 +521,7 @@ dart_library.library('collection/wrappers', null, /* Imports */[
     DelegatingQueue[dart.implements] = () => [collection.Queue$(E)];
     dart.setSignature(DelegatingQueue, {
       constructors: () => ({DelegatingQueue: [DelegatingQueue$(E), [collection.Queue$(E)]]}),
+      getters: () => ({[_baseQueue]: collection.Queue$(E)}),
       methods: () => ({
         add: [dart.void, [E]],
         addAll: [dart.void, [core.Iterable$(E)]],
@@ -582,6 +599,14 @@ dart_library.library('collection/wrappers', null, /* Imports */[
     DelegatingMap[dart.implements] = () => [core.Map$(K, V)];
     dart.setSignature(DelegatingMap, {
       constructors: () => ({DelegatingMap: [DelegatingMap$(K, V), [core.Map$(K, V)]]}),
+      getters: () => ({
+        [_base]: core.Map$(K, V),
+        isEmpty: core.bool,
+        isNotEmpty: core.bool,
+        keys: core.Iterable$(K),
+        length: core.int,
+        values: core.Iterable$(V)
+      }),
       methods: () => ({
         get: [V, [core.Object]],
         set: [dart.void, [K, V]],
@@ -647,6 +672,13 @@ dart_library.library('collection/wrappers', null, /* Imports */[
     }
     dart.setSignature(MapKeySet, {
       constructors: () => ({MapKeySet: [exports.MapKeySet$(E), [core.Map$(E, dart.dynamic)]]}),
+      getters: () => ({
+        [_baseMap]: core.Map$(E, dart.dynamic),
+        [_base]: core.Iterable$(E),
+        isEmpty: core.bool,
+        isNotEmpty: core.bool,
+        length: core.int
+      }),
       methods: () => ({
         containsAll: [core.bool, [core.Iterable$(core.Object)]],
         difference: [core.Set$(E), [core.Set$(E)]],
@@ -777,6 +809,14 @@ dart_library.library('collection/wrappers', null, /* Imports */[
     MapValueSet[dart.implements] = () => [core.Set$(V)];
     dart.setSignature(MapValueSet, {
       constructors: () => ({MapValueSet: [MapValueSet$(K, V), [core.Map$(K, V), dart.functionType(K, [V])]]}),
+      getters: () => ({
+        [_baseMap]: core.Map$(K, V),
+        [_keyForValue]: core.Function,
+        [_base]: core.Iterable$(V),
+        isEmpty: core.bool,
+        isNotEmpty: core.bool,
+        length: core.int
+      }),
       methods: () => ({
         add: [core.bool, [V]],
         addAll: [dart.void, [core.Iterable$(V)]],
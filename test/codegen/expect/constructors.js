@@ -49,7 +49,8 @@ dart_library.library('constructors', null, /* Imports */[
     }
   }
   dart.setSignature(E, {
-    constructors: () => ({E: [E, [core.String]]})
+    constructors: () => ({E: [E, [core.String]]}),
+    fields: () => ({name: core.String})
   });
   class F extends E {
     F(name) {
@@ -89,7 +90,8 @@ dart_library.library('constructors', null, /* Imports */[
     constructors: () => ({
       I: [I, []],
       named: [I, [core.String]]
-    })
+    }),
+    fields: () => ({name: core.String})
   });
   class J extends core.Object {
     J() {
@@ -98,7 +100,11 @@ dart_library.library('constructors', null, /* Imports */[
     }
   }
   dart.setSignature(J, {
-    constructors: () => ({J: [J, []]})
+    constructors: () => ({J: [J, []]}),
+    fields: () => ({
+      nonInitialized: core.num,
+      initialized: core.bool
+    })
   });
   class K extends core.Object {
     K() {
@@ -113,7 +119,8 @@ dart_library.library('constructors', null, /* Imports */[
     constructors: () => ({
       K: [K, []],
       withS: [K, [core.String]]
-    })
+    }),
+    fields: () => ({s: core.String})
   });
   class L extends core.Object {
     L(foo) {
@@ -121,7 +128,8 @@ dart_library.library('constructors', null, /* Imports */[
     }
   }
   dart.setSignature(L, {
-    constructors: () => ({L: [L, [dart.dynamic]]})
+    constructors: () => ({L: [L, [dart.dynamic]]}),
+    fields: () => ({foo: dart.dynamic})
   });
   class M extends L {
     named(x) {
@@ -184,6 +192,7 @@ dart_library.library('constructors', null, /* Imports */[
     }
     dart.setSignature(Q, {
       constructors: () => ({Q: [Q$(T), [dart.dynamic]]}),
+      fields: () => ({x: T}),
       methods: () => ({
         bar: [core.String, []],
         bar2: [core.String, []]
@@ -21,6 +21,7 @@ dart_library.library('covariance', null, /* Imports */[
       }
     }
     dart.setSignature(Foo, {
+      fields: () => ({[_t]: T}),
       methods: () => ({
         add: [dart.dynamic, [T]],
         forEach: [dart.dynamic, [dart.functionType(dart.void, [T])]]
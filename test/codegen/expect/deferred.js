@@ -0,0 +1,17 @@
+dart_library.library('deferred', null, /* Imports */[
+  "dart_runtime/dart",
+  'dart/core'
+], /* Lazy imports */[
+], function(exports, dart, core) {
+  'use strict';
+  let dartx = dart.dartx;
+  let deferred_lib = dart.deferredLibrary('dir/deferred_lib');
+  function main() {
+    deferred_lib.loadLibrary().then(dart.fn(_ => {
+      core.print(deferred_lib.answer());
+    }));
+  }
+  dart.fn(main);
+  // Exports:
+  exports.main = main;
+});
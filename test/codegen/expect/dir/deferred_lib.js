@@ -0,0 +1,14 @@
+dart_library.library('dir/deferred_lib', null, /* Imports */[
+  "dart_runtime/dart",
+  'dart/core'
+], /* Lazy imports */[
+], function(exports, dart, core) {
+  'use strict';
+  let dartx = dart.dartx;
+  function answer() {
+    return 42;
+  }
+  dart.fn(answer, core.int, []);
+  // Exports:
+  exports.answer = answer;
+});
@@ -12,7 +12,8 @@ dart_library.library('dom/dom', window, /* Imports */[
     }
   }
   dart.setSignature(JsName, {
-    constructors: () => ({JsName: [JsName, [], {name: core.String}]})
+    constructors: () => ({JsName: [JsName, [], {name: core.String}]}),
+    getters: () => ({name: core.String})
   });
   class Overload extends core.Object {
     Overload() {
@@ -48,6 +49,18 @@ dart_library.library('dom/dom', window, /* Imports */[
       this.textBaseline = null;
     }
   }
+  dart.setSignature(CanvasDrawingStyles, {
+    fields: () => ({
+      lineWidth: core.num,
+      lineCap: core.String,
+      lineJoin: core.String,
+      miterLimit: core.num,
+      lineDashOffset: core.num,
+      font: core.String,
+      textAlign: core.String,
+      textBaseline: core.String
+    })
+  });
   class CanvasPathMethods extends core.Object {}
   // Exports:
   exports.JsName = JsName;
@@ -309,7 +309,8 @@ dart_library.library('expect/expect', null, /* Imports */[
   }
   ExpectException[dart.implements] = () => [core.Exception];
   dart.setSignature(ExpectException, {
-    constructors: () => ({ExpectException: [ExpectException, [core.String]]})
+    constructors: () => ({ExpectException: [ExpectException, [core.String]]}),
+    fields: () => ({message: core.String})
   });
   class NoInline extends core.Object {
     NoInline() {
@@ -10,6 +10,9 @@ dart_library.library('fieldtest', null, /* Imports */[
       this.x = 42;
     }
   }
+  dart.setSignature(A, {
+    fields: () => ({x: core.int})
+  });
   let B$ = dart.generic(function(T) {
     class B extends core.Object {
       B() {
@@ -18,6 +21,13 @@ dart_library.library('fieldtest', null, /* Imports */[
         this.z = null;
       }
     }
+    dart.setSignature(B, {
+      fields: () => ({
+        x: core.int,
+        y: core.num,
+        z: T
+      })
+    });
     return B;
   });
   let B = B$();
@@ -61,6 +71,9 @@ dart_library.library('fieldtest', null, /* Imports */[
       return 1;
     }
   }
+  dart.setSignature(BaseWithGetter, {
+    getters: () => ({foo: core.int})
+  });
   class Derived extends BaseWithGetter {
     Derived() {
       this.foo = 2;
@@ -68,6 +81,12 @@ dart_library.library('fieldtest', null, /* Imports */[
     }
   }
   dart.virtualField(Derived, 'foo');
+  dart.setSignature(Derived, {
+    fields: () => ({
+      foo: core.int,
+      bar: core.int
+    })
+  });
   let Generic$ = dart.generic(function(T) {
     class Generic extends core.Object {
       foo(t) {
@@ -46,6 +46,15 @@ dart_library.library('methods', null, /* Imports */[
     }
   }
   dart.setSignature(A, {
+    fields: () => ({[_c]: core.int}),
+    getters: () => ({
+      a: core.int,
+      c: core.int
+    }),
+    setters: () => ({
+      b: core.int,
+      c: core.int
+    }),
     methods: () => ({
       x: [core.int, []],
       y: [core.int, [core.int]],
@@ -68,6 +77,9 @@ dart_library.library('methods', null, /* Imports */[
       this.bar = new Bar();
     }
   }
+  dart.setSignature(Foo, {
+    getters: () => ({bar: Bar})
+  });
   function test() {
     let f = new Foo();
     dart.dcall(f.bar, "Bar's call method!");
@@ -19,6 +19,9 @@ dart_library.library('misc', null, /* Imports */[
         return Generic$();
       }
     }
+    dart.setSignature(Generic, {
+      getters: () => ({type: core.Type})
+    });
     return Generic;
   });
   let Generic = Generic$();
@@ -31,6 +34,12 @@ dart_library.library('misc', null, /* Imports */[
       return dart.is(obj, Base) && dart.equals(dart.dload(obj, 'x'), this.x) && dart.equals(dart.dload(obj, 'y'), this.y);
     }
   }
+  dart.setSignature(Base, {
+    fields: () => ({
+      x: core.int,
+      y: core.int
+    })
+  });
   class Derived extends core.Object {
     Derived() {
       this.z = 3;
@@ -39,11 +48,14 @@ dart_library.library('misc', null, /* Imports */[
       return dart.is(obj, Derived) && dart.equals(dart.dload(obj, 'z'), this.z) && super['=='](obj);
     }
   }
+  dart.setSignature(Derived, {
+    fields: () => ({z: core.int})
+  });
   function _isWhitespace(ch) {
     return ch == ' ' || ch == '\n' || ch == '\r' || ch == '\t';
   }
   dart.fn(_isWhitespace, core.bool, [core.String]);
-  let _escapeMap = dart.const(dart.map({'\n': '\\n', '\r': '\\r', '\f': '\\f', '\b': '\\b', '\t': '\\t', '\v': '\\v', '': '\\x7F'}));
+  let _escapeMap = dart.constMap({'\n': '\\n', '\r': '\\r', '\f': '\\f', '\b': '\\b', '\t': '\\t', '\v': '\\v', '': '\\x7F'});
   function main() {
     core.print(dart.toString(1));
     core.print(dart.toString(1.0));
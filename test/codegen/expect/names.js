@@ -30,6 +30,7 @@ dart_library.library('names', null, /* Imports */[
   dart.defineNamedConstructor(Frame, 'caller');
   dart.setSignature(Frame, {
     constructors: () => ({caller: [Frame, [core.List]]}),
+    getters: () => ({arguments: core.List}),
     statics: () => ({callee: [dart.dynamic, []]}),
     names: ['callee']
   });
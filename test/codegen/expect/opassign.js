@@ -27,6 +27,9 @@ dart_library.library('opassign', null, /* Imports */[
       this.x = 100;
     }
   }
+  dart.setSignature(Foo, {
+    fields: () => ({x: core.int})
+  });
   function main() {
     let f = dart.map([0, 40]);
     core.print('should only call "index" 2 times:');
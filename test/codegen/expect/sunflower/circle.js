@@ -13,7 +13,12 @@ dart_library.library('sunflower/circle', null, /* Imports */[
     }
   }
   dart.setSignature(Circle, {
-    constructors: () => ({Circle: [Circle, [core.num, core.num, core.num]]})
+    constructors: () => ({Circle: [Circle, [core.num, core.num, core.num]]}),
+    getters: () => ({
+      x: core.num,
+      y: core.num,
+      radius: core.num
+    })
   });
   // Exports:
   exports.Circle = Circle;
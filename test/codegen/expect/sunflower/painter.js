@@ -41,6 +41,7 @@ dart_library.library('sunflower/painter', null, /* Imports */[
   }
   CirclePainter[dart.implements] = () => [circle.Circle];
   dart.setSignature(CirclePainter, {
+    fields: () => ({color: core.String}),
     methods: () => ({draw: [dart.void, [dom.CanvasRenderingContext2D]]})
   });
   // Exports:
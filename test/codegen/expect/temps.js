@@ -16,7 +16,12 @@ dart_library.library('temps', null, /* Imports */[
     }
   }
   dart.setSignature(FormalCollision, {
-    constructors: () => ({FormalCollision: [FormalCollision, [core.int, core.int, core.Function]]})
+    constructors: () => ({FormalCollision: [FormalCollision, [core.int, core.int, core.Function]]}),
+    fields: () => ({
+      [_x]: core.int,
+      [__x]: core.int,
+      [_function]: core.Function
+    })
   });
   let _opt = Symbol('_opt');
   class OptionalArg extends core.Object {
@@ -35,8 +40,12 @@ dart_library.library('temps', null, /* Imports */[
   dart.defineNamedConstructor(OptionalArg, 'named');
   dart.setSignature(OptionalArg, {
     constructors: () => ({
-      OptionalArg: [OptionalArg, [], [core.int]],
-      named: [OptionalArg, [], {opt: core.int}]
+      OptionalArg: [OptionalArg, [], [[core.int, dart.defaultValue(123)]]],
+      named: [OptionalArg, [], {opt: [core.int, dart.defaultValue(456)]}]
+    }),
+    fields: () => ({
+      opt: core.int,
+      [_opt]: core.int
     })
   });
   function main() {
@@ -15,7 +15,7 @@ dart_library.library('try_catch', null, /* Imports */[
       } else {
         let e = e$;
         let t = dart.stackTrace(e);
-        throw e;
+        dart.rethrow(e);
       }
     }
 
@@ -45,7 +45,7 @@ dart_library.library('try_catch', null, /* Imports */[
     } catch (e) {
       if (dart.is(e, core.String)) {
         let t = dart.stackTrace(e);
-        throw e;
+        dart.rethrow(e);
       } else
         throw e;
     }
@@ -44,7 +44,8 @@ dart_library.library('unittest', null, /* Imports */[
     }
   }
   dart.setSignature(TestFailure, {
-    constructors: () => ({TestFailure: [TestFailure, [core.String]]})
+    constructors: () => ({TestFailure: [TestFailure, [core.String]]}),
+    getters: () => ({message: core.String})
   });
   let ErrorFormatter = dart.typedef('ErrorFormatter', () => dart.functionType(core.String, [dart.dynamic, interfaces.Matcher, core.String, core.Map, core.bool]));
   function expect(actual, matcher, opts) {
@@ -52,7 +53,7 @@ dart_library.library('unittest', null, /* Imports */[
     let verbose = opts && 'verbose' in opts ? opts.verbose : false;
     let formatter = opts && 'formatter' in opts ? opts.formatter : null;
     matcher = util.wrapMatcher(matcher);
-    let matchState = dart.map();
+    let matchState = dart.map([]);
     try {
       if (dart.notNull(dart.as(dart.dsend(matcher, 'matches', actual, matchState), core.bool)))
         return;
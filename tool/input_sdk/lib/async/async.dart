@@ -93,6 +93,7 @@ library dart.async;
 import "dart:collection";
 import "dart:_internal" show deprecated, printToZone, printToConsole,
                              IterableElementError;
+import "dart:_foreign_helper" show JS;
 
 part 'async_error.dart';
 part 'broadcast_stream_controller.dart';
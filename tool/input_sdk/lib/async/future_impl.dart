@@ -175,14 +175,20 @@ class _Future<T> implements Future<T> {
    */
   var _resultOrListeners;
 
-  _Future();
+  // Each constructor lets JS use the future as a thenable, as in
+  // `await future`, see `dart.thenable`.
+  _Future() {
+    JS('', 'dart.thenable(#)', this);
+  }
 
   /// Valid types for value: `T` or `Future<T>`.
   _Future.immediate(value) {
+    JS('', 'dart.thenable(#)', this);
     _asyncComplete(value);
   }
 
   _Future.immediateError(var error, [StackTrace stackTrace]) {
+    JS('', 'dart.thenable(#)', this);
     _asyncCompleteError(error, stackTrace);
   }
 
@@ -715,7 +715,7 @@ abstract class _JsonStringifier {
   }
 
   /** Serializes a [Map]. */
-  void writeMap(Map<String, Object> map) {
+  void writeMap(Map map) {
     writeString('{');
     String separator = '"';
     map.forEach((String key, value) {
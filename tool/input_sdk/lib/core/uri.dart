@@ -2163,7 +2163,7 @@ class Uri {
   // be escaped or not.
 
   // The unreserved characters of RFC 3986.
-  static const _unreservedTable = const [
+  static const _unreservedTable = const <int>[
                 //             LSB            MSB
                 //              |              |
       0x0000,   // 0x00 - 0x0f  0000000000000000
@@ -2182,7 +2182,7 @@ class Uri {
       0x47ff];  // 0x70 - 0x7f  1111111111100010
 
   // The unreserved characters of RFC 2396.
-  static const _unreserved2396Table = const [
+  static const _unreserved2396Table = const <int>[
                 //             LSB            MSB
                 //              |              |
       0x0000,   // 0x00 - 0x0f  0000000000000000
@@ -2201,7 +2201,7 @@ class Uri {
       0x47ff];  // 0x70 - 0x7f  1111111111100010
 
   // Table of reserved characters specified by ECMAScript 5.
-  static const _encodeFullTable = const [
+  static const _encodeFullTable = const <int>[
                 //             LSB            MSB
                 //              |              |
       0x0000,   // 0x00 - 0x0f  0000000000000000
@@ -2220,7 +2220,7 @@ class Uri {
       0x47ff];  // 0x70 - 0x7f  1111111111100010
 
   // Characters allowed in the scheme.
-  static const _schemeTable = const [
+  static const _schemeTable = const <int>[
                 //             LSB            MSB
                 //              |              |
       0x0000,   // 0x00 - 0x0f  0000000000000000
@@ -2239,7 +2239,7 @@ class Uri {
       0x07ff];  // 0x70 - 0x7f  1111111111100010
 
   // Characters allowed in scheme except for upper case letters.
-  static const _schemeLowerTable = const [
+  static const _schemeLowerTable = const <int>[
                 //             LSB            MSB
                 //              |              |
       0x0000,   // 0x00 - 0x0f  0000000000000000
@@ -2262,7 +2262,7 @@ class Uri {
   //             / "*" / "+" / "," / ";" / "="
   // RFC 3986 section 2.3.
   // unreserved  = ALPHA / DIGIT / "-" / "." / "_" / "~"
-  static const _subDelimitersTable = const [
+  static const _subDelimitersTable = const <int>[
                 //             LSB            MSB
                 //              |              |
       0x0000,   // 0x00 - 0x0f  0000000000000000
@@ -2283,7 +2283,7 @@ class Uri {
   // General delimiter characters, RFC 3986 section 2.2.
   // gen-delims  = ":" / "/" / "?" / "#" / "[" / "]" / "@"
   //
-  static const _genDelimitersTable = const [
+  static const _genDelimitersTable = const <int>[
                 //             LSB            MSB
                 //              |              |
       0x0000,   // 0x00 - 0x0f  0000000000000000
@@ -2304,7 +2304,7 @@ class Uri {
   // Characters allowed in the userinfo as of RFC 3986.
   // RFC 3986 Apendix A
   // userinfo = *( unreserved / pct-encoded / sub-delims / ':')
-  static const _userinfoTable = const [
+  static const _userinfoTable = const <int>[
                 //             LSB            MSB
                 //              |              |
       0x0000,   // 0x00 - 0x0f  0000000000000000
@@ -2325,7 +2325,7 @@ class Uri {
   // Characters allowed in the reg-name as of RFC 3986.
   // RFC 3986 Apendix A
   // reg-name = *( unreserved / pct-encoded / sub-delims )
-  static const _regNameTable = const [
+  static const _regNameTable = const <int>[
                 //             LSB            MSB
                 //              |              |
       0x0000,   // 0x00 - 0x0f  0000000000000000
@@ -2346,7 +2346,7 @@ class Uri {
   // Characters allowed in the path as of RFC 3986.
   // RFC 3986 section 3.3.
   // pchar = unreserved / pct-encoded / sub-delims / ":" / "@"
-  static const _pathCharTable = const [
+  static const _pathCharTable = const <int>[
                 //             LSB            MSB
                 //              |              |
       0x0000,   // 0x00 - 0x0f  0000000000000000
@@ -2366,7 +2366,7 @@ class Uri {
 
   // Characters allowed in the path as of RFC 3986.
   // RFC 3986 section 3.3 *and* slash.
-  static const _pathCharOrSlashTable = const [
+  static const _pathCharOrSlashTable = const <int>[
                 //             LSB            MSB
                 //              |              |
       0x0000,   // 0x00 - 0x0f  0000000000000000
@@ -2388,7 +2388,7 @@ class Uri {
   // Characters allowed in the query as of RFC 3986.
   // RFC 3986 section 3.4.
   // query = *( pchar / "/" / "?" )
-  static const _queryCharTable = const [
+  static const _queryCharTable = const <int>[
                 //             LSB            MSB
                 //              |              |
       0x0000,   // 0x00 - 0x0f  0000000000000000
@@ -84,10 +84,21 @@
  * This expression creates a JavaScript array:
  *
  *     var jsArray = new JsObject.jsify([1, 2, 3]);
+ *
+ * ## Converting data with jsify() and dartify()
+ *
+ * The top-level functions [jsify] and [dartify] deeply convert a tree of
+ * data, such as parsed JSON, between Dart and JavaScript values, without
+ * proxies:
+ *
+ *     var config = jsify({'retries': 3, 'hosts': ['a', 'b']});
+ *     context['library'].callMethod('configure', [config]);
+ *
+ *     Map result = dartify(context['JSON'].callMethod('parse', [text]));
  */
 library dart.js;
 
-import 'dart:collection' show HashMap, ListMixin;
+import 'dart:collection' show HashMap, ListMixin, MapBase, SetBase;
 
 import 'dart:_interceptors' as _interceptors show JSArray;
 import 'dart:_js_helper' show JsName, Primitives;
@@ -429,14 +440,302 @@ class JsArray<E> extends JsObject with ListMixin<E> {
   }
 }
 
-bool _isBrowserType(o) => JS('bool',
-    '# instanceof Blob || '
-    '# instanceof Event || '
-    '(window.KeyRange && # instanceof KeyRange) || '
-    '# instanceof ImageData || '
-    '# instanceof Node || '
-    '(window.TypedData && # instanceof TypedData) || '
-    '# instanceof Window', o, o, o, o, o, o, o);
+/**
+ * Converts [data], a tree of Dart values, to JavaScript values.
+ *
+ * [Map]s become plain JavaScript objects, or ES6 Maps if they have keys that
+ * are not Strings.  [Set]s become ES6 Sets, other [Iterable]s become arrays,
+ * and [DateTime]s become Dates.  Primitives and typed data are the same in
+ * Dart and JavaScript, a [JsObject] becomes the object it proxies, and other
+ * values are converted as when they are passed to a [JsObject].
+ *
+ * The tree may have cycles: an object that is reached more than once is
+ * converted once.  Unless [copy] is false, the result shares no collections or
+ * typed data with [data].  If it is false, Lists and typed data, which are
+ * JavaScript arrays and typed arrays, are returned as live views, without
+ * converting their elements, and so are the views made by [dartify], which
+ * become the JavaScript values they view.
+ */
+dynamic jsify(Object data, {bool copy: true}) {
+  var converted = JS('', 'new Map()');
+
+  convert(Object o) {
+    if (o == null || o is String || o is num || o is bool) return o;
+    if (_isTypedData(o)) return copy ? _copyTypedData(o) : o;
+    if (o is DateTime) return JS('', 'new Date(#)', o.millisecondsSinceEpoch);
+    if (o is JsObject) return o._jsObject;
+    if (o is List && !copy) return o;
+    if (o is _JsView && !copy) return o._jsValue;
+    if (JS('bool', '#.has(#)', converted, o)) {
+      return JS('', '#.get(#)', converted, o);
+    }
+    if (o is Map) {
+      if (o.keys.every((key) => key is String)) {
+        var object = JS('', '{}');
+        JS('', '#.set(#, #)', converted, o, object);
+        o.forEach((key, value) {
+          JS('', '#[#] = #', object, key, convert(value));
+        });
+        return object;
+      }
+      var map = JS('', 'new Map()');
+      JS('', '#.set(#, #)', converted, o, map);
+      o.forEach((key, value) {
+        JS('', '#.set(#, #)', map, convert(key), convert(value));
+      });
+      return map;
+    }
+    if (o is Set) {
+      var set = JS('', 'new Set()');
+      JS('', '#.set(#, #)', converted, o, set);
+      for (var element in o) JS('', '#.add(#)', set, convert(element));
+      return set;
+    }
+    if (o is Iterable) {
+      var array = [];
+      JS('', '#.set(#, #)', converted, o, array);
+      for (var element in o) array.add(convert(element));
+      return array;
+    }
+    return _convertToJS(o);
+  }
+
+  return convert(data);
+}
+
+/**
+ * Converts [data], a tree of JavaScript values, to Dart values; the inverse of
+ * [jsify].
+ *
+ * Plain JavaScript objects become `Map<String, dynamic>`s, ES6 Maps and Sets
+ * become [Map]s and [Set]s, arrays become [List]s, and Dates become
+ * [DateTime]s.  Primitives, typed data and Dart objects are returned as they
+ * are, the object proxied by a [JsObject] is converted, and other values are
+ * converted as when they are returned from a [JsObject].
+ *
+ * The tree may have cycles.  Unless [copy] is false, the result shares no
+ * collections or typed data with [data].  If it is false, arrays and typed
+ * data are returned as they are, without converting their elements, and
+ * plain objects, ES6 Maps and Sets become live views: [Map]s and [Set]s that
+ * read and write the JavaScript value, and convert each key, value or element
+ * with `copy: false` as it passes through.  Dates are always copied, as
+ * [DateTime]s can't change.
+ */
+Object dartify(Object data, {bool copy: true}) {
+  var converted = JS('', 'new Map()');
+
+  convert(o) {
+    if (o is JsObject) return convert(o._jsObject);
+    if (JS('bool', '# instanceof Date', o)) {
+      var ms = JS('num', '#.getTime()', o);
+      return new DateTime.fromMillisecondsSinceEpoch(ms);
+    }
+    if (_isTypedData(o)) return copy ? _copyTypedData(o) : o;
+    if (!copy) {
+      if (JS('bool', 'Array.isArray(#)', o)) return o;
+      if (JS('bool', '# instanceof Map', o)) {
+        return _putIfAbsent(_views, o, (o) => new _JsMapView(o));
+      }
+      if (JS('bool', '# instanceof Set', o)) {
+        return _putIfAbsent(_views, o, (o) => new _JsSetView(o));
+      }
+      if (_isPlainObject(o)) {
+        return _putIfAbsent(_views, o, (o) => new _JsObjectMapView(o));
+      }
+    }
+    if (JS('bool', '#.has(#)', converted, o)) {
+      return JS('', '#.get(#)', converted, o);
+    }
+    if (JS('bool', 'Array.isArray(#)', o)) {
+      var list = [];
+      JS('', '#.set(#, #)', converted, o, list);
+      for (var i = 0; i < JS('int', '#.length', o); i++) {
+        list.add(convert(JS('', '#[#]', o, i)));
+      }
+      return list;
+    }
+    if (JS('bool', '# instanceof Map', o)) {
+      var map = new Map();
+      JS('', '#.set(#, #)', converted, o, map);
+      JS('', '#.forEach(#)', o, (value, key) {
+        map[convert(key)] = convert(value);
+      });
+      return map;
+    }
+    if (JS('bool', '# instanceof Set', o)) {
+      var set = new Set();
+      JS('', '#.set(#, #)', converted, o, set);
+      JS('', '#.forEach(#)', o, (element) {
+        set.add(convert(element));
+      });
+      return set;
+    }
+    if (_isPlainObject(o)) {
+      var map = new Map<String, dynamic>();
+      JS('', '#.set(#, #)', converted, o, map);
+      for (var key in JS('', 'Object.keys(#)', o)) {
+        map[key] = convert(JS('', '#[#]', o, key));
+      }
+      return map;
+    }
+    if (JS('bool', '# instanceof #', o, Object)) return o;
+    return _convertToDart(o);
+  }
+
+  return convert(data);
+}
+
+// The views made by dartify() with `copy: false`, by the value they view, so
+// that a value reached more than once has one view.
+final _views = JS('', 'new WeakMap()');
+
+// A view made by dartify() of [_jsValue], a JavaScript value.
+abstract class _JsView {
+  get _jsValue;
+}
+
+/// A live [Map] view of a plain JavaScript object.
+class _JsObjectMapView extends MapBase<String, dynamic> implements _JsView {
+  final _jsValue;
+
+  _JsObjectMapView(this._jsValue);
+
+  operator [](Object key) => containsKey(key)
+      ? dartify(JS('', '#[#]', _jsValue, key), copy: false)
+      : null;
+
+  void operator []=(String key, value) {
+    JS('', '#[#] = #', _jsValue, key, jsify(value, copy: false));
+  }
+
+  bool containsKey(Object key) => key is String &&
+      JS('bool', 'Object.prototype.hasOwnProperty.call(#, #)', _jsValue, key);
+
+  Iterable<String> get keys =>
+      new List<String>.from(JS('List', 'Object.keys(#)', _jsValue));
+
+  remove(Object key) {
+    if (!containsKey(key)) return null;
+    var value = this[key];
+    JS('', 'delete #[#]', _jsValue, key);
+    return value;
+  }
+
+  void clear() {
+    for (var key in keys) JS('', 'delete #[#]', _jsValue, key);
+  }
+}
+
+/// A live [Map] view of an ES6 Map.
+class _JsMapView extends MapBase implements _JsView {
+  final _jsValue;
+
+  _JsMapView(this._jsValue);
+
+  operator [](Object key) => containsKey(key)
+      ? dartify(JS('', '#.get(#)', _jsValue, jsify(key, copy: false)),
+          copy: false)
+      : null;
+
+  void operator []=(key, value) {
+    JS('', '#.set(#, #)', _jsValue, jsify(key, copy: false),
+        jsify(value, copy: false));
+  }
+
+  bool containsKey(Object key) =>
+      JS('bool', '#.has(#)', _jsValue, jsify(key, copy: false));
+
+  int get length => JS('int', '#.size', _jsValue);
+
+  Iterable get keys => JS('List', 'Array.from(#.keys())', _jsValue)
+      .map((key) => dartify(key, copy: false));
+
+  remove(Object key) {
+    if (!containsKey(key)) return null;
+    var value = this[key];
+    JS('', '#.delete(#)', _jsValue, jsify(key, copy: false));
+    return value;
+  }
+
+  void clear() {
+    JS('', '#.clear()', _jsValue);
+  }
+}
+
+/// A live [Set] view of an ES6 Set.
+class _JsSetView extends SetBase implements _JsView {
+  final _jsValue;
+
+  _JsSetView(this._jsValue);
+
+  bool add(value) {
+    if (contains(value)) return false;
+    JS('', '#.add(#)', _jsValue, jsify(value, copy: false));
+    return true;
+  }
+
+  bool contains(Object element) =>
+      JS('bool', '#.has(#)', _jsValue, jsify(element, copy: false));
+
+  lookup(Object element) => contains(element) ? element : null;
+
+  bool remove(Object element) =>
+      JS('bool', '#.delete(#)', _jsValue, jsify(element, copy: false));
+
+  Iterator get iterator => JS('List', 'Array.from(#)', _jsValue)
+      .map((element) => dartify(element, copy: false))
+      .iterator;
+
+  int get length => JS('int', '#.size', _jsValue);
+
+  Set toSet() => new Set.from(this);
+}
+
+// Typed data in Dart are JavaScript's ArrayBuffers, typed arrays and
+// DataViews.
+bool _isTypedData(o) =>
+    JS('bool', '# instanceof ArrayBuffer || ArrayBuffer.isView(#)', o, o);
+
+dynamic _copyTypedData(o) {
+  if (JS('bool', '# instanceof ArrayBuffer', o)) {
+    return JS('', '#.slice(0)', o);
+  }
+  if (JS('bool', '# instanceof DataView', o)) {
+    return JS('', 'new DataView(#.buffer.slice(#.byteOffset, '
+        '#.byteOffset + #.byteLength))', o, o, o, o);
+  }
+  return JS('', '#.slice()', o);
+}
+
+// Whether [o] is an object literal, or was created by `Object.create(null)`.
+bool _isPlainObject(o) {
+  if (JS('bool', 'typeof # != "object" || # == null', o, o)) return false;
+  var proto = JS('', 'Object.getPrototypeOf(#)', o);
+  return JS('bool', '# === Object.prototype || # === null', proto, proto);
+}
+
+// The browser types that are passed between Dart and JS as they are, by
+// their names in the global object.  Outside of a browser, in Node or a Web
+// Worker, some or all of them are not defined.
+const _browserTypeNames = const <String>[
+  'Blob',
+  'Event',
+  'KeyRange',
+  'ImageData',
+  'Node',
+  'TypedData',
+  'Window'
+];
+
+bool _isBrowserType(o) {
+  for (var name in _browserTypeNames) {
+    var type = JS('', 'dart.global[#]', name);
+    if (JS('bool', 'typeof # == "function" && # instanceof #', type, o, type)) {
+      return true;
+    }
+  }
+  return false;
+}
 
 class _DartObject {
   final _dartObj;
@@ -28,14 +28,14 @@ class _AsyncRun {
       _initializeScheduleImmediate();
 
   static Function _initializeScheduleImmediate() {
-    if (JS('', 'self.scheduleImmediate') != null) {
+    if (JS('', 'dart.global.scheduleImmediate') != null) {
       return _scheduleImmediateJsOverride;
     }
-    if (JS('', 'self.MutationObserver') != null &&
-        JS('', 'self.document') != null) {
+    if (JS('', 'dart.global.MutationObserver') != null &&
+        JS('', 'dart.global.document') != null) {
       // Use mutationObservers.
-      var div = JS('', 'self.document.createElement("div")');
-      var span = JS('', 'self.document.createElement("span")');
+      var div = JS('', 'dart.global.document.createElement("div")');
+      var span = JS('', 'dart.global.document.createElement("span")');
       var storedCallback;
 
       internalCallback(_) {
@@ -45,7 +45,8 @@ class _AsyncRun {
         f();
       };
 
-      var observer = JS('', 'new self.MutationObserver(#)', internalCallback);
+      var observer =
+          JS('', 'new dart.global.MutationObserver(#)', internalCallback);
       JS('', '#.observe(#, { childList: true })',
           observer, div);
 
@@ -59,7 +60,7 @@ class _AsyncRun {
         JS('', '#.firstChild ? #.removeChild(#): #.appendChild(#)',
             div, div, span, div, span);
       };
-    } else if (JS('', 'self.setImmediate') != null) {
+    } else if (JS('', 'dart.global.setImmediate') != null) {
       return _scheduleImmediateWithSetImmediate;
     }
     // TODO(20055): We should use DOM promises when available.
@@ -72,7 +73,7 @@ class _AsyncRun {
       callback();
     };
     enterJsAsync();
-    JS('void', 'self.scheduleImmediate(#)', internalCallback);
+    JS('void', 'dart.global.scheduleImmediate(#)', internalCallback);
   }
 
   static void _scheduleImmediateWithSetImmediate(void callback()) {
@@ -81,7 +82,7 @@ class _AsyncRun {
       callback();
     };
     enterJsAsync();
-    JS('void', 'self.setImmediate(#)', internalCallback);
+    JS('void', 'dart.global.setImmediate(#)', internalCallback);
   }
 
   static void _scheduleImmediateWithTimer(void callback()) {
@@ -51,8 +51,14 @@ class Function {
   static apply(Function f,
                List positionalArguments,
                [Map<Symbol, dynamic> namedArguments]) {
-    // TODO(vsm): Handle named args.
-    // See: https://github.com/dart-lang/dev_compiler/issues/176
+    if (namedArguments != null && namedArguments.isNotEmpty) {
+      var named = JS('', '{}');
+      namedArguments.forEach((symbol, value) {
+        JS('', '#[#] = #', named, _symbolToString(symbol), value);
+      });
+      return JS('', 'dart.dcall.apply(null, [#].concat(#, [dart.namedArgs(#)]))',
+          f, positionalArguments, named);
+    }
     return JS('', 'dart.dcall.apply(null, [#].concat(#))', f, positionalArguments);
   }
 
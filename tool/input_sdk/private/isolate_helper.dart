@@ -429,8 +429,8 @@ class _IsolateContext implements IsolateContext {
         // don't print it.
         return;
       }
-      if (JS('bool', 'self.console && self.console.error')) {
-        JS('void', 'self.console.error(#, #)', error, stackTrace);
+      if (JS('bool', 'dart.global.console && dart.global.console.error')) {
+        JS('void', 'dart.global.console.error(#, #)', error, stackTrace);
       } else {
         print(error);
         if (stackTrace != null) print(stackTrace);
@@ -906,7 +906,7 @@ class IsolateNatives {
   }
 
   static void _consoleLog(msg) {
-    JS("void", r"self.console.log(#)", msg);
+    JS("void", r"dart.global.console.log(#)", msg);
   }
 
   static _getJSFunctionFromName(String functionName) {
@@ -1371,8 +1371,8 @@ class TimerImpl implements Timer {
 
       enterJsAsync();
 
-      _handle = JS(
-          'int', 'self.setTimeout(#, #)', internalCallback, milliseconds);
+      _handle = JS('int', 'dart.global.setTimeout(#, #)',
+          internalCallback, milliseconds);
     } else {
       assert(milliseconds > 0);
       throw new UnsupportedError("Timer greater than 0.");
@@ -1383,7 +1383,7 @@ class TimerImpl implements Timer {
       : _once = false {
     if (hasTimer()) {
       enterJsAsync();
-      _handle = JS('int', 'self.setInterval(#, #)',
+      _handle = JS('int', 'dart.global.setInterval(#, #)',
           () { callback(this); }, milliseconds);
     } else {
       throw new UnsupportedError("Periodic timer.");
@@ -1398,9 +1398,9 @@ class TimerImpl implements Timer {
       if (_handle == null) return;
       leaveJsAsync();
       if (_once) {
-        JS('void', 'self.clearTimeout(#)', _handle);
+        JS('void', 'dart.global.clearTimeout(#)', _handle);
       } else {
-        JS('void', 'self.clearInterval(#)', _handle);
+        JS('void', 'dart.global.clearInterval(#)', _handle);
       }
       _handle = null;
     } else {
@@ -1412,7 +1412,7 @@ class TimerImpl implements Timer {
 }
 
 bool hasTimer() {
-  return JS('', 'self.setTimeout') != null;
+  return JS('', 'dart.global.setTimeout') != null;
 }
 
 
@@ -36,6 +36,13 @@ class JSArray<E> implements List<E>, JSIndexable {
     return list;
   }
 
+  checkMutable(reason) {
+    // Set on canonical constant lists, see `dart.const`.
+    if (JS('bool', r'#.immutable$list', this)) {
+      throw new UnsupportedError(reason);
+    }
+  }
+
   checkGrowable(reason) {
     if (JS('bool', r'#.fixed$length', this)) {
       throw new UnsupportedError(reason);
@@ -71,6 +78,7 @@ class JSArray<E> implements List<E>, JSIndexable {
   }
 
   void setAll(int index, Iterable<E> iterable) {
+    checkMutable('setAll');
     IterableMixinWorkaround.setAllList(this, index, iterable);
   }
 
@@ -239,14 +247,17 @@ class JSArray<E> implements List<E>, JSIndexable {
   }
 
   void setRange(int start, int end, Iterable<E> iterable, [int skipCount = 0]) {
+    checkMutable('set range');
     IterableMixinWorkaround.setRangeList(this, start, end, iterable, skipCount);
   }
 
   void fillRange(int start, int end, [E fillValue]) {
+    checkMutable('fill range');
     IterableMixinWorkaround.fillRangeList(this, start, end, fillValue);
   }
 
   void replaceRange(int start, int end, Iterable<E> iterable) {
+    checkMutable('replace range');
     IterableMixinWorkaround.replaceRangeList(this, start, end, iterable);
   }
 
@@ -258,10 +269,12 @@ class JSArray<E> implements List<E>, JSIndexable {
       new IterableMixinWorkaround<E>().reversedList(this);
 
   void sort([int compare(E a, E b)]) {
+    checkMutable('sort');
     IterableMixinWorkaround.sortList(this, compare);
   }
 
   void shuffle([Random random]) {
+    checkMutable('shuffle');
     IterableMixinWorkaround.shuffleList(this, random);
   }
 
@@ -315,6 +328,7 @@ class JSArray<E> implements List<E>, JSIndexable {
 
   void operator []=(int index, E value) {
     if (index is !int) throw new ArgumentError(index);
+    checkMutable('indexed set');
     if (index >= length || index < 0) throw new RangeError.value(index);
     JS('void', r'#[#] = #', this, index, value);
   }
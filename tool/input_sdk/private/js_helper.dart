@@ -30,6 +30,10 @@ const _Patch patch = const _Patch();
 abstract class InternalMap {
 }
 
+/// Identity hash codes, kept outside of the objects so that frozen objects
+/// such as canonical constants can be hashed too.
+final _identityHashes = JS('', 'new WeakMap()');
+
 class Primitives {
   /// Isolate-unique ID for caching [JsClosureMirror.function].
   /// Note the initial value is used by the first isolate (or if there are no
@@ -52,10 +56,10 @@ class Primitives {
   }
 
   static int objectHashCode(object) {
-    int hash = JS('int|Null', r'#.$identityHash', object);
+    int hash = JS('int|Null', r'#.get(#)', _identityHashes, object);
     if (hash == null) {
       hash = JS('int', '(Math.random() * 0x3fffffff) | 0');
-      JS('void', r'#.$identityHash = #', object, hash);
+      JS('void', r'#.set(#, #)', _identityHashes, object, hash);
     }
     return JS('int', '#', hash);
   }
@@ -565,6 +569,7 @@ class _StackTrace implements StackTrace {
     if (JS('bool', 'typeof # === "object"', _exception)) {
       trace = JS("String|Null", r"#.stack", _exception);
     }
+    if (trace != null) trace = JS('String', 'dart.mapStackTrace(#)', trace);
     return _trace = (trace == null) ? '' : trace;
   }
 }
@@ -734,6 +739,40 @@ class CastErrorImplementation extends Error implements CastError {
   String toString() => message;
 }
 
+/**
+ * Error thrown when null is cast to a non-nullable type.
+ */
+class NullCastErrorImplementation extends Error implements CastError {
+  /** The non-nullable type that was expected. */
+  final Object expectedType;
+
+  /** The location of the failed cast in the generated code, if known. */
+  final String callSite;
+
+  NullCastErrorImplementation(this.expectedType, this.callSite);
+
+  String toString() {
+    var site = callSite != null ? " at $callSite" : "";
+    return "CastError: Casting null to non-nullable type $expectedType$site";
+  }
+}
+
+/**
+ * The [Invocation] passed to `noSuchMethod` when a dynamic access finds no
+ * such member on the receiver.
+ */
+class InvocationImpl extends Invocation {
+  final Symbol memberName;
+  final List positionalArguments;
+  final Map<Symbol, dynamic> namedArguments;
+  final bool isMethod;
+  final bool isGetter;
+  final bool isSetter;
+
+  InvocationImpl(this.memberName, this.positionalArguments,
+      this.namedArguments, this.isMethod, this.isGetter, this.isSetter);
+}
+
 class FallThroughErrorImplementation extends FallThroughError {
   FallThroughErrorImplementation();
   String toString() => "Switch case fall-through.";
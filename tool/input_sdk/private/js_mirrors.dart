@@ -11,76 +11,196 @@ import 'dart:_internal' as _internal;
 String getName(Symbol symbol) =>
     _internal.Symbol.getName(symbol as _internal.Symbol);
 
-Symbol getSymbol(name, library) =>
-    throw new UnimplementedError("MirrorSystem.getSymbol unimplemented");
+Symbol getSymbol(name, library) => new _internal.Symbol.unvalidated(name);
 
-final currentJsMirrorSystem = throw new UnimplementedError(
-    "MirrorSystem.currentJsMirrorSystem unimplemented");
+final currentJsMirrorSystem = new JsMirrorSystem._();
 
 InstanceMirror reflect(reflectee) => new JsInstanceMirror._(reflectee);
 
 TypeMirror reflectType(Type key) {
-  // TODO(vsm): Might not be a class.
+  // Classes are JS constructors.  Other types, such as function types and
+  // `dynamic`, are reflected as plain type mirrors.
+  if (JS('bool', 'typeof # != "function"', key)) return new JsTypeMirror._(key);
   return new JsClassMirror._(key);
 }
 
 final dynamic _dart = JS('', 'dart');
 final _metadata = JS('', '#.metadata', _dart);
+final dynamic _dartLibrary = JS('', 'dart_library');
 
-dynamic _dload(obj, String name) {
+dynamic _dload(obj, name) {
   return JS('', '#.dload(#, #)', _dart, obj, name);
 }
 
-void _dput(obj, String name, val) {
+void _dput(obj, name, val) {
   JS('', '#.dput(#, #, #)', _dart, obj, name, val);
 }
 
-dynamic _dsend(obj, String name, List args) {
+dynamic _dsend(obj, name, List args) {
   return JS('', '#.dsend(#, #, ...#)', _dart, obj, name, args);
 }
 
+bool _isDefined(value) => JS('bool', '# !== void 0', value);
+
+/// Whether [value], an export of a library, is a class or a typedef.  Only
+/// classes with members have a signature, which is what tags them as types.
+bool _isType(value) =>
+    value != null &&
+    (JS('bool', '#.isDartType(#)', _dart, value) ||
+        JS('bool', 'typeof # == "function" && (# === # || #.isPrototypeOf(#))',
+            value, value, Object, Object, value));
+
+/// The annotations recorded on a class or top-level function [obj].
+List<InstanceMirror> _metadataOf(obj) {
+  var fn = JS('Function', '#[dart.metadata]', obj);
+  return (fn == null)
+      ? <InstanceMirror>[]
+      : new List<InstanceMirror>.from(
+          fn().map((i) => new JsInstanceMirror._(i)));
+}
+
+dynamic _ownProperty(obj, String name) =>
+    JS('', 'Object.getOwnPropertyDescriptor(#, #)', obj, name);
+
+/// The libraries loaded so far, in the order they were loaded, other than
+/// the runtime's own modules.
+List<JsLibraryMirror> _loadedLibraries() {
+  List libraries = JS('', '#.loadedLibraries()', _dartLibrary);
+  return new List<JsLibraryMirror>.from(libraries
+      .where((library) =>
+          !JS('String', '#.name', library).startsWith('dart_runtime/'))
+      .map((library) => new JsLibraryMirror._(library)));
+}
+
+/// The URI of the library in the module [name]: `dart:x` for the module
+/// `dart/x`.  Other modules are named after the path of the Dart file they
+/// were compiled from, relative to the input directory or to `packages/`.
+Uri _libraryUri(String name) {
+  if (name.startsWith('dart/')) {
+    return new Uri(scheme: 'dart', path: name.substring(5));
+  }
+  return Uri.parse('$name.dart');
+}
+
+Symbol _qualify(DeclarationMirror owner, Symbol name) {
+  if (owner == null) return name;
+  return new _internal.Symbol.unvalidated(
+      '${getName(owner.qualifiedName)}.${getName(name)}');
+}
+
+bool _isPrivate(Symbol symbol) => getName(symbol).startsWith('_');
+
+bool _isSubtype(TypeMirror t1, TypeMirror t2) =>
+    t1.hasReflectedType &&
+    t2.hasReflectedType &&
+    JS('bool', '#.isSubtype(#, #)', _dart, t1.reflectedType, t2.reflectedType);
+
+final _operatorPattern = new RegExp('^${_internal.Symbol.operatorRE}\$');
+
+/// The JS name of the member called [name] in Dart.
+String _jsMemberName(String name) {
+  if (name == '[]') return 'get';
+  if (name == '[]=') return 'set';
+  return name;
+}
+
+/// The Dart name of the member called [name] in JS.  Private members are
+/// named by JS symbols, which are made from their Dart names.
+String _dartName(name) => JS('bool', 'typeof # == "symbol"', name)
+    ? JS('String', '#.toString().slice("Symbol(".length, -1)', name)
+    : name;
+
+/// The JS name of the member [symbol] of [cls]: the JS symbol that names it
+/// if it is private and declared by [cls] or a superclass, or else its name.
+dynamic _jsName(ClassMirror cls, Symbol symbol) {
+  if (_isPrivate(symbol)) {
+    for (var c = cls; c != null; c = c.superclass) {
+      var declaration = c.declarations[symbol];
+      if (declaration is JsVariableMirror) return declaration._name;
+      if (declaration is JsMethodMirror) return declaration._name;
+    }
+  }
+  return _jsMemberName(getName(symbol));
+}
+
+/// The symbol of the member called [name] in JS, followed by [suffix].
+Symbol _memberSymbol(name, [String suffix = '']) =>
+    new _internal.Symbol.unvalidated('${_dartName(name)}$suffix');
+
+/// The Dart name of the method called [name] in JS.
+String _dartMethodName(name) {
+  if (JS('bool', 'typeof # == "symbol"', name)) return _dartName(name);
+  if (name == 'get') return '[]';
+  if (name == 'set') return '[]=';
+  if (name == '+constructor' || name == '+prototype') return name.substring(1);
+  return name;
+}
+
+// The members of [obj] are named by their JS [name]s, see [_jsName].
+InstanceMirror _getField(obj, name) {
+  var field = _dload(obj, name);
+  return new JsInstanceMirror._(field);
+}
+
+InstanceMirror _setField(obj, name, Object value) {
+  _dput(obj, name, value);
+  return new JsInstanceMirror._(value);
+}
+
+InstanceMirror _invoke(obj, name, List args, Map<Symbol, dynamic> namedArgs) {
+  if (namedArgs != null) {
+    args = new List.from(args);
+    args.add(JS('', '#.namedArgs(#)', _dart, _toJsMap(namedArgs)));
+  }
+  var result = _dsend(obj, name, args);
+  return new JsInstanceMirror._(result);
+}
+
+dynamic _toJsMap(Map<Symbol, dynamic> map) {
+  var obj = JS('', '{}');
+  map.forEach((Symbol key, value) {
+    JS('', '#[#] = #', obj, getName(key), value);
+  });
+  return obj;
+}
+
 class JsInstanceMirror implements InstanceMirror {
   final Object reflectee;
 
   JsInstanceMirror._(this.reflectee);
 
   ClassMirror get type =>
-      throw new UnimplementedError("ClassMirror.type unimplemented");
-  bool get hasReflectee =>
-      throw new UnimplementedError("ClassMirror.hasReflectee unimplemented");
-  delegate(Invocation invocation) =>
-      throw new UnimplementedError("ClassMirror.delegate unimplemented");
-
-  InstanceMirror getField(Symbol symbol) {
-    var name = getName(symbol);
-    var field = _dload(reflectee, name);
-    return new JsInstanceMirror._(field);
+      reflectType(JS('Type', '#.realRuntimeType(#)', _dart, reflectee));
+  bool get hasReflectee => true;
+
+  delegate(Invocation invocation) {
+    var name = getName(invocation.memberName);
+    if (invocation.isGetter) return getField(invocation.memberName).reflectee;
+    if (invocation.isSetter) {
+      // The name of a setter ends with `=`.
+      var value = invocation.positionalArguments[0];
+      setField(new _internal.Symbol.unvalidated(
+          name.substring(0, name.length - 1)), value);
+      return value;
+    }
+    return invoke(invocation.memberName, invocation.positionalArguments,
+        invocation.namedArguments).reflectee;
   }
 
-  InstanceMirror setField(Symbol symbol, Object value) {
-    var name = getName(symbol);
-    _dput(reflectee, name, value);
-    return new JsInstanceMirror._(value);
-  }
+  InstanceMirror getField(Symbol symbol) =>
+      _getField(reflectee, _jsName(type, symbol));
+
+  InstanceMirror setField(Symbol symbol, Object value) =>
+      _setField(reflectee, _jsName(type, symbol), value);
 
   InstanceMirror invoke(Symbol symbol, List<dynamic> args,
-      [Map<Symbol, dynamic> namedArgs]) {
-    var name = getName(symbol);
-    if (namedArgs != null) {
-      args = new List.from(args);
-      args.add(_toJsMap(namedArgs));
-    }
-    var result = _dsend(reflectee, name, args);
-    return new JsInstanceMirror._(result);
-  }
+          [Map<Symbol, dynamic> namedArgs]) =>
+      _invoke(reflectee, _jsName(type, symbol), args, namedArgs);
 
-  dynamic _toJsMap(Map<Symbol, dynamic> map) {
-    var obj = JS('', '{}');
-    map.forEach((Symbol key, value) {
-      JS('', '#[#] = #', obj, getName(key), value);
-    });
-    return obj;
-  }
+  bool operator ==(other) =>
+      other is JsInstanceMirror && identical(reflectee, other.reflectee);
+
+  int get hashCode => identityHashCode(reflectee) ^ 0x36363636;
 }
 
 class JsClassMirror implements ClassMirror {
@@ -88,91 +208,266 @@ class JsClassMirror implements ClassMirror {
   final Symbol simpleName;
 
   List<InstanceMirror> _metadata;
-  Map<Symbol, MethodMirror> _declarations;
+  Map<Symbol, DeclarationMirror> _declarations;
 
   // TODO(vsm):These need to be immutable when escaping from this class.
   List<InstanceMirror> get metadata => _metadata;
-  Map<Symbol, MethodMirror> get declarations => _declarations;
+
+  /// The members this class declares itself, loaded on first use as their
+  /// types may refer back to this class.
+  ///
+  /// Abstract members have no signature, and are not reflected.
+  Map<Symbol, DeclarationMirror> get declarations {
+    if (_declarations == null) _declarations = _loadDeclarations();
+    return _declarations;
+  }
 
   JsClassMirror._(Type cls)
       : _cls = cls,
-        simpleName = new Symbol(JS('String', '#.name', cls)) {
+        simpleName = new _internal.Symbol.unvalidated(_className(cls)) {
     // Load metadata.
-    var fn = JS('Function', '#[dart.metadata]', _cls);
-    _metadata = (fn == null)
-        ? <InstanceMirror>[]
-        : new List<InstanceMirror>.from(
-            fn().map((i) => new JsInstanceMirror._(i)));
-
-    // Load declarations.
-    // TODO(vsm): This is only populating the default constructor right now.
-    _declarations = new Map<Symbol, MethodMirror>();
-    _declarations[simpleName] = new JsMethodMirror._(this, _cls);
+    _metadata = _metadataOf(_cls);
+  }
+
+  /// The name of [cls] in Dart.  Mixin applications are anonymous, so they
+  /// are named after their superclass and mixins.
+  static String _className(cls) {
+    List mixins = JS('', '#.getMixins(#)', _dart, cls);
+    if (mixins == null) return JS('String', '#.name', cls);
+    var superclass = JS('', '#.__proto__', cls);
+    return '${_className(superclass)} with ${mixins.map(_className).join(', ')}';
+  }
+
+  /// Calls [f] with the JS name and the type of each member this class
+  /// declares in the given [kind] of its signature.  The names of private
+  /// members are JS symbols.
+  void _forEachMember(String kind, void f(name, type)) {
+    var sig = JS('', '#.getOwnSignature(#, #)', _dart, _cls, kind);
+    List names = JS(
+        'List',
+        'Object.getOwnPropertyNames(#).concat('
+        'Object.getOwnPropertySymbols(#))',
+        sig,
+        sig);
+    for (var name in names) f(name, JS('', '#[#]', sig, name));
+  }
+
+  Map<Symbol, DeclarationMirror> _loadDeclarations() {
+    var declarations = new Map<Symbol, DeclarationMirror>();
+    void add(DeclarationMirror mirror) {
+      declarations[mirror.simpleName] = mirror;
+    }
+
+    var hasConstructors = false;
+    _forEachMember('constructors', (name, ftype) {
+      hasConstructors = true;
+      add(_constructor(name, ftype));
+    });
+    if (!hasConstructors && JS('', '#.getMixins(#)', _dart, _cls) == null) {
+      // The implicit default constructor has no signature.
+      add(_constructor(JS('String', '#.name', _cls), null));
+    }
+    _forEachMember('fields', (name, type) {
+      add(new JsVariableMirror._(this, name, type, isFinal: false));
+    });
+    var proto = JS('', '#.prototype', _cls);
+    _forEachMember('getters', (name, type) {
+      // Final fields are recorded as getters, but are stored on each
+      // instance rather than defined on the prototype.
+      if (JS('bool', '#.hasOwnProperty(#)', proto, name)) {
+        add(new JsMethodMirror._(this, name, _memberSymbol(name), type,
+            isGetter: true));
+      } else {
+        add(new JsVariableMirror._(this, name, type, isFinal: true));
+      }
+    });
+    _forEachMember('setters', (name, type) {
+      add(new JsMethodMirror._(this, name, _memberSymbol(name, '='), type,
+          isSetter: true));
+    });
+    _forEachMember('methods', (name, ftype) {
+      add(new JsMethodMirror._(this, name,
+          new _internal.Symbol.unvalidated(_dartMethodName(name)), ftype));
+    });
+    _forEachMember('statics', (name, ftype) {
+      add(new JsMethodMirror._(this, name, _memberSymbol(name), ftype,
+          isStatic: true));
+    });
+    return declarations;
+  }
+
+  JsMethodMirror _constructor(String name, ftype) {
+    var className = JS('String', '#.name', _cls);
+    // The unnamed constructor is named after the class, or `new` if it is a
+    // factory.
+    var constructorName = name == className || name == 'new' ? '' : name;
+    var simpleName =
+        constructorName == '' ? className : '$className.$constructorName';
+    return new JsMethodMirror._(
+        this, name, new _internal.Symbol.unvalidated(simpleName), ftype,
+        constructorName: new Symbol(constructorName),
+        isSynthetic: ftype == null);
+  }
+
+  Map<Symbol, MethodMirror> get instanceMembers {
+    var members = new Map<Symbol, MethodMirror>();
+    var superclass = this.superclass;
+    if (superclass != null) members.addAll(superclass.instanceMembers);
+    declarations.forEach((Symbol name, DeclarationMirror declaration) {
+      if (declaration is JsVariableMirror) {
+        // Fields are accessed through implicit getters and setters.
+        var field = declaration as JsVariableMirror;
+        members[name] = new JsMethodMirror._(
+            this, field._name, name, field._type,
+            isGetter: true, isSynthetic: true);
+        if (!field.isFinal) {
+          var setterName = _memberSymbol(field._name, '=');
+          members[setterName] = new JsMethodMirror._(
+              this, field._name, setterName, field._type,
+              isSetter: true, isSynthetic: true);
+        }
+      } else {
+        var method = declaration as JsMethodMirror;
+        if (!method.isStatic && !method.isConstructor) members[name] = method;
+      }
+    });
+    return members;
+  }
+
+  Map<Symbol, MethodMirror> get staticMembers {
+    var members = new Map<Symbol, MethodMirror>();
+    declarations.forEach((Symbol name, DeclarationMirror declaration) {
+      if (declaration is JsMethodMirror && declaration.isStatic) {
+        members[name] = declaration;
+      }
+    });
+    return members;
   }
 
   InstanceMirror newInstance(Symbol constructorName, List args,
       [Map<Symbol, dynamic> namedArgs]) {
-    // TODO(vsm): Support named constructors and named arguments.
-    assert(getName(constructorName) == "");
-    assert(namedArgs == null || namedArgs.isEmpty);
-    var instance = JS('', 'new #(...#)', _cls, args);
+    var name = getName(constructorName);
+    if (name == '') {
+      name = JS('bool', '#.hasOwnProperty("new")', _cls)
+          ? 'new'
+          : JS('String', '#.name', _cls);
+    }
+    if (namedArgs != null) {
+      // Constructors are called directly, so named arguments are passed as a
+      // plain object.
+      args = new List.from(args);
+      args.add(_toJsMap(namedArgs));
+    }
+    var instance;
+    if (!JS('bool', '#.prototype.hasOwnProperty(#)', _cls, name)) {
+      // A factory constructor is a static method.
+      instance = JS('', '#[#](...#)', _cls, name, args);
+    } else if (name == JS('String', '#.name', _cls)) {
+      instance = JS('', 'new #(...#)', _cls, args);
+    } else {
+      instance = JS('', 'new #[#](...#)', _cls, name, args);
+    }
     return new JsInstanceMirror._(instance);
   }
 
+  ClassMirror get superclass {
+    if (_cls == Object) return null;
+    var superclass = JS('', '#.__proto__', _cls);
+    // The root of a hierarchy of JS classes.
+    if (JS('bool', '# === Function.prototype', superclass)) return null;
+    return reflectType(superclass);
+  }
+
   List<ClassMirror> get superinterfaces {
-    var interfaces = JS('Function', '#[dart.implements]', _cls);
+    var interfaces = JS('Function', '#.getImplements(#)', _dart, _cls);
     if (interfaces == null) {
       return [];
     }
-    throw new UnimplementedError("ClassMirror.superinterfaces unimplemented");
+    return new List<ClassMirror>.from(interfaces().map(reflectType));
+  }
+
+  ClassMirror get mixin {
+    List mixins = JS('', '#.getMixins(#)', _dart, _cls);
+    if (mixins == null) return this;
+    return reflectType(mixins.last);
   }
 
-  // TODO(vsm): Implement
   InstanceMirror getField(Symbol fieldName) =>
-      throw new UnimplementedError("ClassMirror.getField unimplemented");
+      _getField(_cls, _jsName(this, fieldName));
+
+  InstanceMirror setField(Symbol fieldName, Object value) =>
+      _setField(_cls, _jsName(this, fieldName), value);
+
   InstanceMirror invoke(Symbol memberName, List positionalArguments,
-          [Map<Symbol, dynamic> namedArguments]) =>
-      throw new UnimplementedError("ClassMirror.invoke unimplemented");
+          [Map<Symbol, dynamic> namedArguments]) => _invoke(_cls,
+      _jsName(this, memberName), positionalArguments, namedArguments);
+
   bool isAssignableTo(TypeMirror other) =>
-      throw new UnimplementedError("ClassMirror.isAssignable unimplemented");
-  bool isSubclassOf(ClassMirror other) =>
-      throw new UnimplementedError("ClassMirror.isSubclassOf unimplemented");
-  bool isSubtypeOf(TypeMirror other) =>
-      throw new UnimplementedError("ClassMirror.isSubtypeOf unimplemented");
-  InstanceMirror setField(Symbol fieldName, Object value) =>
-      throw new UnimplementedError("ClassMirror.setField unimplemented");
-  bool get hasReflectedType => throw new UnimplementedError(
-      "ClassMirror.hasReflectedType unimplemented");
-  Map<Symbol, MethodMirror> get instanceMembers =>
-      throw new UnimplementedError("ClassMirror.instanceMembers unimplemented");
+      _isSubtype(this, other) || _isSubtype(other, this);
+
+  bool isSubtypeOf(TypeMirror other) => _isSubtype(this, other);
+
+  bool isSubclassOf(ClassMirror other) {
+    var original = other.originalDeclaration;
+    for (ClassMirror c = this; c != null; c = c.superclass) {
+      if (c.originalDeclaration == original ||
+          c.mixin.originalDeclaration == original) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  bool get hasReflectedType => true;
+  Type get reflectedType => _cls;
+
+  /// The generic class [_cls] is an instantiation of, if it is one.
+  Function get _genericClass =>
+      JS('', '#.getGenericClass(#)', _dart, _cls);
+
+  // The original declaration of a generic class is represented by its
+  // instantiation with `dynamic` type arguments.
+  TypeMirror get originalDeclaration {
+    var generic = _genericClass;
+    if (generic == null) return this;
+    return reflectType(JS('', '#()', generic));
+  }
+
+  bool get isOriginalDeclaration =>
+      _genericClass == null || JS('bool', '#() === #', _genericClass, _cls);
+
+  List<TypeMirror> get typeArguments {
+    if (isOriginalDeclaration) return <TypeMirror>[];
+    List args = JS('', '#.getGenericArgs(#)', _dart, _cls);
+    return new List<TypeMirror>.from(args.map(reflectType));
+  }
+
+  bool get isPrivate => _isPrivate(simpleName);
+  bool get isTopLevel => true;
+
+  /// The library that declares this class, found among the loaded libraries
+  /// by its name.
+  DeclarationMirror get owner {
+    var cls = (originalDeclaration as JsClassMirror)._cls;
+    var name = JS('String', '#.name', cls);
+    return _loadedLibraries().firstWhere(
+        (JsLibraryMirror library) => library._declares(name, cls),
+        orElse: () => null);
+  }
+
+  Symbol get qualifiedName => _qualify(owner, simpleName);
+
+  bool operator ==(other) => other is JsClassMirror && _cls == other._cls;
+  int get hashCode => _cls.hashCode;
+
+  // The compiler doesn't record whether a class is abstract or an enum, the
+  // names of its type parameters, or where it is declared.
   bool get isAbstract =>
       throw new UnimplementedError("ClassMirror.isAbstract unimplemented");
   bool get isEnum =>
       throw new UnimplementedError("ClassMirror.isEnum unimplemented");
-  bool get isOriginalDeclaration => throw new UnimplementedError(
-      "ClassMirror.isOriginalDeclaration unimplemented");
-  bool get isPrivate =>
-      throw new UnimplementedError("ClassMirror.isPrivate unimplemented");
-  bool get isTopLevel =>
-      throw new UnimplementedError("ClassMirror.isTopLevel unimplemented");
   SourceLocation get location =>
       throw new UnimplementedError("ClassMirror.location unimplemented");
-  ClassMirror get mixin =>
-      throw new UnimplementedError("ClassMirror.mixin unimplemented");
-  TypeMirror get originalDeclaration => throw new UnimplementedError(
-      "ClassMirror.originalDeclaration unimplemented");
-  DeclarationMirror get owner =>
-      throw new UnimplementedError("ClassMirror.owner unimplemented");
-  Symbol get qualifiedName =>
-      throw new UnimplementedError("ClassMirror.qualifiedName unimplemented");
-  Type get reflectedType =>
-      throw new UnimplementedError("ClassMirror.reflectedType unimplemented");
-  Map<Symbol, MethodMirror> get staticMembers =>
-      throw new UnimplementedError("ClassMirror.staticMembers unimplemented");
-  ClassMirror get superclass =>
-      throw new UnimplementedError("ClassMirror.superclass unimplemented");
-  List<TypeMirror> get typeArguments =>
-      throw new UnimplementedError("ClassMirror.typeArguments unimplemented");
   List<TypeVariableMirror> get typeVariables =>
       throw new UnimplementedError("ClassMirror.typeVariables unimplemented");
 }
@@ -185,88 +480,175 @@ class JsTypeMirror implements TypeMirror {
 
   JsTypeMirror._(this.reflectedType);
 
-  // TODO(vsm): Implement
+  Symbol get simpleName => new _internal.Symbol.unvalidated(
+      JS('String', '#.typeName(#)', _dart, reflectedType));
+
   bool isAssignableTo(TypeMirror other) =>
-      throw new UnimplementedError("TypeMirror.isAssignable unimplemented");
-  bool isSubtypeOf(TypeMirror other) =>
-      throw new UnimplementedError("TypeMirror.isSubtypeOf unimplemented");
-  bool get isOriginalDeclaration => throw new UnimplementedError(
-      "TypeMirror.isOriginalDeclaration unimplemented");
-  bool get isPrivate =>
-      throw new UnimplementedError("TypeMirror.isPrivate unimplemented");
-  bool get isTopLevel =>
-      throw new UnimplementedError("TypeMirror.isTopLevel unimplemented");
+      _isSubtype(this, other) || _isSubtype(other, this);
+  bool isSubtypeOf(TypeMirror other) => _isSubtype(this, other);
+  bool get isOriginalDeclaration => true;
+  TypeMirror get originalDeclaration => this;
+  bool get isPrivate => false;
+  bool get isTopLevel => true;
+  // Types other than classes, such as `dynamic` and function types, are not
+  // declared by a library.
+  DeclarationMirror get owner => null;
+  Symbol get qualifiedName => simpleName;
+  List<InstanceMirror> get metadata => const <InstanceMirror>[];
+  List<TypeMirror> get typeArguments => const <TypeMirror>[];
+  List<TypeVariableMirror> get typeVariables =>
+      const <TypeVariableMirror>[];
+
+  bool operator ==(other) =>
+      other is JsTypeMirror && reflectedType == other.reflectedType;
+  int get hashCode => reflectedType.hashCode;
+
+  // The compiler doesn't record where types are declared.
   SourceLocation get location =>
       throw new UnimplementedError("TypeMirror.location unimplemented");
+}
+
+class JsVariableMirror implements VariableMirror {
+  final DeclarationMirror owner;
+  // The JS name, a JS symbol if the variable is private.
+  final _name;
+  final dynamic _type;
+  final bool isFinal;
+  final bool isTopLevel;
+
+  JsVariableMirror._(this.owner, this._name, this._type,
+      {this.isFinal, this.isTopLevel: false});
+
+  Symbol get simpleName => _memberSymbol(_name);
+  Symbol get qualifiedName => _qualify(owner, simpleName);
+  TypeMirror get type => reflectType(_type);
+
+  // Only instance fields have signatures, and top-level variables can't be
+  // told apart from constants.  Top-level variables count as static.
+  bool get isConst => false;
+  bool get isStatic => isTopLevel;
+  bool get isPrivate => _isPrivate(simpleName);
+
+  // The compiler doesn't record where fields are declared, or their
+  // annotations.
+  SourceLocation get location =>
+      throw new UnimplementedError("VariableMirror.location unimplemented");
   List<InstanceMirror> get metadata =>
-      throw new UnimplementedError("TypeMirror.metadata unimplemented");
-  TypeMirror get originalDeclaration => throw new UnimplementedError(
-      "TypeMirror.originalDeclaration unimplemented");
-  DeclarationMirror get owner =>
-      throw new UnimplementedError("TypeMirror.owner unimplemented");
-  Symbol get qualifiedName =>
-      throw new UnimplementedError("TypeMirror.qualifiedName unimplemented");
-  Symbol get simpleName =>
-      throw new UnimplementedError("TypeMirror.simpleName unimplemented");
-  List<TypeMirror> get typeArguments =>
-      throw new UnimplementedError("TypeMirror.typeArguments unimplemented");
-  List<TypeVariableMirror> get typeVariables =>
-      throw new UnimplementedError("TypeMirror.typeVariables unimplemented");
+      throw new UnimplementedError("VariableMirror.metadata unimplemented");
 }
 
 class JsParameterMirror implements ParameterMirror {
+  final DeclarationMirror owner;
   final String _name;
   final TypeMirror type;
   final List<InstanceMirror> metadata;
-
-  JsParameterMirror._(this._name, Type t, List annotations)
-      : type = new JsTypeMirror._(t),
+  final bool isOptional;
+  final bool isNamed;
+  final bool hasDefaultValue;
+  final InstanceMirror defaultValue;
+
+  JsParameterMirror._(this.owner, this._name, Type t, List annotations,
+      {this.isOptional: false,
+      this.isNamed: false,
+      this.hasDefaultValue: false,
+      defaultValue})
+      : type = reflectType(t),
         metadata = new List<InstanceMirror>.from(
-            annotations.map((a) => new JsInstanceMirror._(a)));
-
-  // TODO(vsm): Implement
-  InstanceMirror get defaultValue => throw new UnimplementedError(
-      "ParameterMirror.defaultValues unimplemented");
-  bool get hasDefaultValue => throw new UnimplementedError(
-      "ParameterMirror.hasDefaultValue unimplemented");
-  bool get isConst =>
-      throw new UnimplementedError("ParameterMirror.isConst unimplemented");
+            annotations.map((a) => new JsInstanceMirror._(a))),
+        defaultValue =
+            hasDefaultValue ? new JsInstanceMirror._(defaultValue) : null;
+
+  Symbol get simpleName => new Symbol(_name);
+  Symbol get qualifiedName => _qualify(owner, simpleName);
+  bool get isConst => false;
+  bool get isPrivate => false;
+  bool get isStatic => false;
+  bool get isTopLevel => false;
+
+  // Signatures don't record whether a parameter is final, or where it is
+  // declared.
   bool get isFinal =>
       throw new UnimplementedError("ParameterMirror.isFinal unimplemented");
-  bool get isNamed =>
-      throw new UnimplementedError("ParameterMirror.isNamed unimplemented");
-  bool get isOptional =>
-      throw new UnimplementedError("ParameterMirror.isOptional unimplemented");
-  bool get isPrivate =>
-      throw new UnimplementedError("ParameterMirror.isPrivate unimplemented");
-  bool get isStatic =>
-      throw new UnimplementedError("ParameterMirror.isStatic unimplemented");
-  bool get isTopLevel =>
-      throw new UnimplementedError("ParameterMirror.isTopLevel unimplemented");
   SourceLocation get location =>
       throw new UnimplementedError("ParameterMirror.location unimplemented");
-  DeclarationMirror get owner =>
-      throw new UnimplementedError("ParameterMirror.owner unimplemented");
-  Symbol get qualifiedName => throw new UnimplementedError(
-      "ParameterMirror.qualifiedName unimplemented");
-  Symbol get simpleName =>
-      throw new UnimplementedError("ParameterMirror.simpleName unimplemented");
 }
 
 class JsMethodMirror implements MethodMirror {
-  final String _name;
-  final dynamic _method;
+  final DeclarationMirror owner;
+  // The JS name, a JS symbol if the method is private.
+  final _name;
+  final Symbol simpleName;
+  final Symbol constructorName;
+  // The function type of a method or constructor, or the type of a getter or
+  // setter.
+  final dynamic _type;
+  final bool isStatic;
+  final bool isGetter;
+  final bool isSetter;
+  final bool isConstructor;
+  final bool isSynthetic;
+  final bool isTopLevel;
   List<ParameterMirror> _params;
 
-  JsMethodMirror._(JsClassMirror cls, this._method)
-      : _name = getName(cls.simpleName) {
-    var ftype = JS('', '#.classGetConstructorType(#)', _dart, cls._cls);
-    _params = _createParameterMirrorList(ftype);
+  JsMethodMirror._(this.owner, this._name, this.simpleName, this._type,
+      {this.constructorName,
+      this.isStatic: false,
+      this.isGetter: false,
+      this.isSetter: false,
+      this.isSynthetic: false,
+      this.isTopLevel: false})
+      : isConstructor = constructorName != null;
+
+  Symbol get qualifiedName => _qualify(owner, simpleName);
+
+  List<ParameterMirror> get parameters {
+    if (_params == null) {
+      if (isGetter) {
+        _params = <ParameterMirror>[];
+      } else if (isSetter) {
+        // TODO(vsm): Recover the param name.
+        _params = <ParameterMirror>[
+          new JsParameterMirror._(this, '', _type, [])
+        ];
+      } else {
+        _params = _createParameterMirrorList(_type);
+      }
+    }
+    return _params;
   }
 
-  // TODO(vsm): Support named constructors.
-  Symbol get constructorName => new Symbol('');
-  List<ParameterMirror> get parameters => _params;
+  TypeMirror get returnType {
+    if (isConstructor) return owner;
+    if (isGetter) return reflectType(_type);
+    if (isSetter) return reflectType(JS('', '#.void', _dart));
+    return reflectType(JS('', '#.returnType', _type));
+  }
+
+  bool get isRegularMethod => !isGetter && !isSetter && !isConstructor;
+  bool get isOperator =>
+      isRegularMethod && _operatorPattern.hasMatch(getName(simpleName));
+  bool get isPrivate => _isPrivate(simpleName);
+  // Abstract members have no signature, so are never reflected.
+  bool get isAbstract => false;
+
+  // A generative constructor is a method of the prototype, and a factory
+  // constructor is a static method.
+  bool get isFactoryConstructor =>
+      isConstructor &&
+      !isSynthetic &&
+      !JS('bool', '#.prototype.hasOwnProperty(#)',
+          (owner as JsClassMirror)._cls, _name);
+  bool get isGenerativeConstructor => isConstructor && !isFactoryConstructor;
+
+  /// The annotations of a top-level function.  Those of class members are
+  /// not recorded.
+  List<InstanceMirror> get metadata {
+    if (!isTopLevel) {
+      throw new UnimplementedError("MethodMirror.metadata unimplemented");
+    }
+    return _metadataOf(
+        JS('', '#[#]', (owner as JsLibraryMirror)._exports, _name));
+  }
 
   List<ParameterMirror> _createParameterMirrorList(ftype) {
     if (ftype == null) {
@@ -274,71 +656,231 @@ class JsMethodMirror implements MethodMirror {
       return [];
     }
 
-    // TODO(vsm): Add named args.
     List args = ftype.args;
     List opts = ftype.optionals;
-    var params = new List<ParameterMirror>(args.length + opts.length);
+    List named = JS('List', 'Object.getOwnPropertyNames(#)', ftype.named);
+    var params =
+        new List<ParameterMirror>(args.length + opts.length + named.length);
 
     for (var i = 0; i < args.length; ++i) {
       var type = args[i];
       var metadata = ftype.metadata[i];
       // TODO(vsm): Recover the param name.
-      var param = new JsParameterMirror._('', type, metadata);
+      var param = new JsParameterMirror._(this, '', type, metadata);
       params[i] = param;
     }
 
     for (var i = 0; i < opts.length; ++i) {
       var type = opts[i];
       var metadata = ftype.metadata[args.length + i];
+      var defaultValue = ftype.defaultValues[args.length + i];
       // TODO(vsm): Recover the param name.
-      var param = new JsParameterMirror._('', type, metadata);
+      var param = new JsParameterMirror._(this, '', type, metadata,
+          isOptional: true,
+          hasDefaultValue: _isDefined(defaultValue),
+          defaultValue: defaultValue);
       params[i + args.length] = param;
     }
 
+    for (var i = 0; i < named.length; ++i) {
+      var name = named[i];
+      var type = JS('', '#.named[#]', ftype, name);
+      var metadata = JS('', '#.namedMetadata[#]', ftype, name);
+      var defaultValue = JS('', '#.namedDefaultValues[#]', ftype, name);
+      var param = new JsParameterMirror._(this, name, type, metadata,
+          isOptional: true,
+          isNamed: true,
+          hasDefaultValue: _isDefined(defaultValue),
+          defaultValue: defaultValue);
+      params[i + args.length + opts.length] = param;
+    }
+
     return params;
   }
 
-  // TODO(vsm): Implement
-  bool get isAbstract =>
-      throw new UnimplementedError("MethodMirror.isAbstract unimplemented");
+  // The compiler doesn't record whether a constructor is const or
+  // redirecting, or the source of a method and where it is declared.
   bool get isConstConstructor => throw new UnimplementedError(
       "MethodMirror.isConstConstructor unimplemented");
-  bool get isConstructor =>
-      throw new UnimplementedError("MethodMirror.isConstructor unimplemented");
-  bool get isFactoryConstructor => throw new UnimplementedError(
-      "MethodMirror.isFactoryConstructor unimplemented");
-  bool get isGenerativeConstructor => throw new UnimplementedError(
-      "MethodMirror.isGenerativeConstructor unimplemented");
-  bool get isGetter =>
-      throw new UnimplementedError("MethodMirror.isGetter unimplemented");
-  bool get isOperator =>
-      throw new UnimplementedError("MethodMirror.isOperator unimplemented");
-  bool get isPrivate =>
-      throw new UnimplementedError("MethodMirror.isPrivate unimplemented");
   bool get isRedirectingConstructor => throw new UnimplementedError(
       "MethodMirror.isRedirectingConstructor unimplemented");
-  bool get isRegularMethod => throw new UnimplementedError(
-      "MethodMirror.isRegularMethod unimplemented");
-  bool get isSetter =>
-      throw new UnimplementedError("MethodMirror.isSetter unimplemented");
-  bool get isStatic =>
-      throw new UnimplementedError("MethodMirror.isStatic unimplemented");
-  bool get isSynthetic =>
-      throw new UnimplementedError("MethodMirror.isSynthetic unimplemented");
-  bool get isTopLevel =>
-      throw new UnimplementedError("MethodMirror.isTopLevel unimplemented");
   SourceLocation get location =>
       throw new UnimplementedError("MethodMirror.location unimplemented");
-  List<InstanceMirror> get metadata =>
-      throw new UnimplementedError("MethodMirror.metadata unimplemented");
-  DeclarationMirror get owner =>
-      throw new UnimplementedError("MethodMirror.owner unimplemented");
-  Symbol get qualifiedName =>
-      throw new UnimplementedError("MethodMirror.qualifiedName unimplemented");
-  TypeMirror get returnType =>
-      throw new UnimplementedError("MethodMirror.returnType unimplemented");
-  Symbol get simpleName =>
-      throw new UnimplementedError("MethodMirror.simpleName unimplemented");
   String get source =>
       throw new UnimplementedError("MethodMirror.source unimplemented");
 }
+
+class JsMirrorSystem implements MirrorSystem {
+  JsMirrorSystem._();
+
+  /// The libraries loaded so far.  Libraries are loaded lazily, so this may
+  /// grow between calls.
+  Map<Uri, LibraryMirror> get libraries {
+    var libraries = new Map<Uri, LibraryMirror>();
+    for (var library in _loadedLibraries()) {
+      libraries[library.uri] = library;
+    }
+    return libraries;
+  }
+
+  LibraryMirror findLibrary(Symbol libraryName) => libraries.values
+      .singleWhere((library) => library.simpleName == libraryName);
+
+  TypeMirror get dynamicType => reflectType(JS('', '#.dynamic', _dart));
+  TypeMirror get voidType => reflectType(JS('', '#.void', _dart));
+
+  // The runtime doesn't record the library an isolate was started with.
+  IsolateMirror get isolate =>
+      throw new UnimplementedError("MirrorSystem.isolate unimplemented");
+}
+
+class JsLibraryMirror implements LibraryMirror {
+  final String _name;
+  final dynamic _exports;
+  // The modules this library imports, lazily or not.
+  final List _imports;
+  Map<Symbol, DeclarationMirror> _declarations;
+
+  JsLibraryMirror._(library)
+      : _name = JS('String', '#.name', library),
+        _exports = JS('', '#.exports', library),
+        _imports = JS('List', '#.imports.concat(#.lazyImports)', library,
+            library);
+
+  // A library is named after its module, so `package:foo/bar.dart` is
+  // `foo.bar`.
+  Symbol get simpleName =>
+      new _internal.Symbol.unvalidated(_name.replaceAll('/', '.'));
+  Symbol get qualifiedName => simpleName;
+  Uri get uri => _libraryUri(_name);
+
+  DeclarationMirror get owner => null;
+  bool get isPrivate => false;
+  bool get isTopLevel => false;
+
+  /// The public top-level members of this library, which are its exports
+  /// other than those it re-exports.
+  ///
+  /// Top-level getters and setters can't be told apart from the variables
+  /// which are initialized lazily, and neither can lazily defined classes,
+  /// so these are all reflected as variables.
+  Map<Symbol, DeclarationMirror> get declarations {
+    if (_declarations == null) _declarations = _loadDeclarations();
+    return _declarations;
+  }
+
+  Map<Symbol, DeclarationMirror> _loadDeclarations() {
+    var declarations = new Map<Symbol, DeclarationMirror>();
+    var imported = _importedExports;
+    for (var name in JS('List', 'Object.getOwnPropertyNames(#)', _exports)) {
+      if (_isReexported(name, imported)) continue;
+      var property = _ownProperty(_exports, name);
+      var value = JS('', '#.value', property);
+      DeclarationMirror mirror;
+      if (JS('bool', '#.get !== void 0', property)) {
+        mirror = new JsVariableMirror._(this, name, JS('', '#.dynamic', _dart),
+            isFinal: JS('bool', '#.set === void 0', property),
+            isTopLevel: true);
+      } else if (_isType(value)) {
+        mirror = reflectType(value);
+      } else if (JS('bool', 'typeof # == "function"', value)) {
+        if (_isGenericClass(name, value)) continue;
+        mirror = new JsMethodMirror._(this, name, new Symbol(name),
+            JS('', '#.realRuntimeType(#)', _dart, value),
+            isStatic: true, isTopLevel: true);
+      } else {
+        mirror = new JsVariableMirror._(this, name, JS('', '#.dynamic', _dart),
+            isFinal: false, isTopLevel: true);
+      }
+      declarations[mirror.simpleName] = mirror;
+    }
+    return declarations;
+  }
+
+  /// Whether the export [name] is the type constructor `C$` of a generic
+  /// class `C`, which is reflected through `C` itself.
+  bool _isGenericClass(String name, value) {
+    if (!name.endsWith(r'$')) return false;
+    var cls = JS('', '#[#]', _exports, name.substring(0, name.length - 1));
+    return cls != null &&
+        identical(JS('', '#.getGenericClass(#)', _dart, cls), value);
+  }
+
+  /// The exports of the libraries this library imports.
+  List get _importedExports => libraryDependencies
+      .map((LibraryDependencyMirror dependency) =>
+          (dependency.targetLibrary as JsLibraryMirror)._exports)
+      .toList();
+
+  /// Whether the export [name] is copied from one of the [imported] exports.
+  bool _isReexported(String name, List imported) {
+    var property = _ownProperty(_exports, name);
+    for (var library in imported) {
+      var other = _ownProperty(library, name);
+      if (other != null &&
+          JS('bool', '#.value === #.value && #.get === #.get', property, other,
+              property, other)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /// Whether this library declares [value] as its top-level member [name].
+  bool _declares(String name, value) {
+    var property = _ownProperty(_exports, name);
+    return property != null &&
+        identical(JS('', '#.value', property), value) &&
+        !_isReexported(name, _importedExports);
+  }
+
+  /// The libraries this library imports that have been loaded.  Imports of
+  /// the runtime itself are not reflected.
+  List<LibraryDependencyMirror> get libraryDependencies {
+    var dependencies = <LibraryDependencyMirror>[];
+    for (var library in _loadedLibraries()) {
+      if (_imports.contains(library._name)) {
+        dependencies.add(new JsLibraryDependencyMirror._(this, library));
+      }
+    }
+    return dependencies;
+  }
+
+  // Libraries only export their public members.
+  InstanceMirror getField(Symbol fieldName) =>
+      _getField(_exports, getName(fieldName));
+
+  InstanceMirror setField(Symbol fieldName, Object value) =>
+      _setField(_exports, getName(fieldName), value);
+
+  InstanceMirror invoke(Symbol memberName, List positionalArguments,
+          [Map<Symbol, dynamic> namedArguments]) => _invoke(_exports,
+      getName(memberName), positionalArguments, namedArguments);
+
+  bool operator ==(other) =>
+      other is JsLibraryMirror && _name == other._name;
+  int get hashCode => _name.hashCode;
+
+  // The compiler doesn't record where libraries are, or their annotations.
+  SourceLocation get location =>
+      throw new UnimplementedError("LibraryMirror.location unimplemented");
+  List<InstanceMirror> get metadata =>
+      throw new UnimplementedError("LibraryMirror.metadata unimplemented");
+}
+
+class JsLibraryDependencyMirror implements LibraryDependencyMirror {
+  final LibraryMirror sourceLibrary;
+  final LibraryMirror targetLibrary;
+
+  JsLibraryDependencyMirror._(this.sourceLibrary, this.targetLibrary);
+
+  // Modules record their imports, but not how they were written.
+  bool get isImport => true;
+  bool get isExport => false;
+  Symbol get prefix => null;
+  List<CombinatorMirror> get combinators => const <CombinatorMirror>[];
+  List<InstanceMirror> get metadata => const <InstanceMirror>[];
+
+  SourceLocation get location => throw new UnimplementedError(
+      "LibraryDependencyMirror.location unimplemented");
+}
@@ -174,7 +174,7 @@ class JSNumber extends Interceptor implements int, double {
     }
   }
 
-  int get hashCode => JS('int', '# & 0x1FFFFFFF', this);
+  int get hashCode => JS('int', 'dart.hashCode(#)', this);
 
   JSNumber operator -() => JS('num', r'-#', this);
 